@@ -1,6 +1,7 @@
 const { onDocumentCreated } = require('firebase-functions/v2/firestore');
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
 const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
 const admin = require('firebase-admin');
 const axios = require('axios');
 const { getMessaging } = require('firebase-admin/messaging');
@@ -74,7 +75,11 @@ function formatMultiBoatEmailData(data) {
       boatName: data.bookingDetails?.boatName || 'N/A',
       passengers: data.bookingDetails?.passengers || 'N/A',
       totalAmount: data.bookingDetails?.price || 0,
-      isMultiBoat: false
+      isMultiBoat: false,
+      // Set when a booking is moved so the template can show what changed
+      isUpdate: Boolean(data.isUpdate),
+      previousDate: data.previousDate || null,
+      previousBoatName: data.previousBoatName || null
     };
   }
 
@@ -214,6 +219,12 @@ exports.processNewBookingNotification = onDocumentCreated('bookings/{bookingId}'
       return null;
     }
 
+    // Bulk-imported bookings were confirmed with the client elsewhere; don't email them again
+    if (booking.importBatchId) {
+      console.log(`Skipping notification for imported booking ${event.params.bookingId}`);
+      return null;
+    }
+
     // Check for multi-boat booking
     const isMultiBoat = booking.isPartOfMultiBoatBooking || false;
     
@@ -845,4 +856,208 @@ exports.testOrderNotification = onCall({
     console.error('Test function error:', error);
     throw new HttpsError('internal', `Test failed: ${error.message}`);
   }
-});
\ No newline at end of file
+});
+
+// ========================================
+// BOAT CALENDAR SYNC
+// ========================================
+
+const CALENDAR_FETCH_TIMEOUT_MS = 20000;
+const CALENDAR_SYNC_DAYS_AHEAD = 400;
+const MAX_STORED_BUSY_PERIODS = 2000;
+
+// The parser is shared with the web app; `npm run sync-parser` copies it here as ESM
+let icalParserPromise = null;
+function loadICalParser() {
+  if (!icalParserPromise) {
+    icalParserPromise = import('./icalParser.mjs');
+  }
+  return icalParserPromise;
+}
+
+async function fetchCalendarText(icalUrl) {
+  const response = await axios.get(icalUrl, {
+    timeout: CALENDAR_FETCH_TIMEOUT_MS,
+    responseType: 'text',
+    transformResponse: [(data) => data],
+    headers: {
+      'User-Agent': 'Mozilla/5.0 BoatFinder/1.0',
+      'Accept': 'text/calendar, text/plain, */*'
+    }
+  });
+
+  const text = String(response.data || '');
+  if (!text.includes('BEGIN:VCALENDAR') && !text.includes('BEGIN:VEVENT') && !text.includes('BEGIN:VFREEBUSY')) {
+    throw new Error('Response is not iCal data');
+  }
+  return text;
+}
+
+// Fetch one boat's owner calendar and store its busy periods in boatAvailability/{boatId}
+async function syncBoatCalendar(boatDoc) {
+  const boat = boatDoc.data();
+  const availabilityRef = db.collection('boatAvailability').doc(boatDoc.id);
+  const startedAt = Date.now();
+
+  try {
+    const { getBusyIntervals } = await loadICalParser();
+    const text = await fetchCalendarText(boat.icalUrl);
+
+    const from = new Date(startedAt - 24 * 60 * 60 * 1000);
+    const to = new Date(startedAt + CALENDAR_SYNC_DAYS_AHEAD * 24 * 60 * 60 * 1000);
+    const busy = getBusyIntervals(text, { from, to })
+      .slice(0, MAX_STORED_BUSY_PERIODS)
+      .map((period) => ({
+        start: period.start.toISOString(),
+        end: period.end.toISOString(),
+        startLocal: period.startLocal,
+        endLocal: period.endLocal,
+        allDay: period.allDay
+      }));
+
+    await availabilityRef.set({
+      boatId: boatDoc.id,
+      boatName: boat.name || '',
+      icalUrl: boat.icalUrl,
+      busy,
+      eventCount: busy.length,
+      syncStatus: 'ok',
+      lastError: null,
+      consecutiveFailures: 0,
+      lastSyncAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastSuccessAt: admin.firestore.FieldValue.serverTimestamp(),
+      durationMs: Date.now() - startedAt
+    });
+
+    return { boatId: boatDoc.id, boatName: boat.name, status: 'ok', eventCount: busy.length };
+  } catch (error) {
+    console.error(`Calendar sync failed for ${boat.name} (${boatDoc.id}):`, error.message);
+
+    // Keep the last good busy periods; BoatFinder shows them as stale
+    await availabilityRef.set({
+      boatId: boatDoc.id,
+      boatName: boat.name || '',
+      icalUrl: boat.icalUrl,
+      syncStatus: 'error',
+      lastError: error.message,
+      consecutiveFailures: admin.firestore.FieldValue.increment(1),
+      lastSyncAt: admin.firestore.FieldValue.serverTimestamp(),
+      durationMs: Date.now() - startedAt
+    }, { merge: true });
+
+    return { boatId: boatDoc.id, boatName: boat.name, status: 'error', error: error.message };
+  }
+}
+
+async function syncBoatCalendars(boatId = null) {
+  const boatDocs = boatId
+    ? [await db.collection('boats').doc(boatId).get()].filter((snap) => snap.exists)
+    : (await db.collection('boats').get()).docs;
+
+  const results = [];
+  // One at a time so a slow owner calendar can't exhaust the instance
+  for (const boatDoc of boatDocs) {
+    if (!boatDoc.data().icalUrl) continue;
+    results.push(await syncBoatCalendar(boatDoc));
+  }
+
+  const failed = results.filter((result) => result.status === 'error').length;
+  console.log(`Calendar sync finished: ${results.length - failed} ok, ${failed} failed`);
+  return results;
+}
+
+exports.syncBoatCalendarsScheduled = onSchedule({
+  schedule: 'every 30 minutes',
+  timeZone: 'Europe/Madrid',
+  region: "us-central1",
+  timeoutSeconds: 540,
+  memory: '512MiB'
+}, async () => {
+  await syncBoatCalendars();
+});
+
+// "Sync now" from the admin pages; pass boatId to sync a single boat
+exports.syncBoatCalendarsNow = onCall({
+  cors: ALLOWED_ORIGINS,
+  region: "us-central1",
+  timeoutSeconds: 540,
+  memory: '512MiB'
+}, async (request) => {
+  const email = request.auth?.token?.email?.toLowerCase();
+  if (!email) {
+    throw new HttpsError('unauthenticated', 'Sign in to sync calendars');
+  }
+
+  const approvedUser = await db.collection('approvedUsers').doc(email).get();
+  if (!approvedUser.exists || approvedUser.data().role !== 'admin') {
+    throw new HttpsError('permission-denied', 'Only admins can sync calendars');
+  }
+
+  try {
+    const results = await syncBoatCalendars(request.data?.boatId || null);
+    return { success: true, results };
+  } catch (error) {
+    console.error('Manual calendar sync error:', error);
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+// ========================================
+// BOOKING OPTIONS
+// ========================================
+
+// Options (provisional holds) that pass their expiry go back to enquiry so the boat is free again
+async function releaseExpiredOptions() {
+  const now = new Date().toISOString();
+  const snapshot = await db.collection('bookings').where('status', '==', 'option').get();
+  const expired = snapshot.docs.filter((snap) => {
+    const { optionExpiresAt: expiresAt, isDeleted } = snap.data();
+    // Options sitting in the recycle bin are left alone
+    return !isDeleted && expiresAt && expiresAt <= now;
+  });
+
+  for (const snap of expired) {
+    const booking = snap.data();
+    const details = booking.bookingDetails || {};
+    const clientName = booking.clientName || booking.clientDetails?.name || 'Client';
+
+    await snap.ref.update({
+      status: 'enquiry',
+      statusUpdatedAt: now,
+      optionExpiresAt: null,
+      lastUpdated: now,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        from: 'option',
+        to: 'enquiry',
+        at: now,
+        by: null,
+        reason: `Option expired at ${booking.optionExpiresAt}`
+      })
+    });
+
+    await db.collection('notifications').add({
+      type: 'reminder',
+      title: 'Option Expired',
+      message: `The option for ${clientName} on ${details.boatName || 'a boat'} (${details.date || 'no date'}) expired and the boat was released`,
+      link: `/bookings?view=${snap.id}`,
+      bookingId: snap.id,
+      recipientUid: booking.createdBy?.uid || null,
+      recipientEmail: booking.createdBy?.email || null,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      read: false
+    });
+  }
+
+  if (expired.length > 0) {
+    console.log(`Released ${expired.length} expired booking option(s)`);
+  }
+  return expired.length;
+}
+
+exports.releaseExpiredOptionsScheduled = onSchedule({
+  schedule: 'every 15 minutes',
+  timeZone: 'Europe/Madrid',
+  region: "us-central1"
+}, async () => {
+  await releaseExpiredOptions();
+});
@@ -0,0 +1,17 @@
+// lib/firebaseAdmin.js - Firestore access for the pages/api routes
+import admin from 'firebase-admin';
+
+// FIREBASE_SERVICE_ACCOUNT holds the service account JSON on Vercel;
+// locally we fall back to application default credentials.
+if (!admin.apps.length) {
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  admin.initializeApp({
+    credential: serviceAccount
+      ? admin.credential.cert(JSON.parse(serviceAccount))
+      : admin.credential.applicationDefault()
+  });
+}
+
+export const adminDb = admin.firestore();
+
+export default admin;
@@ -0,0 +1,201 @@
+// pages/api/boat-calendar.js - iCal (RFC 5545) feed of our own bookings for one boat
+// Subscribe with: /api/boat-calendar?boat=<boatId>&token=<calendarExport.token>
+import crypto from 'crypto';
+import { adminDb } from '../../lib/firebaseAdmin';
+
+const PRODID = '-//Alin Booking System//Boat Calendar//EN';
+const TIMEZONE = 'Europe/Madrid';
+const PAST_DAYS = 90;
+
+// Calendar clients need the zone definition for TZID references to resolve
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const addDays = (ymd, days) => {
+  const [year, month, day] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const toLocalStamp = (ymd, time) => `${ymd.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// HH:mm, padding times saved as 9:30 the way availability.js reads them; null when unreadable
+const toTime = (time) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+};
+
+const isCancelled = (booking) => booking.isCancelled === true || booking.status === 'cancelled';
+
+// Options are provisional holds; anything else still on the boat is a firm booking
+const getEventStatus = (booking) => {
+  if (isCancelled(booking)) return 'CANCELLED';
+  return booking.status === 'option' ? 'TENTATIVE' : 'CONFIRMED';
+};
+
+const buildEvent = (booking, { redact, dtstamp }) => {
+  const details = booking.bookingDetails || {};
+  const date = details.date || booking.bookingDate;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+
+  const lines = ['BEGIN:VEVENT', `UID:${booking.id}@alin-booking-system`, `DTSTAMP:${dtstamp}`];
+
+  const startTime = toTime(details.startTime);
+  const endTime = toTime(details.endTime);
+  if (startTime && endTime) {
+    const endDate = endTime <= startTime ? addDays(date, 1) : date;
+    lines.push(`DTSTART;TZID=${TIMEZONE}:${toLocalStamp(date, startTime)}`);
+    lines.push(`DTEND;TZID=${TIMEZONE}:${toLocalStamp(endDate, endTime)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`);
+    lines.push(`DTEND;VALUE=DATE:${addDays(date, 1).replace(/-/g, '')}`);
+  }
+
+  const clientName = booking.clientName || booking.clientDetails?.name || 'Client';
+  const passengers = Number(details.passengers) || 0;
+  const hasTransfer = Boolean(booking.transfer?.required);
+  const hasCatering = Array.isArray(booking.linkedOrders) && booking.linkedOrders.length > 0;
+  const pickup = booking.transfer?.pickup?.location;
+
+  const description = [
+    `Client: ${redact ? 'Private charter' : clientName}`,
+    `Passengers: ${passengers}`,
+    `Time: ${details.startTime || 'All day'}${details.endTime ? ` - ${details.endTime}` : ''}`,
+    `Transfer: ${hasTransfer ? 'Yes' : 'No'}${hasTransfer && pickup && !redact ? ` (pickup: ${pickup})` : ''}`,
+    `Catering: ${hasCatering ? 'Yes' : 'No'}`
+  ];
+  if (booking.multiBoatGroupId) description.push('Part of a multi-boat booking');
+
+  lines.push(`SUMMARY:${escapeText(`${redact ? 'Booked' : clientName} (${passengers} pax)`)}`);
+  lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+  lines.push(`STATUS:${getEventStatus(booking)}`);
+  lines.push('TRANSP:OPAQUE');
+
+  const lastModified = toDate(booking.lastUpdated) || toDate(booking.createdAt);
+  if (lastModified) lines.push(`LAST-MODIFIED:${toUtcStamp(lastModified)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const tokensMatch = (expected, provided) => {
+  if (!expected || !provided) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(provided));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { boat: boatId, token } = req.query;
+  if (!boatId || !token) {
+    return res.status(400).json({ error: 'Missing boat or token parameter' });
+  }
+
+  try {
+    const boatSnap = await adminDb.collection('boats').doc(String(boatId)).get();
+    const boat = boatSnap.exists ? boatSnap.data() : null;
+
+    // Same response for unknown boats and bad tokens so ids can't be probed
+    if (!boat || !tokensMatch(boat.calendarExport?.token, token)) {
+      return res.status(403).json({ error: 'Invalid calendar link' });
+    }
+
+    const bookingsSnap = await adminDb
+      .collection('bookings')
+      .where('bookingDetails.boatName', '==', boat.name)
+      .get();
+
+    const cutoff = addDays(new Date().toISOString().slice(0, 10), -PAST_DAYS);
+    const dtstamp = toUtcStamp(new Date());
+    const redact = Boolean(boat.calendarExport?.redactClientNames);
+
+    const events = bookingsSnap.docs
+      .map((snap) => ({ id: snap.id, ...snap.data() }))
+      .filter((booking) => (booking.bookingDetails?.date || booking.bookingDate || '') >= cutoff)
+      // Enquiries don't hold the boat and deleted bookings are in the recycle bin, so owners shouldn't see either
+      .filter((booking) => booking.status !== 'enquiry' && booking.isDeleted !== true)
+      .map((booking) => buildEvent(booking, { redact, dtstamp }))
+      .filter(Boolean);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(`${boat.name} - Bookings`)}`,
+      `X-WR-TIMEZONE:${TIMEZONE}`,
+      ...VTIMEZONE,
+      ...events.flat(),
+      'END:VCALENDAR'
+    ];
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${boatId}.ics"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.status(200).send(lines.map(foldLine).join('\r\n') + '\r\n');
+  } catch (error) {
+    console.error(`Boat calendar export error: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+}
@@ -0,0 +1,208 @@
+// pages/api/catalogue.js - Read-only JSON catalogue of published boats for the public website
+// GET /api/catalogue?lang=es            every published boat
+// GET /api/catalogue?boat=<boatId>      one boat (404 unless published)
+// Responses carry an ETag; send it back as If-None-Match to get a 304 when nothing changed.
+import { adminDb } from '../../lib/firebaseAdmin';
+import { etagMatches, getCatalogueEtag } from '../../src/utils/catalogueEtag';
+import { buildPublicBoat, getPublicFieldSettings, isPubliclyListed } from '../../src/utils/publicCatalogue';
+
+const TIMEZONE = 'Europe/Madrid';
+const AVAILABILITY_DAYS = 30;
+const LANGUAGES = ['en', 'es'];
+// Rebuilt from Firestore at most this often per server instance; the CDN may serve it as long
+const CACHE_SECONDS = 300;
+
+const cache = {};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (ymd, days) => {
+  const [year, month, day] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const todayInMadrid = () => new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date());
+
+// Minutes Madrid is ahead of UTC at an instant (60 or 120)
+const madridOffset = (instant) => {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, timeZoneName: 'shortOffset' })
+    .formatToParts(instant)
+    .find((part) => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0));
+};
+
+const madridToUtc = (ymd, time = '00:00') => {
+  const asUtc = new Date(`${ymd}T${time.slice(0, 5)}:00Z`);
+  return new Date(asUtc.getTime() - madridOffset(asUtc) * 60 * 1000);
+};
+
+const madridTime = (instant) =>
+  new Intl.DateTimeFormat('en-GB', { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(instant);
+
+const isValidTime = (time) => /^\d{2}:\d{2}/.test(time || '');
+
+// Same rule as the owner calendar feed: enquiries, cancelled and deleted bookings don't hold the boat
+const holdsBoat = (booking) =>
+  booking.isCancelled !== true &&
+  !['cancelled', 'enquiry'].includes(booking.status) &&
+  booking.isDeleted !== true;
+
+const bookingInterval = (booking) => {
+  const details = booking.bookingDetails || {};
+  const date = details.date || booking.bookingDate;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return null;
+  if (!isValidTime(details.startTime) || !isValidTime(details.endTime)) {
+    return { start: madridToUtc(date), end: madridToUtc(addDays(date, 1)) };
+  }
+  const endDate = details.endTime <= details.startTime ? addDays(date, 1) : date;
+  return { start: madridToUtc(date, details.startTime), end: madridToUtc(endDate, details.endTime) };
+};
+
+/**
+ * One entry per day: available, partial (with the busy times), booked, or
+ * unknown while the owner's calendar has never synced.
+ */
+const buildAvailability = (intervals, from, unknown) =>
+  Array.from({ length: AVAILABILITY_DAYS }, (_, index) => {
+    const date = addDays(from, index);
+    if (unknown) return { date, status: 'unknown' };
+
+    const dayStart = madridToUtc(date).getTime();
+    const dayEnd = madridToUtc(addDays(date, 1)).getTime();
+    const windows = intervals
+      .map(({ start, end }) => ({ start: Math.max(start.getTime(), dayStart), end: Math.min(end.getTime(), dayEnd) }))
+      .filter(({ start, end }) => end > start)
+      .sort((a, b) => a.start - b.start)
+      .reduce((merged, window) => {
+        const last = merged[merged.length - 1];
+        if (last && window.start <= last.end) last.end = Math.max(last.end, window.end);
+        else merged.push({ ...window });
+        return merged;
+      }, []);
+
+    if (windows.length === 0) return { date, status: 'available' };
+    if (windows.length === 1 && windows[0].start <= dayStart && windows[0].end >= dayEnd) return { date, status: 'booked' };
+    return {
+      date,
+      status: 'partial',
+      busy: windows.map(({ start, end }) => ({
+        from: madridTime(new Date(start)),
+        to: end >= dayEnd ? '24:00' : madridTime(new Date(end))
+      }))
+    };
+  });
+
+const loadCatalogue = async (language) => {
+  const from = todayInMadrid();
+  const to = addDays(from, AVAILABILITY_DAYS);
+
+  const boatsSnap = await adminDb.collection('boats').where('published', '==', true).get();
+  const boatDocs = boatsSnap.docs.filter((snap) => isPubliclyListed(snap.data()));
+  if (boatDocs.length === 0) return { from, boats: [] };
+
+  const syncSnaps = await adminDb.getAll(
+    ...boatDocs.map((snap) => adminDb.collection('boatAvailability').doc(snap.id))
+  );
+  // From the day before: an overnight charter can run into today. Older bookings
+  // only have the top-level bookingDate, so both fields are queried and merged.
+  const bookingsByDetails = await adminDb.collection('bookings')
+    .where('bookingDetails.date', '>=', addDays(from, -1))
+    .where('bookingDetails.date', '<=', to)
+    .get();
+  const bookingsByDate = await adminDb.collection('bookings')
+    .where('bookingDate', '>=', addDays(from, -1))
+    .where('bookingDate', '<=', to)
+    .get();
+  const maintenanceSnap = await adminDb.collection('boatMaintenance').where('kind', '==', 'outOfService').get();
+
+  const syncByBoat = {};
+  syncSnaps.forEach((snap) => {
+    if (snap.exists) syncByBoat[snap.id] = snap.data();
+  });
+  const bookingsById = {};
+  [...bookingsByDetails.docs, ...bookingsByDate.docs].forEach((snap) => {
+    bookingsById[snap.id] = snap.data();
+  });
+  const bookings = Object.values(bookingsById).filter(holdsBoat);
+  const outOfService = maintenanceSnap.docs.map((snap) => snap.data()).filter((entry) => entry.startDate);
+
+  const boats = boatDocs.map((snap) => {
+    const boat = snap.data();
+    const publicBoat = buildPublicBoat(snap.id, boat, language);
+    if (!getPublicFieldSettings(boat).availability) return publicBoat;
+
+    const boatName = String(boat.name || '').trim().toLowerCase();
+    const intervals = [
+      ...bookings
+        .filter((booking) => String(booking.bookingDetails?.boatName || '').trim().toLowerCase() === boatName)
+        .map(bookingInterval),
+      ...outOfService
+        .filter((entry) => entry.boatId === snap.id)
+        .map((entry) => ({ start: madridToUtc(entry.startDate), end: madridToUtc(addDays(entry.endDate || entry.startDate, 1)) }))
+    ].filter(Boolean);
+
+    // Owner calendars only count for boats whose availability comes from one
+    const usesCalendar = boat.availabilityType === 'ical' && boat.icalUrl;
+    const sync = syncByBoat[snap.id];
+    if (usesCalendar && toDate(sync?.lastSuccessAt)) {
+      (sync.busy || []).forEach((period) => intervals.push({ start: new Date(period.start), end: new Date(period.end) }));
+    }
+
+    return { ...publicBoat, availability: buildAvailability(intervals, from, usesCalendar && !toDate(sync?.lastSuccessAt)) };
+  });
+
+  boats.sort((a, b) => a.name.localeCompare(b.name));
+  return { from, boats };
+};
+
+const getCatalogue = async (language) => {
+  const cached = cache[language];
+  if (cached && cached.expiresAt > Date.now()) return cached.catalogue;
+  const catalogue = await loadCatalogue(language);
+  cache[language] = { catalogue, expiresAt: Date.now() + CACHE_SECONDS * 1000 };
+  return catalogue;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const language = LANGUAGES.includes(req.query.lang) ? req.query.lang : 'en';
+  const boatId = req.query.boat ? String(req.query.boat) : null;
+
+  try {
+    const catalogue = await getCatalogue(language);
+    let payload = { language, availabilityFrom: catalogue.from, availabilityDays: AVAILABILITY_DAYS, boats: catalogue.boats };
+    if (boatId) {
+      const boat = catalogue.boats.find((entry) => entry.id === boatId);
+      if (!boat) return res.status(404).json({ error: 'Boat not found' });
+      payload = { language, availabilityFrom: catalogue.from, availabilityDays: AVAILABILITY_DAYS, boat };
+    }
+
+    const body = JSON.stringify(payload);
+    const etag = getCatalogueEtag(body);
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', `public, max-age=${CACHE_SECONDS}, s-maxage=${CACHE_SECONDS}, stale-while-revalidate=${CACHE_SECONDS * 2}`);
+    res.setHeader('Vary', 'Accept-Encoding');
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.status(200).send(body);
+  } catch (error) {
+    console.error(`Public catalogue error: ${error.message}`);
+    return res.status(500).json({ error: 'Failed to load the catalogue' });
+  }
+}
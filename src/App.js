@@ -21,8 +21,13 @@ import ProductManagement from './components/ProductManagement';
 import AddEditProduct from './components/AddEditProduct';
 import CateringOrders from './components/CateringOrders';
 import BoatFinder from './components/BoatFinder';
+import CalendarSyncHealth from './components/CalendarSyncHealth';
+import BoatPlanner from './components/BoatPlanner';
+import DailyManifest from './components/DailyManifest';
+import TransferDispatch from './components/TransferDispatch';
 import LeadManagement from './components/LeadManagement';
 import NotificationsCenter from './components/notifications/NotificationsCenter';
+import CommandPalette from './components/CommandPalette';
 import InvoiceGenerator from './components/InvoiceGenerator';
 import SanAntonioBookingsAdmin from './components/SanAntonioBookingsAdmin';
 import PlaceQRManager from './components/PlaceQRManager';
@@ -33,6 +38,12 @@ import CateringExpensesTracker from './components/CateringExpensesTracker';
 import ContractGenerator from './components/ContractGenerator';
 import ClientDataCollection from './components/ClientDataCollection';
 import CharterManagementSystem from './components/CharterManagementSystem';
+import RecycleBin from './components/RecycleBin';
+import BookingImport from './components/BookingImport';
+import CancellationPolicies from './components/CancellationPolicies';
+import Quotes from './components/Quotes';
+import QuoteProposal from './components/QuoteProposal';
+import FleetUtilisation from './components/FleetUtilisation';
 const Splash = ({ onFinish }) => {
     useEffect(() => {
         const timer = setTimeout(() => {
@@ -120,7 +131,7 @@ function ProtectedLayout({ children }) {
             <Sidebar />
             <div className="md:ml-64 flex flex-col">
                 <header className="bg-white shadow-sm px-6 py-4 flex justify-between items-center">
-                    <div></div>
+                    <CommandPalette />
                     <div className="flex items-center gap-4">
                         <NotificationsCenter />
                         <h1 
@@ -150,6 +161,8 @@ function App() {
                     <Router>
                         <Routes>
                             <Route path="/login" element={<Login />} />
+                            {/* Public client proposal, opened from the share link */}
+                            <Route path="/quote/:quoteId" element={<QuoteProposal />} />
                             
                             {/* Dashboard */}
                             <Route
@@ -353,6 +366,66 @@ function App() {
                                 </ProtectedRoute>
                             }
                             />
+                            <Route
+                                path="/quotes"
+                                element={
+                                    <ProtectedRoute>
+                                        <ProtectedLayout>
+                                            <Quotes />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/fleet-utilisation"
+                                element={
+                                    <ProtectedRoute>
+                                        <ProtectedLayout>
+                                            <FleetUtilisation />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/planner"
+                                element={
+                                    <ProtectedRoute>
+                                        <ProtectedLayout>
+                                            <BoatPlanner />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/daily-manifest"
+                                element={
+                                    <ProtectedRoute>
+                                        <ProtectedLayout>
+                                            <DailyManifest />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/transfers"
+                                element={
+                                    <ProtectedRoute>
+                                        <ProtectedLayout>
+                                            <TransferDispatch />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/calendar-sync"
+                                element={
+                                    <ProtectedRoute requiredPermission="admin">
+                                        <ProtectedLayout>
+                                            <CalendarSyncHealth />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
                             <Route
                                 path="/edit-boat/:id"
                                 element={
@@ -428,6 +501,36 @@ function App() {
                                     </ProtectedRoute>
                                 }
                             />
+                            <Route
+                                path="/recycle-bin"
+                                element={
+                                    <ProtectedRoute requiredPermission="admin">
+                                        <ProtectedLayout>
+                                            <RecycleBin />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/import-bookings"
+                                element={
+                                    <ProtectedRoute requiredPermission="admin">
+                                        <ProtectedLayout>
+                                            <BookingImport />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/cancellation-policies"
+                                element={
+                                    <ProtectedRoute requiredPermission="admin">
+                                        <ProtectedLayout>
+                                            <CancellationPolicies />
+                                        </ProtectedLayout>
+                                    </ProtectedRoute>
+                                }
+                            />
                             <Route
                                 path="/inquiries"
                                 element={
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { collection, addDoc, doc, getDoc, updateDoc } from 'firebase/firestore';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { db, storage } from "../firebase/firebaseConfig";
+import { db } from "../firebase/firebaseConfig";
 import { useNavigate, useParams } from 'react-router-dom';
+import { DURATIONS, EXTRA_UNITS } from '../utils/seasonalPricing';
+import { buildImageFields, getBoatImages, uploadBoatImage } from '../utils/boatImages';
+import { PUBLIC_FIELDS, getPublicFieldSettings } from '../utils/publicCatalogue';
 
 const CheckboxGroup = ({ title, items, values, onChange }) => (
     <div className="space-y-3">
@@ -40,12 +42,16 @@ const AddBoat = () => {
     const initialBoatState = {
         // Basic Information
         icalUrl: '',
+        turnaroundBefore: '',
+        turnaroundAfter: '',
         name: '',
         images: [],
         specs: '',
         price: '',
         cruisingArea: '',
+        homeMarina: '',
         description: '',
+        published: false,
 
         // Detailed Specifications
         detailedSpecs: {
@@ -222,8 +228,8 @@ const AddBoat = () => {
                      if (boatDoc.exists()) {
                         const data = boatDoc.data();
                         setBoatData({ id: boatDoc.id, ...data });
-                        setImagePreviews(data.images || []);
-                        setImageFiles(data.images || []); // Initialize imageFiles with existing URLs
+                        setImagePreviews(getBoatImages(data, 'thumb'));
+                        setImageFiles((data.images || []).filter(Boolean)); // Initialize imageFiles with existing URLs
                      } else {
                          setError("Boat not found");
                     }
@@ -268,6 +274,76 @@ const AddBoat = () => {
     };
 
     // First, modify the handleInputChange function to handle nested objects better:
+// Secret link that lets owners and captains subscribe to our bookings for this boat
+const generateCalendarToken = () =>
+    `${window.crypto.randomUUID()}${window.crypto.randomUUID()}`.replace(/-/g, '');
+
+const handleCalendarExportChange = (changes) => {
+    setBoatData(prev => ({
+        ...prev,
+        calendarExport: {
+            token: '',
+            redactClientNames: false,
+            ...(prev.calendarExport || {}),
+            ...changes
+        }
+    }));
+};
+
+const calendarExportUrl = id && boatData.calendarExport?.token
+    ? `${window.location.origin}/api/boat-calendar?boat=${id}&token=${boatData.calendarExport.token}`
+    : '';
+
+// What the public website catalogue (/api/catalogue) may show of this boat
+const handlePublicFieldChange = (field, shown) => {
+    setBoatData(prev => ({
+        ...prev,
+        publicFields: { ...(prev.publicFields || {}), [field]: shown }
+    }));
+};
+
+const publicFieldSettings = getPublicFieldSettings(boatData);
+
+// Half-day / weekly rates, minimum prices and extras feed the pricing engine
+// (utils/seasonalPricing); older boats don't have them yet
+const handleDurationPriceChange = (duration, season, value) => {
+    setBoatData(prev => ({
+        ...prev,
+        durationPrices: {
+            ...(prev.durationPrices || {}),
+            [duration]: { ...(prev.durationPrices?.[duration] || {}), [season]: value }
+        }
+    }));
+};
+
+const handleMinimumPriceChange = (duration, value) => {
+    setBoatData(prev => ({
+        ...prev,
+        minimumPrices: { ...(prev.minimumPrices || {}), [duration]: value }
+    }));
+};
+
+const handleExtraChange = (index, changes) => {
+    setBoatData(prev => ({
+        ...prev,
+        extras: (prev.extras || []).map((extra, i) => (i === index ? { ...extra, ...changes } : extra))
+    }));
+};
+
+const addExtra = () => {
+    setBoatData(prev => ({
+        ...prev,
+        extras: [...(prev.extras || []), { name: '', price: '', unit: 'booking' }]
+    }));
+};
+
+const removeExtra = (index) => {
+    setBoatData(prev => ({
+        ...prev,
+        extras: (prev.extras || []).filter((_, i) => i !== index)
+    }));
+};
+
 const handleInputChange = (e, section = null) => {
     const { name, value } = e.target;
     
@@ -326,19 +402,24 @@ const handleInputChange = (e, section = null) => {
     });
 };
 
+    // New photos are resized, stripped of EXIF and uploaded in three sizes
+    // (utils/boatImages); existing ones keep their URLs. One at a time, so a
+    // batch of phone photos doesn't hold every full-size canvas in memory.
     const uploadImages = async (files) => {
-        const uploadPromises = files.map(async (file) => {
+        const photos = [];
+        for (const file of files) {
+            if (typeof file === 'string') {
+                photos.push(file);
+                continue;
+            }
             try {
-                const storageRef = ref(storage, `boats/${Date.now()}_${file.name}`);
-                await uploadBytes(storageRef, file);
-                return getDownloadURL(storageRef);
+                photos.push(await uploadBoatImage(file));
             } catch (error) {
                 console.error('Error uploading image:', error);
                 throw error;
             }
-        });
-    
-        return Promise.all(uploadPromises);
+        }
+        return photos;
     };
     
     const handleSubmit = async (e) => {
@@ -347,26 +428,12 @@ const handleInputChange = (e, section = null) => {
         setError(null);
     
         try {
-            let finalImageUrls = [];
-            
-            if (isEditing) {
-                // Keep existing URLs in the current order
-                const existingUrls = imageFiles
-                    .map(file => typeof file === 'string' ? file : null)
-                    .filter(url => url !== null);
-                finalImageUrls = existingUrls;
-            }
-    
-            // Upload new files
-            const newFiles = imageFiles.filter(file => typeof file !== 'string');
-            if (newFiles.length > 0) {
-                const newUrls = await uploadImages(newFiles);
-                finalImageUrls = [...finalImageUrls, ...newUrls];
-            }
+            // Photos keep the order they were arranged in
+            const photos = await uploadImages(imageFiles);
     
             const boatDataToSave = {
                 ...boatData,
-                images: finalImageUrls,
+                ...buildImageFields(photos, boatData),
                 updatedAt: new Date()
             };
     
@@ -436,6 +503,17 @@ const handleInputChange = (e, section = null) => {
                                 required
                             />
                         </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Home Marina</label>
+                            <input
+                                type="text"
+                                name="homeMarina"
+                                value={boatData.homeMarina || ''}
+                                onChange={handleInputChange}
+                                placeholder="e.g., Marina Botafoch"
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                            />
+                        </div>
                         <div>
                             <label className="block text-sm font-medium text-gray-700">Boat Images</label>
                             <div className="mt-1 space-y-4">
@@ -580,6 +658,114 @@ const handleInputChange = (e, section = null) => {
                     </div>
                 </div>
 
+                <div className="space-y-4">
+                    <h2 className="text-xl font-semibold">Rates &amp; Extras</h2>
+                    <p className="text-sm text-gray-500">
+                        Used to suggest prices when booking. Without a half-day or weekly rate the full-day price is used
+                        (seven days for a week).
+                    </p>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-700">
+                                    <th className="py-2 pr-4 font-medium">Season</th>
+                                    {Object.keys(DURATIONS).map(duration => (
+                                        <th key={duration} className="py-2 pr-4 font-medium">{DURATIONS[duration]}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.keys(boatData.seasonalPrices).map(season => (
+                                    <tr key={season}>
+                                        <td className="py-1 pr-4 whitespace-nowrap">{season}</td>
+                                        {Object.keys(DURATIONS).map(duration => (
+                                            <td key={duration} className="py-1 pr-4">
+                                                {duration === 'fullDay' ? (
+                                                    <input
+                                                        type="text"
+                                                        name={season}
+                                                        value={boatData.seasonalPrices[season]}
+                                                        onChange={(e) => handleInputChange(e, 'seasonalPrices')}
+                                                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                                    />
+                                                ) : (
+                                                    <input
+                                                        type="text"
+                                                        value={boatData.durationPrices?.[duration]?.[season] || ''}
+                                                        onChange={(e) => handleDurationPriceChange(duration, season, e.target.value)}
+                                                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                                    />
+                                                )}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                                <tr>
+                                    <td className="py-1 pr-4 whitespace-nowrap font-medium">Minimum price</td>
+                                    {Object.keys(DURATIONS).map(duration => (
+                                        <td key={duration} className="py-1 pr-4">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                value={boatData.minimumPrices?.[duration] || ''}
+                                                onChange={(e) => handleMinimumPriceChange(duration, e.target.value)}
+                                                placeholder="No floor"
+                                                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                            />
+                                        </td>
+                                    ))}
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="space-y-2">
+                        <label className="block text-sm font-medium text-gray-700">Extras</label>
+                        {(boatData.extras || []).map((extra, index) => (
+                            <div key={index} className="flex flex-wrap items-center gap-2">
+                                <input
+                                    type="text"
+                                    value={extra.name}
+                                    onChange={(e) => handleExtraChange(index, { name: e.target.value })}
+                                    placeholder="e.g., Seabob, Skipper overtime"
+                                    className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                />
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={extra.price}
+                                    onChange={(e) => handleExtraChange(index, { price: e.target.value })}
+                                    placeholder="€"
+                                    className="w-28 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                />
+                                <select
+                                    value={extra.unit || 'booking'}
+                                    onChange={(e) => handleExtraChange(index, { unit: e.target.value })}
+                                    className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                >
+                                    {Object.keys(EXTRA_UNITS).map(unit => (
+                                        <option key={unit} value={unit}>{EXTRA_UNITS[unit]}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    type="button"
+                                    onClick={() => removeExtra(index)}
+                                    className="text-red-600 hover:text-red-800 px-2"
+                                >
+                                    ×
+                                </button>
+                            </div>
+                        ))}
+                        <button
+                            type="button"
+                            onClick={addExtra}
+                            className="text-sm text-blue-600 hover:underline"
+                        >
+                            + Add extra
+                        </button>
+                    </div>
+                </div>
+
                 {/* Add this inside your form, after the Seasonal Prices section */}
 {/* Entertainment Section */}
 <div className="space-y-4 border-b pb-6">
@@ -824,6 +1010,130 @@ const handleInputChange = (e, section = null) => {
             Add a calendar URL to sync boat availability
         </p>
     </div>
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+            <label className="block text-sm font-medium text-gray-700">Turnaround before charter (minutes)</label>
+            <input
+                type="number"
+                min="0"
+                step="15"
+                name="turnaroundBefore"
+                value={boatData.turnaroundBefore || ''}
+                onChange={handleInputChange}
+                placeholder="e.g. 30"
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+        </div>
+        <div>
+            <label className="block text-sm font-medium text-gray-700">Turnaround after charter (minutes)</label>
+            <input
+                type="number"
+                min="0"
+                step="15"
+                name="turnaroundAfter"
+                value={boatData.turnaroundAfter || ''}
+                onChange={handleInputChange}
+                placeholder="e.g. 60"
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+        </div>
+    </div>
+    <p className="text-sm text-gray-500">
+        Prep and cleaning time kept free around every charter when the Boat Finder looks for open slots
+    </p>
+
+    <div className="pt-2">
+        <h4 className="text-sm font-medium text-gray-700">Bookings feed for owner / captain</h4>
+        {id ? (
+            <div className="mt-2 space-y-2">
+                {calendarExportUrl ? (
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            readOnly
+                            value={calendarExportUrl}
+                            onFocus={(e) => e.target.select()}
+                            className="flex-1 block w-full rounded-md border-gray-300 bg-gray-50 text-sm shadow-sm"
+                        />
+                        <button
+                            type="button"
+                            onClick={() => navigator.clipboard.writeText(calendarExportUrl)}
+                            className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            Copy
+                        </button>
+                    </div>
+                ) : (
+                    <p className="text-sm text-gray-500">No feed link yet.</p>
+                )}
+                <div className="flex flex-wrap items-center gap-4">
+                    <button
+                        type="button"
+                        onClick={() => {
+                            if (calendarExportUrl && !window.confirm('The current link will stop working. Generate a new one?')) return;
+                            handleCalendarExportChange({ token: generateCalendarToken() });
+                        }}
+                        className="px-3 py-2 text-sm font-medium text-blue-700 bg-blue-50 border border-blue-200 rounded-md hover:bg-blue-100"
+                    >
+                        {calendarExportUrl ? 'Regenerate link' : 'Generate link'}
+                    </button>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={Boolean(boatData.calendarExport?.redactClientNames)}
+                            onChange={(e) => handleCalendarExportChange({ redactClientNames: e.target.checked })}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        Hide client names and pickup addresses
+                    </label>
+                </div>
+                <p className="text-sm text-gray-500">
+                    Changes to the link take effect after you update the boat.
+                </p>
+            </div>
+        ) : (
+            <p className="mt-1 text-sm text-gray-500">Save the boat first to create a feed link.</p>
+        )}
+    </div>
+</div>
+
+{/* Public website catalogue */}
+<div className="space-y-4">
+    <h3 className="text-lg font-medium">Website Catalogue</h3>
+    <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+            type="checkbox"
+            checked={Boolean(boatData.published)}
+            onChange={(e) => setBoatData(prev => ({ ...prev, published: e.target.checked }))}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+        />
+        Published in the public boats catalogue
+    </label>
+    {boatData.published && (
+        <div>
+            <p className="text-sm text-gray-500 mb-2">
+                The name and photos are always shown. Choose what else the website may display:
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {Object.keys(PUBLIC_FIELDS).map((field) => (
+                    <label key={field} className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={publicFieldSettings[field]}
+                            onChange={(e) => handlePublicFieldChange(field, e.target.checked)}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        {PUBLIC_FIELDS[field]}
+                    </label>
+                ))}
+            </div>
+            {boatData.visible === false && (
+                <p className="mt-2 text-sm text-amber-700">
+                    This boat is hidden from the website in Boat Fleet Overview, so it stays out of the catalogue until it is shown again.
+                </p>
+            )}
+        </div>
+    )}
 </div>
 
                 <div className="flex justify-end space-x-4">
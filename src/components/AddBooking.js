@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
 import { collection, query, where, addDoc, getDocs } from "firebase/firestore";
 import { db } from '../firebase/firebaseConfig';
 import { Users, Ship, Euro, MapPin} from "lucide-react";
@@ -10,6 +11,40 @@ import { increment } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { functions } from '../firebase/firebaseConfig';
 import MultiBoatBooking from './MultiBoatBooking';
+import PriceSuggestion from './PriceSuggestion';
+import BookingConflictModal from './BookingConflictModal';
+import { useAuth } from '../context/AuthContext';
+import { findBookingConflicts, buildConflictOverride } from '../utils/bookingConflicts';
+import { INITIAL_STATES, STATUS_META, DEFAULT_OPTION_HOURS, buildInitialStatusFields } from '../utils/bookingStatus';
+import { isTrashed } from '../utils/recycleBin';
+import { markQuoteConverted } from '../utils/quoteProposals';
+import { buildPriceCheck, formatPrice, isBelowFloor } from '../utils/seasonalPricing';
+import {
+  DEFAULT_SCHEDULE_TEMPLATE,
+  buildSchedulePricing,
+  buildScheduleFromTemplate,
+  getScheduleTotals,
+  recalculateSchedule
+} from '../utils/paymentSchedule';
+
+// The pricing saved on a new booking. A form that never opened its payment
+// schedule gets the default template.
+const buildBookingPricing = (pricing, charterDate) => {
+  const lines = pricing.payments?.length
+    ? pricing.payments
+    : buildScheduleFromTemplate(DEFAULT_SCHEDULE_TEMPLATE, { agreedPrice: pricing.agreedPrice, charterDate });
+  const recordedAt = new Date().toISOString();
+  return {
+    agreedPrice: parseFloat(pricing.agreedPrice) || getScheduleTotals(lines).scheduled,
+    ...buildSchedulePricing(lines.map((line) => ({ ...line, recordedAt })))
+  };
+};
+
+const notifyReceivedPayments = async (payments, clientName, bookingId) => {
+  for (const payment of payments.filter((line) => line.received && line.amount > 0)) {
+    await createPaymentNotification(payment.amount.toFixed(2), clientName, bookingId);
+  }
+};
 
 // Updated email function that supports both single and multi-boat bookings
 const sendBookingConfirmationEmail = async (bookingData, isMultiBoat = false, allBoats = []) => {
@@ -119,8 +154,14 @@ const sendBookingConfirmationEmail = async (bookingData, isMultiBoat = false, al
 };
 
 function AddBooking() {
+  const { isAdmin } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
   const [activeStep, setActiveStep] = useState(1);
   const [loading, setLoading] = useState(false);
+  const [conflictCheck, setConflictCheck] = useState(null);
+  const [bookingStatus, setBookingStatus] = useState("confirmed");
+  const [optionExpiresAt, setOptionExpiresAt] = useState("");
   const [formData, setFormData] = useState({
     clientType: "",
     selectedPartner: "",
@@ -142,23 +183,8 @@ function AddBooking() {
     },
     pricing: {
       agreedPrice: "",
-      pricingType: "standard", 
-      firstPayment: {
-        useCustomAmount: false,
-        percentage: "30",
-        amount: "",
-        method: "cash",
-        received: false,
-        date: "",
-        excludeVAT: false
-      },
-      secondPayment: {
-        amount: "",
-        method: "pos",
-        received: false,
-        date: "",
-        excludeVAT: false
-      },
+      // Filled from the default schedule template by ClientPaymentForm
+      payments: [],
       paymentStatus: "No Payment",
       totalPaid: 0,
     },
@@ -181,10 +207,87 @@ function AddBooking() {
   const [boats, setBoats] = useState([]);
   
   const [partners, setPartners] = useState([]);
+  // Boat docs for price suggestions; bookings only know the boat by name
+  const [fleet, setFleet] = useState([]);
+  const [priceQuote, setPriceQuote] = useState(null);
+  // ClientPaymentForm only reads its initial data, so applying a suggested price remounts it
+  const [pricingFormKey, setPricingFormKey] = useState(0);
   const [existingClients, setExistingClients] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [restaurantName, setRestaurantName] = useState('');
 
+  useEffect(() => {
+    const loadFleet = async () => {
+      try {
+        const snapshot = await getDocs(collection(db, "boats"));
+        setFleet(snapshot.docs.map((boatDoc) => ({ id: boatDoc.id, ...boatDoc.data() })));
+      } catch (error) {
+        console.error("Error loading boats for pricing:", error);
+      }
+    };
+    loadFleet();
+  }, []);
+
+  // Prefill the boat and slot when arriving from the planner, the client from
+  // the command palette, or all of it plus the price when converting a proposal
+  const prefill = location.state?.prefill;
+  useEffect(() => {
+    if (!prefill) return;
+
+    setFormData((prev) => {
+      const agreedPrice = parseFloat(prefill.agreedPrice);
+      return {
+        ...prev,
+        clientType: prefill.clientDetails?.name ? prefill.clientType || "Direct" : prev.clientType,
+        clientDetails: prefill.clientDetails?.name
+          ? { ...prev.clientDetails, ...prefill.clientDetails }
+          : prev.clientDetails,
+        bookingDetails: {
+          ...prev.bookingDetails,
+          boatName: prefill.boatName || prev.bookingDetails.boatName,
+          date: prefill.date || prev.bookingDetails.date,
+          startTime: prefill.startTime || prev.bookingDetails.startTime,
+          endTime: prefill.endTime || prev.bookingDetails.endTime,
+          passengers: prefill.passengers ? String(prefill.passengers) : prev.bookingDetails.passengers,
+        },
+        pricing: agreedPrice > 0
+          ? {
+              ...prev.pricing,
+              agreedPrice: String(agreedPrice),
+              payments: recalculateSchedule(prev.pricing.payments, agreedPrice),
+            }
+          : prev.pricing,
+        notes: prefill.notes || prev.notes,
+      };
+    });
+    if (!prefill.boatName) return;
+
+    // Boats don't store their company, so take it from the boat's latest booking
+    const fillBoatCompany = async () => {
+      try {
+        const snapshot = await getDocs(
+          query(collection(db, "bookings"), where("bookingDetails.boatName", "==", prefill.boatName))
+        );
+        const latest = snapshot.docs
+          .map((bookingDoc) => bookingDoc.data())
+          .filter((booking) => booking.bookingDetails?.boatCompany && !isTrashed(booking))
+          .sort((a, b) => (b.bookingDetails.date || "").localeCompare(a.bookingDetails.date || ""))[0];
+        if (latest) {
+          setFormData((prev) => ({
+            ...prev,
+            bookingDetails: {
+              ...prev.bookingDetails,
+              boatCompany: prev.bookingDetails.boatCompany || latest.bookingDetails.boatCompany,
+            },
+          }));
+        }
+      } catch (error) {
+        console.error("Error looking up boat company:", error);
+      }
+    };
+    fillBoatCompany();
+  }, [prefill]);
+
   // Load partners based on type
   useEffect(() => {
     const loadPartnersByType = async () => {
@@ -288,6 +391,8 @@ function AddBooking() {
     setBoats(boatsData);
   };
 
+  const selectedPartner = partners.find((partner) => partner.id === formData.selectedPartner) || null;
+
   const handleInputChange = (section, field, value) => {
     setFormData((prev) => {
       
@@ -407,34 +512,13 @@ function AddBooking() {
   };
   
   const handlePricingChange = useCallback(async (pricingData) => {
-    // Calculate actual monetary values for first payment
-    const firstPaymentAmount = pricingData.pricingType === 'standard' && !pricingData.firstPayment.useCustomAmount 
-      ? parseFloat(pricingData.agreedPrice) * (parseFloat(pricingData.firstPayment.percentage) / 100)
-      : parseFloat(pricingData.firstPayment.amount) || 0;
-  
-    // Calculate second payment based on the total and first payment
-    const secondPaymentAmount = pricingData.pricingType === 'standard'
-      ? parseFloat(pricingData.agreedPrice) - firstPaymentAmount
-      : parseFloat(pricingData.secondPayment.amount) || 0;
-  
     setFormData((prev) => ({
       ...prev,
       pricing: {
         ...prev.pricing,
         agreedPrice: pricingData.agreedPrice,
-        pricingType: pricingData.pricingType,
-        firstPayment: {
-          ...pricingData.firstPayment,
-          amount: firstPaymentAmount.toFixed(2),
-          percentage: pricingData.firstPayment.percentage // Keep the original percentage
-        },
-        secondPayment: {
-          ...pricingData.secondPayment,
-          amount: secondPaymentAmount.toFixed(2)
-        },
-        totalPaid: 
-          (pricingData.firstPayment.received ? firstPaymentAmount : 0) +
-          (pricingData.secondPayment.received ? secondPaymentAmount : 0),
+        payments: pricingData.payments,
+        totalPaid: pricingData.totalPaid,
         paymentStatus: pricingData.paymentStatus,
       },
     }));
@@ -442,40 +526,27 @@ function AddBooking() {
     // Update Firestore if needed
     try {
       if (formData.id) {
+        const pricing = buildBookingPricing(pricingData);
         await updateDoc(doc(db, "bookings", formData.id), {
-          pricing: {
-            agreedPrice: parseFloat(pricingData.agreedPrice),
-            pricingType: pricingData.pricingType,
-            payments: [
-              {
-                type: 'first',
-                amount: firstPaymentAmount,
-                percentage: parseFloat(pricingData.firstPayment.percentage),
-                method: pricingData.firstPayment.method,
-                received: pricingData.firstPayment.received,
-                date: pricingData.firstPayment.date,
-                excludeVAT: pricingData.firstPayment.excludeVAT
-              },
-              {
-                type: 'second',
-                amount: secondPaymentAmount,
-                method: pricingData.secondPayment.method,
-                received: pricingData.secondPayment.received,
-                date: pricingData.secondPayment.date,
-                excludeVAT: pricingData.secondPayment.excludeVAT
-              }
-            ],
-            totalPaid: 
-              (pricingData.firstPayment.received ? firstPaymentAmount : 0) +
-              (pricingData.secondPayment.received ? secondPaymentAmount : 0),
-            paymentStatus: pricingData.paymentStatus,
-          },
+          "pricing.agreedPrice": pricing.agreedPrice,
+          "pricing.payments": pricing.payments,
+          "pricing.totalPaid": pricing.totalPaid,
+          "pricing.paymentStatus": pricing.paymentStatus,
         });
       }
     } catch (error) {
       console.error("Error updating payment data in Firestore:", error);
     }
   }, [formData.id]);
+
+  const applySuggestedPrice = (price) => {
+    handlePricingChange({
+      ...formData.pricing,
+      agreedPrice: String(price),
+      payments: recalculateSchedule(formData.pricing.payments, price),
+    });
+    setPricingFormKey((key) => key + 1);
+  };
   
   const renderStep1 = () => (
     <div className="space-y-4">
@@ -632,6 +703,8 @@ function AddBooking() {
       {multiBoatMode ? (
         <MultiBoatBooking 
           onBoatsChange={handleBoatsChange}
+          fleet={fleet}
+          partner={selectedPartner}
           initialBoats={boats.length ? boats : [{
             boatCompany: formData.bookingDetails.boatCompany,
             boatName: formData.bookingDetails.boatName,
@@ -641,9 +714,7 @@ function AddBooking() {
             endTime: formData.bookingDetails.endTime,
             pricing: {
               agreedPrice: formData.pricing.agreedPrice,
-              pricingType: formData.pricing.pricingType,
-              firstPayment: {...formData.pricing.firstPayment},
-              secondPayment: {...formData.pricing.secondPayment},
+              payments: formData.pricing.payments,
               paymentStatus: formData.pricing.paymentStatus,
               totalPaid: formData.pricing.totalPaid
             }
@@ -768,10 +839,26 @@ function AddBooking() {
           </div>
         </div>
       ) : (
-        <ClientPaymentForm 
-          onPricingChange={handlePricingChange}
-          initialData={formData.pricing}
-        />
+        <>
+          <PriceSuggestion
+            boats={fleet}
+            boatName={formData.bookingDetails.boatName}
+            date={formData.bookingDetails.date}
+            startTime={formData.bookingDetails.startTime}
+            endTime={formData.bookingDetails.endTime}
+            passengers={formData.bookingDetails.passengers}
+            partner={selectedPartner}
+            agreedPrice={formData.pricing.agreedPrice}
+            onApply={applySuggestedPrice}
+            onQuote={setPriceQuote}
+          />
+          <ClientPaymentForm 
+            key={pricingFormKey}
+            onPricingChange={handlePricingChange}
+            initialData={formData.pricing}
+            charterDate={formData.bookingDetails.date}
+          />
+        </>
       )}
     </div>
   );
@@ -938,6 +1025,46 @@ function AddBooking() {
           </div>
         )}
   
+        <div className="mt-6">
+          <label className="block text-sm font-medium text-gray-700">
+            Booking Status
+          </label>
+          <div className="mt-1 flex flex-wrap gap-2">
+            {INITIAL_STATES.map((status) => (
+              <button
+                key={status}
+                type="button"
+                onClick={() => setBookingStatus(status)}
+                className={`px-4 py-2 rounded border text-sm ${
+                  bookingStatus === status
+                    ? "bg-blue-600 text-white border-blue-600"
+                    : "bg-white text-gray-700 hover:bg-gray-50"
+                }`}
+              >
+                {STATUS_META[status].label}
+              </button>
+            ))}
+          </div>
+          <p className="mt-1 text-xs text-gray-500">
+            {bookingStatus === "enquiry" && "Enquiries don't hold the boat and no confirmation email is sent."}
+            {bookingStatus === "option" && "Options hold the boat until they expire, then are released back to enquiry."}
+            {bookingStatus === "confirmed" && "The client receives a booking confirmation email."}
+          </p>
+          {bookingStatus === "option" && (
+            <div className="mt-2">
+              <label className="block text-sm text-gray-700">
+                Option expires (defaults to {DEFAULT_OPTION_HOURS} hours from now)
+              </label>
+              <input
+                type="datetime-local"
+                className="mt-1 p-2 border rounded"
+                value={optionExpiresAt}
+                onChange={(e) => setOptionExpiresAt(e.target.value)}
+              />
+            </div>
+          )}
+        </div>
+
         <div className="mt-6">
           <label className="block text-sm font-medium text-gray-700">
             Additional Notes
@@ -1040,20 +1167,12 @@ function AddBooking() {
         if (!multiBoatMode) {
           // Only validate the pricing for single boat mode
           // (Multi-boat pricing is validated in step 2)
-          if (formData.pricing.pricingType !== 'custom' && 
-              (!formData.pricing.agreedPrice || parseFloat(formData.pricing.agreedPrice) <= 0)) {
-            alert("Please enter a valid agreed price");
+          // Without an agreed price the fixed instalments are the price
+          if (!(parseFloat(formData.pricing.agreedPrice) > 0) &&
+              getScheduleTotals(formData.pricing.payments).scheduled <= 0) {
+            alert("Please enter an agreed price or at least one payment amount");
             return false;
           }
-          // For custom type, check if at least one payment is entered
-          if (formData.pricing.pricingType === 'custom') {
-            const firstPayment = parseFloat(formData.pricing.firstPayment.amount) || 0;
-            const secondPayment = parseFloat(formData.pricing.secondPayment.amount) || 0;
-            if (firstPayment === 0 && secondPayment === 0) {
-              alert("Please enter at least one payment amount");
-              return false;
-            }
-          }
         }
         break;
 
@@ -1087,6 +1206,10 @@ function AddBooking() {
             return false;
           }
         }
+        if (bookingStatus === "option" && optionExpiresAt && new Date(optionExpiresAt) <= new Date()) {
+          alert("The option expiry must be in the future");
+          return false;
+        }
         break;
 
       default:
@@ -1096,11 +1219,65 @@ function AddBooking() {
     return true;
   };
 
-  // Update handleSubmit to handle multi-boat mode
+  const getBookingSlots = () =>
+    (multiBoatMode ? boats : [formData.bookingDetails]).map((boat) => ({
+      boatName: boat.boatName,
+      date: boat.date,
+      startTime: boat.startTime,
+      endTime: boat.endTime,
+    }));
+
+  // Check for double bookings before anything is written
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (activeStep !== 4 || !validateForm()) return;
 
+    const underMinimum = multiBoatMode
+      ? boats.filter((boat) => boat.priceQuote && isBelowFloor(boat.pricing.agreedPrice, boat.priceQuote.floor))
+      : priceQuote && isBelowFloor(formData.pricing.agreedPrice, priceQuote.floor)
+        ? [{ boatName: formData.bookingDetails.boatName, priceQuote }]
+        : [];
+    if (
+      underMinimum.length > 0 &&
+      !window.confirm(
+        `The agreed price is below the minimum for ${underMinimum
+          .map((boat) => `${boat.boatName} (${formatPrice(boat.priceQuote.floor)})`)
+          .join(", ")}. Save anyway?`
+      )
+    ) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await findBookingConflicts(getBookingSlots());
+      if (result.conflicts.length > 0) {
+        setConflictCheck(result);
+        return;
+      }
+    } catch (error) {
+      console.error("Error checking booking conflicts:", error);
+      alert("Could not check for double bookings. Please try again.");
+      return;
+    } finally {
+      setLoading(false);
+    }
+
+    await saveBooking();
+  };
+
+  const handleConflictOverride = async (reason) => {
+    const conflictOverride = buildConflictOverride(
+      conflictCheck.conflicts,
+      reason,
+      getAuth().currentUser
+    );
+    setConflictCheck(null);
+    await saveBooking(conflictOverride);
+  };
+
+  // Write the booking (one document per boat in multi-boat mode)
+  const saveBooking = async (conflictOverride = null) => {
     const auth = getAuth();
     const user = auth.currentUser;
     const createdByInfo = user
@@ -1110,6 +1287,10 @@ function AddBooking() {
               email: user.email,
           }
         : null;
+    const statusFields = buildInitialStatusFields(bookingStatus, {
+        user,
+        optionExpiresAt: optionExpiresAt ? new Date(optionExpiresAt).toISOString() : null,
+    });
 
     try {
         setLoading(true);
@@ -1202,24 +1383,7 @@ if (multiBoatMode) {
   
   // Create bookings for each boat
   for (const boat of boats) {
-    // Calculate payment values to ensure accuracy
-    const firstPaymentAmount = boat.pricing.pricingType === 'standard' && !boat.pricing.firstPayment.useCustomAmount 
-      ? parseFloat(boat.pricing.agreedPrice) * (parseFloat(boat.pricing.firstPayment.percentage) / 100)
-      : parseFloat(boat.pricing.firstPayment.amount) || 0;
-    
-    const secondPaymentAmount = boat.pricing.pricingType === 'standard'
-      ? parseFloat(boat.pricing.agreedPrice) - firstPaymentAmount
-      : parseFloat(boat.pricing.secondPayment.amount) || 0;
-    
-    const totalPaid = 
-      (boat.pricing.firstPayment.received ? firstPaymentAmount : 0) +
-      (boat.pricing.secondPayment.received ? secondPaymentAmount : 0);
-    
-    // Determine payment status
-    let paymentStatus = "No Payment";
-    if (totalPaid > 0) {
-      paymentStatus = totalPaid >= parseFloat(boat.pricing.agreedPrice) ? "Completed" : "Partial";
-    }
+    const pricing = buildBookingPricing(boat.pricing, boat.date);
     
     const bookingData = {
       clientType: formData.clientType || "",
@@ -1251,41 +1415,19 @@ if (multiBoatMode) {
         multiBoatBooking: true
       },
       pricing: {
-        agreedPrice: parseFloat(boat.pricing.agreedPrice) || 0,
-        pricingType: boat.pricing.pricingType,
-        totalPaid: totalPaid,
-        paymentStatus: paymentStatus,
-        payments: [
-          {
-            type: 'first',
-            amount: firstPaymentAmount,
-            percentage: parseFloat(boat.pricing.firstPayment.percentage) || 30,
-            method: boat.pricing.firstPayment.method || 'cash',
-            received: boat.pricing.firstPayment.received || false,
-            date: boat.pricing.firstPayment.date || '',
-            excludeVAT: boat.pricing.firstPayment.excludeVAT || false,
-            recordedAt: new Date().toISOString()
-          },
-          {
-            type: 'second',
-            amount: secondPaymentAmount,
-            method: boat.pricing.secondPayment.method || 'pos',
-            received: boat.pricing.secondPayment.received || false,
-            date: boat.pricing.secondPayment.date || '',
-            excludeVAT: boat.pricing.secondPayment.excludeVAT || false,
-            recordedAt: new Date().toISOString()
-          }
-        ]
+        ...pricing,
+        ...(boat.priceQuote ? { priceCheck: buildPriceCheck(boat.priceQuote, boat.pricing.agreedPrice) } : {})
       },
       transfer: formData.transfer || {},
       notes: formData.notes || "",
       createdAt: new Date().toISOString(),
       lastUpdated: new Date().toISOString(),
-      status: "active",
+      ...statusFields,
       createdBy: createdByInfo,
       restaurantName: restaurantName || "",
       isPartOfMultiBoatBooking: true,
-      multiBoatGroupId: multiBoatGroupId
+      multiBoatGroupId: multiBoatGroupId,
+      ...(conflictOverride ? { conflictOverride } : {})
     };
     
     // Create booking document
@@ -1306,22 +1448,8 @@ if (multiBoatMode) {
     );
     
     // Create payment notifications if payments are received
-    if (boat.pricing.firstPayment.received) {
-      await createPaymentNotification(
-        firstPaymentAmount.toFixed(2),
-        formData.clientDetails.name,
-        bookingRef.id
-      );
-    }
+    await notifyReceivedPayments(pricing.payments, formData.clientDetails.name, bookingRef.id);
 
-    if (boat.pricing.secondPayment.received) {
-      await createPaymentNotification(
-        secondPaymentAmount.toFixed(2),
-        formData.clientDetails.name,
-        bookingRef.id
-      );
-    }
-    
     // Process payments for database records
     const payments = bookingData.pricing.payments.filter(payment => payment.amount > 0);
     if (payments.length > 0) {
@@ -1359,16 +1487,18 @@ if (multiBoatMode) {
   }));
   
   // Send one comprehensive email for all boats
-  await sendBookingConfirmationEmail(
-    {
-      clientDetails: {
-        name: formData.clientDetails.name,
-        email: formData.clientDetails.email
-      }
-    }, 
-    true, // isMultiBoat = true
-    boatsForEmail
-  );
+  if (bookingStatus === "confirmed") {
+    await sendBookingConfirmationEmail(
+      {
+        clientDetails: {
+          name: formData.clientDetails.name,
+          email: formData.clientDetails.email
+        }
+      }, 
+      true, // isMultiBoat = true
+      boatsForEmail
+    );
+  }
   
   // Create a single transfer notification if needed
   if (formData.transfer.required) {
@@ -1418,44 +1548,26 @@ if (multiBoatMode) {
                         : null,
                 },
                 pricing: {
-                  agreedPrice: parseFloat(formData.pricing.agreedPrice) || 0,
-                  pricingType: formData.pricing.pricingType,
-                  totalPaid: parseFloat(formData.pricing.totalPaid) || 0,
-                  paymentStatus: formData.pricing.paymentStatus || "No Payment",
-                  payments: [
-                    {
-                      type: 'first',
-                      amount: parseFloat(formData.pricing.firstPayment.amount) || 0,
-                      percentage: parseFloat(formData.pricing.firstPayment.percentage),
-                      method: formData.pricing.firstPayment.method || '',
-                      received: formData.pricing.firstPayment.received || false,
-                      date: formData.pricing.firstPayment.date || '',
-                      excludeVAT: formData.pricing.firstPayment.excludeVAT || false,
-                      recordedAt: new Date().toISOString()
-                    },
-                    {
-                      type: 'second',
-                      amount: parseFloat(formData.pricing.secondPayment.amount) || 0,
-                      method: formData.pricing.secondPayment.method || '',
-                      received: formData.pricing.secondPayment.received || false,
-                      date: formData.pricing.secondPayment.date || '',
-                      excludeVAT: formData.pricing.secondPayment.excludeVAT || false,
-                      recordedAt: new Date().toISOString()
-                    }
-                  ]
+                  ...buildBookingPricing(formData.pricing, formData.bookingDetails.date),
+                  ...(priceQuote ? { priceCheck: buildPriceCheck(priceQuote, formData.pricing.agreedPrice) } : {})
                 },
                 transfer: formData.transfer || {},
                 notes: formData.notes || "",
                 createdAt: new Date().toISOString(),
                 lastUpdated: new Date().toISOString(),
-                status: "active",
+                ...statusFields,
                 createdBy: createdByInfo,
                 restaurantName: restaurantName || "",
+                ...(conflictOverride ? { conflictOverride } : {}),
+                ...(prefill?.quoteId ? { quoteId: prefill.quoteId } : {}),
             };
 
             // Create booking document
             const bookingRef = await addDoc(collection(db, "bookings"), bookingData);
-            await sendBookingConfirmationEmail(bookingData);
+            // Enquiries and options aren't confirmed to the client yet
+            if (bookingStatus === "confirmed") {
+                await sendBookingConfirmationEmail(bookingData);
+            }
             
             // Add booking notification
             await createBookingNotification(
@@ -1474,21 +1586,7 @@ if (multiBoatMode) {
                 );
             }
 
-            if (formData.pricing.firstPayment.received) {
-                await createPaymentNotification(
-                    formData.pricing.firstPayment.amount,
-                    formData.clientDetails.name,
-                    bookingRef.id
-                );
-            }
-
-            if (formData.pricing.secondPayment.received) {
-                await createPaymentNotification(
-                    formData.pricing.secondPayment.amount,
-                    formData.clientDetails.name,
-                    bookingRef.id
-                );
-            }
+            await notifyReceivedPayments(bookingData.pricing.payments, formData.clientDetails.name, bookingRef.id);
 
             await updateDoc(doc(db, "bookings", bookingRef.id), {
                 id: bookingRef.id
@@ -1516,6 +1614,16 @@ if (multiBoatMode) {
                 });
             }
 
+            if (prefill?.quoteId) {
+                try {
+                    await markQuoteConverted(prefill.quoteId, bookingRef.id);
+                } catch (quoteError) {
+                    console.error("Error linking proposal to booking:", quoteError);
+                }
+                // Drop the prefill so the next booking from this form isn't tied to the proposal
+                navigate(location.pathname, { replace: true });
+            }
+
             alert("Booking saved successfully");
         }
 
@@ -1541,23 +1649,7 @@ if (multiBoatMode) {
             },
             pricing: {
                 agreedPrice: "",
-                pricingType: "standard",
-                firstPayment: {
-                    useCustomAmount: false,
-                    percentage: "30",
-                    amount: "",
-                    method: "cash",
-                    received: false,
-                    date: "",
-                    excludeVAT: false
-                },
-                secondPayment: {
-                    amount: "",
-                    method: "pos",
-                    received: false,
-                    date: "",
-                    excludeVAT: false
-                },
+                payments: [],
                 paymentStatus: "No Payment",
                 totalPaid: 0
             },
@@ -1572,6 +1664,8 @@ if (multiBoatMode) {
         setBoats([]);
         setActiveStep(1);
         setRestaurantName("");
+        setBookingStatus("confirmed");
+        setOptionExpiresAt("");
     } catch (error) {
         console.error("Error saving booking:", error);
         alert("Error saving booking. Please try again.");
@@ -1702,6 +1796,16 @@ if (multiBoatMode) {
           </form>
         </div>
       </div>
+
+      {conflictCheck && (
+        <BookingConflictModal
+          conflicts={conflictCheck.conflicts}
+          calendarErrors={conflictCheck.calendarErrors}
+          canOverride={isAdmin()}
+          onOverride={handleConflictOverride}
+          onClose={() => setConflictCheck(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { collection, getDocs } from 'firebase/firestore';
+import { Download, X } from 'lucide-react';
+import { db } from '../firebase/firebaseConfig';
+import {
+  BROCHURE_LANGUAGES,
+  PRICE_MODES,
+  buildBoatBrochure,
+  getBrochureFileName
+} from '../utils/boatBrochure';
+
+const PARTNER_COLLECTIONS = { hotels: 'Hotel', collaborators: 'Collaborator' };
+
+/**
+ * Options for a boat brochure (one boat) or catalogue (several): language and
+ * which prices to print, then downloads the PDF.
+ */
+const BoatBrochureDialog = ({ boats, onClose }) => {
+  const [language, setLanguage] = useState('en');
+  const [priceMode, setPriceMode] = useState('public');
+  const [partners, setPartners] = useState([]);
+  const [partnerId, setPartnerId] = useState('');
+  const [generating, setGenerating] = useState(false);
+
+  useEffect(() => {
+    if (priceMode !== 'net' || partners.length > 0) return;
+    const loadPartners = async () => {
+      try {
+        const lists = [];
+        for (const name of Object.keys(PARTNER_COLLECTIONS)) {
+          const snapshot = await getDocs(collection(db, name));
+          lists.push(...snapshot.docs.map((entry) => ({
+            id: `${name}/${entry.id}`,
+            type: PARTNER_COLLECTIONS[name],
+            ...entry.data()
+          })));
+        }
+        lists.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        setPartners(lists);
+      } catch (error) {
+        console.error('Error loading partners:', error);
+      }
+    };
+    loadPartners();
+  }, [priceMode, partners.length]);
+
+  const partner = partners.find((entry) => entry.id === partnerId) || null;
+
+  const handleGenerate = async () => {
+    if (priceMode === 'net' && !partner) {
+      alert('Pick the partner whose net prices to show.');
+      return;
+    }
+    setGenerating(true);
+    try {
+      const pdf = await buildBoatBrochure(boats, { language, priceMode, partner });
+      pdf.save(getBrochureFileName(boats, language));
+      onClose();
+    } catch (error) {
+      console.error('PDF generation error:', error);
+      alert(`Failed to generate PDF: ${error.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full p-2 border rounded text-sm';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4 bg-black bg-opacity-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 flex justify-between items-center border-b">
+          <div>
+            <h3 className="text-lg font-bold">{boats.length === 1 ? 'Brochure' : 'Catalogue'}</h3>
+            <div className="text-sm text-gray-500">
+              {boats.length === 1 ? boats[0].name : `${boats.length} boats`}
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <label className="block text-sm text-gray-700">
+            Language
+            <select className={inputClass} value={language} onChange={(e) => setLanguage(e.target.value)}>
+              {Object.keys(BROCHURE_LANGUAGES).map((key) => (
+                <option key={key} value={key}>{BROCHURE_LANGUAGES[key]}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-sm text-gray-700">
+            Prices
+            <select className={inputClass} value={priceMode} onChange={(e) => setPriceMode(e.target.value)}>
+              {Object.keys(PRICE_MODES).map((key) => (
+                <option key={key} value={key}>{PRICE_MODES[key]}</option>
+              ))}
+            </select>
+          </label>
+          {priceMode === 'net' && (
+            <label className="block text-sm text-gray-700">
+              Partner
+              <select className={inputClass} value={partnerId} onChange={(e) => setPartnerId(e.target.value)}>
+                <option value="">Select a partner</option>
+                {partners.map((entry) => (
+                  <option key={entry.id} value={entry.id}>
+                    {entry.name} ({entry.type}, {parseFloat(entry.netRateDiscount) || 0}% net)
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {priceMode === 'net' && partner && !(parseFloat(partner.netRateDiscount) > 0) && (
+            <p className="text-xs text-amber-700">
+              This partner has no net rate discount, so public prices will be printed.
+            </p>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-md">
+            Cancel
+          </button>
+          <button
+            onClick={handleGenerate}
+            disabled={generating}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            <Download className="w-4 h-4" />
+            {generating ? 'Generating…' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BoatBrochureDialog.propTypes = {
+  boats: PropTypes.array.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default BoatBrochureDialog;
@@ -0,0 +1,209 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getAuth } from 'firebase/auth';
+import { Bookmark, Trash2, X } from 'lucide-react';
+import {
+  EMPTY_FILTERS,
+  FACET_GROUPS,
+  FEATURE_FACETS,
+  countActiveFilters,
+  deleteFilterPreset,
+  saveFilterPreset
+} from '../utils/boatFacets';
+
+/**
+ * Spec filters for BoatFinder: guests, length, price for the searched slot,
+ * home marina and feature chips, each with a live count, plus shared presets.
+ */
+const BoatFacetFilters = ({ filters, onChange, counts, presets, matchingCount }) => {
+  const setFilter = (name, value) => onChange({ ...filters, [name]: value });
+
+  const toggleFeature = (key) => {
+    const features = filters.features.includes(key)
+      ? filters.features.filter((feature) => feature !== key)
+      : [...filters.features, key];
+    onChange({ ...filters, features });
+  };
+
+  const handleSavePreset = async () => {
+    const name = window.prompt('Name this filter preset', '');
+    if (!name || !name.trim()) return;
+    try {
+      await saveFilterPreset(name.trim(), filters, getAuth().currentUser);
+    } catch (error) {
+      console.error('Error saving filter preset:', error);
+      alert(`Failed to save the preset: ${error.message}`);
+    }
+  };
+
+  const handleDeletePreset = async (preset) => {
+    if (!window.confirm(`Delete the preset "${preset.name}"?`)) return;
+    try {
+      await deleteFilterPreset(preset.id);
+    } catch (error) {
+      console.error('Error deleting filter preset:', error);
+      alert(`Failed to delete the preset: ${error.message}`);
+    }
+  };
+
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <div className="mt-6 pt-6 border-t space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Guests</label>
+          <input
+            type="number"
+            min="1"
+            placeholder="At least"
+            value={filters.minGuests}
+            onChange={(e) => setFilter('minGuests', e.target.value)}
+            className="w-full p-2 border rounded-lg"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Length (meters)</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              placeholder="Min"
+              value={filters.minLength}
+              onChange={(e) => setFilter('minLength', e.target.value)}
+              className="w-1/2 p-2 border rounded-lg"
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Max"
+              value={filters.maxLength}
+              onChange={(e) => setFilter('maxLength', e.target.value)}
+              className="w-1/2 p-2 border rounded-lg"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Budget for the date (€)</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              placeholder="Min"
+              value={filters.minPrice}
+              onChange={(e) => setFilter('minPrice', e.target.value)}
+              className="w-1/2 p-2 border rounded-lg"
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Max"
+              value={filters.maxPrice}
+              onChange={(e) => setFilter('maxPrice', e.target.value)}
+              className="w-1/2 p-2 border rounded-lg"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Home marina</label>
+          <select
+            value={filters.marina}
+            onChange={(e) => setFilter('marina', e.target.value)}
+            className="w-full p-2 border rounded-lg"
+          >
+            <option value="">Any marina</option>
+            {counts.marinas.map((marina) => (
+              <option key={marina.name} value={marina.name}>
+                {marina.name} ({marina.count})
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {FACET_GROUPS.map((group) => (
+        <div key={group}>
+          <div className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-1">{group}</div>
+          <div className="flex flex-wrap gap-2">
+            {FEATURE_FACETS.filter((facet) => facet.group === group).map((facet) => {
+              const selected = filters.features.includes(facet.key);
+              const count = counts.features[facet.key] || 0;
+              return (
+                <button
+                  key={facet.key}
+                  type="button"
+                  onClick={() => toggleFeature(facet.key)}
+                  disabled={!selected && count === 0}
+                  className={`px-3 py-1 rounded-full text-sm border ${
+                    selected
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed'
+                  }`}
+                >
+                  {facet.label} <span className={selected ? 'text-blue-100' : 'text-gray-400'}>{count}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-gray-600">
+          {matchingCount} {matchingCount === 1 ? 'boat matches' : 'boats match'}
+        </span>
+        {activeCount > 0 && (
+          <button
+            type="button"
+            onClick={() => onChange(EMPTY_FILTERS)}
+            className="inline-flex items-center gap-1 text-gray-600 hover:underline"
+          >
+            <X size={14} /> Clear {activeCount} {activeCount === 1 ? 'filter' : 'filters'}
+          </button>
+        )}
+        <div className="ml-auto flex flex-wrap items-center gap-2">
+          {presets.map((preset) => (
+            <span key={preset.id} className="inline-flex items-center rounded-full bg-gray-100">
+              <button
+                type="button"
+                onClick={() => onChange({ ...EMPTY_FILTERS, ...preset.filters })}
+                className="pl-3 pr-1 py-1 hover:underline"
+              >
+                {preset.name}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDeletePreset(preset)}
+                className="pr-2 py-1 text-gray-400 hover:text-red-600"
+                aria-label={`Delete preset ${preset.name}`}
+              >
+                <Trash2 size={12} />
+              </button>
+            </span>
+          ))}
+          <button
+            type="button"
+            onClick={handleSavePreset}
+            disabled={activeCount === 0}
+            className="inline-flex items-center gap-1 px-3 py-1 bg-blue-100 text-blue-800 rounded-full hover:bg-blue-200 disabled:opacity-50"
+          >
+            <Bookmark size={14} /> Save preset
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BoatFacetFilters.propTypes = {
+  filters: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  counts: PropTypes.shape({
+    features: PropTypes.object.isRequired,
+    marinas: PropTypes.array.isRequired
+  }).isRequired,
+  presets: PropTypes.array.isRequired,
+  matchingCount: PropTypes.number.isRequired
+};
+
+export default BoatFacetFilters;
@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getAuth } from 'firebase/auth';
+import { AlertTriangle, Trash2, Wrench, X } from 'lucide-react';
+import {
+  MAINTENANCE_KINDS,
+  OUT_OF_SERVICE_REASONS,
+  REMINDER_STATUS_META,
+  describeReminder,
+  formatMaintenanceRange,
+  getServiceReminder
+} from '../utils/boatMaintenance';
+import { addMaintenanceEntry, removeMaintenanceEntry } from '../utils/boatMaintenanceActions';
+
+const EMPTY_SERVICE = {
+  date: '',
+  title: '',
+  cost: '',
+  engineHours: '',
+  nextServiceDate: '',
+  nextServiceHours: '',
+  notes: ''
+};
+
+const EMPTY_BLOCK = {
+  startDate: '',
+  endDate: '',
+  reason: 'repairs',
+  notes: ''
+};
+
+/**
+ * Maintenance log for one boat: service records (costs go to expenses) and
+ * out-of-service ranges, which block the boat for bookings.
+ */
+const BoatMaintenanceLog = ({ boat, entries, onBoatUpdated, onClose }) => {
+  const [kind, setKind] = useState('service');
+  const [service, setService] = useState(EMPTY_SERVICE);
+  const [block, setBlock] = useState(EMPTY_BLOCK);
+  const [saving, setSaving] = useState(false);
+
+  const boatEntries = entries.filter((entry) => entry.boatId === boat.id);
+  const reminder = getServiceReminder(boat, entries);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (kind === 'service' && (!service.date || !service.title.trim())) {
+      alert('A service needs a date and a description.');
+      return;
+    }
+    if (kind === 'outOfService') {
+      if (!block.startDate) {
+        alert('Pick the first day the boat is out of service.');
+        return;
+      }
+      if (block.endDate && block.endDate < block.startDate) {
+        alert('The last day must be on or after the first day.');
+        return;
+      }
+    }
+
+    setSaving(true);
+    try {
+      const entry = kind === 'service'
+        ? { kind, ...service, title: service.title.trim() }
+        : { kind, ...block, endDate: block.endDate || block.startDate };
+      const { boatChanges } = await addMaintenanceEntry(boat, entry, getAuth().currentUser);
+      if (onBoatUpdated && Object.keys(boatChanges).length > 0) onBoatUpdated(boatChanges);
+      if (kind === 'service') setService(EMPTY_SERVICE);
+      else setBlock(EMPTY_BLOCK);
+    } catch (error) {
+      console.error('Error saving maintenance entry:', error);
+      alert(`Failed to save: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    const message = entry.expenseId
+      ? 'Delete this entry? Its expense will be moved to the recycle bin.'
+      : 'Delete this entry?';
+    if (!window.confirm(message)) return;
+    try {
+      await removeMaintenanceEntry(entry, getAuth().currentUser);
+    } catch (error) {
+      console.error('Error deleting maintenance entry:', error);
+      alert(`Failed to delete: ${error.message}`);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full p-2 border rounded text-sm';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center px-4 bg-black bg-opacity-50" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 flex justify-between items-center border-b">
+          <div>
+            <h3 className="text-lg font-bold flex items-center gap-2">
+              <Wrench className="w-5 h-5" /> {boat.name} — maintenance
+            </h3>
+            <div className="text-sm text-gray-500">
+              Engine hours: {boat.engineHours ? `${boat.engineHours} h` : 'not recorded'}
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {reminder && (
+            <div className={`flex items-center gap-2 p-2 rounded text-sm ${REMINDER_STATUS_META[reminder.status].badge}`}>
+              {reminder.status !== 'ok' && <AlertTriangle className="w-4 h-4" />}
+              {describeReminder(reminder)}
+            </div>
+          )}
+
+          <form onSubmit={handleAdd} className="border rounded-lg p-3 space-y-3">
+            <div className="flex gap-2">
+              {Object.keys(MAINTENANCE_KINDS).map((key) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setKind(key)}
+                  className={`px-3 py-1 rounded-full text-sm ${
+                    kind === key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {MAINTENANCE_KINDS[key]}
+                </button>
+              ))}
+            </div>
+
+            {kind === 'service' ? (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <label className="text-sm text-gray-700">
+                  Date
+                  <input type="date" className={inputClass} value={service.date}
+                    onChange={(e) => setService({ ...service, date: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700 sm:col-span-2">
+                  Work done
+                  <input type="text" className={inputClass} value={service.title} placeholder="e.g., 250 h engine service"
+                    onChange={(e) => setService({ ...service, title: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Cost (€)
+                  <input type="number" min="0" step="0.01" className={inputClass} value={service.cost}
+                    onChange={(e) => setService({ ...service, cost: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Engine hours
+                  <input type="number" min="0" className={inputClass} value={service.engineHours}
+                    onChange={(e) => setService({ ...service, engineHours: e.target.value })} />
+                </label>
+                <div />
+                <label className="text-sm text-gray-700">
+                  Next service by
+                  <input type="date" className={inputClass} value={service.nextServiceDate}
+                    onChange={(e) => setService({ ...service, nextServiceDate: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  or at engine hours
+                  <input type="number" min="0" className={inputClass} value={service.nextServiceHours}
+                    onChange={(e) => setService({ ...service, nextServiceHours: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700 sm:col-span-3">
+                  Notes
+                  <textarea rows="2" className={inputClass} value={service.notes}
+                    onChange={(e) => setService({ ...service, notes: e.target.value })} />
+                </label>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <label className="text-sm text-gray-700">
+                  From
+                  <input type="date" className={inputClass} value={block.startDate}
+                    onChange={(e) => setBlock({ ...block, startDate: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  To (inclusive)
+                  <input type="date" className={inputClass} value={block.endDate} min={block.startDate}
+                    onChange={(e) => setBlock({ ...block, endDate: e.target.value })} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Reason
+                  <select className={inputClass} value={block.reason}
+                    onChange={(e) => setBlock({ ...block, reason: e.target.value })}>
+                    {Object.keys(OUT_OF_SERVICE_REASONS).map((key) => (
+                      <option key={key} value={key}>{OUT_OF_SERVICE_REASONS[key]}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700 sm:col-span-3">
+                  Notes
+                  <textarea rows="2" className={inputClass} value={block.notes}
+                    onChange={(e) => setBlock({ ...block, notes: e.target.value })} />
+                </label>
+                <p className="text-xs text-gray-500 sm:col-span-3">
+                  The boat shows as busy in Available Boats and new bookings on these days are flagged as conflicts.
+                </p>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+              >
+                {saving ? 'Saving…' : kind === 'service' ? 'Log service' : 'Block dates'}
+              </button>
+            </div>
+          </form>
+
+          {boatEntries.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center">Nothing logged yet.</p>
+          ) : (
+            <ul className="divide-y text-sm">
+              {boatEntries.map((entry) => (
+                <li key={entry.id} className="py-2 flex items-start gap-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${
+                    entry.kind === 'service' ? 'bg-blue-100 text-blue-800' : 'bg-red-100 text-red-800'
+                  }`}>
+                    {MAINTENANCE_KINDS[entry.kind]}
+                  </span>
+                  <div className="flex-1">
+                    {entry.kind === 'service' ? (
+                      <>
+                        <div className="font-medium">{entry.date} · {entry.title}</div>
+                        <div className="text-gray-500">
+                          {[
+                            entry.cost > 0 && `€${Number(entry.cost).toFixed(2)}`,
+                            entry.engineHours && `${entry.engineHours} h`,
+                            (entry.nextServiceDate || entry.nextServiceHours) &&
+                              `next ${[entry.nextServiceDate, entry.nextServiceHours && `${entry.nextServiceHours} h`].filter(Boolean).join(' / ')}`
+                          ].filter(Boolean).join(' · ')}
+                        </div>
+                      </>
+                    ) : (
+                      <div className="font-medium">
+                        {formatMaintenanceRange(entry)} · {OUT_OF_SERVICE_REASONS[entry.reason] || 'Other'}
+                      </div>
+                    )}
+                    {entry.notes && <div className="text-gray-500">{entry.notes}</div>}
+                  </div>
+                  <button onClick={() => handleRemove(entry)} className="text-red-600 hover:text-red-800" aria-label="Delete entry">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BoatMaintenanceLog.propTypes = {
+  boat: PropTypes.object.isRequired,
+  entries: PropTypes.array.isRequired,
+  onBoatUpdated: PropTypes.func,
+  onClose: PropTypes.func.isRequired
+};
+
+export default BoatMaintenanceLog;
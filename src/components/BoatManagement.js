@@ -1,17 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { collection, getDocs, deleteDoc, doc, getDoc, updateDoc } from 'firebase/firestore';
-import { db, storage } from "../firebase/firebaseConfig";
+import { collection, getDocs, deleteDoc, doc, updateDoc } from 'firebase/firestore';
+import { db } from "../firebase/firebaseConfig";
 import { useNavigate } from 'react-router-dom';
-import { PenSquare, Trash2, Download, Eye, EyeOff } from 'lucide-react';
-import { jsPDF } from 'jspdf';
-import 'jspdf-autotable';
-import { ref, getDownloadURL } from 'firebase/storage';
+import { PenSquare, Trash2, Download, Eye, EyeOff, Wrench, BookOpen, Image as ImageIcon } from 'lucide-react';
+import BoatMaintenanceLog from './BoatMaintenanceLog';
+import BoatBrochureDialog from './BoatBrochureDialog';
+import { getBoatImage, migrateBoatImages, needsImageMigration } from '../utils/boatImages';
+import {
+    REMINDER_STATUS_META,
+    describeReminder,
+    formatMaintenanceRange,
+    getNextOutOfService,
+    getServiceReminder
+} from '../utils/boatMaintenance';
+import { subscribeToMaintenance } from '../utils/boatMaintenanceActions';
 
 const BoatManagement = () => {
     const [boats, setBoats] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [pdfLoading, setPdfLoading] = useState({});
+    const [brochureBoatIds, setBrochureBoatIds] = useState(null);
+    const [catalogueIds, setCatalogueIds] = useState([]);
+    const [imageMigration, setImageMigration] = useState(null);
     const [error, setError] = useState(null);
+    const [maintenance, setMaintenance] = useState([]);
+    const [maintenanceBoatId, setMaintenanceBoatId] = useState(null);
     const navigate = useNavigate();
 
     const fetchBoats = async () => {
@@ -38,6 +50,16 @@ const BoatManagement = () => {
         fetchBoats();
     }, []);
 
+    useEffect(() => subscribeToMaintenance(setMaintenance), []);
+
+    const handleBoatUpdated = (boatId, changes) => {
+        setBoats(prev => prev.map(boat => (boat.id === boatId ? { ...boat, ...changes } : boat)));
+    };
+
+    const dueReminders = boats
+        .map(boat => ({ boat, reminder: getServiceReminder(boat, maintenance) }))
+        .filter(({ reminder }) => reminder && reminder.status !== 'ok');
+
     const handleDelete = async (boatId) => {
         if (window.confirm('Are you sure you want to delete this boat?')) {
             try {
@@ -74,359 +96,31 @@ const BoatManagement = () => {
         }
     };
 
-    const handleGeneratePdf = async (boatId) => {
-      setPdfLoading(prev => ({ ...prev, [boatId]: true }));
-    
-      try {
-        // 1) Fetch boat data
-        const boatDoc = await getDoc(doc(db, 'boats', boatId));
-        if (!boatDoc.exists()) {
-          throw new Error("Boat data not found");
-        }
-        const boatData = boatDoc.data();
-    
-        // 2) Initialise PDF (A4 portrait, minimal margins)
-        const pdf = new jsPDF({
-          orientation: 'portrait',
-          unit: 'mm',
-          format: 'a4'
-        });
-    
-        // Colour palette
-        const colors = {
-          deepBlue: [26, 61, 93], // #1A3D5D
-          white: [255, 255, 255],
-          charcoal: [50, 50, 50]
-        };
-    
-        // Helper to load images from storage
-        const loadImage = async (imageRef) => {
-          try {
-            const storageRef = ref(storage, imageRef);
-            const url = await getDownloadURL(storageRef);
-            const imageData = await new Promise((resolve, reject) => {
-              const xhr = new XMLHttpRequest();
-              xhr.onload = function() {
-                const reader = new FileReader();
-                reader.onloadend = function() {
-                  resolve(reader.result);
-                };
-                reader.readAsDataURL(xhr.response);
-              };
-              xhr.onerror = function() {
-                reject(new Error('Failed to load image'));
-              };
-              xhr.open('GET', url);
-              xhr.responseType = 'blob';
-              xhr.send();
-            });
-            return imageData;
-          } catch (error) {
-            console.error('Image processing error:', error);
-            return null;
-          }
-        };
-    
-        // --------------------
-        // PAGE 1: OVERVIEW
-        // --------------------
-        // Helper function to generate dynamic key features
-const generateKeyFeatures = (boatData) => {
-  const features = [];
-
-  // Add features based on boat specifications
-  if (boatData.detailedSpecs?.Length && boatData.detailedSpecs?.Guests) {
-      features.push(`Magnificent ${boatData.detailedSpecs.Length} vessel accommodating ${boatData.detailedSpecs.Guests} guests`);
-  }
-
-  // Add features based on equipment and amenities
-  const luxuryFeatures = [];
-  if (boatData.equipment?.jacuzziAndPool?.deckJacuzzi) luxuryFeatures.push("deck jacuzzi");
-  if (boatData.amenities?.comfort?.stabilizers) luxuryFeatures.push("stabilizers");
-  if (luxuryFeatures.length > 0) {
-      features.push(`Ultimate luxury with ${luxuryFeatures.join(" and ")}`);
-  }
-
-  // Add water sports features
-  const waterToys = [];
-  if (boatData.waterSports?.seaBobs?.hasSeaBobs) waterToys.push("SeaBobs");
-  if (boatData.waterSports?.jetSkis?.waverunners) waterToys.push("Wave Runners");
-  if (waterToys.length > 0) {
-      features.push(`Complete water sports experience including ${waterToys.join(" and ")}`);
-  }
-
-  // Add comfort and entertainment features
-  const entertainmentFeatures = [];
-  if (boatData.amenities?.entertainment?.wifi) entertainmentFeatures.push("WiFi");
-  if (boatData.amenities?.entertainment?.satellite) entertainmentFeatures.push("Satellite TV");
-  if (entertainmentFeatures.length > 0) {
-      features.push(`Full entertainment package with ${entertainmentFeatures.join(" and ")}`);
-  }
-
-  // Default features if we need more
-  const defaultFeatures = [
-      "Experienced crew providing exceptional service",
-      "Prime locations throughout the Balearics",
-      "Customized itineraries for your perfect journey",
-      "Unforgettable Mediterranean experience"
-  ];
-
-  // Fill remaining slots with default features
-  while (features.length < 4) {
-      features.push(defaultFeatures[features.length]);
-  }
-
-  return features.slice(0, 4);
-};
-
-// Front page generation
-pdf.setFont('helvetica', 'normal');
-
-// Background
-pdf.setFillColor(...colors.deepBlue);
-pdf.rect(0, 0, 210, 297, 'F');
+    const boatsToMigrate = boats.filter(needsImageMigration);
 
-
-// Boat name
-pdf.setTextColor(...colors.white);
-pdf.setFontSize(28);
-pdf.text(
-  (boatData.name || "BOAT").toUpperCase(),
-  105,
-  25,
-  { align: 'center' }
-);
-
-// Add decorative lines under the title
-pdf.setLineWidth(0.5);
-pdf.line(50, 30, 160, 30);
-pdf.setLineWidth(0.3);
-pdf.line(70, 32, 140, 32);
-
-// Main image
-const imageWidth = 180;
-const imageHeight = 110;
-let imageX = (210 - imageWidth) / 2;
-let imageY = 40;
-
-if (boatData.images?.[0]) {
-  const mainImageData = await loadImage(boatData.images[0]);
-  if (mainImageData) {
-      // Add subtle shadow effect
-      pdf.setFillColor(0, 0, 0);
-      pdf.setGState(new pdf.GState({ opacity: 0.1 }));
-      pdf.rect(imageX + 2, imageY + 2, imageWidth, imageHeight, 'F');
-      
-      // Reset opacity for image
-      pdf.setGState(new pdf.GState({ opacity: 1 }));
-      pdf.addImage(
-          mainImageData,
-          'JPEG',
-          imageX,
-          imageY,
-          imageWidth,
-          imageHeight,
-          undefined,
-          'FAST'
-      );
-      imageY += imageHeight + 15;
-  }
-}
-
-// Overview section
-pdf.setFontSize(20);
-pdf.setTextColor(...colors.white);
-const overviewTitle = "OVERVIEW";
-pdf.text(overviewTitle, 20, imageY);
-imageY += 10;
-
-// Description
-if (boatData.description) {
-  pdf.setFontSize(12);
-  const maxWidth = 170;
-  const wrappedText = pdf.splitTextToSize(boatData.description, maxWidth);
-  pdf.text(wrappedText, 20, imageY);
-  imageY += wrappedText.length * 5 + 15;
-}
-
-// Key Features section with dynamic content
-const dynamicFeatures = generateKeyFeatures(boatData);
-
-pdf.setFontSize(20);
-pdf.text("KEY FEATURES", 20, imageY);
-imageY += 12;
-
-// Add features with custom styling
-pdf.setFontSize(12);
-dynamicFeatures.forEach((feature) => {
-  // Add custom bullet point
-  pdf.circle(22, imageY - 2, 1, 'F');
-  pdf.text(feature, 26, imageY);
-  imageY += 8;
-});
-        // --------------------
-        // PAGE 2: GALLERY (since people like seeing images first)
-        // --------------------
-        if (boatData.images && boatData.images.length > 1) {
-          pdf.addPage();
-    
-          // Title bar
-          pdf.setFillColor(...colors.deepBlue);
-          pdf.rect(0, 0, 210, 25, 'F');
-    
-          pdf.setFontSize(16);
-          pdf.setTextColor(...colors.white);
-          pdf.text("GALLERY", 10, 15);
-    
-          // Gallery images
-          pdf.setFontSize(11);
-          pdf.setTextColor(...colors.charcoal);
-    
-          let pageWidth = 210;
-          let pageHeight = 297;
-          let margin = 10;
-          let imagesPerRow = 2;
-          let maxImageWidth = (pageWidth - margin * 2 - 5) / imagesPerRow;
-          let maxImageHeight = 70; 
-    
-          let xPos = margin;
-          let yPosImg = 30;
-    
-          // images.slice(1) because the first was used on the Overview page
-          const galleryImages = boatData.images.slice(1);
-    
-          for (let i = 0; i < galleryImages.length; i++) {
-            const imageData = await loadImage(galleryImages[i]);
-            if (imageData) {
-              pdf.addImage(imageData, 'JPEG', xPos, yPosImg, maxImageWidth, maxImageHeight, undefined, 'FAST');
-            }
-            // Move xPos for next image
-            xPos += maxImageWidth + 5;
-    
-            // If we've placed imagesPerRow images, wrap to next row
-            if ((i + 1) % imagesPerRow === 0) {
-              xPos = margin;
-              yPosImg += maxImageHeight + 5;
-            }
-    
-            // If we are near the bottom, add another page
-            if (yPosImg + maxImageHeight + 20 > pageHeight) {
-              pdf.addPage();
-              pdf.setFillColor(...colors.deepBlue);
-              pdf.rect(0, 0, 210, 25, 'F');
-              pdf.setFontSize(16);
-              pdf.setTextColor(...colors.white);
-              pdf.text("GALLERY", 10, 15);
-    
-              xPos = margin;
-              yPosImg = 30;
+    // Photos uploaded before the resize pipeline: re-process them into
+    // thumbnail / card / full sizes, one boat at a time
+    const handleMigrateImages = async () => {
+        if (!window.confirm(`Create optimised photo sizes for ${boatsToMigrate.length} boat(s)? The original uploads are deleted afterwards. This can take a few minutes; keep this page open.`)) return;
+        const failed = [];
+        for (const boat of boatsToMigrate) {
+            try {
+                const changes = await migrateBoatImages(boat, (done, total) =>
+                    setImageMigration({ boatName: boat.name, done, total }));
+                handleBoatUpdated(boat.id, changes);
+            } catch (error) {
+                console.error(`Error optimising photos for ${boat.name}:`, error);
+                failed.push(boat.name);
             }
-          }
         }
-    
-        // --------------------
-        // PAGE 3: SPECIFICATIONS
-        // --------------------
-        pdf.addPage();
-        // Title bar
-        pdf.setFillColor(...colors.deepBlue);
-        pdf.rect(0, 0, 210, 25, 'F');
-    
-        pdf.setFontSize(16);
-        pdf.setTextColor(...colors.white);
-        pdf.text("SPECIFICATIONS", 10, 15);
-    
-        // Collect specifications
-        // We'll put them in a consistent table to match the Seasonal Prices design
-        pdf.setFontSize(11);
-        pdf.setTextColor(...colors.charcoal);
-    
-        // Specs array: label, value
-        // We'll unify everything inside a single table to maintain consistency
-        const specsData = [
-          ["Class", boatData.detailedSpecs?.Class || boatData.Class || ""],
-          ["Length", boatData.detailedSpecs?.Length || boatData.Length || ""],
-          ["Beam", boatData.detailedSpecs?.Beam || ""],
-          ["Guests", boatData.detailedSpecs?.Guests || boatData.Guests || ""],
-          ["Cabins", boatData.detailedSpecs?.Cabins || ""],
-          ["Crew", boatData.detailedSpecs?.Crew || boatData.Crew || ""],
-          ["Cruising Area", boatData.detailedSpecs?.["Cruising Area"] || boatData["Cruising Area"] || ""],
-          ["Cruising Speed", boatData.detailedSpecs?.["Cruising Speed"] || boatData["Cruising Speed"] || ""],
-          ["Engine", boatData.detailedSpecs?.Engine || boatData.Engine || ""],
-          ["HP", boatData.detailedSpecs?.HP || boatData.HP || ""],
-          ["Max Speed", boatData.detailedSpecs?.["Max Speed"] || boatData["Max Speed"] || ""],
-          ["Price", boatData.detailedSpecs?.Price || boatData.Price || ""]
-        ].filter(([, val]) => val); // Only rows with non-empty values
-    
-        // Convert to the format for autoTable
-        const specsTableBody = specsData.map(([label, value]) => ([
-          label,
-          value
-        ]));
-    
-        let startY = 35; 
-        pdf.autoTable({
-          startY,
-          head: [['Specification', 'Value']],
-          body: specsTableBody,
-          theme: 'grid',
-          styles: {
-            cellPadding: 2,
-            fontSize: 10,
-            textColor: colors.charcoal
-          },
-          headStyles: {
-            fillColor: colors.deepBlue,
-            textColor: colors.white
-          },
-          margin: { left: 10, right: 10 }
-        });
-    
-        // Move below the specs table
-        startY = pdf.autoTable.previous.finalY + 10;
-    
-        // If Seasonal Prices exist, show them in a separate table 
-        if (boatData.seasonalPrices) {
-          // Title
-          pdf.setFontSize(12);
-          pdf.setTextColor(...colors.deepBlue);
-          pdf.text("SEASONAL PRICES", 10, startY);
-          startY += 5;
-    
-          // Convert seasonalPrices into table format
-          const priceTableData = Object.entries(boatData.seasonalPrices).map(([season, price]) => [season, price]);
-    
-          pdf.setFontSize(10);
-          pdf.setTextColor(...colors.charcoal);
-          pdf.autoTable({
-            startY,
-            head: [['Season', 'Price']],
-            body: priceTableData,
-            theme: 'grid',
-            styles: {
-              fontSize: 10,
-              textColor: colors.charcoal
-            },
-            headStyles: {
-              fillColor: colors.deepBlue,
-              textColor: colors.white
-            },
-            margin: { left: 10, right: 10 }
-          });
+        setImageMigration(null);
+        if (failed.length > 0) {
+            alert(`Could not optimise the photos of: ${failed.join(', ')}. Check the console and try again.`);
         }
-    
-        // Finally, save
-        const fileName = (boatData.name || "boat")
-          .replace(/\s+/g, '-')
-          .toLowerCase() + "-details.pdf";
-        pdf.save(fileName);
-    
-      } catch (error) {
-        console.error("PDF generation error:", error);
-        alert("Failed to generate PDF. Please try again.");
-      } finally {
-        setPdfLoading(prev => ({ ...prev, [boatId]: false }));
-      }
+    };
+
+    const toggleCatalogueBoat = (boatId) => {
+        setCatalogueIds(prev => (prev.includes(boatId) ? prev.filter(id => id !== boatId) : [...prev, boatId]));
     };
     
 
@@ -451,118 +145,212 @@ dynamicFeatures.forEach((feature) => {
         <div className="container mx-auto p-4">
             <div className="flex justify-between items-center mb-6">
                 <h1 className="text-2xl font-bold">Boat Fleet Overview</h1>
-                <button
-                    onClick={() => navigate('/add-boat')}
-                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-                >
-                    Add New Boat
-                </button>
-            </div>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                {boats.map((boat) => (
-                    <div 
-                        key={boat.id} 
-                        className={`bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow ${!boat.visible ? 'border-2 border-dashed border-gray-300 opacity-75' : ''}`}
+                <div className="flex items-center gap-2">
+                    {(boatsToMigrate.length > 0 || imageMigration) && (
+                        <button
+                            onClick={handleMigrateImages}
+                            disabled={Boolean(imageMigration)}
+                            className="inline-flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-900 rounded-md hover:bg-amber-200 disabled:opacity-75"
+                            title="Older photos are full-size uploads; create thumbnail, card and full sizes for them"
+                        >
+                            <ImageIcon size={18} />
+                            {imageMigration
+                                ? `${imageMigration.boatName}: ${imageMigration.done}/${imageMigration.total}`
+                                : `Optimise photos (${boatsToMigrate.length})`}
+                        </button>
+                    )}
+                    {catalogueIds.length > 0 && (
+                        <button
+                            onClick={() => setCatalogueIds([])}
+                            className="px-3 py-2 text-sm text-gray-600 hover:underline"
+                        >
+                            Clear selection
+                        </button>
+                    )}
+                    <button
+                        onClick={() => setBrochureBoatIds(catalogueIds)}
+                        disabled={catalogueIds.length === 0}
+                        className="inline-flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                        title="Tick boats to combine them into one catalogue PDF"
                     >
-                        <div className="relative w-full h-64">
-                            <img
-                                src={boat.images?.[0] || boat.image}
-                                alt={boat.name}
-                                className="w-full h-full object-cover rounded-t-lg"
-                            />
-                            {!boat.visible && (
-                                <div className="absolute inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center">
-                                    <span className="text-white text-lg font-semibold px-4 py-2 bg-gray-800 bg-opacity-75 rounded-md">
-                                        Hidden from Website
-                                    </span>
-                                </div>
-                            )}
-                            <div className="absolute top-4 right-4 flex space-x-2">
-                                <button
-                                    onClick={() => handleToggleVisibility(boat.id, boat.visible)}
-                                    className={`p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors ${!boat.visible ? 'bg-gray-200' : ''}`}
-                                    title={boat.visible ? "Hide from website" : "Show on website"}
-                                >
-                                    {boat.visible ? 
-                                        <Eye size={20} className="text-green-600" /> : 
-                                        <EyeOff size={20} className="text-gray-600" />
-                                    }
-                                </button>
-                                <button
-                                    onClick={() => handleEdit(boat.id)}
-                                    className="p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
-                                    title="Edit boat"
-                                >
-                                    <PenSquare size={20} className="text-blue-600" />
-                                </button>
-                                <button
-                                    onClick={() => handleDelete(boat.id)}
-                                    className="p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
-                                    title="Delete boat"
-                                >
-                                    <Trash2 size={20} className="text-red-600" />
-                                </button>
+                        <BookOpen size={18} /> Catalogue PDF{catalogueIds.length > 0 ? ` (${catalogueIds.length})` : ''}
+                    </button>
+                    <button
+                        onClick={() => navigate('/add-boat')}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                    >
+                        Add New Boat
+                    </button>
+                </div>
+            </div>
+            {dueReminders.length > 0 && (
+                <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+                    <h2 className="font-semibold text-amber-900 mb-2 flex items-center gap-2">
+                        <Wrench size={18} /> Service reminders
+                    </h2>
+                    <ul className="space-y-1 text-sm">
+                        {dueReminders.map(({ boat, reminder }) => (
+                            <li key={boat.id} className="flex flex-wrap items-center gap-2">
                                 <button
-                                    onClick={() => handleGeneratePdf(boat.id)}
-                                    disabled={pdfLoading[boat.id]}
-                                    className="p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
-                                    title="Download PDF"
+                                    onClick={() => setMaintenanceBoatId(boat.id)}
+                                    className="font-medium text-blue-700 hover:underline"
                                 >
-                                    {pdfLoading[boat.id] ?
-                                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-500" />
-                                        : <Download size={20} className="text-gray-700" />}
+                                    {boat.name}
                                 </button>
-                            </div>
-                        </div>
-                        <div className="p-6">
-                            <div className="flex justify-between items-center mb-4">
-                                <h2 className="text-2xl font-semibold">{boat.name}</h2>
+                                <span className={`px-2 py-0.5 rounded-full text-xs ${REMINDER_STATUS_META[reminder.status].badge}`}>
+                                    {describeReminder(reminder)}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {boats.map((boat) => {
+                    const reminder = getServiceReminder(boat, maintenance);
+                    const block = getNextOutOfService(boat.id, maintenance);
+                    return (
+                        <div 
+                            key={boat.id} 
+                            className={`bg-white rounded-lg shadow-md hover:shadow-lg transition-shadow ${!boat.visible ? 'border-2 border-dashed border-gray-300 opacity-75' : ''}`}
+                        >
+                            <div className="relative w-full h-64">
+                                <img
+                                    src={getBoatImage(boat, 'card')}
+                                    alt={boat.name}
+                                    loading="lazy"
+                                    className="w-full h-full object-cover rounded-t-lg"
+                                />
                                 {!boat.visible && (
-                                    <span className="px-2 py-1 text-xs bg-gray-200 text-gray-700 rounded-md">
-                                        Hidden
-                                    </span>
+                                    <div className="absolute inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center">
+                                        <span className="text-white text-lg font-semibold px-4 py-2 bg-gray-800 bg-opacity-75 rounded-md">
+                                            Hidden from Website
+                                        </span>
+                                    </div>
                                 )}
+                                <div className="absolute top-4 right-4 flex space-x-2">
+                                    <button
+                                        onClick={() => handleToggleVisibility(boat.id, boat.visible)}
+                                        className={`p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors ${!boat.visible ? 'bg-gray-200' : ''}`}
+                                        title={boat.visible ? "Hide from website" : "Show on website"}
+                                    >
+                                        {boat.visible ? 
+                                            <Eye size={20} className="text-green-600" /> : 
+                                            <EyeOff size={20} className="text-gray-600" />
+                                        }
+                                    </button>
+                                    <button
+                                        onClick={() => handleEdit(boat.id)}
+                                        className="p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
+                                        title="Edit boat"
+                                    >
+                                        <PenSquare size={20} className="text-blue-600" />
+                                    </button>
+                                    <button
+                                        onClick={() => setMaintenanceBoatId(boat.id)}
+                                        className="p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
+                                        title="Maintenance log"
+                                    >
+                                        <Wrench size={20} className="text-amber-600" />
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(boat.id)}
+                                        className="p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
+                                        title="Delete boat"
+                                    >
+                                        <Trash2 size={20} className="text-red-600" />
+                                    </button>
+                                    <button
+                                        onClick={() => setBrochureBoatIds([boat.id])}
+                                        className="p-2.5 bg-white rounded-full shadow-lg hover:bg-gray-100 transition-colors"
+                                        title="Download brochure PDF"
+                                    >
+                                        <Download size={20} className="text-gray-700" />
+                                    </button>
+                                </div>
+                                <label className="absolute top-4 left-4 flex items-center gap-2 px-3 py-1.5 bg-white rounded-full shadow-lg text-sm cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={catalogueIds.includes(boat.id)}
+                                        onChange={() => toggleCatalogueBoat(boat.id)}
+                                    />
+                                    Catalogue
+                                </label>
                             </div>
-                            <div className="space-y-2 text-gray-600">
-                                <p className="text-base">
-                                    <span className="font-medium">Specs:</span> {boat.detailedSpecs?.Length}, {boat.detailedSpecs?.Guests} guests, {boat.detailedSpecs?.Crew} crew
-                                </p>
-                                <p className="text-base">
-                                    <span className="font-medium">Price:</span> {boat.detailedSpecs?.Price}
-                                </p>
-                                <p className="text-base">
-                                    <span className="font-medium">Cruising Area:</span> {boat.detailedSpecs?.['Cruising Area']}
-                                </p>
-                            </div>
-                            <div className="mt-4 pt-4 border-t border-gray-200">
-                                <details className="cursor-pointer group">
-                                    <summary className="font-medium text-blue-600 hover:text-blue-700 transition-colors">
-                                        View Details ▼
-                                    </summary>
-                                    <div className="mt-3 text-gray-600">
-                                        <p className="mb-4">{boat.description}</p>
-                                        <div className="grid grid-cols-2 gap-3">
-                                            {boat.detailedSpecs && Object.entries(boat.detailedSpecs).map(([key, value]) => (
-                                                <p key={key} className="text-sm">
-                                                    <span className="font-medium">{key}:</span> {value}
-                                                </p>
-                                            ))}
-                                        </div>
-                                        <div className="mt-4">
-                                            <h3 className="font-medium mb-2">Seasonal Prices</h3>
-                                            {boat.seasonalPrices && Object.entries(boat.seasonalPrices).map(([season, price]) => (
-                                                <p key={season} className="text-sm">
-                                                    <span className="font-medium">{season}:</span> {price}
-                                                </p>
-                                            ))}
+                            <div className="p-6">
+                                <div className="flex justify-between items-center mb-4">
+                                    <h2 className="text-2xl font-semibold">{boat.name}</h2>
+                                    {!boat.visible && (
+                                        <span className="px-2 py-1 text-xs bg-gray-200 text-gray-700 rounded-md">
+                                            Hidden
+                                        </span>
+                                    )}
+                                </div>
+                                <div className="space-y-2 text-gray-600">
+                                    <p className="text-base">
+                                        <span className="font-medium">Specs:</span> {boat.detailedSpecs?.Length}, {boat.detailedSpecs?.Guests} guests, {boat.detailedSpecs?.Crew} crew
+                                    </p>
+                                    <p className="text-base">
+                                        <span className="font-medium">Price:</span> {boat.detailedSpecs?.Price}
+                                    </p>
+                                    <p className="text-base">
+                                        <span className="font-medium">Cruising Area:</span> {boat.detailedSpecs?.['Cruising Area']}
+                                    </p>
+                                    {block && (
+                                        <p className="text-sm text-red-700">
+                                            <span className="font-medium">Out of service:</span> {formatMaintenanceRange(block)}
+                                        </p>
+                                    )}
+                                    {reminder && reminder.status !== 'ok' && (
+                                        <p className={`text-xs inline-block px-2 py-0.5 rounded-full ${REMINDER_STATUS_META[reminder.status].badge}`}>
+                                            {describeReminder(reminder)}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="mt-4 pt-4 border-t border-gray-200">
+                                    <details className="cursor-pointer group">
+                                        <summary className="font-medium text-blue-600 hover:text-blue-700 transition-colors">
+                                            View Details ▼
+                                        </summary>
+                                        <div className="mt-3 text-gray-600">
+                                            <p className="mb-4">{boat.description}</p>
+                                            <div className="grid grid-cols-2 gap-3">
+                                                {boat.detailedSpecs && Object.entries(boat.detailedSpecs).map(([key, value]) => (
+                                                    <p key={key} className="text-sm">
+                                                        <span className="font-medium">{key}:</span> {value}
+                                                    </p>
+                                                ))}
+                                            </div>
+                                            <div className="mt-4">
+                                                <h3 className="font-medium mb-2">Seasonal Prices</h3>
+                                                {boat.seasonalPrices && Object.entries(boat.seasonalPrices).map(([season, price]) => (
+                                                    <p key={season} className="text-sm">
+                                                        <span className="font-medium">{season}:</span> {price}
+                                                    </p>
+                                                ))}
+                                            </div>
                                         </div>
-                                    </div>
-                                </details>
+                                    </details>
+                                </div>
                             </div>
                         </div>
-                    </div>
-                ))}
+                    );
+                })}
             </div>
+            {maintenanceBoatId && boats.find(boat => boat.id === maintenanceBoatId) && (
+                <BoatMaintenanceLog
+                    boat={boats.find(boat => boat.id === maintenanceBoatId)}
+                    entries={maintenance}
+                    onBoatUpdated={(changes) => handleBoatUpdated(maintenanceBoatId, changes)}
+                    onClose={() => setMaintenanceBoatId(null)}
+                />
+            )}
+            {brochureBoatIds && (
+                <BoatBrochureDialog
+                    boats={brochureBoatIds.map(id => boats.find(boat => boat.id === id)).filter(Boolean)}
+                    onClose={() => setBrochureBoatIds(null)}
+                />
+            )}
         </div>
     );
 };
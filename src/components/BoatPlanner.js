@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, getDocs, onSnapshot, query, where } from 'firebase/firestore';
+import { useNavigate } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, Ship, Anchor, AlertTriangle } from 'lucide-react';
+import { db } from '../firebase/firebaseConfig';
+import { subscribeToCalendarSync } from '../utils/calendarSync';
+import { DEFAULT_TIME_ZONE } from '../utils/icalParser';
+import { OPERATING_DAY, getSlotInterval } from '../utils/availability';
+import { getBookingStatus, getStatusMeta } from '../utils/bookingStatus';
+import { isTrashed } from '../utils/recycleBin';
+
+const DAY_COUNTS = [7, 14];
+const HOURS = Array.from({ length: 14 }, (_, index) => 8 + index); // 08:00 – 21:00 columns
+const DEFAULT_TRIP_HOURS = 4;
+
+// Each multi-boat group gets a stable colour from its id
+const GROUP_COLOURS = [
+  'bg-pink-100 border-pink-400 text-pink-900',
+  'bg-teal-100 border-teal-400 text-teal-900',
+  'bg-orange-100 border-orange-400 text-orange-900',
+  'bg-indigo-100 border-indigo-400 text-indigo-900',
+  'bg-lime-100 border-lime-500 text-lime-900',
+  'bg-fuchsia-100 border-fuchsia-400 text-fuchsia-900'
+];
+
+const getGroupColour = (groupId) => {
+  const hash = String(groupId).split('').reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return GROUP_COLOURS[hash % GROUP_COLOURS.length];
+};
+
+const getBookingColour = (booking) => {
+  if (booking.multiBoatGroupId) return getGroupColour(booking.multiBoatGroupId);
+  if (booking.isSanAntonio) return 'bg-cyan-100 border-cyan-400 text-cyan-900';
+  if (booking.status === 'option') return 'bg-amber-100 border-amber-400 text-amber-900';
+  if (booking.status === 'enquiry') return 'bg-white border-gray-400 border-dashed text-gray-700';
+  return 'bg-blue-100 border-blue-400 text-blue-900';
+};
+
+const toYmd = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const addDaysToDate = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const formatTime = (date) =>
+  date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: DEFAULT_TIME_ZONE });
+
+const normaliseName = (name) => String(name || '').trim().toLowerCase();
+
+// Where an interval sits on the operating-day track, as percentages
+const getTrackPosition = (interval, day) => {
+  const total = day.end - day.start;
+  const start = Math.max(interval.start, day.start);
+  const end = Math.min(interval.end, day.end);
+  if (end <= start) return null;
+  return {
+    left: `${((start - day.start) / total) * 100}%`,
+    width: `${((end - start) / total) * 100}%`
+  };
+};
+
+const BoatPlanner = () => {
+  const navigate = useNavigate();
+  const [view, setView] = useState('days'); // 'days' or 'hours'
+  const [dayCount, setDayCount] = useState(7);
+  const [startDate, setStartDate] = useState(() => new Date());
+  const [boats, setBoats] = useState([]);
+  const [bookings, setBookings] = useState([]);
+  const [calendarSync, setCalendarSync] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const days = useMemo(() => {
+    const count = view === 'hours' ? 1 : dayCount;
+    return Array.from({ length: count }, (_, index) => toYmd(addDaysToDate(startDate, index)));
+  }, [startDate, dayCount, view]);
+
+  useEffect(() => {
+    const fetchBoats = async () => {
+      try {
+        const snapshot = await getDocs(collection(db, 'boats'));
+        setBoats(
+          snapshot.docs
+            .map(boatDoc => ({ id: boatDoc.id, ...boatDoc.data() }))
+            .filter(boat => boat.name)
+            .sort((a, b) => a.name.localeCompare(b.name))
+        );
+      } catch (err) {
+        console.error('Error fetching boats:', err);
+        setError('Failed to load boats');
+      }
+    };
+
+    fetchBoats();
+    const unsubscribe = subscribeToCalendarSync(setCalendarSync, (err) => console.error('Calendar sync listener error:', err));
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    const bookingsQuery = query(
+      collection(db, 'bookings'),
+      where('bookingDetails.date', '>=', days[0]),
+      where('bookingDetails.date', '<=', days[days.length - 1])
+    );
+
+    const unsubscribe = onSnapshot(
+      bookingsQuery,
+      (snapshot) => {
+        setBookings(
+          snapshot.docs
+            .map(bookingDoc => {
+              const data = bookingDoc.data();
+              return {
+                id: bookingDoc.id,
+                ...data,
+                status: getBookingStatus(data),
+                isSanAntonio: data.location === 'San Antonio'
+              };
+            })
+            .filter(booking => booking.status !== 'cancelled' && !isTrashed(booking))
+        );
+        setLoading(false);
+      },
+      (err) => {
+        console.error('Error fetching planner bookings:', err);
+        setError('Failed to load bookings');
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [days]);
+
+  // Fleet boats first, then San Antonio tour boats and anything booked that isn't in the fleet
+  const rows = useMemo(() => {
+    const fleetRows = boats.map(boat => ({ key: normaliseName(boat.name), name: boat.name, boat }));
+    const known = fleetRows.map(row => row.key);
+    const extraRows = [];
+
+    bookings.forEach(booking => {
+      const name = booking.bookingDetails?.boatName;
+      const key = normaliseName(name);
+      if (!key || known.includes(key)) return;
+      known.push(key);
+      extraRows.push({ key, name, isSanAntonio: booking.isSanAntonio });
+    });
+
+    extraRows.sort((a, b) => Number(b.isSanAntonio) - Number(a.isSanAntonio) || a.name.localeCompare(b.name));
+    return [...fleetRows, ...extraRows];
+  }, [boats, bookings]);
+
+  const getCellBookings = (rowKey, date) =>
+    bookings
+      .filter(booking =>
+        normaliseName(booking.bookingDetails?.boatName) === rowKey &&
+        (booking.bookingDetails?.date || booking.bookingDate) === date
+      )
+      .sort((a, b) => (a.bookingDetails?.startTime || '').localeCompare(b.bookingDetails?.startTime || ''));
+
+  // Owner calendar blocks that fall inside the operating day
+  const getCellBusy = (boat, date) => {
+    const sync = boat ? calendarSync[boat.id] : null;
+    const day = getSlotInterval(date, OPERATING_DAY.start, OPERATING_DAY.end);
+    if (!sync || !day) return [];
+    return sync.busy.filter(period => period.start < day.end && period.end > day.start);
+  };
+
+  const openNewBooking = (row, date, startHour = null) => {
+    const prefill = { boatName: row.name, date };
+    if (startHour !== null) {
+      const endHour = Math.min(startHour + DEFAULT_TRIP_HOURS, 22);
+      prefill.startTime = `${String(startHour).padStart(2, '0')}:00`;
+      prefill.endTime = `${String(endHour).padStart(2, '0')}:00`;
+    }
+    navigate('/add-booking', { state: { prefill } });
+  };
+
+  const openBooking = (event, booking) => {
+    event.stopPropagation();
+    if (booking.isSanAntonio) {
+      navigate('/san-antonio-tours', { state: { editBookingId: booking.id } });
+    } else {
+      navigate(`/bookings?view=${booking.id}`);
+    }
+  };
+
+  const shiftDates = (direction) => {
+    setStartDate(prev => addDaysToDate(prev, direction * (view === 'hours' ? 1 : dayCount)));
+  };
+
+  const renderBookingChip = (booking, style = null) => {
+    const details = booking.bookingDetails || {};
+    const client = booking.clientName || booking.clientDetails?.name || 'Client';
+    return (
+      <button
+        key={booking.id}
+        type="button"
+        onClick={(event) => openBooking(event, booking)}
+        style={style || undefined}
+        className={`${style ? 'absolute top-1 bottom-1' : 'w-full'} text-left px-2 py-1 rounded border text-xs truncate hover:shadow ${getBookingColour(booking)}`}
+        title={`${client} · ${details.startTime || '—'}–${details.endTime || '—'} · ${details.passengers || 0} pax · ${getStatusMeta(booking.status).label}${booking.multiBoatGroupId ? ' · multi-boat group' : ''}`}
+      >
+        {!style && <span className="font-medium">{details.startTime || '—'} </span>}
+        {client}
+      </button>
+    );
+  };
+
+  const renderDaysCell = (row, date) => {
+    const cellBookings = getCellBookings(row.key, date);
+    const busy = getCellBusy(row.boat, date);
+
+    return (
+      <td
+        key={date}
+        onClick={() => openNewBooking(row, date)}
+        className="border p-1 align-top min-w-[120px] cursor-pointer hover:bg-blue-50"
+        title={`New booking on ${row.name} for ${date}`}
+      >
+        <div className="space-y-1">
+          {cellBookings.map(booking => renderBookingChip(booking))}
+          {busy.map((period, index) => (
+            <div
+              key={`busy-${index}`}
+              className="px-2 py-1 rounded text-xs bg-gray-200 text-gray-600 truncate"
+              title={period.summary || 'Owner calendar'}
+            >
+              Owner: {period.allDay ? 'all day' : `${formatTime(period.start)}–${formatTime(period.end)}`}
+            </div>
+          ))}
+        </div>
+      </td>
+    );
+  };
+
+  const renderHoursTrack = (row, date) => {
+    const day = getSlotInterval(date, OPERATING_DAY.start, OPERATING_DAY.end);
+    const cellBookings = getCellBookings(row.key, date);
+    const busy = getCellBusy(row.boat, date);
+
+    const handleTrackClick = (event) => {
+      const rect = event.currentTarget.getBoundingClientRect();
+      const hourIndex = Math.floor(((event.clientX - rect.left) / rect.width) * HOURS.length);
+      openNewBooking(row, date, HOURS[Math.min(Math.max(hourIndex, 0), HOURS.length - 1)]);
+    };
+
+    return (
+      <td colSpan={HOURS.length} className="border p-0">
+        <div className="relative h-10 cursor-pointer hover:bg-blue-50" onClick={handleTrackClick}>
+          {HOURS.slice(1).map((hour, index) => (
+            <div
+              key={hour}
+              className="absolute top-0 bottom-0 border-l border-gray-100"
+              style={{ left: `${((index + 1) / HOURS.length) * 100}%` }}
+            />
+          ))}
+          {day && busy.map((period, index) => {
+            const position = getTrackPosition(period, day);
+            return position && (
+              <div
+                key={`busy-${index}`}
+                className="absolute top-0 bottom-0 bg-gray-300 bg-opacity-70"
+                style={position}
+                title={`Owner calendar ${period.allDay ? 'all day' : `${formatTime(period.start)}–${formatTime(period.end)}`}`}
+              />
+            );
+          })}
+          {day && cellBookings.map(booking => {
+            const interval = getSlotInterval(date, booking.bookingDetails?.startTime, booking.bookingDetails?.endTime);
+            const position = interval && getTrackPosition(interval, day);
+            return position ? renderBookingChip(booking, position) : null;
+          })}
+        </div>
+      </td>
+    );
+  };
+
+  const formatDayHeader = (ymd) =>
+    new Date(`${ymd}T00:00:00`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+
+  return (
+    <div className="p-3 sm:p-4 md:p-6 space-y-4 bg-gray-50 min-h-screen">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Boat Planner</h1>
+          <p className="text-sm text-gray-500">Click an empty slot to start a booking on that boat.</p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="inline-flex rounded-lg border bg-white overflow-hidden text-sm">
+            <button
+              type="button"
+              onClick={() => setView('days')}
+              className={`px-3 py-1.5 ${view === 'days' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+            >
+              Days
+            </button>
+            <button
+              type="button"
+              onClick={() => setView('hours')}
+              className={`px-3 py-1.5 ${view === 'hours' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+            >
+              Hours
+            </button>
+          </div>
+
+          {view === 'days' && (
+            <select
+              value={dayCount}
+              onChange={(e) => setDayCount(Number(e.target.value))}
+              className="border rounded-lg px-2 py-1.5 text-sm bg-white"
+            >
+              {DAY_COUNTS.map(count => (
+                <option key={count} value={count}>{count} days</option>
+              ))}
+            </select>
+          )}
+
+          <button type="button" onClick={() => shiftDates(-1)} className="p-2 rounded-lg border bg-white hover:bg-gray-50" aria-label="Previous">
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button type="button" onClick={() => setStartDate(new Date())} className="px-3 py-1.5 rounded-lg border bg-white text-sm hover:bg-gray-50">
+            Today
+          </button>
+          <button type="button" onClick={() => shiftDates(1)} className="p-2 rounded-lg border bg-white hover:bg-gray-50" aria-label="Next">
+            <ChevronRight className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-blue-100 border border-blue-400" /> Confirmed</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-100 border border-amber-400" /> Option</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-white border border-dashed border-gray-400" /> Enquiry</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-cyan-100 border border-cyan-400" /> San Antonio tour</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-pink-100 border border-pink-400" /> Multi-boat group (one colour per group)</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-gray-300" /> Owner calendar</span>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 text-red-800 rounded-lg flex items-center gap-2">
+          <AlertTriangle className="h-4 w-4" /> {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+        <table className="min-w-full text-sm border-collapse">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="border p-2 text-left sticky left-0 bg-gray-50 z-10 min-w-[160px]">
+                {view === 'hours' ? formatDayHeader(days[0]) : 'Boat'}
+              </th>
+              {view === 'days'
+                ? days.map(date => (
+                    <th key={date} className={`border p-2 text-left ${date === toYmd(new Date()) ? 'bg-blue-50 text-blue-800' : ''}`}>
+                      {formatDayHeader(date)}
+                    </th>
+                  ))
+                : HOURS.map(hour => (
+                    <th key={hour} className="border p-1 text-left font-normal text-xs">
+                      {String(hour).padStart(2, '0')}:00
+                    </th>
+                  ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key}>
+                <th className="border p-2 text-left font-medium text-gray-900 sticky left-0 bg-white z-10">
+                  <div className="flex items-center gap-2">
+                    {row.isSanAntonio
+                      ? <Anchor className="h-4 w-4 text-cyan-600 flex-shrink-0" />
+                      : <Ship className="h-4 w-4 text-blue-600 flex-shrink-0" />}
+                    <span className="truncate">{row.name}</span>
+                  </div>
+                </th>
+                {view === 'days'
+                  ? days.map(date => renderDaysCell(row, date))
+                  : renderHoursTrack(row, days[0])}
+              </tr>
+            ))}
+            {!loading && rows.length === 0 && (
+              <tr>
+                <td colSpan={(view === 'days' ? days.length : HOURS.length) + 1} className="p-6 text-center text-gray-500">
+                  No boats found.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default BoatPlanner;
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Calendar, ExternalLink, Wrench, X } from 'lucide-react';
+import { OUT_OF_SERVICE_REASONS } from '../utils/boatMaintenance';
+
+const formatPeriod = (start, end) => {
+  const opts = { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' };
+  return `${new Date(start).toLocaleString('en-GB', opts)} – ${new Date(end).toLocaleString('en-GB', opts)}`;
+};
+
+const ConflictRow = ({ conflict }) => {
+  if (conflict.type === 'calendar') {
+    return (
+      <li className="flex items-start gap-2 p-3 bg-white rounded border border-red-200">
+        <Calendar className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
+        <div className="text-sm">
+          <div className="font-medium text-gray-900">{conflict.boatName} — owner calendar</div>
+          <div className="text-gray-600">Busy {formatPeriod(conflict.start, conflict.end)}</div>
+        </div>
+      </li>
+    );
+  }
+
+  if (conflict.type === 'maintenance') {
+    return (
+      <li className="flex items-start gap-2 p-3 bg-white rounded border border-red-200">
+        <Wrench className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
+        <div className="text-sm">
+          <div className="font-medium text-gray-900">
+            {conflict.boatName} — out of service ({OUT_OF_SERVICE_REASONS[conflict.reason] || 'Other'})
+          </div>
+          <div className="text-gray-600">{formatPeriod(conflict.start, conflict.end)}</div>
+          {conflict.note && <div className="text-gray-500 text-xs">{conflict.note}</div>}
+        </div>
+      </li>
+    );
+  }
+
+  if (conflict.type === 'group') {
+    return (
+      <li className="flex items-start gap-2 p-3 bg-white rounded border border-red-200">
+        <AlertTriangle className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
+        <div className="text-sm">
+          <div className="font-medium text-gray-900">{conflict.boatName} is added twice</div>
+          <div className="text-gray-600">
+            {conflict.date} · {conflict.startTime || '—'}–{conflict.endTime || '—'}
+          </div>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className="flex items-start justify-between gap-2 p-3 bg-white rounded border border-red-200">
+      <div className="text-sm">
+        <div className="font-medium text-gray-900">
+          {conflict.boatName} — {conflict.clientName}
+        </div>
+        <div className="text-gray-600">
+          {conflict.date} · {conflict.startTime || '—'}–{conflict.endTime || '—'}
+          {conflict.location ? ` · ${conflict.location}` : ''}
+          {conflict.multiBoatGroupId ? ' · multi-boat group' : ''}
+          {conflict.status === 'option' ? ' · option (hold)' : ''}
+        </div>
+      </div>
+      <a
+        href={`/bookings?view=${conflict.bookingId}`}
+        target="_blank"
+        rel="noreferrer"
+        className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 whitespace-nowrap"
+      >
+        View <ExternalLink className="w-3 h-3" />
+      </a>
+    </li>
+  );
+};
+
+/**
+ * Lists double-booking conflicts found before a save. Staff can only go back;
+ * admins can save anyway after giving a reason.
+ */
+const BookingConflictModal = ({ conflicts, calendarErrors = [], canOverride, onOverride, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleOverride = async () => {
+    if (!reason.trim()) return;
+    setSaving(true);
+    try {
+      await onOverride(reason.trim());
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center px-4 bg-black bg-opacity-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="booking-conflict-title"
+      onClick={(e) => {
+        // Keep the click from reaching a parent modal's backdrop
+        e.stopPropagation();
+        onClose();
+      }}
+    >
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 flex justify-between items-center bg-red-100 rounded-t-lg">
+          <h3 id="booking-conflict-title" className="flex items-center gap-2 text-lg font-bold text-red-800">
+            <AlertTriangle className="w-5 h-5" />
+            Boat already booked
+          </h3>
+          <button onClick={onClose} className="text-red-700 hover:text-red-900" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <p className="text-sm text-gray-700">
+            This booking overlaps with the following. It has not been saved.
+          </p>
+          <ul className="space-y-2 max-h-64 overflow-y-auto p-2 bg-red-50 rounded">
+            {conflicts.map((conflict, index) => (
+              <ConflictRow key={`${conflict.type}-${conflict.bookingId || index}`} conflict={conflict} />
+            ))}
+          </ul>
+
+          {calendarErrors.length > 0 && (
+            <p className="text-xs text-orange-700 bg-orange-50 p-2 rounded">
+              Owner calendar could not be checked or is out of date for: {calendarErrors.join(', ')}
+            </p>
+          )}
+
+          {canOverride ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reason for saving anyway (recorded on the booking)
+              </label>
+              <textarea
+                className="w-full p-2 border rounded"
+                rows="3"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Owner confirmed the morning charter ends at 13:00"
+              />
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Change the boat, date or times, or ask an admin to override.
+            </p>
+          )}
+        </div>
+
+        <div className="p-4 bg-gray-100 flex justify-end gap-2 rounded-b-lg">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+          >
+            Go back
+          </button>
+          {canOverride && (
+            <button
+              onClick={handleOverride}
+              disabled={!reason.trim() || saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save anyway'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingConflictModal;
@@ -15,10 +15,36 @@ import { format } from "date-fns";
 import { db } from "../firebase/firebaseConfig";
 import PaymentDetails from "./PaymentDetails.js";
 import { useNavigate } from "react-router-dom";
+import { getAuth } from "firebase/auth";
+import { useAuth } from "../context/AuthContext";
+import BookingConflictModal from "./BookingConflictModal";
+import CancellationModal from "./CancellationModal";
+import { findBookingConflicts, buildConflictOverride } from "../utils/bookingConflicts";
+import BookingStatusBadge from "./BookingStatusBadge";
+import {
+  getBookingStatus,
+  getAllowedTransitions,
+  getStatusMeta,
+  isBlockingStatus,
+  TRANSITION_LABELS,
+  DEFAULT_OPTION_HOURS,
+} from "../utils/bookingStatus";
+import { transitionBooking } from "../utils/bookingTransition";
+import { updateBookingWithHistory } from "../utils/bookingHistoryActions";
+import { restoreCancelledBooking } from "../utils/cancellationPolicyActions";
+import BookingHistory from "./BookingHistory";
+import MultiBoatGroup from "./MultiBoatGroup";
+import { isTrashed } from "../utils/recycleBin";
+import {
+  buildSchedulePricing,
+  getPaymentSchedule,
+  getRefundLines,
+  recalculateSchedule,
+} from "../utils/paymentSchedule";
 
 /**
  * BookingDetails.jsx — enhanced UI
- * - Tabs: Overview, Payments, Orders, Expenses, Notes
+ * - Tabs: Overview, Group (multi-boat bookings only), Payments, Orders, Expenses, Notes, History
  * - SummaryHeader with payment progress + quick contact actions
  * - Sticky footer with dirty-state Save (Ctrl/Cmd+S) and Esc to close
  * - Notes quick-tags and character count
@@ -59,23 +85,6 @@ const formatDateForStorage = (dateString) => {
 };
 
 // --------------------- Small UI atoms ---------------------
-const Badge = ({ children, tone = "gray" }) => (
-  <span
-    className={
-      "inline-flex items-center px-2 py-0.5 rounded text-xs font-medium " +
-      (tone === "red"
-        ? "bg-red-100 text-red-800"
-        : tone === "green"
-        ? "bg-green-100 text-green-800"
-        : tone === "orange"
-        ? "bg-orange-100 text-orange-800"
-        : "bg-gray-100 text-gray-800")
-    }
-  >
-    {children}
-  </span>
-);
-
 const PaymentProgress = ({ totalPaid = 0, agreedPrice = 0 }) => {
   const pct = Math.min(
     100,
@@ -168,7 +177,7 @@ const FoodOrderIndicator = ({ booking }) => {
           if (!lo.orderDocId) continue;
           try {
             const orderDoc = await getDoc(doc(db, "orders", lo.orderDocId));
-            if (!orderDoc.exists()) continue;
+            if (!orderDoc.exists() || isTrashed(orderDoc.data())) continue;
             const items = orderDoc.data().items || [];
             if (
               items.some(
@@ -226,7 +235,10 @@ const SummaryHeader = ({ booking }) => (
         <h3 className="text-lg font-semibold text-gray-900">
           {booking.clientName || "Unknown client"}
         </h3>
-        {booking.isCancelled && <Badge tone="red">Cancelled</Badge>}
+        <BookingStatusBadge
+          status={getBookingStatus(booking)}
+          optionExpiresAt={booking.optionExpiresAt}
+        />
         <FoodOrderIndicator booking={booking} />
       </div>
       <div className="text-sm text-gray-600">
@@ -291,8 +303,13 @@ const SummaryHeader = ({ booking }) => (
 // ------------------------ BookingDetails ------------------------
 const BookingDetails = ({ booking, onClose }) => {
   const navigate = useNavigate();
+  const { isAdmin } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
+  const [conflictCheck, setConflictCheck] = useState(null);
+  const [showCancellation, setShowCancellation] = useState(false);
   const [tab, setTab] = useState("Overview");
+  // Bumped after a value is restored from History so the latest doc is re-read
+  const [refreshKey, setRefreshKey] = useState(0);
   const modalRef = useRef(null);
   const [linkedExpenses, setLinkedExpenses] = useState([]);
   const [copySuccess, setCopySuccess] = useState("");
@@ -309,33 +326,11 @@ const BookingDetails = ({ booking, onClose }) => {
 
   const [editedBooking, setEditedBooking] = useState(() => {
     const displayDate = formatDateForDisplay(booking?.bookingDate);
-    const payments = Array.isArray(booking?.payments)
-      ? booking.payments
-      : Array.isArray(booking?.pricing?.payments)
-      ? booking.pricing.payments
-      : [];
-
-    const firstPayment = payments.find((p) => p.type === "first") || {
-      amount: 0,
-      method: "cash",
-      received: false,
-      date: "",
-      type: "first",
-    };
-    const secondPayment = payments.find((p) => p.type === "second") || {
-      amount: 0,
-      method: "pos",
-      received: false,
-      date: "",
-      type: "second",
-    };
 
     return {
       ...booking,
       bookingDate: displayDate,
-      payments,
-      firstPayment,
-      secondPayment,
+      schedule: getPaymentSchedule(booking?.pricing),
       finalPrice: booking?.pricing?.agreedPrice || 0,
       paymentStatus: booking?.pricing?.paymentStatus || "No Payment",
       clientNotes: initialNotes,
@@ -343,6 +338,11 @@ const BookingDetails = ({ booking, onClose }) => {
     };
   });
 
+  const currentStatus = getBookingStatus(editedBooking);
+  const statusActions = getAllowedTransitions(editedBooking).filter(
+    (to) => to !== "cancelled" && currentStatus !== "cancelled"
+  );
+
   // Focus modal when opened
   useEffect(() => {
     modalRef.current?.focus();
@@ -398,33 +398,13 @@ const BookingDetails = ({ booking, onClose }) => {
         if (!snap.exists()) return;
         const data = snap.data();
         const displayDate = formatDateForDisplay(data.bookingDate);
-        const payments = Array.isArray(data?.payments)
-          ? data.payments
-          : Array.isArray(data?.pricing?.payments)
-          ? data.pricing.payments
-          : [];
-        const firstPayment = payments.find((p) => p.type === "first") || {
-          amount: 0,
-          method: "cash",
-          received: false,
-          date: "",
-          type: "first",
-        };
-        const secondPayment = payments.find((p) => p.type === "second") || {
-          amount: 0,
-          method: "pos",
-          received: false,
-          date: "",
-          type: "second",
-        };
         const normalisedNotes = data.notes ?? data.clientNotes ?? "";
         setEditedBooking((prev) => ({
           ...prev,
           ...data,
           id: booking.id,
           bookingDate: displayDate,
-          firstPayment,
-          secondPayment,
+          schedule: getPaymentSchedule(data.pricing),
           finalPrice: data?.pricing?.agreedPrice || 0,
           paymentStatus: data?.pricing?.paymentStatus || "No Payment",
           clientName: data.clientName || data.clientDetails?.name || "",
@@ -446,7 +426,7 @@ const BookingDetails = ({ booking, onClose }) => {
       }
     };
     fetchLatest();
-  }, [booking?.id]);
+  }, [booking?.id, refreshKey]);
 
   // Real-time expenses
   useEffect(() => {
@@ -456,7 +436,9 @@ const BookingDetails = ({ booking, onClose }) => {
       where("bookingId", "==", booking.id)
     );
     const unsub = onSnapshot(qy, (qs) => {
-      const all = qs.docs.map((d) => ({ id: d.id, ...d.data() }));
+      const all = qs.docs
+        .map((d) => ({ id: d.id, ...d.data() }))
+        .filter((e) => !isTrashed(e));
       const parents = all.filter((e) => !e.parentId);
       const children = all.filter((e) => e.parentId);
       const combined = parents.map((p) => ({
@@ -475,50 +457,87 @@ const BookingDetails = ({ booking, onClose }) => {
   };
   const isSanAntonioBooking = booking?.location === "San Antonio";
 
-  const handleCancelBooking = async () => {
-    if (
+  // Enquiries and cancelled bookings don't hold the boat, so check the slot before they do
+  const confirmSlotIsFree = async (to) => {
+    if (isBlockingStatus(currentStatus) || !isBlockingStatus(to)) return true;
+
+    const { conflicts } = await findBookingConflicts([editedBooking.bookingDetails || {}], {
+      excludeIds: [booking.id],
+    });
+    if (conflicts.length === 0) return true;
+
+    const summary = `This slot clashes with ${conflicts.length} other booking(s) or owner calendar entries.`;
+    if (!isAdmin()) {
+      alert(`${summary} Move the booking or ask an admin.`);
+      return false;
+    }
+    return window.confirm(`${summary} Continue anyway?`);
+  };
+
+  // All lifecycle changes go through transitionBooking so they land in statusHistory
+  const handleStatusChange = async (to) => {
+    let optionExpiresAt;
+
+    // Cancelling works out refunds and payouts from the cancellation policy first
+    if (to === "cancelled") {
+      setShowCancellation(true);
+      return;
+    }
+
+    if (to === "option") {
+      const hours = window.prompt(
+        "Hold the boat as an option for how many hours?",
+        String(DEFAULT_OPTION_HOURS)
+      );
+      if (hours === null) return;
+      const parsedHours = parseFloat(hours);
+      if (!(parsedHours > 0)) {
+        alert("Please enter a positive number of hours.");
+        return;
+      }
+      optionExpiresAt = new Date(Date.now() + parsedHours * 60 * 60 * 1000).toISOString();
+    } else if (
       !window.confirm(
-        "Are you sure you want to cancel this booking? This action can be reversed later."
+        `Change status from ${getStatusMeta(currentStatus).label} to ${getStatusMeta(to).label}?`
       )
-    )
+    ) {
       return;
+    }
+
     try {
-      await updateDoc(doc(db, "bookings", booking.id), {
-        isCancelled: true,
-        cancellationDate: new Date().toISOString(),
-        cancellationReason: window.prompt(
-          "Please provide a reason for cancellation (optional):",
-          ""
-        ),
-        lastUpdated: serverTimestamp(),
+      if (!(await confirmSlotIsFree(to))) return;
+      const updates = await transitionBooking(editedBooking, to, {
+        user: getAuth().currentUser,
+        optionExpiresAt,
       });
-      const updatedDoc = await getDoc(doc(db, "bookings", booking.id));
-      if (updatedDoc.exists())
-        setEditedBooking((p) => ({ ...p, ...updatedDoc.data() }));
-      alert("Booking has been cancelled successfully.");
+      setEditedBooking((p) => ({ ...p, ...updates }));
     } catch (e) {
-      console.error("Error cancelling booking:", e);
-      alert("Failed to cancel booking. Please try again.");
+      console.error("Error changing booking status:", e);
+      alert(`Failed to change booking status: ${e.message}`);
     }
   };
 
+  const handleCancelBooking = () => handleStatusChange("cancelled");
+
   const handleUndoCancel = async () => {
+    const [restoreTo] = getAllowedTransitions(editedBooking);
+    const refunded = editedBooking.cancellation?.refund || 0;
     if (
       !window.confirm(
-        "Are you sure you want to restore this cancelled booking?"
+        `Are you sure you want to restore this cancelled booking as ${getStatusMeta(restoreTo).label}?` +
+          (editedBooking.cancellation
+            ? " Waived payments become due again and payouts go back to their amounts before the cancellation." +
+              (refunded > 0 ? ` The €${refunded.toFixed(2)} refund is removed.` : "")
+            : "")
       )
     )
       return;
     try {
-      await updateDoc(doc(db, "bookings", booking.id), {
-        isCancelled: false,
-        cancellationDate: null,
-        cancellationReason: null,
-        lastUpdated: serverTimestamp(),
+      if (!(await confirmSlotIsFree(restoreTo))) return;
+      const updates = await restoreCancelledBooking(editedBooking, {
+        user: getAuth().currentUser,
       });
-      const updatedDoc = await getDoc(doc(db, "bookings", booking.id));
-      if (updatedDoc.exists())
-        setEditedBooking((p) => ({ ...p, ...updatedDoc.data() }));
+      setEditedBooking((p) => ({ ...p, ...updates }));
       alert("Booking has been restored successfully.");
     } catch (e) {
       console.error("Error restoring booking:", e);
@@ -591,7 +610,7 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
             if (!lo.orderDocId) continue;
             try {
               const od = await getDoc(doc(db, "orders", lo.orderDocId));
-              if (od.exists()) details.push({ id: od.id, ...od.data() });
+              if (od.exists() && !isTrashed(od.data())) details.push({ id: od.id, ...od.data() });
             } catch (e) {
               console.error("Error fetching order", lo.orderDocId, e);
             }
@@ -935,56 +954,8 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
     );
   };
 
-  const handlePaymentChange = (paymentIndex, updates) => {
-    setEditedBooking((prev) => {
-      const updatedPayments = [...(prev.pricing?.payments || [])];
-      if (!updatedPayments[paymentIndex]) {
-        updatedPayments[paymentIndex] = {
-          type: paymentIndex === 0 ? "first" : "second",
-          amount: 0,
-          method: paymentIndex === 0 ? "cash" : "pos",
-          received: false,
-          date: "",
-          excludeVAT: false,
-          percentage: paymentIndex === 0 ? 30 : 70,
-          recordedAt: new Date().toISOString(),
-        };
-      }
-      if (updates.percentage !== undefined) {
-        const finalPrice = Number(prev.finalPrice) || 0;
-        const pct = Number(updates.percentage) || 0;
-        updatedPayments[paymentIndex] = {
-          ...updatedPayments[paymentIndex],
-          ...updates,
-          percentage: pct,
-          amount: ((finalPrice * pct) / 100).toFixed(2),
-        };
-      } else {
-        updatedPayments[paymentIndex] = {
-          ...updatedPayments[paymentIndex],
-          ...updates,
-        };
-      }
-      const totalPaid = updatedPayments.reduce(
-        (sum, p) => sum + (p.received ? Number(p.amount) || 0 : 0),
-        0
-      );
-      const paymentStatus =
-        totalPaid === 0
-          ? "No Payment"
-          : totalPaid >= (prev.pricing?.agreedPrice || 0)
-          ? "Completed"
-          : "Partial";
-      return {
-        ...prev,
-        pricing: {
-          ...prev.pricing,
-          payments: updatedPayments,
-          totalPaid,
-          paymentStatus,
-        },
-      };
-    });
+  const handleScheduleChange = (schedule) => {
+    setEditedBooking((prev) => ({ ...prev, schedule }));
   };
 
   const ExpensesSection = () => {
@@ -1118,23 +1089,6 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
 
   const handleInputChange = (field, value) => {
     setEditedBooking((prev) => {
-      if (field === "firstPayment" || field === "secondPayment") {
-        const updatedPayment = { ...prev[field], ...value };
-        if (value.received !== undefined) {
-          updatedPayment.date = value.received
-            ? new Date().toISOString().split("T")[0]
-            : "";
-        }
-        const next = { ...prev, [field]: updatedPayment };
-        const firstReceived = next.firstPayment?.received || false;
-        const secondReceived = next.secondPayment?.received || false;
-        next.paymentStatus = firstReceived && secondReceived
-          ? "Completed"
-          : firstReceived || secondReceived
-          ? "Partial"
-          : "No Payment";
-        return next;
-      }
       if (field === "clientNotes" || field === "notes") {
         return { ...prev, clientNotes: value, notes: value };
       }
@@ -1143,11 +1097,15 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
   };
 
   const handleFinalPriceChange = (newPrice) => {
-    setEditedBooking((prev) => ({ ...prev, finalPrice: Number(newPrice) || 0 }));
+    setEditedBooking((prev) => ({
+      ...prev,
+      finalPrice: Number(newPrice) || 0,
+      schedule: recalculateSchedule(prev.schedule || [], newPrice),
+    }));
   };
 
   // ---------------------------- Save ----------------------------
-  const handleSaveBooking = async () => {
+  const handleSaveBooking = async (conflictOverride = null) => {
     if (!editedBooking.clientName?.trim()) return alert("Client name is required.");
     if (!editedBooking.bookingDate?.trim()) return alert("Booking date is required.");
 
@@ -1168,17 +1126,29 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
         endTime: editedBooking.endTime || currentData.bookingDetails?.endTime || "",
       };
 
-      const payments = editedBooking.pricing?.payments || [];
-      const totalPaid = payments.reduce(
-        (sum, p) => sum + (p.received ? Number(p.amount) || 0 : 0),
-        0
+      // Only re-check for double bookings when the slot itself moved
+      const slotChanged = ["date", "boatName", "startTime", "endTime"].some(
+        (key) => (currentData.bookingDetails?.[key] || "") !== updatedBookingDetails[key]
       );
-      const paymentStatus =
-        totalPaid === 0
-          ? "No Payment"
-          : totalPaid >= Number(editedBooking.finalPrice || 0)
-          ? "Completed"
-          : "Partial";
+      if (slotChanged && !conflictOverride) {
+        const result = await findBookingConflicts([updatedBookingDetails], {
+          excludeIds: [booking.id],
+        });
+        if (result.conflicts.length > 0) {
+          setConflictCheck(result);
+          return;
+        }
+      }
+
+      const pricing = {
+        ...(currentData.pricing || {}),
+        agreedPrice: Number(editedBooking.finalPrice) || 0,
+        lastUpdated: new Date().toISOString(),
+        ...buildSchedulePricing(editedBooking.schedule || [], currentData.pricing),
+      };
+      // Saving rewrites old first/second payments as a schedule
+      delete pricing.firstPayment;
+      delete pricing.secondPayment;
 
       const normalisedNotes = editedBooking.notes ?? editedBooking.clientNotes ?? "";
 
@@ -1198,23 +1168,21 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
             editedBooking.clientPassport || currentData.clientDetails?.passportNumber || "",
           address: editedBooking.clientDetails?.address || editedBooking.address || "",
         },
-        pricing: {
-          ...(currentData.pricing || {}),
-          agreedPrice: Number(editedBooking.finalPrice) || 0,
-          lastUpdated: new Date().toISOString(),
-          payments,
-          totalPaid,
-          paymentStatus,
-        },
+        pricing,
         restaurantName: editedBooking.restaurantName || currentData.restaurantName || "",
         // IMPORTANT: write BOTH keys and bump a timestamp
         notes: normalisedNotes,
         clientNotes: normalisedNotes,
         notesUpdatedAt: serverTimestamp(),
         lastUpdated: serverTimestamp(),
+        ...(conflictOverride ? { conflictOverride } : {}),
       };
 
-      await updateDoc(bookingRef, bookingToSave);
+      await updateBookingWithHistory(booking.id, bookingToSave, {
+        currentData,
+        user: getAuth().currentUser,
+        source: "edit",
+      });
       setIsEditing(false);
       alert("Booking updated successfully!");
       onClose();
@@ -1224,6 +1192,16 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
     }
   };
 
+  const handleConflictOverride = async (reason) => {
+    const conflictOverride = buildConflictOverride(
+      conflictCheck.conflicts,
+      reason,
+      getAuth().currentUser
+    );
+    setConflictCheck(null);
+    await handleSaveBooking(conflictOverride);
+  };
+
   const handleModalClick = (e) => e.stopPropagation();
 
   const CopyButton = ({ text, field }) => (
@@ -1299,6 +1277,41 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
           <SummaryHeader booking={editedBooking} />
         </div>
 
+        {/* Lifecycle */}
+        {(statusActions.length > 0 || editedBooking.statusHistory?.length > 0) && (
+          <div className="px-6 pb-3 flex flex-wrap items-center gap-2">
+            {statusActions.map((to) => (
+              <button
+                key={to}
+                type="button"
+                onClick={() => handleStatusChange(to)}
+                className="px-3 py-1 text-sm rounded border border-gray-300 bg-white hover:bg-gray-50"
+              >
+                {TRANSITION_LABELS[to]}
+              </button>
+            ))}
+            {editedBooking.statusHistory?.length > 0 && (
+              <details className="text-sm text-gray-600 ml-auto">
+                <summary className="cursor-pointer">Status history</summary>
+                <ul className="mt-2 space-y-1">
+                  {editedBooking.statusHistory
+                    .slice()
+                    .reverse()
+                    .map((entry, index) => (
+                      <li key={`${entry.at}-${index}`}>
+                        {formatDateTime(entry.at)} ·{" "}
+                        {entry.from ? `${getStatusMeta(entry.from).label} → ` : ""}
+                        {getStatusMeta(entry.to).label} ·{" "}
+                        {entry.by?.displayName || entry.by?.email || "System"}
+                        {entry.reason ? ` · ${entry.reason}` : ""}
+                      </li>
+                    ))}
+                </ul>
+              </details>
+            )}
+          </div>
+        )}
+
         {/* Cancellation banner */}
         {editedBooking.isCancelled && (
           <div className="bg-red-50 p-4 border-t border-b border-red-200">
@@ -1319,6 +1332,16 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
                     Reason: {editedBooking.cancellationReason}
                   </p>
                 )}
+                {editedBooking.cancellation && (
+                  <p className="text-sm text-red-700 mt-1">
+                    {editedBooking.cancellation.policyName}: €
+                    {editedBooking.cancellation.penalty.toFixed(2)} retained, €
+                    {editedBooking.cancellation.refund.toFixed(2)} refunded
+                    {editedBooking.cancellation.refundMethod
+                      ? ` by ${editedBooking.cancellation.refundMethod}`
+                      : ""}
+                  </p>
+                )}
               </div>
               <button
                 onClick={handleUndoCancel}
@@ -1333,7 +1356,15 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
         {/* Tabs */}
         <div className="px-6">
           <TabBar
-            tabs={["Overview", "Payments", "Orders", "Expenses", "Notes"]}
+            tabs={[
+              "Overview",
+              ...(editedBooking.multiBoatGroupId ? ["Group"] : []),
+              "Payments",
+              "Orders",
+              "Expenses",
+              "Notes",
+              "History",
+            ]}
             active={tab}
             onChange={setTab}
           />
@@ -1341,6 +1372,13 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
 
         {/* Body */}
         <div className="px-6 pb-4 overflow-y-auto" style={{ maxHeight: "calc(100vh - 18rem)" }}>
+          {tab === "Overview" && isEditing && editedBooking.multiBoatGroupId && (
+            <p className="mb-4 p-3 text-sm bg-orange-50 text-orange-800 rounded">
+              Edits here only change this boat. Use the Group tab to change the client, date or
+              transfer for every boat in this booking.
+            </p>
+          )}
+
           {tab === "Overview" && (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               {/* Client Info */}
@@ -1726,47 +1764,14 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
 
               {/* Payments table */}
               <PaymentDetails
-                payments={editedBooking?.pricing?.payments || []}
-                pricingType={editedBooking?.pricing?.pricingType}
-                agreedPrice={editedBooking?.pricing?.agreedPrice}
-                totalPaid={editedBooking?.pricing?.totalPaid}
-                paymentStatus={editedBooking?.pricing?.paymentStatus}
+                schedule={editedBooking.schedule || []}
+                refunds={getRefundLines(editedBooking.pricing)}
+                agreedPrice={editedBooking.finalPrice}
+                charterDate={formatDateForStorage(editedBooking.bookingDate)}
+                bookingId={booking.id}
                 isEditing={isEditing}
-                onPaymentChange={handlePaymentChange}
+                onScheduleChange={handleScheduleChange}
               />
-
-              {isEditing && (
-                <div className="mt-2 p-4 border rounded-lg border-blue-200 bg-blue-50">
-                  <h4 className="text-lg font-medium text-blue-800 mb-3">
-                    Set Payment Split
-                  </h4>
-                  <div className="flex flex-wrap gap-3">
-                    {[
-                      [25, 75],
-                      [30, 70],
-                      [50, 50],
-                      [70, 30],
-                      [100, 0],
-                    ].map(([a, b]) => (
-                      <button
-                        key={`${a}-${b}`}
-                        type="button"
-                        onClick={() => {
-                          handlePaymentChange(0, { percentage: a });
-                          handlePaymentChange(1, { percentage: b });
-                        }}
-                        className="px-4 py-2 bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
-                      >
-                        {a}% / {b}%
-                      </button>
-                    ))}
-                  </div>
-                  <p className="mt-3 text-sm text-blue-600">
-                    Note: Setting the percentages will automatically calculate the
-                    payment amounts.
-                  </p>
-                </div>
-              )}
             </div>
           )}
 
@@ -1850,6 +1855,27 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
               </div>
             </div>
           )}
+
+          {tab === "Group" && editedBooking.multiBoatGroupId && (
+            <div className="col-span-full">
+              <MultiBoatGroup
+                groupId={editedBooking.multiBoatGroupId}
+                currentBookingId={booking.id}
+                disabled={isEditing}
+                onChanged={() => setRefreshKey((key) => key + 1)}
+              />
+            </div>
+          )}
+
+          {tab === "History" && (
+            <div className="col-span-full">
+              <BookingHistory
+                bookingId={booking.id}
+                canRestore={!isEditing}
+                onRestored={() => setRefreshKey((key) => key + 1)}
+              />
+            </div>
+          )}
         </div>
 
         {/* Footer */}
@@ -1869,7 +1895,7 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
             {isEditing ? (
               <>
                 <button
-                  onClick={handleSaveBooking}
+                  onClick={() => handleSaveBooking()}
                   disabled={!isDirty}
                   className={`px-4 py-2 rounded-md text-white ${
                     isDirty
@@ -1912,6 +1938,29 @@ Address: ${editedBooking.clientDetails?.address || editedBooking.address || "N/A
           </div>
         </div>
       </div>
+
+      {showCancellation && (
+        <CancellationModal
+          booking={editedBooking}
+          user={getAuth().currentUser}
+          canAdjustRefund={isAdmin()}
+          onCancelled={(updates) => {
+            setEditedBooking((p) => ({ ...p, ...updates }));
+            setShowCancellation(false);
+          }}
+          onClose={() => setShowCancellation(false)}
+        />
+      )}
+
+      {conflictCheck && (
+        <BookingConflictModal
+          conflicts={conflictCheck.conflicts}
+          calendarErrors={conflictCheck.calendarErrors}
+          canOverride={isAdmin()}
+          onOverride={handleConflictOverride}
+          onClose={() => setConflictCheck(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getAuth } from 'firebase/auth';
+import { RotateCcw } from 'lucide-react';
+import { formatDateTime } from '../utils/date.js';
+import { HISTORY_SOURCES } from '../utils/bookingHistory';
+import { subscribeToBookingHistory, restoreBookingValue } from '../utils/bookingHistoryActions';
+
+// Friendlier names for the fields people actually edit; anything else shows its raw path
+const FIELD_LABELS = {
+  bookingDate: 'Booking date',
+  'bookingDetails.date': 'Date',
+  'bookingDetails.boatName': 'Boat',
+  'bookingDetails.boatCompany': 'Boat company',
+  'bookingDetails.passengers': 'Passengers',
+  'bookingDetails.startTime': 'Start time',
+  'bookingDetails.endTime': 'End time',
+  'clientDetails.name': 'Client name',
+  'clientDetails.phone': 'Client phone',
+  'clientDetails.email': 'Client email',
+  'clientDetails.passportNumber': 'Passport',
+  'clientDetails.address': 'Address',
+  'pricing.agreedPrice': 'Agreed price',
+  'pricing.totalPaid': 'Total paid',
+  'pricing.paymentStatus': 'Payment status',
+  'transfer.dispatch.outbound.driverId': 'Outbound driver',
+  'transfer.dispatch.outbound.vehicleId': 'Outbound vehicle',
+  'transfer.dispatch.outbound.offsetMinutes': 'Outbound pickup (minutes before)',
+  'transfer.dispatch.outbound.status': 'Outbound transfer status',
+  'transfer.dispatch.return.driverId': 'Return driver',
+  'transfer.dispatch.return.vehicleId': 'Return vehicle',
+  'transfer.dispatch.return.offsetMinutes': 'Return pickup (minutes after)',
+  'transfer.dispatch.return.status': 'Return transfer status',
+  'transfer.dispatch.cost': 'Transfer cost',
+  'cancellation.penalty': 'Cancellation penalty',
+  'cancellation.refund': 'Cancellation refund',
+  'cancellation.policyName': 'Cancellation policy',
+  'ownerPayments.firstPayment.amount': 'Owner first payout',
+  'ownerPayments.secondPayment.amount': 'Owner second payout',
+  'ownerPayments.transferPayment.amount': 'Owner transfer payout',
+  'partnerPayments.firstPayment.amount': 'Partner commission',
+  notes: 'Notes',
+  clientNotes: 'Notes (legacy key)',
+  restaurantName: 'Restaurant'
+};
+
+const getFieldLabel = (path) => FIELD_LABELS[path] || path;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatActor = (actor) => actor?.displayName || actor?.email || 'System';
+
+const BookingHistory = ({ bookingId, canRestore = true, onRestored }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoringKey, setRestoringKey] = useState(null);
+
+  useEffect(() => {
+    if (!bookingId) return undefined;
+    setLoading(true);
+    const unsubscribe = subscribeToBookingHistory(
+      bookingId,
+      (history) => {
+        setEntries(history);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+    return () => unsubscribe();
+  }, [bookingId]);
+
+  const handleRestore = async (entryId, change) => {
+    const confirmed = window.confirm(
+      `Restore ${getFieldLabel(change.path)} to "${formatValue(change.oldValue)}"?`
+    );
+    if (!confirmed) return;
+
+    const key = `${entryId}:${change.path}`;
+    setRestoringKey(key);
+    try {
+      await restoreBookingValue(bookingId, change.path, change.oldValue, getAuth().currentUser);
+      if (onRestored) onRestored();
+    } catch (err) {
+      console.error('Error restoring booking value:', err);
+      alert('Failed to restore value: ' + err.message);
+    } finally {
+      setRestoringKey(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500 p-4">Loading history...</p>;
+  }
+
+  return (
+    <div className="p-4 border rounded-lg">
+      <h4 className="text-lg font-bold mb-1">Change History</h4>
+      <p className="text-xs text-gray-500 mb-4">
+        Every saved change to this booking, newest first.
+        {!canRestore && ' Finish or cancel editing to restore values.'}
+      </p>
+
+      {error && <div className="mb-3 p-2 bg-red-100 text-red-800 rounded text-sm">{error}</div>}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded yet.</p>
+      ) : (
+        <ol className="space-y-4">
+          {entries.map((entry) => (
+            <li key={entry.id} className="border-l-2 border-blue-200 pl-3">
+              <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600 mb-1">
+                <span className="font-medium text-gray-900">{formatDateTime(entry.changedAtIso)}</span>
+                <span>·</span>
+                <span>{formatActor(entry.changedBy)}</span>
+                <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                  {HISTORY_SOURCES[entry.source] || entry.source}
+                </span>
+              </div>
+              <table className="w-full text-sm">
+                <tbody>
+                  {(entry.changes || []).map((change) => {
+                    const key = `${entry.id}:${change.path}`;
+                    return (
+                      <tr key={change.path} className="align-top">
+                        <td className="py-1 pr-3 text-gray-700 whitespace-nowrap">
+                          {getFieldLabel(change.path)}
+                        </td>
+                        <td className="py-1 pr-3 text-red-700 line-through break-all">
+                          {formatValue(change.oldValue)}
+                        </td>
+                        <td className="py-1 pr-3 text-green-700 break-all">
+                          {formatValue(change.newValue)}
+                        </td>
+                        <td className="py-1 text-right">
+                          {change.restorable && (
+                            <button
+                              onClick={() => handleRestore(entry.id, change)}
+                              disabled={!canRestore || Boolean(restoringKey)}
+                              className="inline-flex items-center gap-1 px-2 py-0.5 text-xs bg-blue-50 text-blue-700 rounded hover:bg-blue-100 disabled:opacity-50"
+                              title="Put the old value back"
+                            >
+                              <RotateCcw size={12} />
+                              {restoringKey === key ? 'Restoring...' : 'Restore'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+BookingHistory.propTypes = {
+  bookingId: PropTypes.string.isRequired,
+  canRestore: PropTypes.bool,
+  onRestored: PropTypes.func
+};
+
+export default BookingHistory;
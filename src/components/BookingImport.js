@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import { getAuth } from 'firebase/auth';
+import { Upload, AlertTriangle, CheckCircle, RotateCcw, FileSpreadsheet } from 'lucide-react';
+import {
+    IMPORT_FIELDS,
+    MAX_IMPORT_ROWS,
+    parseImportFile,
+    guessColumnMapping
+} from '../utils/bookingImport';
+import {
+    prepareImport,
+    importBookings,
+    subscribeToImportBatches,
+    getRollbackWarnings,
+    rollbackImportBatch
+} from '../utils/bookingImportActions';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-GB') : '—');
+
+const BookingImport = () => {
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [preview, setPreview] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null);
+    const [batches, setBatches] = useState([]);
+
+    useEffect(() => subscribeToImportBatches(setBatches, err => setError(err.message)), []);
+
+    const validRows = preview ? preview.filter(row => row.errors.length === 0) : [];
+    const missingRequired = IMPORT_FIELDS.filter(field => field.required && !mapping[field.key]);
+
+    const handleFileChange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        setError(null);
+        setResult(null);
+        setPreview(null);
+        try {
+            const parsed = await parseImportFile(file);
+            if (parsed.rows.length === 0) throw new Error('The file has no rows');
+            setFileName(file.name);
+            setHeaders(parsed.headers);
+            setRows(parsed.rows);
+            setMapping(guessColumnMapping(parsed.headers));
+        } catch (err) {
+            console.error('Error reading import file:', err);
+            setError(err.message);
+            setFileName('');
+            setRows([]);
+        }
+        event.target.value = '';
+    };
+
+    const handleMappingChange = (fieldKey, header) => {
+        setMapping(prev => ({ ...prev, [fieldKey]: header }));
+        setPreview(null);
+    };
+
+    const handleValidate = async () => {
+        setBusy(true);
+        setError(null);
+        try {
+            setPreview(await prepareImport(rows, mapping));
+        } catch (err) {
+            console.error('Error validating import:', err);
+            setError(`Validation failed: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleImport = async () => {
+        const skipped = preview.length - validRows.length;
+        if (!window.confirm(
+            `Import ${validRows.length} booking${validRows.length === 1 ? '' : 's'}?` +
+            (skipped > 0 ? ` ${skipped} row${skipped === 1 ? '' : 's'} with errors will be skipped.` : '')
+        )) return;
+
+        setBusy(true);
+        setError(null);
+        try {
+            const imported = await importBookings(preview, { fileName, user: getAuth().currentUser });
+            setResult(imported);
+            setPreview(null);
+            setRows([]);
+            setHeaders([]);
+            setFileName('');
+        } catch (err) {
+            console.error('Error importing bookings:', err);
+            setError(`Import failed: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRollback = async (batch) => {
+        setBusy(true);
+        setError(null);
+        try {
+            const warnings = await getRollbackWarnings(batch);
+            const message =
+                `Roll back "${batch.fileName || batch.id}"? This deletes its ${batch.bookingIds.length} bookings ` +
+                'and their payment records, and removes any clients it created.' +
+                (warnings.length > 0 ? `\n\nChanged since import:\n- ${warnings.join('\n- ')}` : '');
+            if (!window.confirm(message)) return;
+            await rollbackImportBatch(batch, getAuth().currentUser);
+        } catch (err) {
+            console.error('Error rolling back import:', err);
+            setError(`Rollback failed: ${err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="container mx-auto p-4">
+            <div className="mb-6">
+                <h1 className="text-2xl font-bold flex items-center gap-2">
+                    <Upload size={24} /> Import Bookings
+                </h1>
+                <p className="text-sm text-gray-500">
+                    Upload a broker spreadsheet (.csv or .xlsx, first sheet). Up to {MAX_IMPORT_ROWS} bookings per import;
+                    imported clients are not emailed.
+                </p>
+            </div>
+
+            {error && (
+                <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-lg flex items-center gap-2">
+                    <AlertTriangle size={16} /> {error}
+                </div>
+            )}
+
+            {result && (
+                <div className="mb-4 p-3 bg-green-100 text-green-800 rounded-lg flex items-center gap-2">
+                    <CheckCircle size={16} />
+                    Imported {result.bookingIds.length} bookings (batch {result.batchId}).
+                </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+                <label className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 cursor-pointer">
+                    <FileSpreadsheet size={16} />
+                    {fileName ? 'Choose another file' : 'Choose file'}
+                    <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileChange} className="hidden" />
+                </label>
+                {fileName && (
+                    <span className="ml-3 text-sm text-gray-600">
+                        {fileName} · {rows.length} rows
+                    </span>
+                )}
+
+                {headers.length > 0 && (
+                    <>
+                        <h2 className="text-lg font-semibold mt-6 mb-3">Columns</h2>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                            {IMPORT_FIELDS.map(field => (
+                                <label key={field.key} className="text-sm">
+                                    <span className="block text-gray-700 mb-1">
+                                        {field.label}
+                                        {field.required && <span className="text-red-600"> *</span>}
+                                    </span>
+                                    <select
+                                        value={mapping[field.key] || ''}
+                                        onChange={e => handleMappingChange(field.key, e.target.value)}
+                                        className="w-full p-2 border rounded-md"
+                                    >
+                                        <option value="">— Not in file —</option>
+                                        {headers.map(header => (
+                                            <option key={header} value={header}>{header}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+                        <button
+                            onClick={handleValidate}
+                            disabled={busy || missingRequired.length > 0}
+                            title={missingRequired.length > 0 ? `Map ${missingRequired.map(f => f.label).join(', ')}` : ''}
+                            className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {busy && !preview ? 'Checking...' : 'Check rows'}
+                        </button>
+                    </>
+                )}
+            </div>
+
+            {preview && (
+                <div className="bg-white rounded-lg shadow-md mb-6">
+                    <div className="flex flex-wrap justify-between items-center gap-2 p-4 border-b">
+                        <div className="text-sm text-gray-700">
+                            <span className="text-green-700 font-medium">{validRows.length} ready</span>
+                            {' · '}
+                            <span className="text-red-700 font-medium">{preview.length - validRows.length} with errors</span>
+                        </div>
+                        <button
+                            onClick={handleImport}
+                            disabled={busy || validRows.length === 0 || validRows.length > MAX_IMPORT_ROWS}
+                            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                        >
+                            {busy ? 'Importing...' : `Import ${validRows.length} bookings`}
+                        </button>
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead className="bg-gray-50 text-left text-gray-600">
+                                <tr>
+                                    <th className="p-3">Row</th>
+                                    <th className="p-3">Client</th>
+                                    <th className="p-3">Boat</th>
+                                    <th className="p-3">Date</th>
+                                    <th className="p-3">Time</th>
+                                    <th className="p-3">Price</th>
+                                    <th className="p-3">Status</th>
+                                    <th className="p-3">Problems</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y">
+                                {preview.map(row => {
+                                    const { clientDetails, bookingDetails, pricing } = row.draft;
+                                    return (
+                                        <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                                            <td className="p-3 text-gray-500">{row.rowNumber}</td>
+                                            <td className="p-3">
+                                                <div className="font-medium text-gray-900">{clientDetails.name || '—'}</div>
+                                                <div className="text-xs text-gray-500">
+                                                    {row.client ? `Existing client: ${row.client.name || row.client.id}` : 'New client'}
+                                                </div>
+                                            </td>
+                                            <td className="p-3 text-gray-600">{bookingDetails.boatName || '—'}</td>
+                                            <td className="p-3 text-gray-600">{bookingDetails.date || '—'}</td>
+                                            <td className="p-3 text-gray-600 whitespace-nowrap">
+                                                {bookingDetails.startTime || '—'}–{bookingDetails.endTime || '—'}
+                                            </td>
+                                            <td className="p-3 text-gray-600">€{pricing.agreedPrice.toFixed(2)}</td>
+                                            <td className="p-3 text-gray-600 capitalize">{row.status}</td>
+                                            <td className="p-3">
+                                                {row.errors.map(message => (
+                                                    <div key={message} className="text-red-700">{message}</div>
+                                                ))}
+                                                {row.warnings.map(message => (
+                                                    <div key={message} className="text-amber-700">{message}</div>
+                                                ))}
+                                                {row.errors.length === 0 && row.warnings.length === 0 && (
+                                                    <span className="text-green-700">OK</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+                <h2 className="text-lg font-semibold p-4 border-b">Recent imports</h2>
+                <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">File</th>
+                            <th className="p-3">Imported</th>
+                            <th className="p-3">By</th>
+                            <th className="p-3">Bookings</th>
+                            <th className="p-3">Status</th>
+                            <th className="p-3" />
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y">
+                        {batches.map(batch => (
+                            <tr key={batch.id}>
+                                <td className="p-3">
+                                    <div className="font-medium text-gray-900">{batch.fileName || '—'}</div>
+                                    <div className="text-xs text-gray-500">{batch.id}</div>
+                                </td>
+                                <td className="p-3 text-gray-600">{formatDateTime(batch.createdAt)}</td>
+                                <td className="p-3 text-gray-600">
+                                    {batch.createdBy?.displayName || batch.createdBy?.email || '—'}
+                                </td>
+                                <td className="p-3 text-gray-600">
+                                    {batch.importedCount}
+                                    {batch.skippedCount > 0 && ` (${batch.skippedCount} skipped)`}
+                                </td>
+                                <td className="p-3 text-gray-600">
+                                    {batch.status === 'rolledBack'
+                                        ? `Rolled back ${formatDateTime(batch.rolledBackAt)}`
+                                        : 'Imported'}
+                                </td>
+                                <td className="p-3 text-right">
+                                    {batch.status === 'imported' && (
+                                        <button
+                                            onClick={() => handleRollback(batch)}
+                                            disabled={busy}
+                                            className="inline-flex items-center gap-1 px-3 py-1 bg-red-100 text-red-800 rounded-md hover:bg-red-200 disabled:opacity-50"
+                                        >
+                                            <RotateCcw size={14} /> Roll back
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                        {batches.length === 0 && (
+                            <tr>
+                                <td colSpan={6} className="p-6 text-center text-gray-500">No imports yet.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default BookingImport;
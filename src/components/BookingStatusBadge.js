@@ -0,0 +1,22 @@
+import React from 'react';
+import { getStatusMeta, toOptionExpiryDate } from '../utils/bookingStatus';
+
+const formatExpiry = (date) =>
+  date.toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+const BookingStatusBadge = ({ status, optionExpiresAt, className = '' }) => {
+  const meta = getStatusMeta(status);
+  const expiry = status === 'option' ? toOptionExpiryDate(optionExpiresAt) : null;
+
+  return (
+    <span
+      className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${meta.className} ${className}`}
+      title={expiry ? `Option expires ${expiry.toLocaleString('en-GB')}` : meta.label}
+    >
+      {meta.label}
+      {expiry ? ` · until ${formatExpiry(expiry)}` : ''}
+    </span>
+  );
+};
+
+export default BookingStatusBadge;
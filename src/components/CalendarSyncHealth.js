@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from "../firebase/firebaseConfig";
+import { RefreshCw, CheckCircle, AlertTriangle, Clock } from 'lucide-react';
+import { subscribeToCalendarSync, requestCalendarSync, isSyncStale } from '../utils/calendarSync';
+
+const formatDateTime = (date) => (date ? date.toLocaleString('en-GB') : '—');
+
+const getHealth = (sync) => {
+    if (!sync) {
+        return { label: 'Never synced', icon: Clock, className: 'bg-gray-100 text-gray-700' };
+    }
+    if (sync.syncStatus === 'error') {
+        return { label: 'Failing', icon: AlertTriangle, className: 'bg-red-100 text-red-800' };
+    }
+    if (isSyncStale(sync)) {
+        return { label: 'Stale', icon: Clock, className: 'bg-orange-100 text-orange-800' };
+    }
+    return { label: 'Healthy', icon: CheckCircle, className: 'bg-green-100 text-green-800' };
+};
+
+const CalendarSyncHealth = () => {
+    const [boats, setBoats] = useState([]);
+    const [calendarSync, setCalendarSync] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [syncingId, setSyncingId] = useState(null);
+
+    useEffect(() => {
+        const fetchBoats = async () => {
+            try {
+                const snapshot = await getDocs(collection(db, 'boats'));
+                setBoats(
+                    snapshot.docs
+                        .map(doc => ({ id: doc.id, ...doc.data() }))
+                        .filter(boat => boat.icalUrl)
+                        .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+                );
+            } catch (err) {
+                console.error('Error fetching boats:', err);
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchBoats();
+        const unsubscribe = subscribeToCalendarSync(setCalendarSync, (err) => setError(err.message));
+        return () => unsubscribe();
+    }, []);
+
+    // syncingId is 'all' for the whole fleet, otherwise a boat id
+    const handleSync = async (boatId = null) => {
+        setSyncingId(boatId || 'all');
+        setError(null);
+        try {
+            const results = await requestCalendarSync(boatId);
+            const failed = results.filter(result => result.status === 'error');
+            if (failed.length > 0) {
+                setError(`Sync failed for ${failed.map(result => result.boatName).join(', ')}`);
+            }
+        } catch (err) {
+            console.error('Error syncing calendars:', err);
+            setError(`Sync failed: ${err.message}`);
+        } finally {
+            setSyncingId(null);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center h-64">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500" />
+            </div>
+        );
+    }
+
+    const failingCount = boats.filter(boat => calendarSync[boat.id]?.syncStatus === 'error').length;
+
+    return (
+        <div className="container mx-auto p-4">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-2">
+                <div>
+                    <h1 className="text-2xl font-bold">Calendar Sync Health</h1>
+                    <p className="text-sm text-gray-500">
+                        Owner calendars are fetched every 30 minutes. {boats.length} boats with a calendar, {failingCount} failing.
+                    </p>
+                </div>
+                <button
+                    onClick={() => handleSync()}
+                    disabled={Boolean(syncingId)}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center gap-2 disabled:opacity-50"
+                >
+                    <RefreshCw size={16} className={syncingId === 'all' ? 'animate-spin' : ''} />
+                    {syncingId === 'all' ? 'Syncing all...' : 'Sync all now'}
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-lg">{error}</div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+                <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Boat</th>
+                            <th className="p-3">Status</th>
+                            <th className="p-3">Last attempt</th>
+                            <th className="p-3">Last success</th>
+                            <th className="p-3">Busy periods</th>
+                            <th className="p-3">Last error</th>
+                            <th className="p-3" />
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y">
+                        {boats.map(boat => {
+                            const sync = calendarSync[boat.id];
+                            const health = getHealth(sync);
+                            const HealthIcon = health.icon;
+                            return (
+                                <tr key={boat.id}>
+                                    <td className="p-3 font-medium text-gray-900">{boat.name}</td>
+                                    <td className="p-3">
+                                        <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs ${health.className}`}>
+                                            <HealthIcon size={14} />
+                                            {health.label}
+                                            {sync?.consecutiveFailures > 1 ? ` (${sync.consecutiveFailures}x)` : ''}
+                                        </span>
+                                    </td>
+                                    <td className="p-3 text-gray-600">{formatDateTime(sync?.lastSyncAt)}</td>
+                                    <td className="p-3 text-gray-600">{formatDateTime(sync?.lastSuccessAt)}</td>
+                                    <td className="p-3 text-gray-600">{sync ? sync.eventCount : '—'}</td>
+                                    <td className="p-3 text-red-700 max-w-xs truncate" title={sync?.lastError || ''}>
+                                        {sync?.syncStatus === 'error' ? sync.lastError : ''}
+                                    </td>
+                                    <td className="p-3 text-right">
+                                        <button
+                                            onClick={() => handleSync(boat.id)}
+                                            disabled={Boolean(syncingId)}
+                                            className="px-3 py-1 bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200 disabled:opacity-50"
+                                        >
+                                            {syncingId === boat.id ? 'Syncing...' : 'Sync now'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {boats.length === 0 && (
+                            <tr>
+                                <td colSpan={7} className="p-6 text-center text-gray-500">
+                                    No boats have an iCal calendar URL yet.
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default CalendarSyncHealth;
@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertTriangle, X } from 'lucide-react';
+import { adjustRefund, computeCancellation, describeTiers, resolvePolicy } from '../utils/cancellationPolicy';
+import { applyCancellation, loadCancellationContext } from '../utils/cancellationPolicyActions';
+
+const formatEuro = (value) => `€${(Number(value) || 0).toFixed(2)}`;
+
+const SummaryRow = ({ label, value, strong, tone }) => (
+  <div className="flex justify-between text-sm py-1">
+    <span className="text-gray-600">{label}</span>
+    <span className={`${strong ? 'font-semibold' : ''} ${tone || 'text-gray-900'}`}>{value}</span>
+  </div>
+);
+
+/**
+ * Confirms a cancellation, showing what the applicable policy retains and refunds
+ * and how owner payouts and the partner commission change. Admins can adjust the refund.
+ */
+const CancellationModal = ({ booking, user, canAdjustRefund, onCancelled, onClose }) => {
+  const [policy, setPolicy] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [refund, setRefund] = useState('');
+  const [refundMethod, setRefundMethod] = useState('transfer');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const { policies, partner } = await loadCancellationContext(booking);
+        const applicable = resolvePolicy(booking, policies);
+        const computed = computeCancellation(booking, applicable, { partner });
+        if (cancelled) return;
+        setPolicy(applicable);
+        setSummary(computed);
+        setRefund(String(computed.refund));
+      } catch (err) {
+        console.error('Error loading cancellation policy:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [booking]);
+
+  const handleConfirm = async () => {
+    const refundAmount = parseFloat(refund) || 0;
+    if (refundAmount < 0 || refundAmount > summary.received) {
+      alert(`The refund must be between €0 and the ${formatEuro(summary.received)} received.`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const updates = await applyCancellation(booking, adjustRefund(summary, refundAmount), {
+        user,
+        reason: reason.trim(),
+        refundMethod
+      });
+      onCancelled(updates);
+    } catch (err) {
+      console.error('Error cancelling booking:', err);
+      alert(`Failed to cancel booking: ${err.message}`);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center px-4 bg-black bg-opacity-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="cancellation-title"
+      onClick={(e) => {
+        e.stopPropagation();
+        onClose();
+      }}
+    >
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="p-4 flex justify-between items-center bg-red-100 rounded-t-lg">
+          <h3 id="cancellation-title" className="flex items-center gap-2 text-lg font-bold text-red-800">
+            <AlertTriangle className="w-5 h-5" />
+            Cancel booking
+          </h3>
+          <button onClick={onClose} className="text-red-700 hover:text-red-900" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {loading ? (
+            <div className="flex justify-center items-center h-24">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-red-500" />
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-700">{error}</p>
+          ) : (
+            <>
+              <div className="text-sm bg-gray-50 p-3 rounded">
+                <div className="font-medium text-gray-900">{policy.name}</div>
+                <div className="text-gray-600">{describeTiers(policy.tiers).join(' · ')}</div>
+                <div className="text-gray-600 mt-1">
+                  {summary.daysBefore === null
+                    ? 'No charter date, so everything is retained.'
+                    : summary.daysBefore < 0
+                      ? 'The charter date has passed.'
+                      : `${summary.daysBefore} day(s) before the charter: ${summary.retainPercent}% retained.`}
+                </div>
+              </div>
+
+              <div className="divide-y">
+                <SummaryRow label="Agreed price" value={formatEuro(summary.agreedPrice)} />
+                <SummaryRow label="Received from client" value={formatEuro(summary.received)} />
+                <SummaryRow label="Penalty retained" value={formatEuro(summary.penalty)} strong />
+                <SummaryRow label="Refund due" value={formatEuro(summary.refund)} strong tone="text-red-700" />
+                {summary.uncollected > 0 && (
+                  <SummaryRow
+                    label="Penalty not covered by payments"
+                    value={formatEuro(summary.uncollected)}
+                    tone="text-orange-700"
+                  />
+                )}
+                <SummaryRow
+                  label={`Owner payout (${summary.ownerSharePercent}% of penalty)`}
+                  value={formatEuro(summary.ownerPayout)}
+                />
+                {summary.ownerToReclaim > 0 && (
+                  <SummaryRow
+                    label="Already paid to owner, to reclaim"
+                    value={formatEuro(summary.ownerToReclaim)}
+                    tone="text-orange-700"
+                  />
+                )}
+                {summary.commissionRate > 0 && (
+                  <SummaryRow
+                    label={`Partner commission (${summary.commissionRate}% of penalty)`}
+                    value={formatEuro(summary.partnerCommission)}
+                  />
+                )}
+                {summary.partnerToReclaim > 0 && (
+                  <SummaryRow
+                    label="Already paid to partner, to reclaim"
+                    value={formatEuro(summary.partnerToReclaim)}
+                    tone="text-orange-700"
+                  />
+                )}
+              </div>
+
+              {summary.received > 0 && (
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Refund (€)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={summary.received}
+                      step="0.01"
+                      value={refund}
+                      onChange={(e) => setRefund(e.target.value)}
+                      disabled={!canAdjustRefund}
+                      className="w-full p-2 border rounded disabled:bg-gray-100"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Refund method</label>
+                    <select
+                      value={refundMethod}
+                      onChange={(e) => setRefundMethod(e.target.value)}
+                      className="w-full p-2 border rounded"
+                    >
+                      <option value="transfer">Bank transfer</option>
+                      <option value="pos">Card (POS)</option>
+                      <option value="cash">Cash</option>
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason (optional)</label>
+                <textarea
+                  className="w-full p-2 border rounded"
+                  rows="2"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                />
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="p-4 bg-gray-100 flex justify-end gap-2 rounded-b-lg">
+          <button onClick={onClose} className="px-4 py-2 bg-white border rounded-md hover:bg-gray-50">
+            Keep booking
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={loading || saving || Boolean(error)}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+          >
+            {saving ? 'Cancelling…' : 'Cancel booking'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+CancellationModal.propTypes = {
+  booking: PropTypes.object.isRequired,
+  user: PropTypes.object,
+  canAdjustRefund: PropTypes.bool,
+  onCancelled: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default CancellationModal;
@@ -0,0 +1,339 @@
+import React, { useEffect, useState } from 'react';
+import { collection, deleteDoc, doc, getDocs } from 'firebase/firestore';
+import { getAuth } from 'firebase/auth';
+import { FileX, Pencil, Plus, Trash2, AlertTriangle } from 'lucide-react';
+import { db } from '../firebase/firebaseConfig';
+import {
+  BUILT_IN_POLICY,
+  POLICY_SCOPES,
+  describeTiers
+} from '../utils/cancellationPolicy';
+import { saveCancellationPolicy, subscribeToCancellationPolicies } from '../utils/cancellationPolicyActions';
+
+const emptyForm = () => ({
+  id: null,
+  name: '',
+  scope: 'boat',
+  boatName: '',
+  partnerId: '',
+  tiers: BUILT_IN_POLICY.tiers.map((tier) => ({ ...tier })),
+  ownerSharePercent: 0
+});
+
+const getTarget = (policy) => {
+  if (policy.scope === 'boat') return policy.boatName;
+  if (policy.scope === 'partner') return policy.partnerName;
+  return 'All bookings without a more specific policy';
+};
+
+const CancellationPolicies = () => {
+  const [policies, setPolicies] = useState([]);
+  const [boats, setBoats] = useState([]);
+  const [partners, setPartners] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribeToCancellationPolicies(setPolicies, (err) => setError(err.message)), []);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const boatsSnapshot = await getDocs(collection(db, 'boats'));
+        setBoats(
+          boatsSnapshot.docs
+            .map((boatDoc) => boatDoc.data().name)
+            .filter(Boolean)
+            .sort((a, b) => a.localeCompare(b))
+        );
+
+        const hotelsSnapshot = await getDocs(collection(db, 'hotels'));
+        const collaboratorsSnapshot = await getDocs(collection(db, 'collaborators'));
+        setPartners(
+          hotelsSnapshot.docs
+            .concat(collaboratorsSnapshot.docs)
+            .map((partnerDoc) => ({ id: partnerDoc.id, name: partnerDoc.data().name || partnerDoc.id }))
+            .sort((a, b) => a.name.localeCompare(b.name))
+        );
+      } catch (err) {
+        console.error('Error fetching boats and partners:', err);
+        setError('Failed to load boats and partners');
+      }
+    };
+    fetchOptions();
+  }, []);
+
+  const hasDefault = policies.some((policy) => policy.scope === 'default');
+
+  const updateTier = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      alert('Please give the policy a name.');
+      return;
+    }
+    if (form.scope === 'boat' && !form.boatName) {
+      alert('Please choose a boat.');
+      return;
+    }
+    if (form.scope === 'partner' && !form.partnerId) {
+      alert('Please choose a partner.');
+      return;
+    }
+    if (form.tiers.length === 0) {
+      alert('Add at least one tier.');
+      return;
+    }
+    const duplicate = policies.find(
+      (policy) =>
+        policy.id !== form.id &&
+        policy.scope === form.scope &&
+        (form.scope === 'default' ||
+          (form.scope === 'boat' && policy.boatName === form.boatName) ||
+          (form.scope === 'partner' && policy.partnerId === form.partnerId))
+    );
+    if (duplicate) {
+      alert(`"${duplicate.name}" already covers this ${POLICY_SCOPES[form.scope].toLowerCase()}. Edit that policy instead.`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const partner = partners.find((entry) => entry.id === form.partnerId);
+      await saveCancellationPolicy({ ...form, partnerName: partner?.name }, getAuth().currentUser);
+      setForm(null);
+    } catch (err) {
+      console.error('Error saving cancellation policy:', err);
+      alert('Failed to save the policy. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Delete the policy "${policy.name}"? Bookings already cancelled keep their figures.`)) return;
+    try {
+      await deleteDoc(doc(db, 'cancellationPolicies', policy.id));
+    } catch (err) {
+      console.error('Error deleting cancellation policy:', err);
+      alert('Failed to delete the policy. Please try again.');
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex flex-wrap justify-between items-center mb-6 gap-2">
+        <div>
+          <h1 className="text-2xl font-bold flex items-center gap-2">
+            <FileX size={24} /> Cancellation Policies
+          </h1>
+          <p className="text-sm text-gray-500">
+            How much is retained when a client cancels. Partner policies win over boat policies, which win over the default.
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(emptyForm())}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            <Plus size={16} /> New policy
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-lg flex items-center gap-2">
+          <AlertTriangle size={16} /> {error}
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow-md p-4 mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="w-full p-2 border rounded"
+                placeholder="e.g. Summer premium fleet"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+              <select
+                value={form.scope}
+                onChange={(e) => setForm({ ...form, scope: e.target.value })}
+                className="w-full p-2 border rounded"
+              >
+                {Object.keys(POLICY_SCOPES).map((scope) => (
+                  <option key={scope} value={scope}>
+                    {POLICY_SCOPES[scope]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {form.scope === 'boat' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Boat</label>
+                <select
+                  value={form.boatName}
+                  onChange={(e) => setForm({ ...form, boatName: e.target.value })}
+                  className="w-full p-2 border rounded"
+                >
+                  <option value="">Select a boat</option>
+                  {boats.map((name) => (
+                    <option key={name} value={name}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {form.scope === 'partner' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Partner</label>
+                <select
+                  value={form.partnerId}
+                  onChange={(e) => setForm({ ...form, partnerId: e.target.value })}
+                  className="w-full p-2 border rounded"
+                >
+                  <option value="">Select a partner</option>
+                  {partners.map((partner) => (
+                    <option key={partner.id} value={partner.id}>
+                      {partner.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Tiers</h3>
+            <div className="space-y-2">
+              {form.tiers.map((tier, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+                  <span>Cancelled</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={tier.daysBefore}
+                    onChange={(e) => updateTier(index, 'daysBefore', e.target.value)}
+                    className="w-20 p-1 border rounded"
+                  />
+                  <span>or more days before: retain</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={tier.retainPercent}
+                    onChange={(e) => updateTier(index, 'retainPercent', e.target.value)}
+                    className="w-20 p-1 border rounded"
+                  />
+                  <span>% of the agreed price</span>
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, tiers: form.tiers.filter((_, i) => i !== index) })}
+                    className="p-1 text-red-600 hover:text-red-800"
+                    aria-label="Remove tier"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, tiers: [...form.tiers, { daysBefore: 0, retainPercent: 100 }] })}
+              className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+            >
+              + Add tier
+            </button>
+            <p className="text-xs text-gray-500 mt-1">
+              Cancellations closer than every tier, or after the charter date, retain 100%.
+            </p>
+          </div>
+
+          <div className="max-w-xs">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Owner share of the penalty (%)</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={form.ownerSharePercent}
+              onChange={(e) => setForm({ ...form, ownerSharePercent: e.target.value })}
+              className="w-full p-2 border rounded"
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setForm(null)} className="px-4 py-2 bg-white border rounded-md hover:bg-gray-50">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving…' : 'Save policy'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow-md divide-y">
+        {!hasDefault && (
+          <div className="p-4 text-sm">
+            <div className="font-medium text-gray-900">
+              {BUILT_IN_POLICY.name} <span className="text-xs text-gray-500">(built in)</span>
+            </div>
+            <div className="text-gray-600">{describeTiers(BUILT_IN_POLICY.tiers).join(' · ')}</div>
+            <div className="text-xs text-gray-500 mt-1">
+              Used until a default policy is saved. Owner share {BUILT_IN_POLICY.ownerSharePercent}%.
+            </div>
+          </div>
+        )}
+        {policies.map((policy) => (
+          <div key={policy.id} className="p-4 flex flex-wrap justify-between items-start gap-2 text-sm">
+            <div>
+              <div className="font-medium text-gray-900">
+                {policy.name}
+                <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                  {POLICY_SCOPES[policy.scope]}
+                </span>
+              </div>
+              <div className="text-gray-500">{getTarget(policy)}</div>
+              <div className="text-gray-600">{describeTiers(policy.tiers).join(' · ')}</div>
+              <div className="text-xs text-gray-500 mt-1">Owner share {policy.ownerSharePercent || 0}%</div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setForm({ ...emptyForm(), ...policy, boatName: policy.boatName || '', partnerId: policy.partnerId || '' })}
+                className="p-2 text-blue-600 hover:text-blue-800"
+                aria-label="Edit policy"
+              >
+                <Pencil size={16} />
+              </button>
+              <button
+                onClick={() => handleDelete(policy)}
+                className="p-2 text-red-600 hover:text-red-800"
+                aria-label="Delete policy"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CancellationPolicies;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { collection, getDocs, addDoc, deleteDoc, doc, updateDoc, query } from 'firebase/firestore';
 import { db } from '../firebase/firebaseConfig';
+import { isTrashed } from '../utils/recycleBin';
 import toast from 'react-hot-toast';
 
 class CateringExpensesTracker extends React.Component {
@@ -62,7 +63,7 @@ class CateringExpensesTracker extends React.Component {
       const ordersList = [];
       
       querySnapshot.forEach((doc) => {
-        if (doc.exists()) {
+        if (doc.exists() && !isTrashed(doc.data())) {
           const orderData = doc.data();
           
           // Safely extract data with fallbacks
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { db } from '../firebase/firebaseConfig';
 import {
   collection,
@@ -16,6 +16,8 @@ import {
 } from 'firebase/firestore';
 import { CheckCircle, XCircle, Search, X, Printer, Plus } from 'lucide-react';
 import ManualOrderEntry from './ManualEntryOrder';
+import { isTrashed } from '../utils/recycleBin';
+import { useViewParam } from '../utils/useViewParam';
 
 const ORDERS_PER_PAGE = 10;
 
@@ -284,6 +286,19 @@ const CateringOrders = () => {
     loadInitialOrders();
   }, [selectedStatus]);
 
+  // Narrow the list to a linked order
+  const showLinkedOrder = useCallback((orderId, linkedOrder) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const orderDate = new Date(linkedOrder.orderDate || linkedOrder.createdAt);
+    orderDate.setHours(0, 0, 0, 0);
+    const dayDiff = Math.round((orderDate - today) / (24 * 60 * 60 * 1000));
+    setActiveTab(dayDiff < 0 ? 'past' : dayDiff > 1 ? 'future' : 'today-tomorrow');
+    setSelectedStatus('all');
+    setSearchQuery(linkedOrder.orderId || linkedOrder.id);
+  }, []);
+  useViewParam(orders, showLinkedOrder);
+
   const loadInitialOrders = async () => {
     setLoading(true);
     const ordersQuery = query(
@@ -295,10 +310,12 @@ const CateringOrders = () => {
     const unsubscribe = onSnapshot(
       ordersQuery,
       async (snapshot) => {
-        const ordersData = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
+        const ordersData = snapshot.docs
+          .map((doc) => ({
+            id: doc.id,
+            ...doc.data(),
+          }))
+          .filter((order) => !isTrashed(order));
         
         // Debug: Log all available fields in orders
         if (ordersData.length > 0) {
@@ -344,10 +361,12 @@ const CateringOrders = () => {
     );
 
     const snapshot = await getDocs(ordersQuery);
-    const newOrdersData = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const newOrdersData = snapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .filter((order) => !isTrashed(order));
 
     // Enrich new orders with related data
     const enrichedNewOrders = await fetchRelatedData(newOrdersData);
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   collection, 
   addDoc, 
@@ -19,6 +19,7 @@ import {
   MessageSquare, Filter, Search, UserPlus, Star, Eye,
   Anchor, MapPin, Menu, Edit3
 } from 'lucide-react';
+import { useViewParam } from '../utils/useViewParam';
 
 const AgencyCRM = () => {
   const { user, isAdmin } = useAuth();
@@ -152,6 +153,12 @@ const AgencyCRM = () => {
     };
   }, [user, isAdmin]);
 
+  const openLinkedBooking = useCallback((bookingId, linkedBooking) => {
+    setActiveTab('bookings');
+    setShowBookingDetails(linkedBooking);
+  }, []);
+  useViewParam(agencyBookings, openLinkedBooking);
+
   // Calculate lead score
   const calculateLeadScore = (lead) => {
     let score = 0;
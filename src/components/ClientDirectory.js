@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   collection,
   query,
@@ -11,6 +11,9 @@ import {
   where,
 } from 'firebase/firestore';
 import { db } from '../firebase/firebaseConfig';
+import { isTrashed } from '../utils/recycleBin';
+import { isPlaceholder, cleanEmail, canonicalEmail, normPhone } from '../utils/clientMatching';
+import { useViewParam } from '../utils/useViewParam';
 import {
   Phone,
   Mail,
@@ -62,26 +65,7 @@ const formatDate = (v) => {
   return isNaN(d) ? '' : d.toLocaleDateString('en-GB');
 };
 
-// Normalisers
-const strip = (s) => (s || '').toString().trim().toLowerCase();
-const isPlaceholder = (s) => {
-  const t = strip(s);
-  return !t || t === '-' || t === '—' || t === 'n/a' || t === 'na' || t === '--' || t === 'none';
-};
-const cleanEmail = (s) => strip(s).replace(/^[-_.\s]+/, ''); // remove leading junk like "-" or spaces
-const canonicalEmail = (s) => {
-  const e = cleanEmail(s);
-  const at = e.indexOf('@');
-  if (at === -1) return e;
-  let local = e.slice(0, at);
-  let domain = e.slice(at + 1);
-  if (domain === 'googlemail.com') domain = 'gmail.com';
-  if (domain === 'gmail.com') {
-    local = local.replace(/\./g, '').replace(/\+.*/, '');
-  }
-  return `${local}@${domain}`;
-};
-const normPhone = (s) => (s || '').toString().replace(/\D/g, ''); // E.164-ish digits only
+// Normalisers (contact normalisers live in utils/clientMatching)
 const toIso = (v) => {
   if (!v) return null;
   if (typeof v === 'string') return v;
@@ -374,6 +358,13 @@ const ClientDirectory = () => {
 
   useEffect(() => { fetchClientsAndBookings(); }, []);
 
+  const openLinkedClient = useCallback((clientId, linkedClient) => {
+    setActiveType('all');
+    setSearchTerm(linkedClient.name || linkedClient.email || '');
+    setExpandedClient(linkedClient.id);
+  }, []);
+  useViewParam(clients, openLinkedClient);
+
   // Filtering & sorting
   useEffect(() => {
     if (!clients.length) { setFilteredClients([]); return; }
@@ -447,7 +438,7 @@ const ClientDirectory = () => {
 
       // Load all bookings once
       const bookingsSnap = await getDocs(collection(db, 'bookings'));
-      const bookings = bookingsSnap.docs.map((d) => {
+      const bookings = bookingsSnap.docs.filter((d) => !isTrashed(d.data())).map((d) => {
         const b = d.data();
         const refId = getRefId(b.clientRef);
         const idCandidate = b.clientId || b.client?.id || refId || null;
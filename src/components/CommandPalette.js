@@ -0,0 +1,248 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Search, Calendar, Users, Utensils, MessageSquare, Briefcase, Receipt, FileText,
+  PlusCircle, Ship, LayoutGrid, ClipboardList, BarChart2, Loader, RefreshCw
+} from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { buildClientPrefill, loadSearchIndex, searchRecords } from '../utils/globalSearch';
+
+const TYPE_ICONS = {
+  bookings: Calendar,
+  clients: Users,
+  orders: Utensils,
+  leads: MessageSquare,
+  agentBookings: Briefcase,
+  expenses: Receipt,
+  contracts: FileText
+};
+
+const QUICK_ACTIONS = [
+  { id: 'new-booking', label: 'New booking', icon: PlusCircle, path: '/add-booking', adminOnly: true },
+  { id: 'bookings', label: 'Upcoming bookings', icon: Calendar, path: '/bookings' },
+  { id: 'available-boats', label: 'Available boats', icon: Ship, path: '/available-boats', adminOnly: true },
+  { id: 'planner', label: 'Boat planner', icon: LayoutGrid, path: '/planner', adminOnly: true },
+  { id: 'manifest', label: 'Daily manifest', icon: ClipboardList, path: '/daily-manifest', adminOnly: true },
+  { id: 'proposals', label: 'Proposals', icon: FileText, path: '/quotes', adminOnly: true },
+  { id: 'clients', label: 'Client directory', icon: Users, path: '/clients', adminOnly: true },
+  { id: 'financial', label: 'Financial dashboard', icon: BarChart2, path: '/financial-dashboard', adminOnly: true }
+];
+
+const isPaletteShortcut = (e) => (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k';
+
+/**
+ * Ctrl+K (⌘K on Mac) palette: jump to any booking, client, order, lead, agent
+ * booking, expense or contract, or run a quick action. Renders its own header trigger.
+ */
+const CommandPalette = () => {
+  const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+  const admin = isAdmin();
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!isPaletteShortcut(e)) return;
+      e.preventDefault();
+      setOpen((prev) => !prev);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const loadIndex = useCallback(async (force) => {
+    setLoading(true);
+    try {
+      setRecords(await loadSearchIndex({ isAdmin: admin, force }));
+    } catch (error) {
+      console.error('Error loading search index:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [admin]);
+
+  useEffect(() => {
+    if (!open) return;
+    setText('');
+    setActiveIndex(0);
+    loadIndex(false);
+    if (inputRef.current) inputRef.current.focus();
+  }, [open, loadIndex]);
+
+  // One flat list drives keyboard navigation; groups are only for display
+  const { groups, items } = useMemo(() => {
+    const query = text.trim().toLowerCase();
+    const resultGroups = searchRecords(records, query);
+
+    const actions = QUICK_ACTIONS
+      .filter((action) => admin || !action.adminOnly)
+      .filter((action) => !query || action.label.toLowerCase().includes(query))
+      .map((action) => ({ key: `action:${action.id}`, kind: 'action', title: action.label, icon: action.icon, path: action.path }));
+
+    // The best client-like hit gets a one-step "new booking" action
+    const topWithClient = admin && resultGroups
+      .map((group) => group.results.find((result) => result.client?.name))
+      .filter(Boolean)[0];
+    if (topWithClient) {
+      actions.unshift({
+        key: `new-booking-for:${topWithClient.key}`,
+        kind: 'action',
+        title: `New booking for ${topWithClient.client.name}`,
+        icon: PlusCircle,
+        path: '/add-booking',
+        state: { prefill: buildClientPrefill(topWithClient) }
+      });
+    }
+
+    const displayGroups = [];
+    if (actions.length > 0) displayGroups.push({ type: 'actions', label: 'Quick actions', results: actions });
+    resultGroups.forEach((group) => {
+      displayGroups.push({
+        type: group.type,
+        label: group.label,
+        results: group.results.map((result) => ({ ...result, kind: 'record', icon: TYPE_ICONS[result.type] }))
+      });
+    });
+
+    return { groups: displayGroups, items: displayGroups.reduce((acc, group) => acc.concat(group.results), []) };
+  }, [records, text, admin]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [text]);
+
+  useEffect(() => {
+    const active = listRef.current?.querySelector('[data-active="true"]');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const close = () => setOpen(false);
+
+  const runItem = (item, { newBooking = false } = {}) => {
+    if (!item) return;
+    close();
+    if (newBooking && item.client?.name) {
+      navigate('/add-booking', { state: { prefill: buildClientPrefill(item) } });
+      return;
+    }
+    navigate(item.path, item.state ? { state: item.state } : undefined);
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.min(index + 1, items.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runItem(items[activeIndex], { newBooking: e.shiftKey && admin });
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const trigger = (
+    <button
+      onClick={() => setOpen(true)}
+      className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-500 bg-gray-100 rounded-lg hover:bg-gray-200"
+    >
+      <Search size={16} />
+      <span className="hidden sm:inline">Search</span>
+      <kbd className="hidden sm:inline text-xs bg-white border rounded px-1">Ctrl K</kbd>
+    </button>
+  );
+
+  if (!open) return trigger;
+
+  let itemIndex = -1;
+
+  return (
+    <>
+      {trigger}
+      <div className="fixed inset-0 z-50 bg-black bg-opacity-40 flex items-start justify-center pt-[10vh] px-4" onClick={close}>
+        <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl overflow-hidden" onClick={(e) => e.stopPropagation()}>
+          <div className="flex items-center gap-2 border-b px-4">
+            <Search size={18} className="text-gray-400" />
+            <input
+              ref={inputRef}
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              onKeyDown={handleInputKeyDown}
+              placeholder={admin
+                ? 'Search bookings, clients, orders, leads, expenses, contracts…'
+                : 'Search bookings…'}
+              className="flex-1 py-3 outline-none text-base"
+            />
+            {loading ? (
+              <Loader size={16} className="animate-spin text-gray-400" />
+            ) : (
+              <button onClick={() => loadIndex(true)} className="text-gray-400 hover:text-gray-600" title="Reload data">
+                <RefreshCw size={16} />
+              </button>
+            )}
+          </div>
+
+          <div ref={listRef} className="max-h-[60vh] overflow-y-auto py-2">
+            {text.trim() && !loading && items.length === 0 && (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">Nothing matches “{text.trim()}”.</p>
+            )}
+            {groups.map((group) => (
+              <div key={group.type} className="mb-1">
+                <div className="px-4 py-1 text-xs font-semibold uppercase tracking-wide text-gray-400">{group.label}</div>
+                {group.results.map((item) => {
+                  itemIndex += 1;
+                  const index = itemIndex;
+                  const active = index === activeIndex;
+                  const Icon = item.icon;
+                  return (
+                    <div
+                      key={item.key}
+                      data-active={active}
+                      onMouseMove={() => setActiveIndex(index)}
+                      onClick={() => runItem(item)}
+                      className={`px-4 py-2 flex items-center gap-3 cursor-pointer ${active ? 'bg-blue-50' : ''}`}
+                    >
+                      {Icon && <Icon size={16} className={active ? 'text-blue-600' : 'text-gray-400'} />}
+                      <div className="flex-1 min-w-0">
+                        <div className="text-sm text-gray-900 truncate">{item.title}</div>
+                        {item.subtitle && <div className="text-xs text-gray-500 truncate">{item.subtitle}</div>}
+                      </div>
+                      {admin && item.kind === 'record' && item.client?.name && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            runItem(item, { newBooking: true });
+                          }}
+                          className={`text-xs text-blue-600 hover:underline whitespace-nowrap ${active ? '' : 'invisible'}`}
+                        >
+                          New booking
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+
+          <div className="border-t px-4 py-2 text-xs text-gray-500 flex flex-wrap gap-4">
+            <span>↑↓ to move</span>
+            <span>↵ to open</span>
+            {admin && <span>⇧↵ new booking for the client</span>}
+            <span>Esc to close</span>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default CommandPalette;
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import {
   FileText, Ship, User, Calendar, Euro,
   Check, Trash2, Save, Printer, ChevronDown,
@@ -8,11 +8,110 @@ import {
 import { getFirestore, collection, addDoc, getDocs, query, orderBy, doc, getDoc, deleteDoc } from "firebase/firestore";
 import { getStorage, ref, uploadString, getDownloadURL } from "firebase/storage";
 import { jsPDF } from "jspdf";
+import { useViewParam } from '../utils/useViewParam';
 
 // Use the existing Firebase instance from your app
 const db = getFirestore();
 const storage = getStorage();
 
+// Firebase database functions
+const firebaseDb = {
+  saveContract: async (contractData) => {
+    try {
+      // Add contract to Firestore
+      const contractRef = await addDoc(collection(db, "contracts"), {
+        ...contractData,
+        createdAt: new Date().toISOString(),
+        lessorSignature: 'Alin Stefan Letca'
+      });
+      
+      return contractRef.id;
+    } catch (error) {
+      console.error("Error saving contract to Firebase:", error);
+      throw error;
+    }
+  },
+
+  getContracts: async () => {
+    try {
+      const q = query(collection(db, "contracts"), orderBy("createdAt", "desc"));
+      const querySnapshot = await getDocs(q);
+      
+      const contracts = [];
+      querySnapshot.forEach((doc) => {
+        contracts.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+      
+      return contracts;
+    } catch (error) {
+      console.error("Error getting contracts from Firebase:", error);
+      throw error;
+    }
+  },
+  
+  deleteContract: async (id) => {
+    try {
+      await deleteDoc(doc(db, "contracts", id));
+      return true;
+    } catch (error) {
+      console.error("Error deleting contract:", error);
+      throw error;
+    }
+  },
+
+  getContractById: async (id) => {
+    try {
+      const docRef = doc(db, "contracts", id);
+      const docSnap = await getDoc(docRef);
+      
+      if (docSnap.exists()) {
+        return {
+          id: docSnap.id,
+          ...docSnap.data()
+        };
+      } else {
+        console.log("No such contract!");
+        return null;
+      }
+    } catch (error) {
+      console.error("Error getting contract by ID from Firebase:", error);
+      throw error;
+    }
+  },
+  
+  saveContractPDF: async (id, pdfBlob) => {
+    try {
+      // Create a reference to the PDF file location
+      const pdfRef = ref(storage, `contracts/${id}.pdf`);
+      
+      // Convert blob to base64 string for uploadString
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onloadend = async () => {
+          try {
+            // Upload the file to Firebase Storage
+            await uploadString(pdfRef, reader.result, 'data_url');
+            
+            // Get the download URL
+            const downloadURL = await getDownloadURL(pdfRef);
+            resolve(downloadURL);
+          } catch (error) {
+            reject(error);
+          }
+        };
+        reader.onerror = reject;
+        reader.readAsDataURL(pdfBlob);
+      });
+    } catch (error) {
+      console.error("Error saving PDF to Firebase Storage:", error);
+      throw error;
+    }
+  }
+};
+
 const SignatureCanvas = ({ value, onChange, disabled = false }) => {
     const canvasRef = useRef(null);
     const [isDrawing, setIsDrawing] = useState(false);
@@ -241,103 +340,6 @@ const ContractGenerator = () => {
 
   const [otherService, setOtherService] = useState({ name: '', price: '' });
 
-  // Firebase database functions
-  const firebaseDb = {
-    saveContract: async (contractData) => {
-      try {
-        // Add contract to Firestore
-        const contractRef = await addDoc(collection(db, "contracts"), {
-          ...contractData,
-          createdAt: new Date().toISOString(),
-          lessorSignature: 'Alin Stefan Letca'
-        });
-        
-        return contractRef.id;
-      } catch (error) {
-        console.error("Error saving contract to Firebase:", error);
-        throw error;
-      }
-    },
-
-    getContracts: async () => {
-      try {
-        const q = query(collection(db, "contracts"), orderBy("createdAt", "desc"));
-        const querySnapshot = await getDocs(q);
-        
-        const contracts = [];
-        querySnapshot.forEach((doc) => {
-          contracts.push({
-            id: doc.id,
-            ...doc.data()
-          });
-        });
-        
-        return contracts;
-      } catch (error) {
-        console.error("Error getting contracts from Firebase:", error);
-        throw error;
-      }
-    },
-    
-    deleteContract: async (id) => {
-      try {
-        await deleteDoc(doc(db, "contracts", id));
-        return true;
-      } catch (error) {
-        console.error("Error deleting contract:", error);
-        throw error;
-      }
-    },
-
-    getContractById: async (id) => {
-      try {
-        const docRef = doc(db, "contracts", id);
-        const docSnap = await getDoc(docRef);
-        
-        if (docSnap.exists()) {
-          return {
-            id: docSnap.id,
-            ...docSnap.data()
-          };
-        } else {
-          console.log("No such contract!");
-          return null;
-        }
-      } catch (error) {
-        console.error("Error getting contract by ID from Firebase:", error);
-        throw error;
-      }
-    },
-    
-    saveContractPDF: async (id, pdfBlob) => {
-      try {
-        // Create a reference to the PDF file location
-        const pdfRef = ref(storage, `contracts/${id}.pdf`);
-        
-        // Convert blob to base64 string for uploadString
-        return new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.onloadend = async () => {
-            try {
-              // Upload the file to Firebase Storage
-              await uploadString(pdfRef, reader.result, 'data_url');
-              
-              // Get the download URL
-              const downloadURL = await getDownloadURL(pdfRef);
-              resolve(downloadURL);
-            } catch (error) {
-              reject(error);
-            }
-          };
-          reader.onerror = reject;
-          reader.readAsDataURL(pdfBlob);
-        });
-      } catch (error) {
-        console.error("Error saving PDF to Firebase Storage:", error);
-        throw error;
-      }
-    }
-  };
 
   // Calculate total price whenever rental price or services change
   useEffect(() => {
@@ -392,7 +394,7 @@ const ContractGenerator = () => {
     }
   };
 
-  const loadContract = async (id) => {
+  const loadContract = useCallback(async (id) => {
     setIsLoading(true);
     try {
       const c = await firebaseDb.getContractById(id);
@@ -410,7 +412,8 @@ const ContractGenerator = () => {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, []);
+  useViewParam(null, loadContract);
 
   const saveContract = async () => {
     if (!contractData.lessee.name || !contractData.price.rental) {
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, ChevronRight, ClipboardList, Download, Printer, AlertTriangle } from 'lucide-react';
+import {
+    fetchDailyManifest,
+    buildManifestPdf,
+    getManifestFileName,
+    printManifestPdf,
+    formatManifestDate
+} from '../utils/dailyManifest';
+
+const toYmd = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const shiftDate = (ymd, days) => {
+    const next = new Date(`${ymd}T00:00:00`);
+    next.setDate(next.getDate() + days);
+    return toYmd(next);
+};
+
+const DailyManifest = () => {
+    const [date, setDate] = useState(() => toYmd(new Date()));
+    const [boats, setBoats] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const load = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const manifest = await fetchDailyManifest(date);
+                if (!cancelled) setBoats(manifest);
+            } catch (err) {
+                console.error('Error loading manifest:', err);
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+        return () => {
+            cancelled = true;
+        };
+    }, [date]);
+
+    const handleDownload = (selectedBoats, boatName) => {
+        try {
+            buildManifestPdf(selectedBoats, date).save(getManifestFileName(date, boatName));
+        } catch (err) {
+            console.error('PDF generation error:', err);
+            alert('Failed to generate the manifest. Please try again.');
+        }
+    };
+
+    const handlePrint = (selectedBoats) => {
+        try {
+            printManifestPdf(buildManifestPdf(selectedBoats, date));
+        } catch (err) {
+            console.error('PDF generation error:', err);
+            alert('Failed to generate the manifest. Please try again.');
+        }
+    };
+
+    return (
+        <div className="container mx-auto p-4">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-2">
+                <div>
+                    <h1 className="text-2xl font-bold flex items-center gap-2">
+                        <ClipboardList size={24} /> Daily Manifest
+                    </h1>
+                    <p className="text-sm text-gray-500">Trip sheets for captains: one page per boat.</p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => setDate(shiftDate(date, -1))} className="p-2 rounded-md border bg-white hover:bg-gray-100">
+                        <ChevronLeft size={16} />
+                    </button>
+                    <input
+                        type="date"
+                        value={date}
+                        onChange={e => e.target.value && setDate(e.target.value)}
+                        className="p-2 border rounded-md"
+                    />
+                    <button onClick={() => setDate(shiftDate(date, 1))} className="p-2 rounded-md border bg-white hover:bg-gray-100">
+                        <ChevronRight size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-lg flex items-center gap-2">
+                    <AlertTriangle size={16} /> {error}
+                </div>
+            )}
+
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                <h2 className="text-lg font-semibold">{formatManifestDate(date)}</h2>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => handleDownload(boats)}
+                        disabled={loading || boats.length === 0}
+                        className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        <Download size={16} /> All boats ({boats.length})
+                    </button>
+                    <button
+                        onClick={() => handlePrint(boats)}
+                        disabled={loading || boats.length === 0}
+                        className="inline-flex items-center gap-2 px-4 py-2 bg-white border rounded-md hover:bg-gray-100 disabled:opacity-50"
+                    >
+                        <Printer size={16} /> Print all
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500" />
+                </div>
+            ) : boats.length === 0 ? (
+                <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">No trips on this day.</div>
+            ) : (
+                <div className="space-y-4">
+                    {boats.map(boat => (
+                        <div key={boat.boatName} className="bg-white rounded-lg shadow-md">
+                            <div className="flex flex-wrap justify-between items-center gap-2 p-4 border-b">
+                                <div>
+                                    <div className="font-semibold text-gray-900">{boat.boatName}</div>
+                                    <div className="text-xs text-gray-500">{boat.boatCompany}</div>
+                                </div>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => handleDownload([boat], boat.boatName)}
+                                        className="inline-flex items-center gap-1 px-3 py-1 bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200"
+                                    >
+                                        <Download size={14} /> PDF
+                                    </button>
+                                    <button
+                                        onClick={() => handlePrint([boat])}
+                                        className="inline-flex items-center gap-1 px-3 py-1 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200"
+                                    >
+                                        <Printer size={14} /> Print
+                                    </button>
+                                </div>
+                            </div>
+                            <div className="divide-y text-sm">
+                                {boat.trips.map(trip => (
+                                    <div key={trip.id} className="p-4 grid grid-cols-1 md:grid-cols-4 gap-2">
+                                        <div>
+                                            <div className="font-medium">
+                                                {trip.startTime || '?'} – {trip.endTime || '?'}
+                                                {trip.status === 'option' && (
+                                                    <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">Option</span>
+                                                )}
+                                            </div>
+                                            <div className="text-gray-600">{trip.passengers || '—'} pax</div>
+                                        </div>
+                                        <div>
+                                            <div className="font-medium">{trip.clientName}</div>
+                                            <div className="text-gray-600">{trip.phone}</div>
+                                        </div>
+                                        <div className="text-gray-600">
+                                            {trip.pickup && <div>Pickup: {trip.pickup}</div>}
+                                            {trip.dropoff && <div>Drop-off: {trip.dropoff}</div>}
+                                            {trip.orders.map(order => (
+                                                <div key={order.orderId}>Catering #{order.orderId}: {order.items.join(', ')}</div>
+                                            ))}
+                                            {trip.notes && <div className="italic">{trip.notes}</div>}
+                                        </div>
+                                        <div className={`md:text-right font-medium ${trip.balance > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                                            {trip.balance > 0 ? `€${trip.balance.toFixed(2)} to collect` : 'Paid'}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DailyManifest;
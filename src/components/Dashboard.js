@@ -11,7 +11,9 @@ import {
   Euro,
   TrendingUp,
   BarChart2,
-  Download
+  Download,
+  Clock,
+  MessageSquare
 } from 'lucide-react';
 import { 
   LineChart, 
@@ -25,6 +27,20 @@ import {
   Legend, 
   ResponsiveContainer 
 } from 'recharts';
+import BookingStatusBadge from './BookingStatusBadge';
+import { getBookingStatus, isRevenueStatus } from '../utils/bookingStatus';
+import { isTrashed } from '../utils/recycleBin';
+import { getPaymentSchedule, getSchedulePaymentStatus, getScheduleTotals } from '../utils/paymentSchedule';
+
+// Payment badge from the booking's instalments; overdue ones take precedence
+const getPaymentBadge = (booking) => {
+  const schedule = getPaymentSchedule(booking.pricing);
+  if (getScheduleTotals(schedule).overdue > 0) return { label: "Overdue", className: "bg-red-100 text-red-800" };
+  const status = getSchedulePaymentStatus(schedule);
+  if (status === "Completed") return { label: "Paid", className: "bg-green-100 text-green-800" };
+  if (status === "Partial") return { label: "Partial", className: "bg-yellow-100 text-yellow-800" };
+  return { label: "Pending", className: "bg-gray-100 text-gray-800" };
+};
 
 function Dashboard() {
   const navigate = useNavigate();
@@ -36,7 +52,10 @@ function Dashboard() {
     avgBookingValue: 0,
     bookingGrowth: 0,
     topBoat: { name: "-", bookings: 0 },
-    revenueByMonth: []
+    revenueByMonth: [],
+    openOptions: 0,
+    openOptionsValue: 0,
+    openEnquiries: 0
   });
   const [recentBookings, setRecentBookings] = useState([]);
   const [revenueByBoat, setRevenueByBoat] = useState([]);
@@ -49,10 +68,17 @@ function Dashboard() {
       try {
         // Get all bookings
         const bookingsSnapshot = await getDocs(collection(db, "bookings"));
-        const bookings = bookingsSnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+        const allBookings = bookingsSnapshot.docs
+          .filter(doc => !isTrashed(doc.data()))
+          .map(doc => ({
+            id: doc.id,
+            ...doc.data(),
+            bookingStatus: getBookingStatus(doc.data())
+          }));
+        // Only firm bookings count towards the numbers; holds and enquiries are shown separately
+        const bookings = allBookings.filter(booking => isRevenueStatus(booking.bookingStatus));
+        const options = allBookings.filter(booking => booking.bookingStatus === 'option');
+        const openEnquiries = allBookings.filter(booking => booking.bookingStatus === 'enquiry').length;
         const totalBookings = bookings.length;
 
         // Get this month's bookings
@@ -125,14 +151,17 @@ function Dashboard() {
           avgBookingValue,
           bookingGrowth,
           topBoat,
-          revenueByMonth
+          revenueByMonth,
+          openOptions: options.length,
+          openOptionsValue: options.reduce((sum, booking) => sum + (parseFloat(booking.pricing?.agreedPrice) || 0), 0),
+          openEnquiries
         });
         
         setRevenueByBoat(boatRevenueData);
         setBookingTrend(trendData);
 
         // Get recent bookings
-        const recentBookingsData = [...bookings]
+        const recentBookingsData = [...allBookings]
           .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
           .slice(0, 5);
           
@@ -411,6 +440,31 @@ function Dashboard() {
               </div>
             </div>
           </div>
+
+          <div className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow p-6">
+            <div className="flex items-center">
+              <div className="bg-amber-500 p-3 rounded-lg">
+                <Clock className="w-6 h-6 text-white" />
+              </div>
+              <div className="ml-4">
+                <p className="text-sm font-medium text-gray-600">Open Options</p>
+                <p className="text-2xl font-semibold text-gray-900">{stats.openOptions}</p>
+                <p className="text-sm text-gray-600">€{stats.openOptionsValue.toLocaleString()} on hold</p>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow p-6">
+            <div className="flex items-center">
+              <div className="bg-gray-500 p-3 rounded-lg">
+                <MessageSquare className="w-6 h-6 text-white" />
+              </div>
+              <div className="ml-4">
+                <p className="text-sm font-medium text-gray-600">Open Enquiries</p>
+                <p className="text-2xl font-semibold text-gray-900">{stats.openEnquiries}</p>
+              </div>
+            </div>
+          </div>
         </div>
 
         {/* Revenue Analytics Section */}
@@ -478,7 +532,15 @@ function Dashboard() {
               
               {/* Revenue by Boat Chart */}
               <div className="bg-gray-50 p-4 rounded-lg">
-                <h3 className="text-lg font-medium text-gray-900 mb-4">Revenue by Boat</h3>
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="text-lg font-medium text-gray-900">Revenue by Boat</h3>
+                  <button
+                    onClick={() => navigate('/fleet-utilisation')}
+                    className="text-sm text-blue-600 hover:underline"
+                  >
+                    Utilisation report →
+                  </button>
+                </div>
                 <div className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
                     <BarChart data={revenueByBoat}>
@@ -532,7 +594,8 @@ function Dashboard() {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Boat</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Booking</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment</th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
@@ -557,14 +620,11 @@ function Dashboard() {
                         €{(booking.pricing?.finalPrice || 0).toLocaleString()}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-3 py-1 text-xs font-medium rounded-full ${
-                          (booking.pricing?.paymentStatus === "Paid") 
-                            ? "bg-green-100 text-green-800"
-                            : (booking.pricing?.paymentStatus === "Partial") 
-                              ? "bg-yellow-100 text-yellow-800"
-                              : "bg-red-100 text-red-800"
-                        }`}>
-                          {booking.pricing?.paymentStatus || "Pending"}
+                        <BookingStatusBadge status={booking.bookingStatus} optionExpiresAt={booking.optionExpiresAt} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-3 py-1 text-xs font-medium rounded-full ${getPaymentBadge(booking).className}`}>
+                          {getPaymentBadge(booking).label}
                         </span>
                       </td>
                     </tr>
@@ -1,6 +1,10 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { collection, query, orderBy, getDocs, doc, updateDoc, getDoc, deleteDoc, addDoc, onSnapshot, limit, startAfter } from 'firebase/firestore';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { collection, query, orderBy, getDocs, doc, updateDoc, getDoc, addDoc, onSnapshot, limit, startAfter } from 'firebase/firestore';
 import { db } from '../firebase/firebaseConfig';
+import { getAuth } from 'firebase/auth';
+import { isTrashed } from '../utils/recycleBin';
+import { moveToTrash } from '../utils/recycleBinActions';
+import { useViewParam } from '../utils/useViewParam';
 import { format } from 'date-fns';
 import Papa from 'papaparse';
 import _ from 'lodash';
@@ -9,6 +13,10 @@ import {
   Plus, Filter, X, CheckSquare, Calendar, Search, PieChart, Menu, MoreVertical
 } from 'lucide-react';
 
+// A linked id can be a sub-expense, shown inside its parent's row
+const isExpenseOrSubExpense = (expense, id) =>
+  expense.id === id || Boolean(expense.subExpenses?.some((sub) => sub.id === id));
+
 const ExpenseOverview = () => {
   // Main state variables
   const [expenses, setExpenses] = useState([]);
@@ -100,6 +108,7 @@ const ExpenseOverview = () => {
         for (const docSnap of querySnapshot.docs) {
           const docData = docSnap.data();
           const docId = docSnap.id;
+          if (isTrashed(docData)) continue;
           
           // Skip if we've already processed this ID
           if (processedIds.has(docId)) continue;
@@ -316,7 +325,7 @@ const ExpenseOverview = () => {
       
       // Process all expenses with type validation
       const allExpenses = await Promise.all(
-        querySnapshot.docs.map(async (doc) => {
+        querySnapshot.docs.filter(doc => !isTrashed(doc.data())).map(async (doc) => {
           const docData = doc.data();
           const expenseId = doc.id;
           
@@ -500,10 +509,12 @@ const ExpenseOverview = () => {
       const q = query(bookingsRef, orderBy('bookingDetails.date', 'desc'));
       const querySnapshot = await getDocs(q);
       
-      const bookingsData = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const bookingsData = querySnapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }))
+        .filter(booking => !isTrashed(booking));
       
       setBookings(bookingsData);
     } catch (error) {
@@ -529,7 +540,7 @@ const ExpenseOverview = () => {
       
       // Process the new page of expenses
       const newExpenses = await Promise.all(
-        querySnapshot.docs.map(async (doc) => {
+        querySnapshot.docs.filter(doc => !isTrashed(doc.data())).map(async (doc) => {
           const expenseData = {
             id: doc.id,
             ...doc.data(),
@@ -611,11 +622,12 @@ const ExpenseOverview = () => {
   
   // Handle expense deletion
   const handleDeleteExpense = async (expenseId) => {
-    if (window.confirm('Are you sure you want to delete this expense? This action cannot be undone.')) {
+    if (window.confirm('Move this expense to the recycle bin? An admin can restore it from there.')) {
       setDeletingExpenseId(expenseId);
       
       try {
-        const expenseRef = doc(db, 'expenses', expenseId);
+        const user = getAuth().currentUser;
+        const deletedExpense = expenses.find(exp => exp.id === expenseId);
   
         // Update local state first for immediate UI feedback
         setExpenses(prevExpenses => {
@@ -638,28 +650,13 @@ const ExpenseOverview = () => {
           return updatedExpenses;
         });
   
-        // Perform the deletion in Firestore
-        await deleteDoc(expenseRef);
-  
-        // If it was a sub-expense, update the parent
-        const parentExpense = expenses.find(exp => 
-          exp.subExpenses?.some(sub => sub.id === expenseId)
-        );
-  
-        if (parentExpense) {
-          const updatedSubExpenses = parentExpense.subExpenses.filter(sub => sub.id !== expenseId);
-          const newTotal = updatedSubExpenses.reduce(
-            (sum, sub) => sum + Number(sub.amount),
-            Number(parentExpense.amount)
-          );
-  
-          await updateDoc(doc(db, 'expenses', parentExpense.id), {
-            subExpenses: updatedSubExpenses,
-            totalAmount: newTotal
-          });
+        // Sub-expenses are grouped under their parent by parentId, so they go to the bin with it
+        await moveToTrash('expenses', expenseId, user);
+        for (const sub of deletedExpense?.subExpenses || []) {
+          await moveToTrash('expenses', sub.id, user);
         }
   
-        alert("Expense deleted successfully");
+        alert("Expense moved to the recycle bin");
       } catch (error) {
         console.error('Error deleting expense:', error);
         alert("Failed to delete expense. Please try again.");
@@ -677,19 +674,24 @@ const ExpenseOverview = () => {
       return;
     }
     
-    if (window.confirm(`Are you sure you want to delete ${selectedExpenses.length} expenses? This action cannot be undone.`)) {
+    if (window.confirm(`Move ${selectedExpenses.length} expenses to the recycle bin? An admin can restore them from there.`)) {
       setLoading(true);
       
       try {
-        // Delete each selected expense
+        const user = getAuth().currentUser;
+        // Trash each selected expense along with its sub-expenses
         for (const expenseId of selectedExpenses) {
-          await deleteDoc(doc(db, 'expenses', expenseId));
+          await moveToTrash('expenses', expenseId, user);
+          const parent = expenses.find(exp => exp.id === expenseId);
+          for (const sub of parent?.subExpenses || []) {
+            if (!selectedExpenses.includes(sub.id)) await moveToTrash('expenses', sub.id, user);
+          }
         }
         
         // Update local state
         setExpenses(prev => prev.filter(exp => !selectedExpenses.includes(exp.id)));
         setSelectedExpenses([]);
-        alert(`${selectedExpenses.length} expenses deleted successfully`);
+        alert(`${selectedExpenses.length} expenses moved to the recycle bin`);
         await fetchExpenses();
       } catch (error) {
         console.error('Error performing bulk delete:', error);
@@ -941,15 +943,33 @@ const ExpenseOverview = () => {
   };
   
   // Toggle row expansion
-  const toggleRowExpansion = (id) => {
-    const newExpanded = new Set(expandedRows);
-    if (newExpanded.has(id)) {
-      newExpanded.delete(id);
-    } else {
-      newExpanded.add(id);
-    }
-    setExpandedRows(newExpanded);
-  };
+  const toggleRowExpansion = useCallback((id) => {
+    setExpandedRows((prev) => {
+      const newExpanded = new Set(prev);
+      if (newExpanded.has(id)) {
+        newExpanded.delete(id);
+      } else {
+        newExpanded.add(id);
+      }
+      return newExpanded;
+    });
+  }, []);
+
+  // Open a linked expense: go to its page, expand its parent when it's a
+  // sub-expense and scroll to it
+  const openLinkedExpense = useCallback((expenseId, linkedExpense) => {
+    setCurrentPage(Math.floor(filteredExpenses.indexOf(linkedExpense) / itemsPerPage) + 1);
+    if (linkedExpense.id !== expenseId && !expandedRows.has(linkedExpense.id)) toggleRowExpansion(linkedExpense.id);
+
+    setTimeout(() => {
+      const element = document.getElementById(`expense-${expenseId}`);
+      if (!element) return;
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      element.classList.add('ring-2', 'ring-blue-400');
+      setTimeout(() => element.classList.remove('ring-2', 'ring-blue-400'), 3000);
+    }, 300);
+  }, [filteredExpenses, itemsPerPage, expandedRows, toggleRowExpansion]);
+  useViewParam(filteredExpenses, openLinkedExpense, isExpenseOrSubExpense);
   
   // Handle expense selection for bulk actions
   const handleExpenseSelection = (expenseId, isSelected) => {
@@ -1832,6 +1852,7 @@ const ExpenseOverview = () => {
     return (
       <>
         <tr
+          id={`expense-${expense.id}`}
           className={`
             hover:bg-gray-50
             ${typeColor}
@@ -2004,7 +2025,7 @@ const ExpenseOverview = () => {
     const typeColor = getTypeColor(expense.type);
   
     return (
-      <div className={`bg-white rounded-xl shadow-sm overflow-hidden border-l-4 ${typeColor} ${
+      <div id={`expense-${expense.id}`} className={`bg-white rounded-xl shadow-sm overflow-hidden border-l-4 ${typeColor} ${
         isSubExpense ? 'ml-4' : ''
       }`}>
         <div className="p-4">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { 
   Save, Download, Trash, Edit, Euro, Loader, ChevronUp, Plus,
   TrendingUp, ArrowUpDown, Eye, EyeOff, DollarSign, PieChart, Search,
@@ -10,13 +10,17 @@ import {
   getDocs, 
   doc, 
   updateDoc, 
-  deleteDoc, 
   query, 
   orderBy,
   Timestamp,
   serverTimestamp
 } from 'firebase/firestore';
 import { db } from '../firebase/firebaseConfig';
+import { getAuth } from 'firebase/auth';
+import { isTrashed } from '../utils/recycleBin';
+import { moveToTrash } from '../utils/recycleBinActions';
+import { getBookingStatus, isRevenueStatus } from '../utils/bookingStatus';
+import { useViewParam } from '../utils/useViewParam';
 
 const ExpenseTracker = () => {
   // Ref for form scroll
@@ -113,7 +117,7 @@ const ExpenseTracker = () => {
   };
   
   // Calculate summary data
-  const calculateSummary = (entriesData) => {
+  const calculateSummary = useCallback((entriesData) => {
     const data = entriesData || entries;
     
     let totalProfit = 0;
@@ -159,7 +163,7 @@ const ExpenseTracker = () => {
       totalIncome,
       totalExpenses
     });
-  };
+  }, [entries]);
   
   // Fetch expenses and bookings data from Firebase
   useEffect(() => {
@@ -190,6 +194,7 @@ const ExpenseTracker = () => {
         
         expensesSnapshot.forEach((doc) => {
           const data = doc.data();
+          if (isTrashed(data)) return;
           
           // Convert Firebase timestamps to date strings
           const dataDate = data.data ? 
@@ -249,6 +254,7 @@ const ExpenseTracker = () => {
         
         bookingsSnapshot.forEach((doc) => {
           const bookingData = doc.data();
+          if (isTrashed(bookingData)) return;
           const booking = {
             id: doc.id,
             ...bookingData,
@@ -258,7 +264,7 @@ const ExpenseTracker = () => {
           };
           
           // If this booking doesn't have an expense entry yet and is active, add to pending
-          if (!expenseBookingIds.has(doc.id) && bookingData.status === 'active') {
+          if (!expenseBookingIds.has(doc.id) && isRevenueStatus(getBookingStatus(bookingData))) {
             allPendingBookings.push(booking);
             
             // Categorize pending bookings by date like expense entries
@@ -485,7 +491,7 @@ const ExpenseTracker = () => {
   };
   
   // Toggle past entries visibility
-  const handleTogglePastEntries = () => {
+  const handleTogglePastEntries = useCallback(() => {
     const newShowPastEntries = !showPastEntries;
     setShowPastEntries(newShowPastEntries);
     
@@ -514,10 +520,13 @@ const ExpenseTracker = () => {
     
     setFilteredEntries(combinedResults);
     calculateSummary(displayEntries);
-  };
+  }, [
+    showPastEntries, showFutureEntries, pastEntries, currentEntries, futureEntries,
+    showPendingBookings, pastPendingBookings, currentPendingBookings, futurePendingBookings, calculateSummary
+  ]);
   
   // Toggle future entries visibility (new function)
-  const handleToggleFutureEntries = () => {
+  const handleToggleFutureEntries = useCallback(() => {
     const newShowFutureEntries = !showFutureEntries;
     setShowFutureEntries(newShowFutureEntries);
     
@@ -546,8 +555,30 @@ const ExpenseTracker = () => {
     
     setFilteredEntries(combinedResults);
     calculateSummary(displayEntries);
-  };
+  }, [
+    showPastEntries, showFutureEntries, pastEntries, currentEntries, futureEntries,
+    showPendingBookings, pastPendingBookings, currentPendingBookings, futurePendingBookings, calculateSummary
+  ]);
   
+  // Open a linked entry: reveal its past/future section, expand it and scroll to it
+  const allEntries = useMemo(() => [...pastEntries, ...currentEntries, ...futureEntries], [pastEntries, currentEntries, futureEntries]);
+  const openLinkedEntry = useCallback((entryId, linkedEntry) => {
+    if (pastEntries.includes(linkedEntry) && !showPastEntries) handleTogglePastEntries();
+    if (futureEntries.includes(linkedEntry) && !showFutureEntries) handleToggleFutureEntries();
+    setExpandedEntryId(entryId);
+
+    setTimeout(() => {
+      // The mobile card and the desktop row both exist; scroll to the visible one
+      const element = Array.from(document.querySelectorAll(`[data-entry-id="${entryId}"]`))
+        .find((candidate) => candidate.offsetParent !== null);
+      if (!element) return;
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      element.classList.add('bg-blue-50');
+      setTimeout(() => element.classList.remove('bg-blue-50'), 3000);
+    }, 300);
+  }, [pastEntries, futureEntries, showPastEntries, showFutureEntries, handleTogglePastEntries, handleToggleFutureEntries]);
+  useViewParam(allEntries, openLinkedEntry);
+
   // Toggle pending bookings visibility
   const togglePendingBookings = () => {
     setShowPendingBookings(!showPendingBookings);
@@ -587,6 +618,7 @@ const ExpenseTracker = () => {
       
       expensesSnapshot.forEach((doc) => {
         const data = doc.data();
+        if (isTrashed(data)) return;
         
         // Convert Firebase timestamps to date strings
         const dataDate = data.data ? 
@@ -641,6 +673,7 @@ const ExpenseTracker = () => {
       
       bookingsSnapshot.forEach((doc) => {
         const bookingData = doc.data();
+        if (isTrashed(bookingData)) return;
         const booking = {
           id: doc.id,
           ...bookingData,
@@ -649,7 +682,7 @@ const ExpenseTracker = () => {
         };
         
         // If this booking doesn't have an expense entry yet and is active, add to pending
-        if (!expenseBookingIds.has(doc.id) && bookingData.status === 'active') {
+        if (!expenseBookingIds.has(doc.id) && isRevenueStatus(getBookingStatus(bookingData))) {
           allPendingBookings.push(booking);
           
           // Categorize pending bookings by date
@@ -987,8 +1020,8 @@ const ExpenseTracker = () => {
     
     setLoading(true);
     try {
-      // Delete from Firebase
-      await deleteDoc(doc(db, 'expenses', id));
+      // Deleted entries go to the recycle bin
+      await moveToTrash('expenses', id, getAuth().currentUser);
       
       // Refresh entries
       await refreshEntries();
@@ -1183,6 +1216,7 @@ const ExpenseTracker = () => {
     return (
       <div 
         key={entry.id}
+        data-entry-id={entry.id}
         className={`mb-4 p-3 rounded-lg shadow border ${
           isTodayEntry ? 'border-l-4 border-green-500' : 
           isTomorrowEntry ? 'border-l-4 border-blue-500' :
@@ -2569,6 +2603,7 @@ const ExpenseTracker = () => {
                     return (
                       <tr 
                         key={entry.id} 
+                        data-entry-id={entry.id}
                         className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} 
                         ${isPastEntry ? 'border-l-4 border-yellow-300' : ''}
                         ${isTodayEntry ? 'border-l-4 border-green-500' : ''}
@@ -32,6 +32,7 @@ import {
 
 // Import the PrecisionFinancialUtils from the correct location
 import FinancialUtils from '../utils/PrecisionFinancialUtils';
+import { isTrashed } from '../utils/recycleBin';
 
 // ================================
 // DATE UTILS
@@ -498,6 +499,13 @@ const ReconciliationSummary = ({ metrics, formatCurrency }) => {
                       : '0%'}
                   </td>
                 </tr>
+                {metrics.bookingRefunds > 0 && (
+                  <tr>
+                    <td className="py-1 pl-3 text-gray-500">of which cancellation refunds</td>
+                    <td className="py-1 text-right text-red-600">-{formatCurrency(metrics.bookingRefunds)}</td>
+                    <td className="py-1"></td>
+                  </tr>
+                )}
                 <tr>
                   <td className="py-1">Orders</td>
                   <td className="py-1 text-right font-medium">{formatCurrency(metrics.orderIncome)}</td>
@@ -684,7 +692,7 @@ const FinancialDashboard = () => {
                 id: doc.id,
                 ...data
               };
-            });
+            }).filter(item => !isTrashed(item));
             
             console.log(`Loaded ${ordersData.length} orders`);
             setOrders(ordersData);
@@ -704,7 +712,7 @@ const FinancialDashboard = () => {
                 id: doc.id,
                 ...data
               };
-            });
+            }).filter(item => !isTrashed(item));
             
             console.log(`Loaded ${expensesData.length} expenses`);
             setExpenses(expensesData);
@@ -724,7 +732,7 @@ const FinancialDashboard = () => {
                 id: doc.id,
                 ...data
               };
-            });
+            }).filter(item => !isTrashed(item));
             
             console.log(`Loaded ${bookingsData.length} bookings`);
             setBookings(bookingsData);
@@ -1003,39 +1011,32 @@ const FinancialDashboard = () => {
     // UPCOMING PAYMENTS
     // ================================
     
-    // Calculate upcoming payments due within the next 7 days
-    const today = new Date();
+    // Unpaid instalments due within the next 7 days, and any already overdue.
+    // Lines without a due date fall back to the service date.
+    const today = startOfDay(new Date());
     const nextWeek = new Date(today);
     nextWeek.setDate(today.getDate() + 7);
     
-    // Get bookings with upcoming service dates
-    const upcomingBookings = bookings
-      .filter(booking => {
-        // Check if booking has future service date within the next week
-        const serviceDate = DataUtils.getServiceDate(booking);
-        if (!serviceDate) return false;
-        
-        // Check if it's between today and next week
-        return isWithinInterval(serviceDate, { start: today, end: nextWeek });
-      })
-      .filter(booking => {
-        // Only include bookings with outstanding payments
-        const paymentData = FinancialUtils.extractBookingPayments(booking);
-        return paymentData.totalOutstandingNumber > 0;
-      })
-      .map(booking => {
-        const paymentData = FinancialUtils.extractBookingPayments(booking);
-        const serviceDate = DataUtils.getServiceDate(booking);
-        
-        return {
-          id: booking.id,
+    const upcomingBookings = [];
+    bookings.forEach(booking => {
+      const paymentData = FinancialUtils.extractBookingPayments(booking);
+      const serviceDate = DataUtils.getServiceDate(booking);
+      paymentData.pendingPayments.forEach((payment, index) => {
+        const dueDate = payment.dueDate ? new Date(`${payment.dueDate}T00:00:00`) : serviceDate;
+        if (!dueDate || payment.amountNumber <= 0 || dueDate > nextWeek) return;
+        if (dueDate < today && !payment.dueDate) return;
+        upcomingBookings.push({
+          id: `${booking.id}-${index}`,
           clientName: booking.clientName || booking.clientDetails?.name || 'Unknown Client',
-          date: serviceDate,
-          amount: paymentData.totalOutstandingNumber,
-          type: 'booking',
+          date: dueDate,
+          amount: payment.amountNumber,
+          type: payment.label || 'booking',
+          overdue: dueDate < today,
           details: booking.bookingDetails
-        };
+        });
       });
+    });
+    upcomingBookings.sort((a, b) => a.date - b.date);
     
     // ================================
     // CALCULATE PERCENTAGE CHANGES
@@ -1102,6 +1103,7 @@ const FinancialDashboard = () => {
       bookingIncome: companyMargin.bookingRevenueNumber,
       orderIncome: companyMargin.orderRevenueNumber,
       otherIncome: companyMargin.otherRevenueNumber,
+      bookingRefunds: companyMargin.bookingRefundsNumber,
       
       // Outstanding details
       bookingOutstanding: companyMargin.bookingOutstandingNumber,
@@ -1787,7 +1789,7 @@ const FinancialDashboard = () => {
                               <div className="ml-4">
                                 <div className="text-sm font-medium text-gray-900">{payment.clientName}</div>
                                 <div className="text-sm text-gray-500">
-                                  {payment.details?.boatName || payment.type}
+                                  {[payment.details?.boatName, payment.type].filter(Boolean).join(' · ')}
                                 </div>
                               </div>
                             </div>
@@ -1801,9 +1803,15 @@ const FinancialDashboard = () => {
                             <div className="text-sm text-gray-900 font-medium">{formatCurrency(payment.amount)}</div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
-                              Due
-                            </span>
+                            {payment.overdue ? (
+                              <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                                Overdue
+                              </span>
+                            ) : (
+                              <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                                Due
+                              </span>
+                            )}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                             <button className="text-blue-600 hover:text-blue-800 mr-3">Mark as Paid</button>
@@ -0,0 +1,261 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { collection, getDocs } from 'firebase/firestore';
+import * as XLSX from 'xlsx';
+import { Bar, BarChart, CartesianGrid, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { AlertTriangle, Download, TrendingUp } from 'lucide-react';
+import { db } from '../firebase/firebaseConfig';
+import { subscribeToMaintenance } from '../utils/boatMaintenanceActions';
+import { subscribeToCalendarSync } from '../utils/calendarSync';
+import { SEASONS, formatPrice } from '../utils/seasonalPricing';
+import {
+  DISCOUNTED_PRICE_INDEX,
+  UNDERUSED_RATIO,
+  UTILISATION_FLAG_META,
+  buildUtilisationReport,
+  buildUtilisationSheets,
+  formatPercent,
+  todayYmd
+} from '../utils/fleetUtilisation';
+
+const YEARS_BACK = 3;
+
+const StatCard = ({ label, value, hint }) => (
+  <div className="bg-white rounded-lg shadow-md p-4">
+    <div className="text-sm text-gray-500">{label}</div>
+    <div className="text-2xl font-semibold text-gray-900">{value}</div>
+    {hint && <div className="text-xs text-gray-500 mt-1">{hint}</div>}
+  </div>
+);
+
+const BreakdownChart = ({ title, data, dataKey }) => (
+  <div className="bg-white rounded-lg shadow-md p-4">
+    <h3 className="font-medium text-gray-900 mb-2">{title}</h3>
+    <div className="h-56">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data.map((row) => ({ ...row, percent: Math.round(row.utilisation * 100) }))}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey={dataKey} />
+          <YAxis unit="%" />
+          <Tooltip
+            formatter={(value) => `${value}%`}
+            labelFormatter={(label) => {
+              const row = data.find((entry) => entry[dataKey] === label);
+              return row ? `${label} · ${row.bookedDays}/${row.availableDays} days · ${formatPrice(row.revenuePerAvailableDay)}/day` : label;
+            }}
+          />
+          <Bar dataKey="percent" name="Utilisation" fill="#3b82f6" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  </div>
+);
+
+/**
+ * Booked days against available days per boat and season, revenue per
+ * available day and prices against the list, with an XLSX export.
+ */
+const FleetUtilisation = () => {
+  const currentYear = new Date().getFullYear();
+  const [boats, setBoats] = useState([]);
+  const [bookings, setBookings] = useState([]);
+  const [maintenance, setMaintenance] = useState([]);
+  const [calendarSync, setCalendarSync] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [year, setYear] = useState(currentYear);
+  const [toDateOnly, setToDateOnly] = useState(true);
+  const [season, setSeason] = useState('');
+  const [breakdownBoatId, setBreakdownBoatId] = useState('');
+
+  useEffect(() => {
+    const loadData = async () => {
+      try {
+        const boatsSnapshot = await getDocs(collection(db, 'boats'));
+        const bookingsSnapshot = await getDocs(collection(db, 'bookings'));
+        setBoats(boatsSnapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })));
+        setBookings(bookingsSnapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })));
+      } catch (err) {
+        console.error('Error loading utilisation data:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadData();
+  }, []);
+
+  useEffect(() => subscribeToMaintenance(setMaintenance), []);
+  useEffect(() => subscribeToCalendarSync(setCalendarSync, (err) => console.error('Error loading calendar sync:', err)), []);
+
+  const until = toDateOnly && year === currentYear ? todayYmd() : undefined;
+  const report = useMemo(
+    () => buildUtilisationReport({ boats, bookings, maintenance, calendarSync }, { year, until }),
+    [boats, bookings, maintenance, calendarSync, year, until]
+  );
+
+  const breakdownBoat = boats.find((boat) => boat.id === breakdownBoatId);
+  const breakdown = breakdownBoat
+    ? buildUtilisationReport({ boats: [breakdownBoat], bookings, maintenance, calendarSync }, { year, until })
+    : report;
+
+  const flagsByBoat = report.boats.reduce((acc, boat) => ({ ...acc, [boat.boatId]: boat.flags }), {});
+  const tableRows = season ? report.rows.filter((row) => row.season === season) : report.boats;
+  const flaggedCount = report.boats.filter((boat) => boat.flags.length > 0).length;
+
+  const handleExport = () => {
+    const sheets = buildUtilisationSheets(report);
+    const wb = XLSX.utils.book_new();
+    Object.keys(sheets).forEach((name) => {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(sheets[name]), name);
+    });
+    XLSX.writeFile(wb, `fleet-utilisation-${year}${until ? `-to-${until}` : ''}.xlsx`);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <div>
+          <h1 className="text-2xl font-bold flex items-center gap-2">
+            <TrendingUp size={24} /> Fleet Utilisation
+          </h1>
+          <p className="text-sm text-gray-500">
+            Booked days against the days each boat could sail, net of maintenance and owner calendar blocks.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={boats.length === 0}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          <Download size={16} /> Export XLSX
+        </button>
+      </div>
+
+      {error && <div className="p-3 bg-red-100 text-red-700 rounded-lg">{error}</div>}
+
+      <div className="bg-white rounded-lg shadow-md p-4 flex flex-wrap items-end gap-4">
+        <label className="text-sm text-gray-700">
+          Year
+          <select value={year} onChange={(e) => setYear(Number(e.target.value))} className="mt-1 block p-2 border rounded">
+            {Array.from({ length: YEARS_BACK + 1 }, (_, index) => currentYear - index).map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Season
+          <select value={season} onChange={(e) => setSeason(e.target.value)} className="mt-1 block p-2 border rounded">
+            <option value="">Whole season</option>
+            {Object.keys(SEASONS).map((key) => (
+              <option key={key} value={key}>{key}</option>
+            ))}
+          </select>
+        </label>
+        {year === currentYear && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+            <input type="checkbox" checked={toDateOnly} onChange={(e) => setToDateOnly(e.target.checked)} />
+            Only days up to today
+          </label>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <StatCard
+          label="Fleet utilisation"
+          value={formatPercent(report.fleet.utilisation)}
+          hint={`${report.fleet.bookedDays} booked of ${report.fleet.availableDays} available boat-days`}
+        />
+        <StatCard label="Revenue per available day" value={formatPrice(Math.round(report.fleet.revenuePerAvailableDay))} />
+        <StatCard
+          label="Price vs list"
+          value={formatPercent(report.fleet.priceIndex)}
+          hint={`Average charter ${formatPrice(Math.round(report.fleet.averagePrice))}`}
+        />
+        <StatCard label="Boats flagged" value={flaggedCount} hint={`${report.fleet.blockedDays} boat-days blocked`} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-3 py-2 text-left">Boat</th>
+              <th className="px-3 py-2 text-right">Available days</th>
+              <th className="px-3 py-2 text-right">Booked days</th>
+              <th className="px-3 py-2 text-right">Hours</th>
+              <th className="px-3 py-2 text-right">Utilisation</th>
+              <th className="px-3 py-2 text-right">Revenue</th>
+              <th className="px-3 py-2 text-right">Per available day</th>
+              <th className="px-3 py-2 text-right">Avg price</th>
+              <th className="px-3 py-2 text-right">vs list</th>
+              <th className="px-3 py-2 text-left">Flags</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {tableRows.map((row) => (
+              <tr key={`${row.boatId}-${row.season || 'all'}`}>
+                <td className="px-3 py-2">
+                  <button onClick={() => setBreakdownBoatId(row.boatId)} className="font-medium text-blue-700 hover:underline">
+                    {row.boatName}
+                  </button>
+                  {row.blockedDays > 0 && (
+                    <div className="text-xs text-gray-500">{row.blockedDays} days blocked</div>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-right">{row.availableDays}</td>
+                <td className="px-3 py-2 text-right">{row.bookedDays}</td>
+                <td className="px-3 py-2 text-right">{Math.round(row.bookedHours)}</td>
+                <td className="px-3 py-2 text-right font-medium">{formatPercent(row.utilisation)}</td>
+                <td className="px-3 py-2 text-right">{formatPrice(Math.round(row.revenue))}</td>
+                <td className="px-3 py-2 text-right">{formatPrice(Math.round(row.revenuePerAvailableDay))}</td>
+                <td className="px-3 py-2 text-right">{formatPrice(Math.round(row.averagePrice))}</td>
+                <td className="px-3 py-2 text-right">{formatPercent(row.priceIndex)}</td>
+                <td className="px-3 py-2">
+                  <div className="flex flex-wrap gap-1">
+                    {(flagsByBoat[row.boatId] || []).map((flag) => (
+                      <span key={flag} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${UTILISATION_FLAG_META[flag].badge}`}>
+                        <AlertTriangle size={12} /> {UTILISATION_FLAG_META[flag].label}
+                      </span>
+                    ))}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {tableRows.length === 0 && <p className="p-4 text-center text-gray-500">No boats yet.</p>}
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center gap-2 mb-2">
+          <h2 className="text-lg font-semibold">Breakdown</h2>
+          <select value={breakdownBoatId} onChange={(e) => setBreakdownBoatId(e.target.value)} className="p-1 border rounded text-sm">
+            <option value="">Whole fleet</option>
+            {boats.map((boat) => (
+              <option key={boat.id} value={boat.id}>{boat.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <BreakdownChart title="Utilisation by month" data={breakdown.byMonth} dataKey="month" />
+          <BreakdownChart title="Utilisation by weekday" data={breakdown.byWeekday} dataKey="weekday" />
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Under-used: below {formatPercent(UNDERUSED_RATIO)} of the fleet&apos;s utilisation. Heavily discounted: agreed prices under{' '}
+        {formatPercent(DISCOUNTED_PRICE_INDEX)} of the list price for the same charters. Owner calendar blocks are only known from the
+        last sync onwards.
+      </p>
+    </div>
+  );
+};
+
+export default FleetUtilisation;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { 
   getFirestore, 
   collection, 
@@ -13,6 +13,7 @@ import {
   deleteDoc
 } from 'firebase/firestore';
 import { getMessaging, getToken } from 'firebase/messaging';
+import { useViewParam } from '../utils/useViewParam';
 
 const LeadManagement = () => {
   // States
@@ -754,6 +755,13 @@ const LeadManagement = () => {
     return counts;
   }, [leads]);
 
+  const openLinkedLead = useCallback((leadId, linkedLead) => {
+    setActiveTab('leads');
+    setSelectedLead(linkedLead);
+    setShowLeadDetails(true);
+  }, []);
+  useViewParam(leads, openLinkedLead);
+
   // Open lead details modal
   const openLeadDetails = (lead) => {
     setSelectedLead(lead);
@@ -11,6 +11,8 @@ import {
   getDoc
 } from 'firebase/firestore';
 import { db } from '../firebase/firebaseConfig';
+import { isTrashed } from '../utils/recycleBin';
+import { getPaymentSchedule, getScheduleTotals, isScheduleComplete } from '../utils/paymentSchedule';
 import { 
   PlusCircle, 
   Hotel, 
@@ -54,6 +56,7 @@ const ManagePartners = () => {
     phone: '',
     address: '',
     commissionRate: '',
+    netRateDiscount: '',
     contactPerson: '',
     notes: ''
   });
@@ -65,6 +68,7 @@ const ManagePartners = () => {
     phone: '',
     address: '',
     commissionRate: '',
+    netRateDiscount: '',
     contactPerson: '',
     notes: ''
   });
@@ -107,20 +111,27 @@ const ManagePartners = () => {
       );
   
       const querySnapshot = await getDocs(q);
-      const bookings = querySnapshot.docs.map(doc => {
+      const bookings = querySnapshot.docs.filter(doc => !isTrashed(doc.data())).map(doc => {
         const data = doc.data();
         
         // Check both database paths for partner fee data (both new and old paths)
         const partnerPayments = data.partnerPayments || {};
         const ownerPayments = data.ownerPayments || {}; 
         
-        // Check both payments status
-        const firstPaymentReceived = data.pricing?.payments?.find(p => p.type === 'first')?.received || false;
-        const secondPaymentReceived = data.pricing?.payments?.find(p => p.type === 'second')?.received || false;
-        const bothPaymentsReceived = firstPaymentReceived && secondPaymentReceived;
+        // The partner fee is paid once the client has paid every instalment
+        const clientSchedule = getPaymentSchedule(data.pricing);
+        const clientTotals = getScheduleTotals(clientSchedule);
+        const clientPaidInFull = isScheduleComplete(clientSchedule);
+        const lastReceivedDate = clientSchedule
+          .filter(line => line.received && line.date)
+          .map(line => line.date)
+          .sort()
+          .pop() || null;
   
-        // Get the calculated commission based on price and rate
-        const calculatedCommission = (data.pricing?.agreedPrice || 0) * (data.commissionRate || 0) / 100;
+        // Get the calculated commission based on price and rate; cancelled bookings earn it on the penalty only
+        const calculatedCommission = data.cancellation
+          ? data.cancellation.partnerCommission || 0
+          : (data.pricing?.agreedPrice || 0) * (data.commissionRate || 0) / 100;
         
         // Check in both potential locations for existing data
         // First check partnerPayments, then fallback to ownerPayments for backward compatibility
@@ -150,20 +161,17 @@ const ManagePartners = () => {
           clientName: data.clientName || '',
           boatName: data.bookingDetails?.boatName || '',
           amount: data.pricing?.agreedPrice || 0,
-          firstPayment: {
-            received: firstPaymentReceived,
-            date: data.pricing?.payments?.find(p => p.type === 'first')?.date || null
+          clientPayment: {
+            received: clientTotals.received,
+            scheduled: clientTotals.scheduled,
+            lastReceivedDate
           },
-          secondPayment: {
-            received: secondPaymentReceived,
-            date: data.pricing?.payments?.find(p => p.type === 'second')?.date || null
-          },
-          bothPaymentsReceived,
+          clientPaidInFull,
           partnerFeePaid: isPaid,
           partnerFeePending: isPending,
           partnerFeeStatus: paymentStatus,
           partnerFeeAmount: paymentAmount,
-          canPayPartnerFee: bothPaymentsReceived && !isPaid,
+          canPayPartnerFee: clientPaidInFull && !isPaid,
           calculatedFee: calculatedCommission,
           commissionRate: data.commissionRate || 0,
           partnerFeeNotes: paymentNotes,
@@ -212,10 +220,18 @@ const ManagePartners = () => {
         alert('Please enter a valid commission rate between 0 and 100');
         return;
       }
+
+      // Optional: the % off public prices this partner buys at
+      const netRateDiscount = formData.netRateDiscount === '' ? 0 : parseFloat(formData.netRateDiscount);
+      if (isNaN(netRateDiscount) || netRateDiscount < 0 || netRateDiscount > 100) {
+        alert('Please enter a valid net rate discount between 0 and 100');
+        return;
+      }
   
       await addDoc(collection(db, collectionName), {
         ...formData,
         commissionRate: commissionRate,
+        netRateDiscount: netRateDiscount,
         createdAt: new Date().toISOString(),
         type: activeTab === 'hotels' ? 'hotel' : 'collaborator'
       });
@@ -226,6 +242,7 @@ const ManagePartners = () => {
         phone: '',
         address: '',
         commissionRate: '',
+        netRateDiscount: '',
         contactPerson: '',
         notes: ''
       });
@@ -249,6 +266,7 @@ const ManagePartners = () => {
       phone: partner.phone,
       address: partner.address,
       commissionRate: partner.commissionRate,
+      netRateDiscount: partner.netRateDiscount || '',
       contactPerson: partner.contactPerson,
       notes: partner.notes
     });
@@ -264,10 +282,18 @@ const ManagePartners = () => {
         alert('Please enter a valid commission rate between 0 and 100');
         return;
       }
+
+      // Optional: the % off public prices this partner buys at
+      const netRateDiscount = editFormData.netRateDiscount === '' ? 0 : parseFloat(editFormData.netRateDiscount);
+      if (isNaN(netRateDiscount) || netRateDiscount < 0 || netRateDiscount > 100) {
+        alert('Please enter a valid net rate discount between 0 and 100');
+        return;
+      }
   
       await updateDoc(docRef, {
         ...editFormData,
         commissionRate: commissionRate,
+        netRateDiscount: netRateDiscount,
         lastUpdated: new Date().toISOString()
       });
   
@@ -547,15 +573,12 @@ const ManagePartners = () => {
       'Client Name': booking.clientName || '-',
       'Boat': booking.boatName || '-',
       'Amount': `€${(booking.amount || 0)}`,
-      'First Payment': booking.firstPayment && booking.firstPayment.received && booking.firstPayment.date ? 
-        new Date(booking.firstPayment.date).toLocaleDateString() : 'Pending',
-      'Second Payment': booking.secondPayment && booking.secondPayment.received && booking.secondPayment.date ? 
-        new Date(booking.secondPayment.date).toLocaleDateString() : 'Pending',
+      'Client Paid': `€${booking.clientPayment.received.toFixed(2)} of €${booking.clientPayment.scheduled.toFixed(2)}`,
+      'Paid In Full': booking.clientPaidInFull && booking.clientPayment.lastReceivedDate ?
+        new Date(booking.clientPayment.lastReceivedDate).toLocaleDateString() : 'Pending',
       'Partner Fee Amount': `€${(booking.calculatedFee || 0).toFixed(2)}`,
       'Fee Paid': booking.partnerFeePaid ? 'Yes' : 'No',
-      'Status': (booking.firstPayment && booking.firstPayment.received && 
-                booking.secondPayment && booking.secondPayment.received && 
-                booking.partnerFeePaid) ? 'Complete' : 'Pending'
+      'Status': (booking.clientPaidInFull && booking.partnerFeePaid) ? 'Complete' : 'Pending'
     }));
   
     const ws = XLSX.utils.json_to_sheet(exportData);
@@ -568,8 +591,8 @@ const ManagePartners = () => {
       { wch: 20 }, // Client Name
       { wch: 20 }, // Boat
       { wch: 12 }, // Amount
-      { wch: 15 }, // First Payment
-      { wch: 15 }, // Second Payment
+      { wch: 20 }, // Client Paid
+      { wch: 15 }, // Paid In Full
       { wch: 15 }, // Partner Fee Amount
       { wch: 15 }, // Fee Paid
       { wch: 12 }  // Status
@@ -724,31 +747,17 @@ const ManagePartners = () => {
                             {/* Mobile Payment Status - Only show on mobile */}
                             <div className="flex flex-col gap-2 mt-2 sm:hidden">
                               <div className={`flex items-center gap-2 px-2 py-1 rounded-md ${
-                                booking.firstPayment.received ? 'bg-green-100' : 'bg-yellow-100'
+                                booking.clientPaidInFull ? 'bg-green-100' : 'bg-yellow-100'
                               }`}>
                                 <span className={`text-xs font-medium ${
-                                  booking.firstPayment.received ? 'text-green-800' : 'text-yellow-800'
+                                  booking.clientPaidInFull ? 'text-green-800' : 'text-yellow-800'
                                 }`}>
-                                  First Payment: {booking.firstPayment.received ? '✓' : 'Pending'}
+                                  Client: €{booking.clientPayment.received.toLocaleString()} of €{booking.clientPayment.scheduled.toLocaleString()}
+                                  {booking.clientPaidInFull ? ' ✓' : ''}
                                 </span>
-                                {booking.firstPayment.received && (
+                                {booking.clientPaidInFull && booking.clientPayment.lastReceivedDate && (
                                   <span className="text-xs text-gray-600">
-                                    {new Date(booking.firstPayment.date).toLocaleDateString()}
-                                  </span>
-                                )}
-                              </div>
-                              
-                              <div className={`flex items-center gap-2 px-2 py-1 rounded-md ${
-                                booking.secondPayment.received ? 'bg-green-100' : 'bg-yellow-100'
-                              }`}>
-                                <span className={`text-xs font-medium ${
-                                  booking.secondPayment.received ? 'text-green-800' : 'text-yellow-800'
-                                }`}>
-                                  Second Payment: {booking.secondPayment.received ? '✓' : 'Pending'}
-                                </span>
-                                {booking.secondPayment.received && (
-                                  <span className="text-xs text-gray-600">
-                                    {new Date(booking.secondPayment.date).toLocaleDateString()}
+                                    {new Date(booking.clientPayment.lastReceivedDate).toLocaleDateString()}
                                   </span>
                                 )}
                               </div>
@@ -758,41 +767,25 @@ const ManagePartners = () => {
 
                         {/* Desktop Payment Status - Hide on mobile */}
                         <td className="px-4 py-4 hidden sm:table-cell">
-                          <div className="flex flex-col gap-2">
-                            <div className={`flex items-center gap-2 px-3 py-1.5 rounded-md ${
-                              booking.firstPayment.received ? 'bg-green-100' : 'bg-yellow-100'
+                          <div className={`flex items-center gap-2 px-3 py-1.5 rounded-md ${
+                            booking.clientPaidInFull ? 'bg-green-100' : 'bg-yellow-100'
+                          }`}>
+                            <span className={`text-sm font-medium ${
+                              booking.clientPaidInFull ? 'text-green-800' : 'text-yellow-800'
                             }`}>
-                              <span className={`text-sm font-medium ${
-                                booking.firstPayment.received ? 'text-green-800' : 'text-yellow-800'
-                              }`}>
-                                First Payment: {booking.firstPayment.received ? '✓' : 'Pending'}
+                              Client: €{booking.clientPayment.received.toLocaleString()} of €{booking.clientPayment.scheduled.toLocaleString()}
+                              {booking.clientPaidInFull ? ' ✓' : ''}
+                            </span>
+                            {booking.clientPaidInFull && booking.clientPayment.lastReceivedDate && (
+                              <span className="text-xs text-gray-600">
+                                {new Date(booking.clientPayment.lastReceivedDate).toLocaleDateString()}
                               </span>
-                              {booking.firstPayment.received && (
-                                <span className="text-xs text-gray-600">
-                                  {new Date(booking.firstPayment.date).toLocaleDateString()}
-                                </span>
-                              )}
-                            </div>
-                            
-                            <div className={`flex items-center gap-2 px-3 py-1.5 rounded-md ${
-                              booking.secondPayment.received ? 'bg-green-100' : 'bg-yellow-100'
-                            }`}>
-                              <span className={`text-sm font-medium ${
-                                booking.secondPayment.received ? 'text-green-800' : 'text-yellow-800'
-                              }`}>
-                                Second Payment: {booking.secondPayment.received ? '✓' : 'Pending'}
-                              </span>
-                              {booking.secondPayment.received && (
-                                <span className="text-xs text-gray-600">
-                                  {new Date(booking.secondPayment.date).toLocaleDateString()}
-                                </span>
-                              )}
-                            </div>
+                            )}
                           </div>
                         </td>
 
                         <td className="px-2 sm:px-4 py-2 sm:py-4">
-                          {booking.bothPaymentsReceived ? (
+                          {booking.clientPaidInFull ? (
                             <div className="space-y-3">
                               {(!booking.partnerFeePaid && !booking.partnerFeePending) || (editingFeeId === booking.id) ? (
                                 <div className="bg-white p-2 sm:p-3 border rounded-md">
@@ -1029,6 +1022,20 @@ const ManagePartners = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-xs sm:text-sm font-medium text-gray-700">Net Rate Discount (%)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  placeholder="Pays public prices"
+                  className="mt-1 w-full p-2 border rounded text-sm"
+                  value={formData.netRateDiscount}
+                  onChange={(e) => setFormData(prev => ({ ...prev, netRateDiscount: e.target.value }))}
+                />
+              </div>
+
               <div>
                 <label className="block text-xs sm:text-sm font-medium text-gray-700">Contact Person</label>
                 <input
@@ -1153,15 +1160,28 @@ const ManagePartners = () => {
                         </td>
                         <td className="px-3 sm:px-6 py-2 sm:py-4">
                           {editingId === partner.id ? (
-                            <input
-                              type="number"
-                              className="w-20 p-1 border rounded text-sm"
-                              value={editFormData.commissionRate}
-                              onChange={(e) => setEditFormData(prev => ({ ...prev, commissionRate: e.target.value }))}
-                            />
+                            <div className="space-y-1">
+                              <input
+                                type="number"
+                                className="w-20 p-1 border rounded text-sm"
+                                value={editFormData.commissionRate}
+                                onChange={(e) => setEditFormData(prev => ({ ...prev, commissionRate: e.target.value }))}
+                              />
+                              <input
+                                type="number"
+                                className="w-20 p-1 border rounded text-sm"
+                                value={editFormData.netRateDiscount}
+                                onChange={(e) => setEditFormData(prev => ({ ...prev, netRateDiscount: e.target.value }))}
+                                placeholder="Net %"
+                                title="Net rate discount (%)"
+                              />
+                            </div>
                           ) : (
                             <div className="text-sm">
                               {partner.commissionRate}%
+                              {partner.netRateDiscount > 0 && (
+                                <div className="text-xs text-gray-500">Net −{partner.netRateDiscount}%</div>
+                              )}
                             </div>
                           )}
                         </td>
@@ -2,8 +2,12 @@ import React, { useState, useEffect, useRef } from 'react';
 import { db } from '../firebase/firebaseConfig';
 import { 
   collection, addDoc, serverTimestamp, onSnapshot, query, 
-  orderBy, limit, getDocs, doc, deleteDoc, updateDoc, getDoc
+  orderBy, limit, getDocs, doc, updateDoc, getDoc
 } from 'firebase/firestore';
+import { getAuth } from 'firebase/auth';
+import { isTrashed } from '../utils/recycleBin';
+import { moveToTrash } from '../utils/recycleBinActions';
+import { getBookingStatus, isBlockingStatus } from '../utils/bookingStatus';
 import { 
   PlusCircle, MinusCircle, Save, X, ChevronDown, Trash2, CreditCard, 
   Calendar, Search, Smartphone, Mail, User, Anchor, MapPin, Tag,
@@ -121,7 +125,7 @@ const ManualOrderEntry = ({ onClose, onOrderAdded, onOrderDeleted, initialOrderD
             id: doc.id,
             ...doc.data()
           }))
-          .filter(booking => booking.status === 'active' || !booking.status);
+          .filter(booking => !isTrashed(booking) && isBlockingStatus(getBookingStatus(booking)));
         
         setBookings(bookingsData);
         setFilteredBookings(bookingsData);
@@ -565,10 +569,9 @@ const ManualOrderEntry = ({ onClose, onOrderAdded, onOrderDeleted, initialOrderD
     setError('');
     
     try {
-      const orderRef = doc(db, 'orders', initialOrderData.id);
-      await deleteDoc(orderRef);
+      await moveToTrash('orders', initialOrderData.id, getAuth().currentUser);
       
-      setSuccess('Order has been cancelled and deleted successfully');
+      setSuccess('Order has been cancelled and moved to the recycle bin');
       
       if (onOrderDeleted) {
         onOrderDeleted(initialOrderData.id);
@@ -1523,7 +1526,7 @@ const ManualOrderEntry = ({ onClose, onOrderAdded, onOrderDeleted, initialOrderD
                 </div>
                 <h3 className="text-lg font-bold text-gray-900 mb-2">Cancel Order</h3>
                 <p className="text-sm text-gray-500">
-                  Are you sure you want to cancel and delete this order? This action cannot be undone.
+                  Are you sure you want to cancel and delete this order? It will be moved to the recycle bin, where an admin can restore it.
                 </p>
               </div>
               
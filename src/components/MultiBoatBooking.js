@@ -1,8 +1,24 @@
 import React, { useState, useEffect } from "react";
 import { Ship, PlusCircle, Trash2, ChevronDown, ChevronUp } from "lucide-react";
 import ClientPaymentForm from './ClientPaymentForm'; // Import the existing ClientPaymentForm
+import PriceSuggestion from './PriceSuggestion';
+import {
+  DEFAULT_SCHEDULE_TEMPLATE,
+  buildScheduleFromTemplate,
+  getSchedulePaymentStatus,
+  getScheduleTotals,
+  recalculateSchedule
+} from '../utils/paymentSchedule';
 
-function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
+// The schedule is built from the default template once the boat has a date or price
+const emptyPricing = () => ({
+  agreedPrice: "",
+  payments: [],
+  paymentStatus: "No Payment",
+  totalPaid: 0,
+});
+
+function MultiBoatBooking({ onBoatsChange, initialBoats = [], fleet = [], partner = null }) {
   const [boats, setBoats] = useState(initialBoats.length > 0 ? initialBoats : [{
     boatCompany: "",
     boatName: "",
@@ -10,31 +26,13 @@ function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
     date: "",
     startTime: "",
     endTime: "",
-    pricing: {
-      agreedPrice: "",
-      pricingType: "standard",
-      firstPayment: {
-        useCustomAmount: false,
-        percentage: "30",
-        amount: "",
-        method: "cash",
-        received: false,
-        date: "",
-        excludeVAT: false
-      },
-      secondPayment: {
-        amount: "",
-        method: "pos",
-        received: false,
-        date: "",
-        excludeVAT: false
-      },
-      paymentStatus: "No Payment",
-      totalPaid: 0,
-    },
+    pricing: emptyPricing(),
     showPaymentDetails: false // Control payment section visibility
   }]);
 
+  // Bumped per boat when a suggested price is applied so its open payment form picks it up
+  const [pricingFormKeys, setPricingFormKeys] = useState({});
+
   // Update parent component when boats change
   useEffect(() => {
     onBoatsChange(boats);
@@ -50,22 +48,12 @@ function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
       boatName: "",
       passengers: "",
       pricing: {
-        ...lastBoat.pricing,
-        agreedPrice: "",
-        firstPayment: {
-          ...lastBoat.pricing.firstPayment,
-          amount: "",
-          received: false,
-          date: ""
-        },
-        secondPayment: {
-          ...lastBoat.pricing.secondPayment,
-          amount: "",
-          received: false,
-          date: ""
-        },
-        paymentStatus: "No Payment",
-        totalPaid: 0
+        ...emptyPricing(),
+        // Same instalments as the last boat, none of them received yet
+        payments: recalculateSchedule(
+          (lastBoat.pricing.payments || []).map((line) => ({ ...line, received: false, date: "", receipt: null })),
+          ""
+        )
       },
       showPaymentDetails: false
     };
@@ -84,28 +72,7 @@ function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
         date: boats[0].date, // Keep the date
         startTime: "",
         endTime: "",
-        pricing: {
-          agreedPrice: "",
-          pricingType: "standard",
-          firstPayment: {
-            useCustomAmount: false,
-            percentage: "30",
-            amount: "",
-            method: "cash",
-            received: false,
-            date: "",
-            excludeVAT: false
-          },
-          secondPayment: {
-            amount: "",
-            method: "pos",
-            received: false,
-            date: "",
-            excludeVAT: false
-          },
-          paymentStatus: "No Payment",
-          totalPaid: 0,
-        },
+        pricing: emptyPricing(),
         showPaymentDetails: false
       };
       setBoats([clearedBoat]);
@@ -150,39 +117,38 @@ function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
 
   // Handle pricing changes for a specific boat
   const handlePricingChange = (index, pricingData) => {
-    // Calculate actual monetary values for first payment
-    const firstPaymentAmount = pricingData.pricingType === 'standard' && !pricingData.firstPayment.useCustomAmount 
-      ? parseFloat(pricingData.agreedPrice) * (parseFloat(pricingData.firstPayment.percentage) / 100)
-      : parseFloat(pricingData.firstPayment.amount) || 0;
-  
-    // Calculate second payment based on the total and first payment
-    const secondPaymentAmount = pricingData.pricingType === 'standard'
-      ? parseFloat(pricingData.agreedPrice) - firstPaymentAmount
-      : parseFloat(pricingData.secondPayment.amount) || 0;
-  
+    const payments = pricingData.payments?.length
+      ? recalculateSchedule(pricingData.payments, pricingData.agreedPrice)
+      : buildScheduleFromTemplate(DEFAULT_SCHEDULE_TEMPLATE, {
+          agreedPrice: pricingData.agreedPrice,
+          charterDate: boats[index].date
+        });
+
     const updatedBoats = [...boats];
     updatedBoats[index] = {
       ...updatedBoats[index],
       pricing: {
-        ...pricingData,
-        firstPayment: {
-          ...pricingData.firstPayment,
-          amount: firstPaymentAmount.toFixed(2),
-          percentage: pricingData.firstPayment.percentage // Keep the original percentage
-        },
-        secondPayment: {
-          ...pricingData.secondPayment,
-          amount: secondPaymentAmount.toFixed(2)
-        },
-        totalPaid: 
-          (pricingData.firstPayment.received ? firstPaymentAmount : 0) +
-          (pricingData.secondPayment.received ? secondPaymentAmount : 0),
+        ...updatedBoats[index].pricing,
+        agreedPrice: pricingData.agreedPrice,
+        payments,
+        paymentStatus: getSchedulePaymentStatus(payments),
+        totalPaid: getScheduleTotals(payments).received
       }
     };
     
     setBoats(updatedBoats);
   };
 
+  const applySuggestedPrice = (index, price) => {
+    handlePricingChange(index, { ...boats[index].pricing, agreedPrice: String(price) });
+    setPricingFormKeys((prev) => ({ ...prev, [index]: (prev[index] || 0) + 1 }));
+  };
+
+  // The suggestion's quote travels with the boat so the booking can store its price check
+  const handlePriceQuote = (index, priceQuote) => {
+    setBoats((prev) => prev.map((boat, i) => (i === index ? { ...boat, priceQuote } : boat)));
+  };
+
   // Apply date to all boats
   const applyDateToAll = (date) => {
     const updatedBoats = boats.map(boat => ({
@@ -199,21 +165,24 @@ function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
       if (i === index) return boat; // Skip the source boat
       
       // Copy price but maintain boat-specific details
+      // Same price and instalments; what each boat has already received stays with it
+      const payments = (sourceBoat.pricing.payments || []).map((line, lineIndex) => {
+        const own = (boat.pricing.payments || [])[lineIndex];
+        return {
+          ...line,
+          id: own?.id || `${line.id}_${i}`,
+          received: own?.received || false,
+          date: own?.date || "",
+          receipt: own?.receipt || null
+        };
+      });
       return {
         ...boat,
         pricing: {
           ...sourceBoat.pricing,
-          // Preserve any unique payment receipt status
-          firstPayment: {
-            ...sourceBoat.pricing.firstPayment,
-            received: boat.pricing.firstPayment.received,
-            date: boat.pricing.firstPayment.date
-          },
-          secondPayment: {
-            ...sourceBoat.pricing.secondPayment,
-            received: boat.pricing.secondPayment.received,
-            date: boat.pricing.secondPayment.date
-          }
+          payments,
+          paymentStatus: getSchedulePaymentStatus(payments),
+          totalPaid: getScheduleTotals(payments).received
         }
       };
     });
@@ -355,6 +324,21 @@ function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
               )}
             </div>
 
+            <div className="mt-2">
+              <PriceSuggestion
+                boats={fleet}
+                boatName={boat.boatName}
+                date={boat.date}
+                startTime={boat.startTime}
+                endTime={boat.endTime}
+                passengers={boat.passengers}
+                partner={partner}
+                agreedPrice={boat.pricing.agreedPrice}
+                onApply={(price) => applySuggestedPrice(index, price)}
+                onQuote={(quote) => handlePriceQuote(index, quote)}
+              />
+            </div>
+
             {/* Simplified pricing display when collapsed */}
             {!boat.showPaymentDetails && (
               <div className="mt-2 grid grid-cols-2 gap-2">
@@ -393,8 +377,10 @@ function MultiBoatBooking({ onBoatsChange, initialBoats = [] }) {
             {boat.showPaymentDetails && (
               <div className="mt-4">
                 <ClientPaymentForm 
+                  key={pricingFormKeys[index] || 0}
                   onPricingChange={(pricingData) => handlePricingChange(index, pricingData)}
                   initialData={boat.pricing}
+                  charterDate={boat.date}
                 />
               </div>
             )}
@@ -0,0 +1,423 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getAuth } from 'firebase/auth';
+import { Ship, Trash2, PlusCircle, AlertTriangle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import BookingConflictModal from './BookingConflictModal';
+import BookingStatusBadge from './BookingStatusBadge';
+import { findBookingConflicts, buildConflictOverride } from '../utils/bookingConflicts';
+import { getBookingStatus, isBlockingStatus } from '../utils/bookingStatus';
+import {
+  subscribeToGroup,
+  getBoatFinancials,
+  getGroupTotals,
+  propagateGroupChanges,
+  addBoatToGroup,
+  removeBoatFromGroup,
+  allocateGroupPayment,
+  recordGroupPayment
+} from '../utils/multiBoatGroup';
+
+const formatEuro = (amount) => `€${(Number(amount) || 0).toFixed(2)}`;
+
+const EMPTY_BOAT = { boatName: '', boatCompany: '', startTime: '', endTime: '', passengers: '', agreedPrice: '' };
+
+const buildSharedForm = (booking) => ({
+  clientDetails: {
+    name: booking?.clientDetails?.name || booking?.clientName || '',
+    phone: booking?.clientDetails?.phone || '',
+    email: booking?.clientDetails?.email || '',
+    passportNumber: booking?.clientDetails?.passportNumber || ''
+  },
+  date: booking?.bookingDetails?.date || booking?.bookingDate || '',
+  transfer: {
+    required: Boolean(booking?.transfer?.required),
+    pickup: { location: '', locationDetail: '', ...(booking?.transfer?.pickup || {}) },
+    dropoff: { location: '', locationDetail: '', ...(booking?.transfer?.dropoff || {}) }
+  }
+});
+
+/**
+ * All boats of a multi-boat booking in one place: combined totals, shared
+ * client/date/transfer edits, adding and removing boats, and group payments.
+ */
+const MultiBoatGroup = ({ groupId, currentBookingId, disabled = false, onChanged }) => {
+  const { isAdmin } = useAuth();
+  const [bookings, setBookings] = useState([]);
+  const [shared, setShared] = useState(null);
+  const [newBoat, setNewBoat] = useState(EMPTY_BOAT);
+  const [payment, setPayment] = useState({ amount: '', method: 'cash', date: new Date().toISOString().slice(0, 10) });
+  const [allocation, setAllocation] = useState({});
+  const [conflictCheck, setConflictCheck] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribeToGroup(groupId, setBookings, err => setError(err.message)), [groupId]);
+
+  // Seed the shared form from the first boat once the group has loaded
+  useEffect(() => {
+    if (!shared && bookings.length > 0) setShared(buildSharedForm(bookings[0]));
+  }, [bookings, shared]);
+
+  const totals = getGroupTotals(bookings);
+  const dates = bookings
+    .map(booking => booking.bookingDetails?.date)
+    .filter((date, index, all) => date && all.indexOf(date) === index);
+  const allocationTotal = Object.values(allocation).reduce((sum, amount) => sum + (Number(amount) || 0), 0);
+
+  const run = async (action, message) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      if (message) alert(message);
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error('Error updating multi-boat group:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Runs `save` straight away when the slots are free, otherwise asks for an admin override first
+  const saveWithConflictCheck = async (slots, save) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await findBookingConflicts(slots, { excludeIds: bookings.map(booking => booking.id) });
+      if (result.conflicts.length > 0) {
+        setConflictCheck({ ...result, save });
+        return;
+      }
+    } catch (err) {
+      console.error('Error checking conflicts:', err);
+      setError(err.message);
+      return;
+    } finally {
+      setBusy(false);
+    }
+    await save(null);
+  };
+
+  const handleConflictOverride = async (reason) => {
+    const { conflicts, save } = conflictCheck;
+    setConflictCheck(null);
+    await save(buildConflictOverride(conflicts, reason, getAuth().currentUser));
+  };
+
+  const handleApplyShared = async () => {
+    if (!shared.clientDetails.name.trim()) return alert('Client name is required.');
+    const user = getAuth().currentUser;
+    const dateChanged = dates.length !== 1 || dates[0] !== shared.date;
+    const changes = {
+      clientDetails: shared.clientDetails,
+      transfer: shared.transfer,
+      ...(dateChanged && shared.date ? { date: shared.date } : {})
+    };
+    const save = conflictOverride =>
+      run(() => propagateGroupChanges(bookings, changes, { user, conflictOverride }), `Updated ${bookings.length} boats.`);
+
+    if (!changes.date) return save(null);
+    const slots = bookings
+      .filter(booking => isBlockingStatus(getBookingStatus(booking)))
+      .map(booking => ({
+        boatName: booking.bookingDetails?.boatName,
+        date: changes.date,
+        startTime: booking.bookingDetails?.startTime,
+        endTime: booking.bookingDetails?.endTime
+      }));
+    await saveWithConflictCheck(slots, save);
+  };
+
+  const handleAddBoat = async (e) => {
+    e.preventDefault();
+    if (!newBoat.boatName.trim()) return alert('Boat name is required.');
+    const date = shared?.date || dates[0];
+    const boat = { ...newBoat, date };
+    const save = conflictOverride =>
+      run(async () => {
+        await addBoatToGroup(bookings, boat, { user: getAuth().currentUser, conflictOverride });
+        setNewBoat(EMPTY_BOAT);
+      }, `${boat.boatName} added to the group.`);
+    await saveWithConflictCheck([boat], save);
+  };
+
+  const handleRemoveBoat = (booking) => {
+    const boatName = booking.bookingDetails?.boatName || 'this boat';
+    if (bookings.length <= 1) return alert('This is the last boat in the group; cancel the booking instead.');
+    if (!window.confirm(`Remove ${boatName} from the group? Its booking moves to the recycle bin.`)) return;
+    run(() => removeBoatFromGroup(booking, getAuth().currentUser));
+  };
+
+  const handleAllocate = () => {
+    const amount = Number(payment.amount) || 0;
+    if (amount <= 0) return alert('Enter the amount received.');
+    setAllocation(allocateGroupPayment(amount, bookings));
+  };
+
+  const handleRecordPayment = async () => {
+    if (Math.abs(allocationTotal - Number(payment.amount)) > 0.005) {
+      return alert(`The split adds up to ${formatEuro(allocationTotal)}, not ${formatEuro(payment.amount)}.`);
+    }
+    await run(async () => {
+      await recordGroupPayment(bookings, allocation, payment, getAuth().currentUser);
+      setAllocation({});
+      setPayment({ ...payment, amount: '' });
+    }, 'Group payment recorded.');
+  };
+
+  if (!shared) {
+    return <div className="p-4 text-sm text-gray-500">Loading group...</div>;
+  }
+
+  const setClientField = (field, value) =>
+    setShared({ ...shared, clientDetails: { ...shared.clientDetails, [field]: value } });
+  const setTransferPoint = (point, field, value) =>
+    setShared({
+      ...shared,
+      transfer: { ...shared.transfer, [point]: { ...shared.transfer[point], [field]: value } }
+    });
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-3 bg-red-100 text-red-800 rounded-lg flex items-center gap-2 text-sm">
+          <AlertTriangle size={16} /> {error}
+        </div>
+      )}
+
+      {/* Boats */}
+      <div className="border rounded-lg overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="p-2">Boat</th>
+              <th className="p-2">Date</th>
+              <th className="p-2">Time</th>
+              <th className="p-2">Pax</th>
+              <th className="p-2">Status</th>
+              <th className="p-2 text-right">Price</th>
+              <th className="p-2 text-right">Paid</th>
+              <th className="p-2 text-right">Due</th>
+              <th className="p-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {bookings.map(booking => {
+              const boat = getBoatFinancials(booking);
+              const details = booking.bookingDetails || {};
+              return (
+                <tr key={booking.id} className={booking.id === currentBookingId ? 'bg-blue-50' : ''}>
+                  <td className="p-2 font-medium">
+                    <Ship size={14} className="inline mr-1 text-gray-500" />
+                    {details.boatName}
+                  </td>
+                  <td className="p-2">{details.date}</td>
+                  <td className="p-2 whitespace-nowrap">{details.startTime || '—'}–{details.endTime || '—'}</td>
+                  <td className="p-2">{details.passengers || '—'}</td>
+                  <td className="p-2"><BookingStatusBadge status={getBookingStatus(booking)} optionExpiresAt={booking.optionExpiresAt} /></td>
+                  <td className="p-2 text-right">{formatEuro(boat.agreedPrice)}</td>
+                  <td className="p-2 text-right text-green-700">{formatEuro(boat.paid)}</td>
+                  <td className="p-2 text-right text-red-700">{formatEuro(boat.outstanding)}</td>
+                  <td className="p-2 text-right">
+                    <button
+                      onClick={() => handleRemoveBoat(booking)}
+                      disabled={disabled || busy}
+                      className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      title="Remove from group"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot className="bg-gray-50 font-semibold">
+            <tr>
+              <td className="p-2" colSpan={5}>Group total ({totals.boats} boats)</td>
+              <td className="p-2 text-right">{formatEuro(totals.agreedPrice)}</td>
+              <td className="p-2 text-right text-green-700">{formatEuro(totals.paid)}</td>
+              <td className="p-2 text-right text-red-700">{formatEuro(totals.outstanding)}</td>
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {/* Shared details */}
+      <div className="border rounded-lg p-4">
+        <h4 className="font-bold mb-1">Shared details</h4>
+        <p className="text-xs text-gray-500 mb-3">Saved to every boat in the group.</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+          {[
+            ['name', 'Client name'],
+            ['phone', 'Phone'],
+            ['email', 'Email'],
+            ['passportNumber', 'Passport']
+          ].map(([field, label]) => (
+            <label key={field}>
+              <span className="block text-gray-600 mb-1">{label}</span>
+              <input
+                type="text"
+                value={shared.clientDetails[field]}
+                onChange={e => setClientField(field, e.target.value)}
+                className="w-full p-2 border rounded"
+              />
+            </label>
+          ))}
+          <label>
+            <span className="block text-gray-600 mb-1">Date</span>
+            <input
+              type="date"
+              value={shared.date}
+              onChange={e => setShared({ ...shared, date: e.target.value })}
+              className="w-full p-2 border rounded"
+            />
+            {dates.length > 1 && (
+              <span className="text-xs text-orange-700">Boats are on {dates.join(', ')}; saving moves them all to this date.</span>
+            )}
+          </label>
+          <label>
+            <span className="block text-gray-600 mb-1">Transfer</span>
+            <select
+              value={shared.transfer.required ? 'true' : 'false'}
+              onChange={e => setShared({ ...shared, transfer: { ...shared.transfer, required: e.target.value === 'true' } })}
+              className="w-full p-2 border rounded"
+            >
+              <option value="false">No transfer</option>
+              <option value="true">Transfer required</option>
+            </select>
+          </label>
+          {shared.transfer.required && ['pickup', 'dropoff'].map(point => (
+            <div key={point}>
+              <span className="block text-gray-600 mb-1">{point === 'pickup' ? 'Pickup' : 'Drop-off'}</span>
+              <div className="flex gap-2">
+                <select
+                  value={shared.transfer[point].location}
+                  onChange={e => setTransferPoint(point, 'location', e.target.value)}
+                  className="p-2 border rounded"
+                >
+                  <option value="">Select</option>
+                  {(point === 'pickup' ? ['Hotel', 'Airport', 'Other'] : ['Marina', 'Hotel', 'Other']).map(location => (
+                    <option key={location} value={location}>{location}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  placeholder="Hotel / location name"
+                  value={shared.transfer[point].locationDetail}
+                  onChange={e => setTransferPoint(point, 'locationDetail', e.target.value)}
+                  className="w-full p-2 border rounded"
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={handleApplyShared}
+          disabled={disabled || busy}
+          className="mt-3 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+        >
+          Apply to all {bookings.length} boats
+        </button>
+      </div>
+
+      {/* Add boat */}
+      <form onSubmit={handleAddBoat} className="border rounded-lg p-4">
+        <h4 className="font-bold mb-3">Add a boat</h4>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-2 text-sm">
+          <input type="text" placeholder="Boat name" value={newBoat.boatName}
+            onChange={e => setNewBoat({ ...newBoat, boatName: e.target.value })} className="p-2 border rounded col-span-2 md:col-span-1" />
+          <input type="text" placeholder="Company" value={newBoat.boatCompany}
+            onChange={e => setNewBoat({ ...newBoat, boatCompany: e.target.value })} className="p-2 border rounded" />
+          <input type="time" value={newBoat.startTime} title="Start time"
+            onChange={e => setNewBoat({ ...newBoat, startTime: e.target.value })} className="p-2 border rounded" />
+          <input type="time" value={newBoat.endTime} title="End time"
+            onChange={e => setNewBoat({ ...newBoat, endTime: e.target.value })} className="p-2 border rounded" />
+          <input type="number" min="0" placeholder="Pax" value={newBoat.passengers}
+            onChange={e => setNewBoat({ ...newBoat, passengers: e.target.value })} className="p-2 border rounded" />
+          <input type="number" min="0" step="0.01" placeholder="Price €" value={newBoat.agreedPrice}
+            onChange={e => setNewBoat({ ...newBoat, agreedPrice: e.target.value })} className="p-2 border rounded" />
+        </div>
+        <button
+          type="submit"
+          disabled={disabled || busy}
+          className="mt-3 inline-flex items-center gap-1 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 text-sm"
+        >
+          <PlusCircle size={14} /> Add to group on {shared.date || dates[0] || '—'}
+        </button>
+      </form>
+
+      {/* Group payment */}
+      <div className="border rounded-lg p-4">
+        <h4 className="font-bold mb-1">Group payment</h4>
+        <p className="text-xs text-gray-500 mb-3">
+          A payment for the whole group, split across the boats by what each still owes.
+        </p>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <input type="number" min="0" step="0.01" placeholder="Amount €" value={payment.amount}
+            onChange={e => { setPayment({ ...payment, amount: e.target.value }); setAllocation({}); }}
+            className="p-2 border rounded w-32" />
+          <select value={payment.method} onChange={e => setPayment({ ...payment, method: e.target.value })} className="p-2 border rounded">
+            <option value="cash">Cash</option>
+            <option value="pos">POS</option>
+            <option value="transfer">Bank Transfer</option>
+          </select>
+          <input type="date" value={payment.date} onChange={e => setPayment({ ...payment, date: e.target.value })} className="p-2 border rounded" />
+          <button onClick={handleAllocate} disabled={disabled || busy} className="px-4 py-2 bg-white border rounded-md hover:bg-gray-100 disabled:opacity-50">
+            Split
+          </button>
+        </div>
+        {Object.keys(allocation).length > 0 && (
+          <div className="mt-3 space-y-2 text-sm">
+            {bookings.filter(booking => booking.id in allocation).map(booking => (
+              <div key={booking.id} className="flex items-center gap-2">
+                <span className="w-40">{booking.bookingDetails?.boatName}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={allocation[booking.id]}
+                  onChange={e => setAllocation({ ...allocation, [booking.id]: e.target.value })}
+                  className="p-1 border rounded w-28"
+                />
+                <span className="text-gray-500">of {formatEuro(getBoatFinancials(booking).outstanding)} due</span>
+              </div>
+            ))}
+            <div className={Math.abs(allocationTotal - Number(payment.amount)) > 0.005 ? 'text-red-700' : 'text-gray-600'}>
+              Split total {formatEuro(allocationTotal)} of {formatEuro(payment.amount)}
+            </div>
+            <button
+              onClick={handleRecordPayment}
+              disabled={disabled || busy}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Record payment
+            </button>
+          </div>
+        )}
+      </div>
+
+      {conflictCheck && (
+        <BookingConflictModal
+          conflicts={conflictCheck.conflicts}
+          calendarErrors={conflictCheck.calendarErrors}
+          canOverride={isAdmin()}
+          onOverride={handleConflictOverride}
+          onClose={() => setConflictCheck(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+MultiBoatGroup.propTypes = {
+  groupId: PropTypes.string.isRequired,
+  currentBookingId: PropTypes.string,
+  disabled: PropTypes.bool,
+  onChanged: PropTypes.func
+};
+
+export default MultiBoatGroup;
@@ -0,0 +1,323 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { AlertTriangle, FileText, Plus, Trash2, Upload } from 'lucide-react';
+import { storage } from '../firebase/firebaseConfig';
+import {
+  AMOUNT_TYPES,
+  PAYMENT_METHODS,
+  SCHEDULE_TEMPLATES,
+  buildScheduleFromTemplate,
+  createInstallment,
+  getInstallmentLabel,
+  getScheduleTotals,
+  isInstallmentOverdue,
+  recalculateSchedule
+} from '../utils/paymentSchedule';
+
+const formatEuro = (amount) => `€${(Number(amount) || 0).toFixed(2)}`;
+
+/**
+ * Client payment schedule: any number of instalments, each with a due date,
+ * an amount (percentage, fixed or the balance), method, VAT flag, received
+ * state and receipt. Amounts are recalculated from the agreed price on every change.
+ */
+const PaymentScheduleEditor = ({ lines, agreedPrice, charterDate, bookingId, readOnly = false, onChange = () => {} }) => {
+  const [uploadingId, setUploadingId] = useState(null);
+  const totals = getScheduleTotals(lines);
+  const price = parseFloat(agreedPrice) || 0;
+  const mismatch = price > 0 && Math.abs(totals.scheduled - price) >= 0.01;
+
+  const emit = (nextLines) => onChange(recalculateSchedule(nextLines, agreedPrice));
+
+  const updateLine = (id, fields) => {
+    emit(lines.map((line) => (line.id === id ? { ...line, ...fields } : line)));
+  };
+
+  const handleAmountTypeChange = (line, amountType) => {
+    const fields = { amountType };
+    // Keep the current amount when switching, as a share or as euros
+    if (amountType === 'percentage') {
+      fields.percentage = price > 0 ? Math.round(((parseFloat(line.amount) || 0) / price) * 10000) / 100 : 0;
+    }
+    updateLine(line.id, fields);
+  };
+
+  const handleReceivedChange = (line, received) => {
+    updateLine(line.id, { received, date: received ? new Date().toISOString().split('T')[0] : '' });
+  };
+
+  const handleApplyTemplate = (templateKey) => {
+    if (!templateKey) return;
+    if (lines.some((line) => line.received) && !window.confirm('Some instalments are already received. Replace the whole schedule?')) {
+      return;
+    }
+    onChange(buildScheduleFromTemplate(templateKey, { agreedPrice, charterDate }));
+  };
+
+  const handleReceiptUpload = async (line, file) => {
+    if (!file) return;
+    setUploadingId(line.id);
+    try {
+      const storageRef = ref(storage, `receipts/${bookingId || 'new'}/${line.id}_${file.name}`);
+      await uploadBytes(storageRef, file);
+      const url = await getDownloadURL(storageRef);
+      updateLine(line.id, { receipt: { url, name: file.name } });
+    } catch (error) {
+      console.error('Error uploading receipt:', error);
+      alert('Failed to upload the receipt. Please try again.');
+    } finally {
+      setUploadingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {!readOnly && (
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <select
+            value=""
+            onChange={(e) => handleApplyTemplate(e.target.value)}
+            className="rounded-md border border-gray-300 px-3 py-2 text-sm"
+          >
+            <option value="">Apply a schedule template…</option>
+            {Object.entries(SCHEDULE_TEMPLATES).map(([key, template]) => (
+              <option key={key} value={key}>{template.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => emit([...lines, createInstallment({ dueDate: charterDate || '' })])}
+            className="inline-flex items-center gap-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4" /> Add instalment
+          </button>
+        </div>
+      )}
+
+      {lines.length === 0 && (
+        <p className="text-sm text-gray-500 p-3 bg-gray-50 rounded-md">No instalments scheduled.</p>
+      )}
+
+      {lines.map((line, index) => {
+        const overdue = isInstallmentOverdue(line);
+        return (
+          <div
+            key={line.id}
+            className={`p-3 rounded-lg border ${
+              line.received ? 'bg-green-50 border-green-200' : overdue ? 'bg-red-50 border-red-200' : 'bg-white border-gray-200'
+            }`}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              {readOnly ? (
+                <span className="font-medium">{getInstallmentLabel(line, index)}</span>
+              ) : (
+                <input
+                  type="text"
+                  value={line.label}
+                  placeholder={getInstallmentLabel(line, index)}
+                  onChange={(e) => updateLine(line.id, { label: e.target.value })}
+                  className="flex-1 min-w-[10rem] rounded-md border border-gray-300 px-2 py-1 font-medium"
+                />
+              )}
+              <div className="flex items-center gap-2">
+                <span className="text-lg font-semibold">{formatEuro(line.amount)}</span>
+                {line.received ? (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Received</span>
+                ) : line.waived ? (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">Waived</span>
+                ) : overdue ? (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800">Overdue</span>
+                ) : (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">Pending</span>
+                )}
+                {!readOnly && (
+                  <button
+                    type="button"
+                    onClick={() => emit(lines.filter((entry) => entry.id !== line.id))}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Remove instalment"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+              <label className="block">
+                <span className="text-gray-600">Due</span>
+                <input
+                  type="date"
+                  value={line.dueDate || ''}
+                  disabled={readOnly}
+                  onChange={(e) => updateLine(line.id, { dueDate: e.target.value })}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-2 py-1"
+                />
+              </label>
+
+              <label className="block">
+                <span className="text-gray-600">Amount</span>
+                <div className="mt-1 flex">
+                  <select
+                    value={line.amountType}
+                    disabled={readOnly}
+                    onChange={(e) => handleAmountTypeChange(line, e.target.value)}
+                    className="rounded-l-md border border-gray-300 px-1 py-1"
+                  >
+                    {Object.entries(AMOUNT_TYPES).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  {line.amountType === 'percentage' && (
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={line.percentage ?? ''}
+                      disabled={readOnly}
+                      onChange={(e) => updateLine(line.id, { percentage: e.target.value })}
+                      className="w-full rounded-r-md border border-l-0 border-gray-300 px-2 py-1"
+                    />
+                  )}
+                  {line.amountType === 'fixed' && (
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.amount}
+                      disabled={readOnly}
+                      onChange={(e) => updateLine(line.id, { amount: e.target.value })}
+                      className="w-full rounded-r-md border border-l-0 border-gray-300 px-2 py-1"
+                    />
+                  )}
+                </div>
+              </label>
+
+              <label className="block">
+                <span className="text-gray-600">Method</span>
+                <select
+                  value={line.method}
+                  disabled={readOnly}
+                  onChange={(e) => updateLine(line.id, { method: e.target.value })}
+                  className="mt-1 block w-full rounded-md border border-gray-300 px-2 py-1"
+                >
+                  {Object.entries(PAYMENT_METHODS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+
+              <div className="space-y-1 pt-5">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={line.excludeVAT}
+                    disabled={readOnly}
+                    onChange={(e) => updateLine(line.id, { excludeVAT: e.target.checked })}
+                    className="rounded border-gray-300"
+                  />
+                  <span>Without VAT</span>
+                </label>
+                {line.excludeVAT && (
+                  <p className="text-xs text-gray-500">With VAT: {formatEuro((parseFloat(line.amount) || 0) * 1.21)}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={line.received}
+                  disabled={readOnly}
+                  onChange={(e) => handleReceivedChange(line, e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                <span>Received</span>
+              </label>
+              {line.received && (
+                <input
+                  type="date"
+                  value={line.date || ''}
+                  disabled={readOnly}
+                  onChange={(e) => updateLine(line.id, { date: e.target.value })}
+                  className="rounded-md border border-gray-300 px-2 py-1"
+                />
+              )}
+              {line.receipt?.url && (
+                <a
+                  href={line.receipt.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 text-blue-600 hover:underline"
+                >
+                  <FileText className="w-4 h-4" /> {line.receipt.name || 'Receipt'}
+                </a>
+              )}
+              {!readOnly && (
+                <label className="inline-flex items-center gap-1 text-gray-600 hover:text-blue-600 cursor-pointer">
+                  <Upload className="w-4 h-4" />
+                  {uploadingId === line.id ? 'Uploading…' : line.receipt ? 'Replace receipt' : 'Attach receipt'}
+                  <input
+                    type="file"
+                    accept="image/*,application/pdf"
+                    className="hidden"
+                    disabled={uploadingId === line.id}
+                    onChange={(e) => handleReceiptUpload(line, e.target.files[0])}
+                  />
+                </label>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="grid grid-cols-3 gap-2 p-3 bg-gray-50 rounded-lg text-sm">
+        <div>
+          <span className="text-gray-600">Scheduled</span>
+          <p className="font-semibold">{formatEuro(totals.scheduled)}</p>
+        </div>
+        <div>
+          <span className="text-gray-600">Received</span>
+          <p className="font-semibold text-green-700">{formatEuro(totals.received)}</p>
+        </div>
+        <div>
+          <span className="text-gray-600">Outstanding</span>
+          <p className="font-semibold">{formatEuro(totals.outstanding)}</p>
+          {totals.overdue > 0 && <p className="text-xs text-red-600">{formatEuro(totals.overdue)} overdue</p>}
+        </div>
+      </div>
+
+      {mismatch && (
+        <div className="flex items-center gap-2 p-2 text-sm bg-yellow-50 text-yellow-800 rounded-md">
+          <AlertTriangle className="w-4 h-4" />
+          Instalments add up to {formatEuro(totals.scheduled)}; the agreed price is {formatEuro(price)}.
+        </div>
+      )}
+    </div>
+  );
+};
+
+PaymentScheduleEditor.propTypes = {
+  lines: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string,
+    dueDate: PropTypes.string,
+    amountType: PropTypes.oneOf(Object.keys(AMOUNT_TYPES)),
+    percentage: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    method: PropTypes.string,
+    received: PropTypes.bool,
+    date: PropTypes.string,
+    receipt: PropTypes.shape({ url: PropTypes.string, name: PropTypes.string }),
+    excludeVAT: PropTypes.bool
+  })).isRequired,
+  agreedPrice: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  charterDate: PropTypes.string,
+  bookingId: PropTypes.string,
+  readOnly: PropTypes.bool,
+  onChange: PropTypes.func
+};
+
+export default PaymentScheduleEditor;
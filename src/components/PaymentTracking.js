@@ -1,10 +1,24 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { collection, query, onSnapshot, orderBy, doc, getDoc, updateDoc } from 'firebase/firestore';
+import { collection, query, onSnapshot, orderBy, doc, getDoc } from 'firebase/firestore';
 import { storage } from '../firebase/firebaseConfig';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { db } from '../firebase/firebaseConfig';
 import { format, addDays, isPast, differenceInDays, isBefore } from 'date-fns';
 import SignaturePad from './SignaturePad';
+import { getBookingStatus, isRevenueStatus } from '../utils/bookingStatus';
+import { updateBookingWithHistory } from '../utils/bookingHistoryActions';
+import { isTrashed } from '../utils/recycleBin';
+import {
+    PAYMENT_METHODS,
+    getInstallmentLabel,
+    getPaymentSchedule,
+    getScheduleTotals,
+    isInstallmentOverdue,
+    isScheduleComplete,
+    needsScheduleMigration
+} from '../utils/paymentSchedule';
+import { migrateBookingSchedules } from '../utils/paymentScheduleMigration';
+import { getAuth } from 'firebase/auth';
 import { 
     Edit, 
     X, 
@@ -26,7 +40,8 @@ import {
     Printer,
     ChevronDown,
     ChevronUp,
-    Lock
+    Lock,
+    RefreshCw
 } from 'lucide-react';
 import * as XLSX from 'xlsx';
 
@@ -172,7 +187,7 @@ const OwnerPaymentCell = ({ payment, onEditClick, onSignatureClick, onViewSignat
 const ExpandedPaymentRow = ({ booking, onClose, onSignatureClick, onEditPayment, onViewSignature }) => {
     if (!booking) return null;
     
-    const { ownerPayments, hasTransfer } = booking;
+    const { ownerPayments, hasTransfer, clientSchedule = [] } = booking;
     const firstPayment = ownerPayments?.firstPayment || {};
     const secondPayment = ownerPayments?.secondPayment || {};
     const transferPayment = ownerPayments?.transferPayment || {};
@@ -181,7 +196,7 @@ const ExpandedPaymentRow = ({ booking, onClose, onSignatureClick, onEditPayment,
       <tr className="bg-gray-50 border-b">
         <td colSpan="8" className="p-4">
           <div className="flex justify-between items-start mb-4">
-            <h3 className="font-semibold text-lg">Owner Payment Details</h3>
+            <h3 className="font-semibold text-lg">Client Instalments</h3>
             <button
               onClick={onClose}
               className="text-gray-500 hover:text-gray-700"
@@ -189,6 +204,52 @@ const ExpandedPaymentRow = ({ booking, onClose, onSignatureClick, onEditPayment,
               <X className="w-5 h-5" />
             </button>
           </div>
+
+          {clientSchedule.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">No client payments scheduled.</p>
+          ) : (
+            <table className="w-full text-sm mb-6 bg-white rounded-lg border">
+              <thead className="bg-gray-100 text-gray-600">
+                <tr>
+                  <th className="p-2 text-left">Instalment</th>
+                  <th className="p-2 text-left">Due</th>
+                  <th className="p-2 text-right">Amount</th>
+                  <th className="p-2 text-left">Method</th>
+                  <th className="p-2 text-left">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {clientSchedule.map((line, index) => (
+                  <tr key={line.id} className="border-t">
+                    <td className="p-2">
+                      {getInstallmentLabel(line, index)}
+                      {line.receipt?.url && (
+                        <a href={line.receipt.url} target="_blank" rel="noopener noreferrer" className="ml-2 text-blue-600 hover:underline">
+                          Receipt
+                        </a>
+                      )}
+                    </td>
+                    <td className="p-2">{formatDate(line.dueDate)}</td>
+                    <td className="p-2 text-right font-medium">{formatCurrency(line.amount || 0)}</td>
+                    <td className="p-2">{PAYMENT_METHODS[line.method] || line.method}</td>
+                    <td className="p-2">
+                      {line.received ? (
+                        <span className="text-green-600 font-medium">Received {formatDate(line.date)}</span>
+                      ) : line.waived ? (
+                        <span className="text-gray-500">Waived</span>
+                      ) : isInstallmentOverdue(line) ? (
+                        <span className="text-red-600 font-medium">Overdue</span>
+                      ) : (
+                        <span className="text-blue-600">Pending</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3 className="font-semibold text-lg mb-4">Owner Payment Details</h3>
           
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
             {/* First Payment */}
@@ -559,6 +620,7 @@ const PaymentTracking = () => {
     const [showFilters, setShowFilters] = useState(true);
     const [taskInProgress, setTaskInProgress] = useState(false);
     const [expandedRows, setExpandedRows] = useState([]);
+    const [scheduleMigration, setScheduleMigration] = useState(null);
     const [filters, setFilters] = useState({
         search: '',
         dateFrom: '',
@@ -570,6 +632,7 @@ const PaymentTracking = () => {
         includeSanAntonioTours: false,
         paymentDueWithin: 'all', // 'all', '7', '14', '30'
         paymentPriority: 'all', // 'all', 'CRITICAL', 'HIGH', 'MEDIUM', 'LOW'
+        bookingState: 'payable', // 'payable', 'all' or a lifecycle state
     });
 
     // Helper function to toggle row expansion
@@ -587,7 +650,7 @@ const PaymentTracking = () => {
         const q = query(bookingsRef, orderBy("bookingDate", "desc"));
 
         const unsubscribe = onSnapshot(q, (snapshot) => {
-            const bookingsData = snapshot.docs.map(doc => {
+            const bookingsData = snapshot.docs.filter(doc => !isTrashed(doc.data())).map(doc => {
                 const data = doc.data();
                 
                 // Handle San Antonio tours detection
@@ -601,9 +664,9 @@ const PaymentTracking = () => {
                     (data.bookingDetails?.boatName && 
                      data.bookingDetails?.boatName.toLowerCase().includes('san antonio'));
                 
-                const payments = data.pricing?.payments || [];
-                const firstPayment = payments.find(p => p.type === 'first') || {};
-                const secondPayment = payments.find(p => p.type === 'second') || {};
+                const clientSchedule = getPaymentSchedule(data.pricing);
+                const clientTotals = getScheduleTotals(clientSchedule);
+                const clientPaymentComplete = isScheduleComplete(clientSchedule);
                 
                 const ownerPayments = data.ownerPayments || {};
                 const ownerFirstPayment = ownerPayments.firstPayment || {};
@@ -634,7 +697,7 @@ const PaymentTracking = () => {
                 
                 if (embarkedDate) {
                     const today = new Date();
-                    const hasClientFullPayment = firstPayment.received && secondPayment.received;
+                    const hasClientFullPayment = clientPaymentComplete;
                     const hasOwnerFullPayment = 
                         ownerFirstPayment.signature && 
                         ownerSecondPayment.signature && 
@@ -666,18 +729,10 @@ const PaymentTracking = () => {
                     transferDetails,
                     totalAmount: data.pricing?.agreedPrice || 0,
                     isSanAntonioTour,
-                    firstPayment: {
-                        amount: firstPayment.amount || 0,
-                        method: firstPayment.method || '',
-                        date: firstPayment.date || null,
-                        received: firstPayment.received || false
-                    },
-                    secondPayment: {
-                        amount: secondPayment.amount || 0,
-                        method: secondPayment.method || '',
-                        date: secondPayment.date || null,
-                        received: secondPayment.received || false
-                    },
+                    clientSchedule,
+                    clientTotals,
+                    clientPaymentComplete,
+                    needsScheduleMigration: needsScheduleMigration(data),
                     ownerPayments: {
                         firstPayment: {
                             amount: ownerFirstPayment.amount || 0,
@@ -704,12 +759,13 @@ const PaymentTracking = () => {
                             paidBy: transferPayment.paidBy || ''
                         }
                     },
-                    status: data.pricing?.paymentStatus || 'Pending'
+                    status: data.pricing?.paymentStatus || 'Pending',
+                    lifecycleStatus: getBookingStatus(data)
                 };
             });
             
             setBookings(bookingsData);
-            generateAlerts(bookingsData);
+            generateAlerts(bookingsData.filter(booking => isRevenueStatus(booking.lifecycleStatus)));
         });
 
         return () => unsubscribe();
@@ -719,6 +775,13 @@ const PaymentTracking = () => {
     useEffect(() => {
     let filtered = [...bookings];
 
+    // Enquiries, options and cancellations aren't owed money unless asked for explicitly
+    if (filters.bookingState === 'payable') {
+        filtered = filtered.filter(booking => isRevenueStatus(booking.lifecycleStatus));
+    } else if (filters.bookingState !== 'all') {
+        filtered = filtered.filter(booking => booking.lifecycleStatus === filters.bookingState);
+    }
+
     // Filter out San Antonio tours if needed
     if (!filters.includeSanAntonioTours) {
         filtered = filtered.filter(booking => !booking.isSanAntonioTour);
@@ -772,9 +835,9 @@ const PaymentTracking = () => {
     if (filters.paymentStatus !== 'all') {
         filtered = filtered.filter(booking => {
             if (filters.paymentStatus === 'pending') {
-                return !booking.firstPayment.received || !booking.secondPayment.received;
+                return !booking.clientPaymentComplete;
             }
-            return booking.firstPayment.received && booking.secondPayment.received;
+            return booking.clientPaymentComplete;
         });
     }
 
@@ -890,11 +953,19 @@ const PaymentTracking = () => {
                 });
             }
             
-            // Check for upcoming trips without full client payment
-            if (booking.embarkedDate && 
+            // Client instalments past their due date
+            if (booking.clientTotals.overdue > 0) {
+                newAlerts.push({
+                    id: `client-overdue-${booking.id}`,
+                    type: 'warning',
+                    message: `Client instalments overdue for ${booking.boatName}: ${formatCurrency(booking.clientTotals.overdue)}`,
+                    booking: booking.id
+                });
+            } else if (booking.embarkedDate && 
                 differenceInDays(new Date(booking.embarkedDate), today) <= 7 && 
                 differenceInDays(new Date(booking.embarkedDate), today) > 0 &&
-                (!booking.firstPayment.received || !booking.secondPayment.received)) {
+                !booking.clientPaymentComplete) {
+                // Upcoming trips without full client payment
                 newAlerts.push({
                     id: `client-payment-${booking.id}`,
                     type: 'warning',
@@ -993,9 +1064,7 @@ const PaymentTracking = () => {
 
     // Check if a booking has all payments completed
     const isBookingComplete = (booking) => {
-        const clientPaymentsComplete = 
-            booking.firstPayment?.received && 
-            booking.secondPayment?.received;
+        const clientPaymentsComplete = booking.clientPaymentComplete;
     
         const ownerFirstPaymentComplete = 
             booking.ownerPayments?.firstPayment?.signature && 
@@ -1026,11 +1095,13 @@ const PaymentTracking = () => {
             await uploadBytes(storageRef, file);
             const downloadURL = await getDownloadURL(storageRef);
 
-            const bookingRef = doc(db, "bookings", bookingId);
             const updateData = {
                 [`ownerPayments.${paymentType}Payment.invoice`]: downloadURL
             };
-            await updateDoc(bookingRef, updateData);
+            await updateBookingWithHistory(bookingId, updateData, {
+                user: getAuth().currentUser,
+                source: 'payments'
+            });
             showNotification('Invoice uploaded successfully!');
         } catch (error) {
             console.error('Error uploading file:', error);
@@ -1070,12 +1141,14 @@ const PaymentTracking = () => {
         
         setTaskInProgress(true);
         try {
-            const bookingRef = doc(db, "bookings", bookingId);
             const updateData = {
                 [`ownerPayments.${paymentType}Payment.amount`]: parseFloat(amount),
                 [`ownerPayments.${paymentType}Payment.date`]: new Date().toISOString()
             };
-            await updateDoc(bookingRef, updateData);
+            await updateBookingWithHistory(bookingId, updateData, {
+                user: getAuth().currentUser,
+                source: 'payments'
+            });
             setEditingPayment(null);
             setEditingAmount('');
             showNotification(`Payment amount updated to ${formatCurrency(parseFloat(amount))}`);
@@ -1124,18 +1197,23 @@ const PaymentTracking = () => {
                 [`${ownerPaymentField}.paid`]: true
             };
     
+            // Read the current document for the history diff
+            const bookingDoc = await getDoc(bookingRef);
+            const currentData = bookingDoc.data();
+
             // If it's a transfer payment, we need to preserve the existing amount
             if (paymentInfo.paymentType === 'transfer') {
-                // First get the current document
-                const bookingDoc = await getDoc(bookingRef);
-                const currentData = bookingDoc.data();
                 const currentAmount = currentData?.ownerPayments?.transferPayment?.amount || 0;
                 
                 // Add the amount to the update if it exists
                 updateData[`${ownerPaymentField}.amount`] = currentAmount;
             }
     
-            await updateDoc(bookingRef, updateData);
+            await updateBookingWithHistory(paymentInfo.bookingId, updateData, {
+                currentData,
+                user: getAuth().currentUser,
+                source: 'payments'
+            });
             setIsSignatureModalOpen(false);
             showNotification('Payment has been signed and locked successfully!', 'success');
         } catch (error) {
@@ -1162,11 +1240,28 @@ const PaymentTracking = () => {
         setEditingAmount(booking.ownerPayments[paymentType + 'Payment']?.amount || '');
     };
 
+    const bookingsToMigrate = bookings.filter(booking => booking.needsScheduleMigration);
+
+    // Bookings saved before payment schedules still store a first and second
+    // payment; rewrite them as instalments. The snapshot listener picks up the result.
+    const handleMigrateSchedules = async () => {
+        if (!window.confirm(`Convert ${bookingsToMigrate.length} booking(s) to payment schedules? Amounts and received dates stay the same.`)) return;
+        setScheduleMigration({ done: 0, total: bookingsToMigrate.length });
+        try {
+            const migrated = await migrateBookingSchedules((done, total) => setScheduleMigration({ done, total }));
+            showNotification(`Converted ${migrated} booking(s) to payment schedules`);
+        } catch (error) {
+            console.error('Error migrating payment schedules:', error);
+            showNotification('Failed to convert bookings to payment schedules', 'error');
+        } finally {
+            setScheduleMigration(null);
+        }
+    };
+
     // Excel export handler
     const handleExport = () => {
         const dataToExport = filteredBookings.map(booking => {
-            const firstPayment = booking.firstPayment || {};
-            const secondPayment = booking.secondPayment || {};
+            const clientTotals = booking.clientTotals;
             const ownerPayments = booking.ownerPayments || {};
     
             return {
@@ -1177,15 +1272,12 @@ const PaymentTracking = () => {
                 'Priority': priorityLevels[booking.priority]?.label || '',
     
                 // Client Payments
-                'First Payment Amount': firstPayment.amount || 0,
-                'First Payment Status': firstPayment.received ? 'Received' : 'Pending',
-                'First Payment Date': formatDate(firstPayment.date),
-                'First Payment Method': firstPayment.method || '',
-    
-                'Second Payment Amount': secondPayment.amount || 0,
-                'Second Payment Status': secondPayment.received ? 'Received' : 'Pending',
-                'Second Payment Date': formatDate(secondPayment.date),
-                'Second Payment Method': secondPayment.method || '',
+                'Client Instalments': booking.clientSchedule.length,
+                'Client Received': clientTotals.received,
+                'Client Outstanding': clientTotals.outstanding,
+                'Next Due Date': formatDate(clientTotals.nextDue?.dueDate),
+                'Next Due Amount': clientTotals.nextDue ? clientTotals.nextDue.amount : '',
+                'Client Overdue': clientTotals.overdue,
     
                 // Owner Payments
                 'Owner First Payment': ownerPayments.firstPayment?.amount || 0,
@@ -1211,14 +1303,12 @@ const PaymentTracking = () => {
             { wch: 15 }, // Company
             { wch: 12 }, // Trip Date
             { wch: 10 }, // Priority
-            { wch: 15 }, // First Payment Amount
-            { wch: 15 }, // First Payment Status
-            { wch: 12 }, // First Payment Date
-            { wch: 15 }, // First Payment Method
-            { wch: 15 }, // Second Payment Amount
-            { wch: 15 }, // Second Payment Status
-            { wch: 12 }, // Second Payment Date
-            { wch: 15 }, // Second Payment Method
+            { wch: 12 }, // Client Instalments
+            { wch: 15 }, // Client Received
+            { wch: 15 }, // Client Outstanding
+            { wch: 12 }, // Next Due Date
+            { wch: 15 }, // Next Due Amount
+            { wch: 15 }, // Client Overdue
             { wch: 15 }, // Owner First Payment
             { wch: 12 }, // Owner First Payment Date
             { wch: 15 }, // Owner First Payment Status
@@ -1249,13 +1339,14 @@ const PaymentTracking = () => {
 
     // Calculate data for summary cards
     const summaryData = useMemo(() => {
-        const totalBookings = bookings.length;
-        const completedPayments = bookings.filter(booking => isBookingComplete(booking)).length;
+        const payableBookings = bookings.filter(booking => isRevenueStatus(booking.lifecycleStatus));
+        const totalBookings = payableBookings.length;
+        const completedPayments = payableBookings.filter(booking => isBookingComplete(booking)).length;
         const pendingPayments = totalBookings - completedPayments;
-        const totalRevenue = bookings.reduce((sum, booking) => sum + (booking.totalAmount || 0), 0);
-        const criticalCount = bookings.filter(b => b.priority === 'CRITICAL').length;
-        const highCount = bookings.filter(b => b.priority === 'HIGH').length;
-        const upcomingCount = bookings.filter(b => 
+        const totalRevenue = payableBookings.reduce((sum, booking) => sum + (booking.totalAmount || 0), 0);
+        const criticalCount = payableBookings.filter(b => b.priority === 'CRITICAL').length;
+        const highCount = payableBookings.filter(b => b.priority === 'HIGH').length;
+        const upcomingCount = payableBookings.filter(b => 
             b.embarkedDate && 
             new Date(b.embarkedDate) >= new Date() && 
             b.priority !== 'COMPLETE'
@@ -1342,6 +1433,19 @@ const PaymentTracking = () => {
                     </div>
                 </div>
                 <div className="flex flex-wrap gap-2">
+                    {(bookingsToMigrate.length > 0 || scheduleMigration) && (
+                        <button
+                            onClick={handleMigrateSchedules}
+                            disabled={Boolean(scheduleMigration)}
+                            className="px-3 py-1.5 bg-amber-100 text-amber-900 rounded hover:bg-amber-200 disabled:opacity-75 flex items-center"
+                            title="Older bookings store a first and second payment; convert them to instalment schedules"
+                        >
+                            <RefreshCw className="w-4 h-4 mr-1" />
+                            {scheduleMigration
+                                ? `Converting ${scheduleMigration.done}/${scheduleMigration.total}`
+                                : `Convert ${bookingsToMigrate.length} booking(s) to payment schedules`}
+                        </button>
+                    )}
                     <button
                         onClick={handleExport}
                         className="px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 flex items-center"
@@ -1496,7 +1600,7 @@ const PaymentTracking = () => {
                 </div>
 
                 {/* Dropdown Filters */}
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                     <div className="relative">
                         <Filter className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
                         <select
@@ -1537,6 +1641,20 @@ const PaymentTracking = () => {
                             <option value="COMPLETE">Complete</option>
                         </select>
                     </div>
+                    <div className="relative">
+                        <Filter className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+                        <select
+                            className="pl-10 pr-4 py-2 w-full border rounded-lg focus:ring-2 focus:ring-blue-500"
+                            value={filters.bookingState}
+                            onChange={(e) => setFilters(prev => ({ ...prev, bookingState: e.target.value }))}
+                        >
+                            <option value="payable">Confirmed & Completed</option>
+                            <option value="option">Options</option>
+                            <option value="enquiry">Enquiries</option>
+                            <option value="cancelled">Cancelled</option>
+                            <option value="all">All States</option>
+                        </select>
+                    </div>
                 </div>
 
                 {/* Additional Filters */}
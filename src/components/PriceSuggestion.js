@@ -0,0 +1,134 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertTriangle, Tag } from 'lucide-react';
+import {
+  DURATIONS,
+  EXTRA_UNITS,
+  findBoatByName,
+  formatPrice,
+  isBelowFloor,
+  quoteBoatPrice
+} from '../utils/seasonalPricing';
+
+/**
+ * Suggested price for a booked boat from its seasonal, duration and extras
+ * rates, with the partner's net rate applied and a warning when the agreed
+ * price is under the boat's minimum. Reports the quote through onQuote so the
+ * booking can keep it alongside the agreed price.
+ */
+const PriceSuggestion = ({ boats, boatName, date, startTime, endTime, passengers, partner, agreedPrice, onApply, onQuote }) => {
+  const boat = useMemo(() => findBoatByName(boats, boatName), [boats, boatName]);
+  // null follows the booking's times; picking a duration (e.g. a week) overrides them
+  const [duration, setDuration] = useState(null);
+  const [extras, setExtras] = useState([]);
+
+  const quote = useMemo(
+    () => (boat && date
+      ? quoteBoatPrice(boat, { date, duration, startTime, endTime, extras, passengers, partner })
+      : null),
+    [boat, date, duration, startTime, endTime, extras, passengers, partner]
+  );
+
+  // Callers pass inline callbacks; report each new quote once rather than on every parent render
+  const onQuoteRef = useRef(onQuote);
+  useEffect(() => {
+    onQuoteRef.current = onQuote;
+  });
+
+  useEffect(() => {
+    if (onQuoteRef.current) onQuoteRef.current(quote);
+  }, [quote]);
+
+  const toggleExtra = (name) => {
+    setExtras((prev) => (prev.includes(name) ? prev.filter((extra) => extra !== name) : [...prev, name]));
+  };
+
+  if (!boatName || !date) return null;
+
+  if (!boat) {
+    return boats.length > 0 ? (
+      <p className="text-xs text-gray-500">No rates on file for “{boatName}”, so there is no suggested price.</p>
+    ) : null;
+  }
+
+  if (!(quote.suggestedPrice > 0)) {
+    return <p className="text-xs text-gray-500">{boat.name} has no rates set yet. Add them in Boat Management.</p>;
+  }
+
+  const belowFloor = isBelowFloor(agreedPrice, quote.floor);
+  const applied = parseFloat(agreedPrice) === quote.suggestedPrice;
+  const namedExtras = (boat.extras || []).filter((extra) => extra.name);
+
+  return (
+    <div className={`rounded-lg border p-3 text-sm space-y-2 ${belowFloor ? 'border-red-300 bg-red-50' : 'border-blue-200 bg-blue-50'}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <Tag size={16} className="text-blue-600" />
+        <span className="font-medium text-gray-900">Suggested price</span>
+        <span className="text-gray-600">{quote.season || 'Out of season'}</span>
+        <select
+          value={quote.duration}
+          onChange={(e) => setDuration(e.target.value)}
+          className="ml-auto p-1 border rounded bg-white text-sm"
+        >
+          {Object.keys(DURATIONS).map((key) => (
+            <option key={key} value={key}>{DURATIONS[key]}</option>
+          ))}
+        </select>
+      </div>
+
+      {namedExtras.length > 0 && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1">
+          {namedExtras.map((extra) => (
+            <label key={extra.name} className="inline-flex items-center gap-1 text-gray-700">
+              <input type="checkbox" checked={extras.includes(extra.name)} onChange={() => toggleExtra(extra.name)} />
+              {extra.name} ({formatPrice(extra.price)} {EXTRA_UNITS[extra.unit] || EXTRA_UNITS.booking})
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-lg font-semibold text-gray-900">{formatPrice(quote.suggestedPrice)}</span>
+        <span className="text-xs text-gray-600">
+          {formatPrice(quote.baseRate)} {DURATIONS[quote.duration].toLowerCase()}
+          {quote.estimated && ' (from the day rate)'}
+          {quote.extrasTotal > 0 && ` + ${formatPrice(quote.extrasTotal)} extras`}
+          {quote.netDiscount > 0 && ` − ${quote.netDiscount}% ${partner?.name || 'partner'} net rate`}
+        </span>
+        {onApply && !applied && (
+          <button
+            type="button"
+            onClick={() => onApply(quote.suggestedPrice)}
+            className="px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-xs"
+          >
+            Use this price
+          </button>
+        )}
+      </div>
+
+      {quote.floor > 0 && (
+        <div className={`flex items-center gap-1 text-xs ${belowFloor ? 'text-red-700 font-medium' : 'text-gray-500'}`}>
+          {belowFloor && <AlertTriangle size={14} />}
+          {belowFloor
+            ? `Agreed price is below the ${formatPrice(quote.floor)} minimum for this boat`
+            : `Minimum ${formatPrice(quote.floor)}`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+PriceSuggestion.propTypes = {
+  boats: PropTypes.array.isRequired,
+  boatName: PropTypes.string,
+  date: PropTypes.string,
+  startTime: PropTypes.string,
+  endTime: PropTypes.string,
+  passengers: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  partner: PropTypes.object,
+  agreedPrice: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onApply: PropTypes.func,
+  onQuote: PropTypes.func
+};
+
+export default PriceSuggestion;
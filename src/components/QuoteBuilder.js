@@ -0,0 +1,245 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getAuth } from 'firebase/auth';
+import { Link } from 'react-router-dom';
+import { Copy, Download, FileText, MessageCircle, X } from 'lucide-react';
+import { DURATIONS, formatPrice, getDurationForSlot, getPriceFloor, isBelowFloor } from '../utils/seasonalPricing';
+import {
+  DEFAULT_QUOTE_VALIDITY_DAYS,
+  buildQuoteOption,
+  buildQuotePdf,
+  createQuote,
+  getQuoteFileName,
+  getQuoteShareUrl
+} from '../utils/quoteProposals';
+
+/**
+ * Proposal panel for the boats ticked in BoatFinder. Prices start from each
+ * boat's seasonal rate for the date and charter length and can be changed
+ * before saving; prices under a boat's minimum are flagged.
+ */
+const QuoteBuilder = ({ boats, date, startTime, endTime, onRemove, onCreated }) => {
+  const [client, setClient] = useState({ name: '', phone: '', email: '' });
+  const [passengers, setPassengers] = useState('');
+  const [message, setMessage] = useState('');
+  const [validDays, setValidDays] = useState(String(DEFAULT_QUOTE_VALIDITY_DAYS));
+  const [prices, setPrices] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [created, setCreated] = useState(null);
+  const slot = useMemo(() => ({ startTime, endTime }), [startTime, endTime]);
+
+  // Reprice when boats are added or the date changes; keep prices typed for the same date
+  useEffect(() => {
+    setPrices((prev) =>
+      boats.reduce((acc, boat) => {
+        const key = `${boat.id}|${date}`;
+        acc[key] = prev[key] ?? String(buildQuoteOption(boat, date, slot).price || '');
+        return acc;
+      }, {})
+    );
+  }, [boats, date, slot]);
+
+  const handleCreate = async () => {
+    const underMinimum = boats.filter((boat) =>
+      isBelowFloor(prices[`${boat.id}|${date}`], getPriceFloor(boat, getDurationForSlot(startTime, endTime)))
+    );
+    if (!date) {
+      alert('Pick a date first.');
+      return;
+    }
+    if (boats.some((boat) => !(parseFloat(prices[`${boat.id}|${date}`]) > 0))) {
+      alert('Every option needs a price.');
+      return;
+    }
+    if (
+      underMinimum.length > 0 &&
+      !window.confirm(`${underMinimum.map((boat) => boat.name).join(', ')} priced below the minimum. Send anyway?`)
+    ) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const quote = {
+        client,
+        passengers,
+        date,
+        startTime,
+        endTime,
+        message,
+        options: boats.map((boat) => ({
+          ...buildQuoteOption(boat, date, slot),
+          price: parseFloat(prices[`${boat.id}|${date}`])
+        }))
+      };
+      const days = parseInt(validDays, 10) || DEFAULT_QUOTE_VALIDITY_DAYS;
+      const id = await createQuote(quote, { validDays: days, user: getAuth().currentUser });
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + days);
+      const saved = { ...quote, id, expiresAt };
+      setCreated(saved);
+      if (onCreated) onCreated(saved);
+
+      const pdf = await buildQuotePdf(saved);
+      pdf.save(getQuoteFileName(saved));
+    } catch (err) {
+      console.error('Error creating proposal:', err);
+      alert(`Failed to create the proposal: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = (url) => {
+    navigator.clipboard.writeText(url).catch((err) => console.error('Copy failed:', err));
+  };
+
+  if (created) {
+    const url = getQuoteShareUrl(created.id);
+    const greeting = created.client.name ? `Hi ${created.client.name}, here` : 'Here';
+    const whatsappText = `${greeting} are your boat options: ${url}`;
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 mb-8 space-y-3">
+        <h2 className="text-lg font-semibold flex items-center gap-2">
+          <FileText size={20} /> Proposal created
+        </h2>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <a href={url} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline break-all">
+            {url}
+          </a>
+          <button onClick={() => handleCopy(url)} className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 rounded hover:bg-gray-200">
+            <Copy size={14} /> Copy link
+          </button>
+          <a
+            href={`https://wa.me/${created.client.phone.replace(/[^0-9]/g, '')}?text=${encodeURIComponent(whatsappText)}`}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center gap-1 px-2 py-1 bg-green-100 text-green-800 rounded hover:bg-green-200"
+          >
+            <MessageCircle size={14} /> WhatsApp
+          </a>
+          <button
+            onClick={async () => (await buildQuotePdf(created)).save(getQuoteFileName(created))}
+            className="inline-flex items-center gap-1 px-2 py-1 bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+          >
+            <Download size={14} /> PDF again
+          </button>
+        </div>
+        <div className="flex gap-3 text-sm">
+          <Link to="/quotes" className="text-blue-600 hover:underline">
+            All proposals
+          </Link>
+          <button onClick={() => setCreated(null)} className="text-gray-600 hover:underline">
+            Start another
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <FileText size={20} /> Proposal ({boats.length} {boats.length === 1 ? 'boat' : 'boats'})
+      </h2>
+
+      <ul className="divide-y mb-4">
+        {boats.map((boat) => {
+          const option = buildQuoteOption(boat, date, slot);
+          const floor = getPriceFloor(boat, option.duration);
+          const belowFloor = isBelowFloor(prices[`${boat.id}|${date}`], floor);
+          return (
+            <li key={boat.id} className="py-2 flex flex-wrap items-center gap-3 text-sm">
+              <span className="font-medium flex-1">{boat.name}</span>
+              <span className="text-gray-500">
+                {option.season || 'Base'} {DURATIONS[option.duration].toLowerCase()} rate
+              </span>
+              <div className="flex items-center gap-1">
+                €
+                <input
+                  type="number"
+                  min="0"
+                  value={prices[`${boat.id}|${date}`] || ''}
+                  onChange={(e) => setPrices({ ...prices, [`${boat.id}|${date}`]: e.target.value })}
+                  className={`w-28 p-1 border rounded ${belowFloor ? 'border-red-500 bg-red-50' : ''}`}
+                />
+              </div>
+              {belowFloor && <span className="text-xs text-red-600">Below the {formatPrice(floor)} minimum</span>}
+              <button onClick={() => onRemove(boat.id)} className="text-red-600 hover:text-red-800" aria-label="Remove from proposal">
+                <X size={16} />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+        <input
+          placeholder="Client name"
+          value={client.name}
+          onChange={(e) => setClient({ ...client, name: e.target.value })}
+          className="p-2 border rounded-lg"
+        />
+        <input
+          placeholder="Phone (WhatsApp)"
+          value={client.phone}
+          onChange={(e) => setClient({ ...client, phone: e.target.value })}
+          className="p-2 border rounded-lg"
+        />
+        <input
+          placeholder="Email"
+          type="email"
+          value={client.email}
+          onChange={(e) => setClient({ ...client, email: e.target.value })}
+          className="p-2 border rounded-lg"
+        />
+        <input
+          placeholder="Guests"
+          type="number"
+          min="1"
+          value={passengers}
+          onChange={(e) => setPassengers(e.target.value)}
+          className="p-2 border rounded-lg"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Valid for
+          <input
+            type="number"
+            min="1"
+            value={validDays}
+            onChange={(e) => setValidDays(e.target.value)}
+            className="w-16 p-2 border rounded-lg"
+          />
+          days
+        </label>
+      </div>
+      <textarea
+        placeholder="Message to the client (optional)"
+        rows="2"
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+        className="mt-3 w-full p-2 border rounded-lg"
+      />
+      <div className="mt-3 flex justify-end">
+        <button
+          onClick={handleCreate}
+          disabled={saving || boats.length === 0}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          <FileText size={16} /> {saving ? 'Creating…' : 'Create proposal'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+QuoteBuilder.propTypes = {
+  boats: PropTypes.array.isRequired,
+  date: PropTypes.string,
+  startTime: PropTypes.string,
+  endTime: PropTypes.string,
+  onRemove: PropTypes.func.isRequired,
+  onCreated: PropTypes.func
+};
+
+export default QuoteBuilder;
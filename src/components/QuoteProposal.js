@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Anchor, CheckCircle, Clock, Users } from 'lucide-react';
+import {
+  acceptQuoteOption,
+  fetchQuote,
+  formatQuoteDate,
+  formatQuotePrice,
+  getQuoteExpiry,
+  getQuoteStatus
+} from '../utils/quoteProposals';
+
+const OptionCard = ({ option, index, status, accepted, onAccept, accepting }) => {
+  const [imageIndex, setImageIndex] = useState(0);
+
+  return (
+    <div className={`bg-white rounded-lg shadow-md overflow-hidden ${accepted ? 'ring-2 ring-green-500' : ''}`}>
+      {option.images.length > 0 && (
+        <div>
+          <img src={option.images[imageIndex]} alt={option.boatName} className="w-full h-64 object-cover" />
+          {option.images.length > 1 && (
+            <div className="flex gap-1 p-2 overflow-x-auto">
+              {option.images.map((image, i) => (
+                <button key={image} onClick={() => setImageIndex(i)} className="flex-shrink-0">
+                  <img
+                    src={image}
+                    alt=""
+                    className={`h-12 w-16 object-cover rounded ${i === imageIndex ? 'ring-2 ring-blue-500' : 'opacity-70'}`}
+                  />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      <div className="p-6">
+        <div className="text-xs uppercase tracking-wide text-gray-500">Option {index + 1}</div>
+        <div className="flex flex-wrap justify-between items-baseline gap-2">
+          <h2 className="text-2xl font-semibold">{option.boatName}</h2>
+          <div className="text-2xl font-bold text-blue-900">{formatQuotePrice(option.price)}</div>
+        </div>
+        {option.description && <p className="mt-3 text-gray-600 whitespace-pre-line">{option.description}</p>}
+        {option.specs.length > 0 && (
+          <dl className="mt-4 grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+            {option.specs.map(([label, value]) => (
+              <React.Fragment key={label}>
+                <dt className="text-gray-500">{label}</dt>
+                <dd className="text-gray-900">{value}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+        {accepted ? (
+          <p className="mt-4 flex items-center gap-2 text-green-700 font-medium">
+            <CheckCircle size={18} /> You chose this option
+          </p>
+        ) : (
+          status === 'sent' && (
+            <button
+              onClick={() => onAccept(index)}
+              disabled={accepting}
+              className="mt-4 w-full bg-blue-600 text-white p-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              I&apos;d like this option
+            </button>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Public, read-only proposal page opened from the share link. No login needed.
+ */
+const QuoteProposal = () => {
+  const { quoteId } = useParams();
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setQuote(await fetchQuote(quoteId));
+      } catch (err) {
+        console.error('Error loading proposal:', err);
+        setError('This proposal could not be loaded.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [quoteId]);
+
+  const handleAccept = async (index) => {
+    if (!window.confirm(`Choose option ${index + 1}, ${quote.options[index].boatName}? We'll be in touch to confirm.`)) return;
+    setAccepting(true);
+    try {
+      await acceptQuoteOption(quoteId, index);
+      setQuote((prev) => ({ ...prev, acceptedOption: index, acceptedAt: new Date().toISOString() }));
+    } catch (err) {
+      console.error('Error accepting proposal:', err);
+      alert('Sorry, we could not record your choice. Please contact us directly.');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-screen">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500" />
+      </div>
+    );
+  }
+
+  if (!quote) {
+    return (
+      <div className="flex justify-center items-center h-screen p-4 text-center text-gray-600">
+        {error || 'This proposal does not exist or has been removed.'}
+      </div>
+    );
+  }
+
+  const status = getQuoteStatus(quote);
+  const expiry = getQuoteExpiry(quote);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-blue-900 text-white">
+        <div className="max-w-5xl mx-auto px-4 py-8">
+          <div className="flex items-center gap-2 text-sm uppercase tracking-wide opacity-80">
+            <Anchor size={16} /> Charter proposal
+          </div>
+          <h1 className="text-3xl font-bold mt-2">{formatQuoteDate(quote.date)}</h1>
+          <div className="mt-2 flex flex-wrap gap-4 text-sm opacity-90">
+            {quote.client?.name && <span>Prepared for {quote.client.name}</span>}
+            {quote.passengers && (
+              <span className="flex items-center gap-1">
+                <Users size={14} /> {quote.passengers} guests
+              </span>
+            )}
+            {(quote.startTime || quote.endTime) && (
+              <span className="flex items-center gap-1">
+                <Clock size={14} /> {[quote.startTime, quote.endTime].filter(Boolean).join(' – ')}
+              </span>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        {quote.message && <p className="bg-white rounded-lg shadow-md p-4 text-gray-700 whitespace-pre-line">{quote.message}</p>}
+
+        {status === 'expired' && (
+          <p className="p-3 bg-amber-100 text-amber-800 rounded-lg">
+            This proposal expired on {expiry.toLocaleDateString('en-GB')}. Contact us for updated prices and availability.
+          </p>
+        )}
+        {status === 'sent' && expiry && (
+          <p className="text-sm text-gray-500">
+            Prices valid until {expiry.toLocaleDateString('en-GB')}, subject to availability.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {quote.options.map((option, index) => (
+            <OptionCard
+              key={`${option.boatId}-${index}`}
+              option={option}
+              index={index}
+              status={status}
+              accepted={quote.acceptedOption === index}
+              onAccept={handleAccept}
+              accepting={accepting}
+            />
+          ))}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default QuoteProposal;
@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { CheckCircle, Copy, Download, ExternalLink, FileText, Plus } from 'lucide-react';
+import {
+  QUOTE_STATUS_META,
+  acceptQuoteOption,
+  buildQuotePdf,
+  buildQuotePrefill,
+  formatQuoteDate,
+  formatQuotePrice,
+  getQuoteExpiry,
+  getQuoteFileName,
+  getQuoteShareUrl,
+  getQuoteStatus,
+  subscribeToQuotes
+} from '../utils/quoteProposals';
+
+const STATUS_FILTERS = ['all', ...Object.keys(QUOTE_STATUS_META)];
+
+const Quotes = () => {
+  const navigate = useNavigate();
+  const [quotes, setQuotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+
+  useEffect(
+    () =>
+      subscribeToQuotes(
+        (list) => {
+          setQuotes(list);
+          setLoading(false);
+        },
+        (err) => {
+          setError(err.message);
+          setLoading(false);
+        }
+      ),
+    []
+  );
+
+  const handleCopy = (quote) => {
+    navigator.clipboard.writeText(getQuoteShareUrl(quote.id)).catch((err) => console.error('Copy failed:', err));
+  };
+
+  const handlePdf = async (quote) => {
+    try {
+      const pdf = await buildQuotePdf(quote);
+      pdf.save(getQuoteFileName(quote));
+    } catch (err) {
+      console.error('Error generating proposal PDF:', err);
+      alert(`Failed to generate the PDF: ${err.message}`);
+    }
+  };
+
+  // For clients who answer by phone or WhatsApp instead of using the link
+  const handleRecordChoice = async (quote, index) => {
+    if (!window.confirm(`Record that the client chose ${quote.options[index].boatName}?`)) return;
+    try {
+      await acceptQuoteOption(quote.id, index);
+    } catch (err) {
+      console.error('Error recording choice:', err);
+      alert(`Failed to record the choice: ${err.message}`);
+    }
+  };
+
+  const handleConvert = (quote, index) => {
+    navigate('/add-booking', { state: { prefill: buildQuotePrefill(quote, index) } });
+  };
+
+  const visibleQuotes = quotes.filter(
+    (quote) => statusFilter === 'all' || getQuoteStatus(quote) === statusFilter
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex flex-wrap justify-between items-center mb-6 gap-2">
+        <div>
+          <h1 className="text-2xl font-bold flex items-center gap-2">
+            <FileText size={24} /> Proposals
+          </h1>
+          <p className="text-sm text-gray-500">
+            Boat options sent to clients. Tick boats in Available Boats to build a new one.
+          </p>
+        </div>
+        <Link
+          to="/available-boats"
+          className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          <Plus size={16} /> New proposal
+        </Link>
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-lg">{error}</div>}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map((status) => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm ${
+              statusFilter === status ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {status === 'all' ? 'All' : QUOTE_STATUS_META[status].label}
+          </button>
+        ))}
+      </div>
+
+      {visibleQuotes.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">No proposals yet.</div>
+      ) : (
+        <div className="space-y-4">
+          {visibleQuotes.map((quote) => {
+            const status = getQuoteStatus(quote);
+            const expiry = getQuoteExpiry(quote);
+            return (
+              <div key={quote.id} className="bg-white rounded-lg shadow-md p-4">
+                <div className="flex flex-wrap justify-between items-start gap-2">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold">{quote.client?.name || 'Unnamed client'}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${QUOTE_STATUS_META[status].badge}`}>
+                        {QUOTE_STATUS_META[status].label}
+                      </span>
+                    </div>
+                    <div className="text-sm text-gray-600">
+                      {formatQuoteDate(quote.date)}
+                      {quote.passengers && ` · ${quote.passengers} guests`}
+                      {quote.client?.phone && ` · ${quote.client.phone}`}
+                    </div>
+                    {expiry && status === 'sent' && (
+                      <div className="text-xs text-gray-500">Valid until {expiry.toLocaleDateString('en-GB')}</div>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-2 text-sm">
+                    <a
+                      href={getQuoteShareUrl(quote.id)}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 rounded hover:bg-gray-200"
+                    >
+                      <ExternalLink size={14} /> Open
+                    </a>
+                    <button
+                      onClick={() => handleCopy(quote)}
+                      className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 rounded hover:bg-gray-200"
+                    >
+                      <Copy size={14} /> Copy link
+                    </button>
+                    <button
+                      onClick={() => handlePdf(quote)}
+                      className="inline-flex items-center gap-1 px-2 py-1 bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+                    >
+                      <Download size={14} /> PDF
+                    </button>
+                    {quote.bookingId && (
+                      <Link
+                        to={`/bookings?view=${quote.bookingId}`}
+                        className="inline-flex items-center gap-1 px-2 py-1 bg-purple-100 text-purple-800 rounded hover:bg-purple-200"
+                      >
+                        View booking
+                      </Link>
+                    )}
+                  </div>
+                </div>
+
+                <ul className="mt-3 divide-y text-sm">
+                  {quote.options.map((option, index) => {
+                    const chosen = quote.acceptedOption === index;
+                    return (
+                      <li
+                        key={`${option.boatId}-${index}`}
+                        className={`py-2 flex flex-wrap items-center gap-3 ${chosen ? 'bg-green-50 -mx-2 px-2 rounded' : ''}`}
+                      >
+                        <span className="flex-1 flex items-center gap-1">
+                          {chosen && <CheckCircle size={14} className="text-green-600" />}
+                          {option.boatName}
+                        </span>
+                        <span className="font-medium">{formatQuotePrice(option.price)}</span>
+                        {status === 'sent' && (
+                          <button onClick={() => handleRecordChoice(quote, index)} className="text-gray-600 hover:underline">
+                            Client chose this
+                          </button>
+                        )}
+                        {!quote.bookingId && (status !== 'accepted' || chosen) && (
+                          <button onClick={() => handleConvert(quote, index)} className="text-blue-600 hover:underline">
+                            Convert to booking
+                          </button>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Quotes;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { getAuth } from 'firebase/auth';
+import { Trash2, RotateCcw, AlertTriangle } from 'lucide-react';
+import {
+    TRASH_COLLECTIONS,
+    TRASH_RETENTION_DAYS,
+    canPurge,
+    getPurgeableFrom
+} from '../utils/recycleBin';
+import { subscribeToTrash, restoreFromTrash, purgeFromTrash } from '../utils/recycleBinActions';
+import { findBookingConflicts } from '../utils/bookingConflicts';
+import { getBookingStatus, isBlockingStatus } from '../utils/bookingStatus';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString('en-GB') : '—');
+
+const formatAmount = (amount) => {
+    const value = Number(amount);
+    return amount === undefined || amount === null || isNaN(value) ? '' : `€${value.toFixed(2)}`;
+};
+
+// A restored booking takes its slot back, so make sure nobody has been booked into it meanwhile
+const confirmBookingSlotIsFree = async (booking) => {
+    if (!isBlockingStatus(getBookingStatus(booking))) return true;
+    const details = booking.bookingDetails || {};
+    const result = await findBookingConflicts(
+        [{ boatName: details.boatName, date: details.date, startTime: details.startTime, endTime: details.endTime }],
+        { excludeIds: [booking.id] }
+    );
+    if (result.conflicts.length === 0) return true;
+    return window.confirm(
+        `${details.boatName} is already booked on ${details.date} at this time. Restore this booking anyway?`
+    );
+};
+
+const RecycleBin = () => {
+    const [activeCollection, setActiveCollection] = useState('bookings');
+    const [itemsByCollection, setItemsByCollection] = useState({});
+    const [error, setError] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        const unsubscribers = Object.keys(TRASH_COLLECTIONS).map(collectionName =>
+            subscribeToTrash(
+                collectionName,
+                items => setItemsByCollection(prev => ({ ...prev, [collectionName]: items })),
+                err => setError(err.message)
+            )
+        );
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, []);
+
+    const items = itemsByCollection[activeCollection] || [];
+    const expiredItems = items.filter(item => canPurge(item));
+    const { describe } = TRASH_COLLECTIONS[activeCollection];
+
+    const handleRestore = async (item) => {
+        setBusyId(item.id);
+        setError(null);
+        try {
+            if (activeCollection === 'bookings' && !(await confirmBookingSlotIsFree(item))) return;
+            await restoreFromTrash(activeCollection, item.id, getAuth().currentUser);
+        } catch (err) {
+            console.error('Error restoring item:', err);
+            setError(`Restore failed: ${err.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handlePurge = async (item) => {
+        if (!window.confirm(`Permanently delete "${describe(item).title}"? This cannot be undone.`)) return;
+        setBusyId(item.id);
+        setError(null);
+        try {
+            await purgeFromTrash(activeCollection, item);
+        } catch (err) {
+            console.error('Error purging item:', err);
+            setError(`Purge failed: ${err.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handlePurgeExpired = async () => {
+        if (!window.confirm(
+            `Permanently delete ${expiredItems.length} ${TRASH_COLLECTIONS[activeCollection].label.toLowerCase()} ` +
+            `that have been in the recycle bin for more than ${TRASH_RETENTION_DAYS} days? This cannot be undone.`
+        )) return;
+        setBusyId('all');
+        setError(null);
+        try {
+            for (const item of expiredItems) {
+                await purgeFromTrash(activeCollection, item);
+            }
+        } catch (err) {
+            console.error('Error purging items:', err);
+            setError(`Purge failed: ${err.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="container mx-auto p-4">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-2">
+                <div>
+                    <h1 className="text-2xl font-bold flex items-center gap-2">
+                        <Trash2 size={24} /> Recycle Bin
+                    </h1>
+                    <p className="text-sm text-gray-500">
+                        Deleted bookings, orders and expenses stay here for {TRASH_RETENTION_DAYS} days before they can be purged.
+                    </p>
+                </div>
+                <button
+                    onClick={handlePurgeExpired}
+                    disabled={expiredItems.length === 0 || Boolean(busyId)}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                >
+                    {busyId === 'all' ? 'Purging...' : `Purge expired (${expiredItems.length})`}
+                </button>
+            </div>
+
+            {error && (
+                <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-lg flex items-center gap-2">
+                    <AlertTriangle size={16} /> {error}
+                </div>
+            )}
+
+            <div className="flex gap-2 mb-4">
+                {Object.keys(TRASH_COLLECTIONS).map(collectionName => (
+                    <button
+                        key={collectionName}
+                        onClick={() => setActiveCollection(collectionName)}
+                        className={`px-4 py-2 rounded-md text-sm ${
+                            activeCollection === collectionName
+                                ? 'bg-blue-600 text-white'
+                                : 'bg-white text-gray-700 hover:bg-gray-100 border'
+                        }`}
+                    >
+                        {TRASH_COLLECTIONS[collectionName].label} ({(itemsByCollection[collectionName] || []).length})
+                    </button>
+                ))}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+                <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Item</th>
+                            <th className="p-3">Amount</th>
+                            <th className="p-3">Deleted</th>
+                            <th className="p-3">Deleted by</th>
+                            <th className="p-3">Purgeable from</th>
+                            <th className="p-3" />
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y">
+                        {items.map(item => {
+                            const summary = describe(item);
+                            const purgeable = canPurge(item);
+                            return (
+                                <tr key={item.id}>
+                                    <td className="p-3">
+                                        <div className="font-medium text-gray-900">{summary.title}</div>
+                                        <div className="text-xs text-gray-500">{summary.subtitle}</div>
+                                    </td>
+                                    <td className="p-3 text-gray-600">{formatAmount(summary.amount)}</td>
+                                    <td className="p-3 text-gray-600">{formatDateTime(item.deletedAt)}</td>
+                                    <td className="p-3 text-gray-600">
+                                        {item.deletedBy?.displayName || item.deletedBy?.email || '—'}
+                                    </td>
+                                    <td className={`p-3 ${purgeable ? 'text-red-700' : 'text-gray-600'}`}>
+                                        {formatDateTime(getPurgeableFrom(item))}
+                                    </td>
+                                    <td className="p-3 text-right whitespace-nowrap">
+                                        <button
+                                            onClick={() => handleRestore(item)}
+                                            disabled={Boolean(busyId)}
+                                            className="inline-flex items-center gap-1 px-3 py-1 mr-2 bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200 disabled:opacity-50"
+                                        >
+                                            <RotateCcw size={14} />
+                                            {busyId === item.id ? 'Working...' : 'Restore'}
+                                        </button>
+                                        <button
+                                            onClick={() => handlePurge(item)}
+                                            disabled={!purgeable || Boolean(busyId)}
+                                            title={purgeable ? 'Delete permanently' : `Can be purged after ${TRASH_RETENTION_DAYS} days`}
+                                            className="inline-flex items-center gap-1 px-3 py-1 bg-red-100 text-red-800 rounded-md hover:bg-red-200 disabled:opacity-50"
+                                        >
+                                            <Trash2 size={14} />
+                                            Purge
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {items.length === 0 && (
+                            <tr>
+                                <td colSpan={6} className="p-6 text-center text-gray-500">
+                                    No deleted {TRASH_COLLECTIONS[activeCollection].label.toLowerCase()}.
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default RecycleBin;
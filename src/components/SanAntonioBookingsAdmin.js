@@ -1,7 +1,39 @@
 import React, { useState, useEffect } from 'react';
 import { Ship, Calendar, Clock, Users, Euro, Check, X, ChevronRight, Search, PlusCircle, Percent, Edit, Trash2, Anchor } from 'lucide-react';
-import { collection, addDoc, getDocs, query, where, doc, updateDoc, getDoc, deleteDoc } from 'firebase/firestore';
+import { collection, addDoc, getDocs, query, where, doc, getDoc, deleteField } from 'firebase/firestore';
 import { db } from '../firebase/firebaseConfig';
+import { getAuth } from 'firebase/auth';
+import { updateBookingWithHistory } from '../utils/bookingHistoryActions';
+import { isTrashed } from '../utils/recycleBin';
+import { moveToTrash } from '../utils/recycleBinActions';
+import PaymentScheduleEditor from './PaymentScheduleEditor';
+import {
+  DEFAULT_SCHEDULE_TEMPLATE,
+  buildSchedulePricing,
+  buildScheduleFromTemplate,
+  getInstallmentLabel,
+  getPaymentSchedule,
+  getSchedulePaymentStatus,
+  recalculateSchedule
+} from '../utils/paymentSchedule';
+
+// Older San Antonio bookings stored unlabelled 'full', 'deposit' and 'remaining' lines
+const SAN_ANTONIO_LABELS = { full: 'Full payment', deposit: 'Deposit', remaining: 'Balance' };
+
+const getSanAntonioSchedule = (pricing) =>
+  getPaymentSchedule(pricing).map((line) => ({ ...line, label: line.label || SAN_ANTONIO_LABELS[line.type] || '' }));
+
+const createDefaultSchedule = (agreedPrice) =>
+  buildScheduleFromTemplate(DEFAULT_SCHEDULE_TEMPLATE, { agreedPrice });
+
+const PAYMENT_STATUS_STYLES = {
+  Completed: { label: 'Paid', badge: 'bg-green-100 text-green-800', text: 'text-green-600' },
+  Partial: { label: 'Partial', badge: 'bg-yellow-100 text-yellow-800', text: 'text-yellow-600' },
+  'No Payment': { label: 'Pending', badge: 'bg-red-100 text-red-800', text: 'text-red-600' }
+};
+
+const getPaymentStatusStyle = (booking) =>
+  PAYMENT_STATUS_STYLES[getSchedulePaymentStatus(getSanAntonioSchedule(booking.pricing))];
 
 const SanAntonioBookingsAdmin = () => {
   const [bookings, setBookings] = useState([]);
@@ -12,6 +44,8 @@ const SanAntonioBookingsAdmin = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [partners, setPartners] = useState([]);
   const [hotels, setHotels] = useState([]);
+  // Pricing as loaded, so saving the schedule keeps any refund lines
+  const [editingPricing, setEditingPricing] = useState(null);
   const [formData, setFormData] = useState({
     clientDetails: {
       name: '',
@@ -41,22 +75,7 @@ const SanAntonioBookingsAdmin = () => {
     passengers: 4,
     price: 350,
     notes: '',
-    payments: {
-      deposit: {
-        amount: '0',
-        method: 'cash',
-        received: false,
-        date: ''
-      },
-      remaining: {
-        amount: '0',
-        method: 'cash',
-        received: false,
-        date: ''
-      },
-      status: 'pending', // pending, deposit, paid
-      isFullPayment: false
-    }
+    schedule: createDefaultSchedule(350)
   });
   
   // Available boats for San Antonio tours
@@ -100,7 +119,6 @@ const SanAntonioBookingsAdmin = () => {
   ];
   
   // Payment methods
-  const paymentMethods = ['cash', 'card', 'transfer', 'website'];
   
   // Helper function to get boat name for display
   const getBoatName = (booking) => {
@@ -170,10 +188,12 @@ const SanAntonioBookingsAdmin = () => {
         where("location", "==", "San Antonio")
       );
       const querySnapshot = await getDocs(q);
-      const bookingData = querySnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const bookingData = querySnapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }))
+        .filter(booking => !isTrashed(booking));
       
       // Sort by date (newest first)
       bookingData.sort((a, b) => new Date(b.date || b.bookingDate) - new Date(a.date || a.bookingDate));
@@ -221,24 +241,10 @@ const SanAntonioBookingsAdmin = () => {
       passengers: 4,
       price: 350,
       notes: '',
-      payments: {
-        deposit: {
-          amount: '105',
-          method: 'cash',
-          received: false,
-          date: ''
-        },
-        remaining: {
-          amount: '245',
-          method: 'cash',
-          received: false,
-          date: ''
-        },
-        status: 'pending',
-        isFullPayment: false
-      }
+      schedule: createDefaultSchedule(350)
     });
     setEditingBookingId(null);
+    setEditingPricing(null);
   };
   
   // Add new booking mode
@@ -257,12 +263,6 @@ const SanAntonioBookingsAdmin = () => {
       if (docSnap.exists()) {
         const booking = docSnap.data();
         
-        // Check if it's a full payment case
-        const isFullPayment = booking.payments?.isFullPayment || 
-          (booking.pricing?.payments && 
-           booking.pricing.payments[0]?.amount === booking.pricing?.agreedPrice && 
-           booking.pricing.payments[0]?.received);
-        
         // Determine boat selection from existing data
         let boatSelection = {
           boatType: 'quicksilver',
@@ -316,47 +316,12 @@ const SanAntonioBookingsAdmin = () => {
           passengers: booking.bookingDetails?.passengers || 4,
           price: booking.pricing?.agreedPrice?.toString() || '350',
           notes: booking.notes || '',
-          payments: {
-            deposit: {
-              amount: isFullPayment ? booking.pricing?.agreedPrice?.toString() :
-                     (booking.payments?.deposit?.amount?.toString() || 
-                     (booking.pricing?.payments && booking.pricing.payments[0] ? 
-                      booking.pricing.payments[0].amount?.toString() : '0')),
-              method: booking.payments?.deposit?.method || 
-                     (booking.pricing?.payments && booking.pricing.payments[0] ? 
-                      booking.pricing.payments[0].method : 'cash'),
-              received: isFullPayment ? true :
-                       (booking.payments?.deposit?.received || 
-                       (booking.pricing?.payments && booking.pricing.payments[0] ? 
-                        booking.pricing.payments[0].received : false)),
-              date: booking.payments?.deposit?.date || 
-                   (booking.pricing?.payments && booking.pricing.payments[0] ? 
-                    booking.pricing.payments[0].date : '')
-            },
-            remaining: {
-              amount: isFullPayment ? '0' :
-                      (booking.payments?.remaining?.amount?.toString() || 
-                     (booking.pricing?.payments && booking.pricing.payments[1] ? 
-                      booking.pricing.payments[1].amount?.toString() : '0')),
-              method: booking.payments?.remaining?.method || 
-                     (booking.pricing?.payments && booking.pricing.payments[1] ? 
-                      booking.pricing.payments[1].method : 'cash'),
-              received: isFullPayment ? false :
-                       (booking.payments?.remaining?.received || 
-                       (booking.pricing?.payments && booking.pricing.payments[1] ? 
-                        booking.pricing.payments[1].received : false)),
-              date: booking.payments?.remaining?.date || 
-                   (booking.pricing?.payments && booking.pricing.payments[1] ? 
-                    booking.pricing.payments[1].date : '')
-            },
-            status: isFullPayment ? 'paid' : 
-                    (booking.pricing?.paymentStatus || 'pending'),
-            isFullPayment: isFullPayment
-          }
+          schedule: getSanAntonioSchedule(booking.pricing)
         };
         
         setFormData(mappedData);
         setEditingBookingId(bookingId);
+        setEditingPricing(booking.pricing || null);
         setShowForm(true);
       } else {
         console.error("No such booking exists!");
@@ -370,67 +335,15 @@ const SanAntonioBookingsAdmin = () => {
     }
   };
   
-  // Toggle full payment mode
-  const handleToggleFullPayment = (isFullPayment) => {
-    if (isFullPayment) {
-      // Full payment - set deposit to total price, remaining to 0
-      setFormData(prev => ({
-        ...prev,
-        payments: {
-          ...prev.payments,
-          deposit: {
-            ...prev.payments.deposit,
-            amount: prev.price,
-            received: true,
-            date: prev.payments.deposit.date || new Date().toISOString().split('T')[0]
-          },
-          remaining: {
-            ...prev.payments.remaining,
-            amount: '0',
-            received: false,
-            date: ''
-          },
-          status: 'paid',
-          isFullPayment: true
-        }
-      }));
-    } else {
-      // Revert to standard 30% deposit
-      const depositAmount = Math.round(parseFloat(formData.price) * 0.3);
-      const remainingAmount = parseFloat(formData.price) - depositAmount;
-      
-      setFormData(prev => ({
-        ...prev,
-        payments: {
-          ...prev.payments,
-          deposit: {
-            ...prev.payments.deposit,
-            amount: depositAmount.toString(),
-            received: false,
-            date: ''
-          },
-          remaining: {
-            ...prev.payments.remaining,
-            amount: remainingAmount.toString(),
-            received: false,
-            date: ''
-          },
-          status: 'pending',
-          isFullPayment: false
-        }
-      }));
-    }
-  };
-  
   // Delete booking
   const handleDelete = async (bookingId) => {
-    if (window.confirm("Are you sure you want to delete this booking? This action cannot be undone.")) {
+    if (window.confirm("Move this booking to the recycle bin? An admin can restore it from there.")) {
       setIsLoading(true);
       try {
-        await deleteDoc(doc(db, "bookings", bookingId));
+        await moveToTrash("bookings", bookingId, getAuth().currentUser);
         // Update local state
         setBookings(prevBookings => prevBookings.filter(booking => booking.id !== bookingId));
-        alert("Booking deleted successfully.");
+        alert("Booking moved to the recycle bin.");
       } catch (error) {
         console.error("Error deleting booking:", error);
         alert("Error deleting booking. Please try again.");
@@ -566,7 +479,9 @@ const SanAntonioBookingsAdmin = () => {
       setFormData(prev => ({
         ...prev,
         tourType: value,
-        price: selectedTour.basePrice.toString()
+        price: selectedTour.basePrice.toString(),
+        // Percentage and balance instalments follow the new price
+        schedule: recalculateSchedule(prev.schedule, selectedTour.basePrice)
       }));
       
       // If selecting sunset tour, automatically set time to sunset
@@ -580,156 +495,15 @@ const SanAntonioBookingsAdmin = () => {
         }));
       }
       
-      // Recalculate deposit amount (30% of total) if not in full payment mode
-      if (!formData.payments.isFullPayment) {
-        const depositAmount = Math.round(selectedTour.basePrice * 0.3);
-        const remainingAmount = selectedTour.basePrice - depositAmount;
-        
-        setFormData(prev => ({
-          ...prev,
-          payments: {
-            ...prev.payments,
-            deposit: {
-              ...prev.payments.deposit,
-              amount: depositAmount.toString()
-            },
-            remaining: {
-              ...prev.payments.remaining,
-              amount: remainingAmount.toString()
-            }
-          }
-        }));
-      } else {
-        // In full payment mode, deposit is the full price
-        setFormData(prev => ({
-          ...prev,
-          payments: {
-            ...prev.payments,
-            deposit: {
-              ...prev.payments.deposit,
-              amount: selectedTour.basePrice.toString()
-            },
-            remaining: {
-              ...prev.payments.remaining,
-              amount: '0'
-            }
-          }
-        }));
-      }
-      
       return;
     }
     
     if (section === 'price') {
-      // Update price 
-      const price = parseFloat(value) || 0;
-      
-      if (formData.payments.isFullPayment) {
-        // Full payment mode - set deposit to full price
-        setFormData(prev => ({
-          ...prev,
-          price: value,
-          payments: {
-            ...prev.payments,
-            deposit: {
-              ...prev.payments.deposit,
-              amount: value
-            },
-            remaining: {
-              ...prev.payments.remaining,
-              amount: '0'
-            }
-          }
-        }));
-      } else {
-        // Standard mode - recalculate deposit (30% of total)
-        const depositAmount = Math.round(price * 0.3);
-        const remainingAmount = price - depositAmount;
-        
-        setFormData(prev => ({
-          ...prev,
-          price: value,
-          payments: {
-            ...prev.payments,
-            deposit: {
-              ...prev.payments.deposit,
-              amount: depositAmount.toString()
-            },
-            remaining: {
-              ...prev.payments.remaining,
-              amount: remainingAmount.toString()
-            }
-          }
-        }));
-      }
-      return;
-    }
-    
-    if (section === 'payments') {
-      if (field === 'isFullPayment') {
-        // Handle full payment toggle
-        handleToggleFullPayment(value);
-        return;
-      }
-      
-      if (field === 'status') {
-        // Update payment status
-        setFormData(prev => ({
-          ...prev,
-          payments: {
-            ...prev.payments,
-            status: value
-          }
-        }));
-      } else if (field === 'deposit' || field === 'remaining') {
-        // Update deposit or remaining payment details
-        setFormData(prev => ({
-          ...prev,
-          payments: {
-            ...prev.payments,
-            [field]: {
-              ...prev.payments[field],
-              ...value
-            }
-          }
-        }));
-        
-        // Update payment status based on received payments
-        const updatedFormData = {
-          ...formData,
-          payments: {
-            ...formData.payments,
-            [field]: {
-              ...formData.payments[field],
-              ...value
-            }
-          }
-        };
-        
-        // Skip auto status update if in full payment mode
-        if (!formData.payments.isFullPayment) {
-          // Check if payments were received
-          const depositReceived = field === 'deposit' && 'received' in value ? 
-            value.received : updatedFormData.payments.deposit.received;
-          const remainingReceived = field === 'remaining' && 'received' in value ? 
-            value.received : updatedFormData.payments.remaining.received;
-          
-          let newStatus = 'pending';
-          if (depositReceived && remainingReceived) {
-            newStatus = 'paid';
-          } else if (depositReceived) {
-            newStatus = 'deposit';
-          }
-          
-          setFormData(prev => ({
-            ...prev,
-            payments: {
-              ...prev.payments,
-              status: newStatus
-            }
-          }));
-        }
-      }
+      setFormData(prev => ({
+        ...prev,
+        price: value,
+        schedule: recalculateSchedule(prev.schedule, value)
+      }));
       return;
     }
     
@@ -751,6 +525,10 @@ const SanAntonioBookingsAdmin = () => {
     }));
   };
   
+  const handleScheduleChange = (schedule) => {
+    setFormData(prev => ({ ...prev, schedule }));
+  };
+  
   // Calculate commission amount when price or rate changes
   useEffect(() => {
     if (formData.price && formData.source.commission.rate && formData.source.type !== 'direct') {
@@ -781,13 +559,6 @@ const SanAntonioBookingsAdmin = () => {
     setIsLoading(true);
     
     try {
-      // Calculate total paid based on received payments
-      const depositAmount = parseFloat(formData.payments.deposit.amount) || 0;
-      const remainingAmount = parseFloat(formData.payments.remaining.amount) || 0;
-      const totalPaid = 
-        (formData.payments.deposit.received ? depositAmount : 0) +
-        (formData.payments.remaining.received ? remainingAmount : 0);
-      
       // Get boat name for booking details
       const boatName = formData.boatSelection.boatType === 'custom' 
         ? formData.boatSelection.customBoatName 
@@ -817,52 +588,7 @@ const SanAntonioBookingsAdmin = () => {
         },
         pricing: {
           agreedPrice: parseFloat(formData.price),
-          totalPaid: totalPaid,
-          paymentStatus: formData.payments.status,
-          payments: formData.payments.isFullPayment ? 
-            [
-              {
-                type: 'full',
-                amount: parseFloat(formData.price),
-                method: formData.payments.deposit.method,
-                received: formData.payments.deposit.received,
-                date: formData.payments.deposit.date || new Date().toISOString().split('T')[0],
-              }
-            ] :
-            [
-              {
-                type: 'deposit',
-                amount: depositAmount,
-                method: formData.payments.deposit.method,
-                received: formData.payments.deposit.received,
-                date: formData.payments.deposit.date || new Date().toISOString().split('T')[0],
-              },
-              {
-                type: 'remaining',
-                amount: remainingAmount,
-                method: formData.payments.remaining.method,
-                received: formData.payments.remaining.received,
-                date: formData.payments.remaining.date || new Date().toISOString().split('T')[0],
-              }
-            ]
-        },
-        // Store payments in both formats for compatibility and easier access
-        payments: {
-          deposit: {
-            amount: depositAmount,
-            method: formData.payments.deposit.method,
-            received: formData.payments.deposit.received,
-            date: formData.payments.deposit.date || new Date().toISOString().split('T')[0],
-          },
-          remaining: {
-            amount: remainingAmount,
-            method: formData.payments.remaining.method,
-            received: formData.payments.remaining.received,
-            date: formData.payments.remaining.date || new Date().toISOString().split('T')[0],
-          },
-          status: formData.payments.status,
-          totalPaid: totalPaid,
-          isFullPayment: formData.payments.isFullPayment
+          ...buildSchedulePricing(formData.schedule, editingPricing)
         },
         source: {
           type: formData.source.type,
@@ -884,12 +610,14 @@ const SanAntonioBookingsAdmin = () => {
 
       if (editingBookingId) {
         // Update existing booking
-        const docRef = doc(db, "bookings", editingBookingId);
-        
         // Add lastUpdated field but preserve createdAt
         bookingData.lastUpdated = new Date().toISOString();
         
-        await updateDoc(docRef, bookingData);
+        // The deposit/remaining copy outside pricing is superseded by the schedule
+        await updateBookingWithHistory(editingBookingId, { ...bookingData, payments: deleteField() }, {
+          user: getAuth().currentUser,
+          source: 'san-antonio'
+        });
         
         // Update in the local state
         setBookings(prevBookings => 
@@ -1298,193 +1026,13 @@ const SanAntonioBookingsAdmin = () => {
                 />
               </div>
               
-              {/* Full Payment Option */}
-              <div className="flex items-center py-3 px-4 bg-orange-100 rounded-lg border border-orange-200">
-                <input
-                  type="checkbox"
-                  id="full-payment"
-                  checked={formData.payments.isFullPayment}
-                  onChange={(e) => handleInputChange('payments', 'isFullPayment', e.target.checked)}
-                  className="mr-3 h-5 w-5"
-                />
-                <label htmlFor="full-payment" className="text-orange-800 font-medium">
-                  Full payment received (€{formData.price})
-                </label>
-              </div>
-              
-              {/* Payment Sections - Only show if not full payment */}
-              {!formData.payments.isFullPayment ? (
-                <>
-                  {/* Deposit Payment */}
-                  <div className="border rounded-lg p-3 sm:p-4 bg-white border-orange-200">
-                    <h4 className="font-medium text-orange-800 mb-3 text-sm sm:text-base">Deposit Payment</h4>
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                      <div>
-                        <label className="block text-sm text-gray-700 mb-1">Amount (€)</label>
-                        <input
-                          type="number"
-                          min="0"
-                          value={formData.payments.deposit.amount}
-                          onChange={(e) => handleInputChange('payments', 'deposit', {
-                            ...formData.payments.deposit,
-                            amount: e.target.value
-                          })}
-                          className="w-full p-2 border rounded"
-                        />
-                      </div>
-                      
-                      <div>
-                        <label className="block text-sm text-gray-700 mb-1">Payment Method</label>
-                        <select
-                          value={formData.payments.deposit.method}
-                          onChange={(e) => handleInputChange('payments', 'deposit', {
-                            ...formData.payments.deposit,
-                            method: e.target.value
-                          })}
-                          className="w-full p-2 border rounded"
-                        >
-                          {paymentMethods.map(method => (
-                            <option key={method} value={method}>{method.charAt(0).toUpperCase() + method.slice(1)}</option>
-                          ))}
-                        </select>
-                      </div>
-                      
-                      <div className="flex items-center">
-                        <input
-                          type="checkbox"
-                          id="deposit-received"
-                          checked={formData.payments.deposit.received}
-                          onChange={(e) => handleInputChange('payments', 'deposit', {
-                            ...formData.payments.deposit,
-                            received: e.target.checked
-                          })}
-                          className="mr-2 h-4 w-4"
-                        />
-                        <label htmlFor="deposit-received" className="text-sm text-gray-700">
-                          Deposit received
-                        </label>
-                      </div>
-                      
-                      {formData.payments.deposit.received && (
-                        <div>
-                          <label className="block text-sm text-gray-700 mb-1">Date Received</label>
-                          <input
-                            type="date"
-                            value={formData.payments.deposit.date}
-                            onChange={(e) => handleInputChange('payments', 'deposit', {
-                              ...formData.payments.deposit,
-                              date: e.target.value
-                            })}
-                            className="w-full p-2 border rounded"
-                          />
-                        </div>
-                      )}
-                    </div>
-                  </div>
-                  
-                  {/* Remaining Payment */}
-                  <div className="border rounded-lg p-3 sm:p-4 bg-white border-orange-200">
-                    <h4 className="font-medium text-orange-800 mb-3 text-sm sm:text-base">Remaining Payment</h4>
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                      <div>
-                        <label className="block text-sm text-gray-700 mb-1">Amount (€)</label>
-                        <input
-                          type="number"
-                          min="0"
-                          value={formData.payments.remaining.amount}
-                          onChange={(e) => handleInputChange('payments', 'remaining', {
-                            ...formData.payments.remaining,
-                            amount: e.target.value
-                          })}
-                          className="w-full p-2 border rounded"
-                        />
-                      </div>
-                      
-                      <div>
-                        <label className="block text-sm text-gray-700 mb-1">Payment Method</label>
-                        <select
-                          value={formData.payments.remaining.method}
-                          onChange={(e) => handleInputChange('payments', 'remaining', {
-                            ...formData.payments.remaining,
-                            method: e.target.value
-                          })}
-                          className="w-full p-2 border rounded"
-                        >
-                          {paymentMethods.map(method => (
-                            <option key={method} value={method}>{method.charAt(0).toUpperCase() + method.slice(1)}</option>
-                          ))}
-                        </select>
-                      </div>
-                      
-                      <div className="flex items-center">
-                        <input
-                          type="checkbox"
-                          id="remaining-received"
-                          checked={formData.payments.remaining.received}
-                          onChange={(e) => handleInputChange('payments', 'remaining', {
-                            ...formData.payments.remaining,
-                            received: e.target.checked
-                          })}
-                          className="mr-2 h-4 w-4"
-                        />
-                        <label htmlFor="remaining-received" className="text-sm text-gray-700">
-                          Remaining amount received
-                        </label>
-                      </div>
-                      
-                      {formData.payments.remaining.received && (
-                        <div>
-                          <label className="block text-sm text-gray-700 mb-1">Date Received</label>
-                          <input
-                            type="date"
-                            value={formData.payments.remaining.date}
-                            onChange={(e) => handleInputChange('payments', 'remaining', {
-                              ...formData.payments.remaining,
-                              date: e.target.value
-                            })}
-                            className="w-full p-2 border rounded"
-                          />
-                        </div>
-                      )}
-                    </div>
-                  </div>
-                </>
-              ) : (
-                /* Full Payment Details */
-                <div className="border rounded-lg p-3 sm:p-4 bg-white border-orange-200">
-                  <h4 className="font-medium text-orange-800 mb-3 text-sm sm:text-base">Payment Details</h4>
-                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                    <div>
-                      <label className="block text-sm text-gray-700 mb-1">Payment Method</label>
-                      <select
-                        value={formData.payments.deposit.method}
-                        onChange={(e) => handleInputChange('payments', 'deposit', {
-                          ...formData.payments.deposit,
-                          method: e.target.value
-                        })}
-                        className="w-full p-2 border rounded"
-                      >
-                        {paymentMethods.map(method => (
-                          <option key={method} value={method}>{method.charAt(0).toUpperCase() + method.slice(1)}</option>
-                        ))}
-                      </select>
-                    </div>
-                    
-                    <div>
-                      <label className="block text-sm text-gray-700 mb-1">Date Received</label>
-                      <input
-                        type="date"
-                        value={formData.payments.deposit.date}
-                        onChange={(e) => handleInputChange('payments', 'deposit', {
-                          ...formData.payments.deposit,
-                          date: e.target.value
-                        })}
-                        className="w-full p-2 border rounded"
-                      />
-                    </div>
-                  </div>
-                </div>
-              )}
+              <PaymentScheduleEditor
+                lines={formData.schedule}
+                agreedPrice={formData.price}
+                charterDate={formData.date}
+                bookingId={editingBookingId || undefined}
+                onChange={handleScheduleChange}
+              />
               
               <div className="pt-2">
                 <label className="block text-sm text-gray-700 mb-1">Notes</label>
@@ -1593,13 +1141,8 @@ const SanAntonioBookingsAdmin = () => {
                   
                   <div className="flex items-center gap-2 sm:gap-4 ml-2">
                     {/* Payment Status Badge - Only on larger screens */}
-                    <div className={`hidden sm:block px-2 sm:px-3 py-1 rounded-full text-xs font-medium
-                      ${booking.pricing?.paymentStatus === 'paid' || booking.payments?.status === 'paid' ? 'bg-green-100 text-green-800' : 
-                        booking.pricing?.paymentStatus === 'deposit' || booking.payments?.status === 'deposit' ? 'bg-yellow-100 text-yellow-800' : 
-                        'bg-red-100 text-red-800'}`}>
-                      {booking.payments?.status === 'paid' || booking.pricing?.paymentStatus === 'paid' ? 'Paid' : 
-                       booking.payments?.status === 'deposit' || booking.pricing?.paymentStatus === 'deposit' ? 'Deposit' : 
-                       'Pending'}
+                    <div className={`hidden sm:block px-2 sm:px-3 py-1 rounded-full text-xs font-medium ${getPaymentStatusStyle(booking).badge}`}>
+                      {getPaymentStatusStyle(booking).label}
                     </div>
                     
                     {/* Price */}
@@ -1694,47 +1237,23 @@ const SanAntonioBookingsAdmin = () => {
                             <span className="font-medium">€{booking.pricing?.agreedPrice}</span>
                           </div>
                           
-                          {booking.payments?.isFullPayment ? (
-                            <div className="col-span-3">
-                              <span className="bg-green-100 text-green-800 px-2 py-1 rounded-full text-xs font-medium">
-                                Full Payment Received
-                              </span>
+                          {getSanAntonioSchedule(booking.pricing).map((line, index) => (
+                            <div key={line.id}>
+                              <span className="text-gray-500 text-xs block sm:inline">{getInstallmentLabel(line, index)}:</span> 
+                              {line.received ? (
+                                <span className="text-green-600"> €{line.amount} ✓</span>
+                              ) : (
+                                <span className="text-orange-600"> €{line.amount} pending</span>
+                              )}
                             </div>
-                          ) : (
-                            <>
-                              <div>
-                                <span className="text-gray-500 text-xs block sm:inline">Deposit:</span> 
-                                {booking.payments?.deposit?.received ? (
-                                  <span className="text-green-600"> €{booking.payments.deposit.amount} ✓</span>
-                                ) : booking.pricing?.payments && booking.pricing?.payments[0]?.received ? (
-                                  <span className="text-green-600"> €{booking.pricing.payments[0].amount} ✓</span>
-                                ) : (
-                                  <span className="text-orange-600"> Pending</span>
-                                )}
-                              </div>
-                              
-                              <div>
-                                <span className="text-gray-500 text-xs block sm:inline">Remaining:</span> 
-                                {booking.payments?.remaining?.received ? (
-                                  <span className="text-green-600"> €{booking.payments.remaining.amount} ✓</span>
-                                ) : booking.pricing?.payments && booking.pricing?.payments[1]?.received ? (
-                                  <span className="text-green-600"> €{booking.pricing.payments[1].amount} ✓</span>
-                                ) : (
-                                  <span className="text-orange-600"> Pending</span>
-                                )}
-                              </div>
-                              
-                              <div>
-                                <span className="text-gray-500 text-xs block sm:inline">Status:</span> 
-                                <span className={`font-medium 
-                                  ${booking.payments?.status === 'paid' || booking.pricing?.paymentStatus === 'paid' ? 'text-green-600' : 
-                                  booking.payments?.status === 'deposit' || booking.pricing?.paymentStatus === 'deposit' ? 'text-yellow-600' : 
-                                  'text-red-600'}`}>
-                                  {booking.payments?.status || booking.pricing?.paymentStatus || 'Pending'}
-                                </span>
-                              </div>
-                            </>
-                          )}
+                          ))}
+                          
+                          <div>
+                            <span className="text-gray-500 text-xs block sm:inline">Status:</span> 
+                            <span className={`font-medium ${getPaymentStatusStyle(booking).text}`}>
+                              {getPaymentStatusStyle(booking).label}
+                            </span>
+                          </div>
                         </div>
                       </div>
                     </div>
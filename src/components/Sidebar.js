@@ -4,7 +4,7 @@ import {
     User, CreditCard, Euro, Ship, MessageSquare,
     Settings, Building, ChevronDown, ChevronUp, Utensils, Package, ShoppingCart, FileText,
     Star,  LineChart, QrCode, MapPin, Divide, DollarSign, Zap, TrendingUp,
-     Heart, Search
+     Heart, Search, RefreshCw, LayoutGrid, Trash2, Upload, ClipboardList, Car, FileX
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate, useLocation } from 'react-router-dom';
@@ -153,6 +153,13 @@ const Sidebar = () => {
                     allowed: true,
                     description: 'View and manage all bookings'
                 },
+                {
+                    name: 'Boat Planner',
+                    icon: LayoutGrid,
+                    path: '/planner',
+                    allowed: true,
+                    description: 'Bookings by boat and day'
+                },
                 {
                     name: 'San Antonio Tours',
                     icon: Ship,
@@ -185,6 +192,27 @@ const Sidebar = () => {
                         description: 'View and manage all bookings',
                         badge: 'Hot'
                     },
+                    {
+                        name: 'Boat Planner',
+                        icon: LayoutGrid,
+                        path: '/planner',
+                        allowed: true,
+                        description: 'Bookings by boat and day'
+                    },
+                    {
+                        name: 'Daily Manifest',
+                        icon: ClipboardList,
+                        path: '/daily-manifest',
+                        allowed: true,
+                        description: 'Trip sheets for captains'
+                    },
+                    {
+                        name: 'Transfers',
+                        icon: Car,
+                        path: '/transfers',
+                        allowed: true,
+                        description: 'Assign drivers to pickups'
+                    },
                     {
                         name: 'Add New Booking',
                         icon: PlusCircle,
@@ -192,6 +220,13 @@ const Sidebar = () => {
                         allowed: true,
                         description: 'Create new booking'
                     },
+                    {
+                        name: 'Import Bookings',
+                        icon: Upload,
+                        path: '/import-bookings',
+                        allowed: true,
+                        description: 'Bulk import from CSV or Excel'
+                    },
                     {
                         name: 'San Antonio Tours',
                         icon: Ship,
@@ -260,6 +295,13 @@ const Sidebar = () => {
                         allowed: true,
                         description: 'Track business expenses'
                     },
+                    {
+                        name: 'Cancellation Policies',
+                        icon: FileX,
+                        path: '/cancellation-policies',
+                        allowed: true,
+                        description: 'Refund and penalty terms'
+                    },
                     {
                         name: 'Financial Dashboard',
                         icon: BarChart3,
@@ -343,6 +385,27 @@ const Sidebar = () => {
                         allowed: true,
                         description: 'Check boat availability'
                     },
+                    {
+                        name: 'Proposals',
+                        icon: FileText,
+                        path: '/quotes',
+                        allowed: true,
+                        description: 'Boat options sent to clients'
+                    },
+                    {
+                        name: 'Fleet Utilisation',
+                        icon: TrendingUp,
+                        path: '/fleet-utilisation',
+                        allowed: true,
+                        description: 'Booked vs available days and yield'
+                    },
+                    {
+                        name: 'Calendar Sync',
+                        icon: RefreshCw,
+                        path: '/calendar-sync',
+                        allowed: true,
+                        description: 'Owner calendar sync health'
+                    },
                 ]
             },
             {
@@ -421,6 +484,13 @@ const Sidebar = () => {
                         allowed: true,
                         description: 'Manage system users'
                     },
+                    {
+                        name: 'Recycle Bin',
+                        icon: Trash2,
+                        path: '/recycle-bin',
+                        allowed: true,
+                        description: 'Restore or purge deleted records'
+                    },
                     {
                         name: 'System Settings',
                         icon: Settings,
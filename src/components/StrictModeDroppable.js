@@ -0,0 +1,21 @@
+import React, { useEffect, useState } from 'react';
+import { Droppable } from 'react-beautiful-dnd';
+
+// react-beautiful-dnd loses its droppables when React 18 StrictMode mounts twice;
+// rendering them one frame later lets the library register them again.
+const StrictModeDroppable = ({ children, ...props }) => {
+  const [enabled, setEnabled] = useState(false);
+
+  useEffect(() => {
+    const animation = requestAnimationFrame(() => setEnabled(true));
+    return () => {
+      cancelAnimationFrame(animation);
+      setEnabled(false);
+    };
+  }, []);
+
+  if (!enabled) return null;
+  return <Droppable {...props}>{children}</Droppable>;
+};
+
+export default StrictModeDroppable;
@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getAuth } from 'firebase/auth';
+import { ChevronLeft, ChevronRight, Car, Download, AlertTriangle, Plus, X } from 'lucide-react';
+import {
+    TRANSFER_STATUSES,
+    TRANSFER_STATUS_META,
+    OFFSET_OPTIONS,
+    DISPATCH_RESOURCES,
+    fetchTransfersForDate,
+    updateTransferLeg,
+    saveTransferCost,
+    subscribeToDispatchResources,
+    addDispatchResource,
+    retireDispatchResource,
+    buildRunSheetPdf
+} from '../utils/transferDispatch';
+
+const toYmd = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const shiftDate = (ymd, days) => {
+    const next = new Date(`${ymd}T00:00:00`);
+    next.setDate(next.getDate() + days);
+    return toYmd(next);
+};
+
+const byId = (items) => items.reduce((map, item) => ({ ...map, [item.id]: item }), {});
+
+// Small add/retire list for drivers or vehicles
+const ResourceList = ({ collectionName, items, onError }) => {
+    const { label, fields } = DISPATCH_RESOURCES[collectionName];
+    const [draft, setDraft] = useState({});
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (!draft.name) return;
+        try {
+            await addDispatchResource(collectionName, {
+                ...fields.reduce((data, field) => ({ ...data, [field]: draft[field] || '' }), {}),
+                ...(draft.seats ? { seats: parseInt(draft.seats, 10) || '' } : {})
+            });
+            setDraft({});
+        } catch (err) {
+            console.error(`Error adding ${collectionName}:`, err);
+            onError(err.message);
+        }
+    };
+
+    const handleRetire = async (item) => {
+        if (!window.confirm(`Remove ${item.name} from ${label.toLowerCase()}?`)) return;
+        try {
+            await retireDispatchResource(collectionName, item.id);
+        } catch (err) {
+            console.error(`Error removing ${collectionName}:`, err);
+            onError(err.message);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-4">
+            <h3 className="font-semibold mb-2">{label}</h3>
+            <ul className="divide-y text-sm mb-3">
+                {items.map(item => (
+                    <li key={item.id} className="py-1 flex justify-between items-center">
+                        <span>
+                            {item.name}
+                            <span className="text-gray-500">
+                                {fields.slice(1).map(field => item[field]).filter(Boolean).map(value => ` · ${value}`)}
+                            </span>
+                        </span>
+                        <button onClick={() => handleRetire(item)} className="text-gray-400 hover:text-red-600" title="Remove">
+                            <X size={14} />
+                        </button>
+                    </li>
+                ))}
+                {items.length === 0 && <li className="py-1 text-gray-500">None yet.</li>}
+            </ul>
+            <form onSubmit={handleAdd} className="flex gap-2">
+                {fields.map(field => (
+                    <input
+                        key={field}
+                        type={field === 'seats' ? 'number' : 'text'}
+                        placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+                        value={draft[field] || ''}
+                        onChange={e => setDraft({ ...draft, [field]: e.target.value })}
+                        className="w-full p-1 border rounded-md text-sm"
+                    />
+                ))}
+                <button type="submit" className="px-2 bg-blue-600 text-white rounded-md hover:bg-blue-700" title={`Add ${label.toLowerCase()}`}>
+                    <Plus size={14} />
+                </button>
+            </form>
+        </div>
+    );
+};
+
+const TransferDispatch = () => {
+    const [date, setDate] = useState(() => toYmd(new Date()));
+    const [legs, setLegs] = useState([]);
+    const [drivers, setDrivers] = useState([]);
+    const [vehicles, setVehicles] = useState([]);
+    const [costs, setCosts] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [savingId, setSavingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const loadTransfers = useCallback(async () => {
+        try {
+            const transfers = await fetchTransfersForDate(date);
+            setLegs(transfers);
+            setCosts(transfers.reduce((map, leg) => ({
+                ...map,
+                [leg.bookingId]: leg.booking.transfer?.dispatch?.cost ?? ''
+            }), {}));
+        } catch (err) {
+            console.error('Error loading transfers:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [date]);
+
+    useEffect(() => {
+        setLoading(true);
+        setError(null);
+        loadTransfers();
+    }, [loadTransfers]);
+
+    useEffect(() => {
+        const unsubscribeDrivers = subscribeToDispatchResources('drivers', setDrivers, err => setError(err.message));
+        const unsubscribeVehicles = subscribeToDispatchResources('vehicles', setVehicles, err => setError(err.message));
+        return () => {
+            unsubscribeDrivers();
+            unsubscribeVehicles();
+        };
+    }, []);
+
+    const driversById = byId(drivers);
+    const vehiclesById = byId(vehicles);
+
+    const handleLegChange = async (leg, changes) => {
+        setSavingId(leg.id);
+        setError(null);
+        try {
+            await updateTransferLeg(leg, changes, getAuth().currentUser);
+            await loadTransfers();
+        } catch (err) {
+            console.error('Error updating transfer:', err);
+            setError(`Update failed: ${err.message}`);
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleCostSave = async (leg) => {
+        const amount = Number(costs[leg.bookingId]) || 0;
+        if (amount === (Number(leg.booking.transfer?.dispatch?.cost) || 0)) return;
+        setSavingId(leg.id);
+        setError(null);
+        try {
+            const driverNames = legs
+                .filter(other => other.bookingId === leg.bookingId && driversById[other.driverId])
+                .map(other => driversById[other.driverId].name);
+            await saveTransferCost(leg.booking, amount, {
+                description: `Transfer – ${leg.clientName}${driverNames.length ? ` (${driverNames.join(', ')})` : ''}`,
+                user: getAuth().currentUser
+            });
+            await loadTransfers();
+        } catch (err) {
+            console.error('Error saving transfer cost:', err);
+            setError(`Saving cost failed: ${err.message}`);
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    const handleRunSheet = (driver) => {
+        try {
+            const driverLegs = legs.filter(leg => leg.driverId === driver.id);
+            buildRunSheetPdf(driver, driverLegs, date, vehiclesById)
+                .save(`run-sheet-${date}-${(driver.name || 'driver').replace(/\s+/g, '-').toLowerCase()}.pdf`);
+        } catch (err) {
+            console.error('PDF generation error:', err);
+            alert('Failed to generate the run sheet. Please try again.');
+        }
+    };
+
+    const unassignedCount = legs.filter(leg => !leg.driverId).length;
+
+    return (
+        <div className="container mx-auto p-4">
+            <div className="flex flex-wrap justify-between items-center mb-6 gap-2">
+                <div>
+                    <h1 className="text-2xl font-bold flex items-center gap-2">
+                        <Car size={24} /> Transfers
+                    </h1>
+                    <p className="text-sm text-gray-500">
+                        Pickups and drop-offs from bookings. {legs.length} transfers, {unassignedCount} without a driver.
+                    </p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => setDate(shiftDate(date, -1))} className="p-2 rounded-md border bg-white hover:bg-gray-100">
+                        <ChevronLeft size={16} />
+                    </button>
+                    <input
+                        type="date"
+                        value={date}
+                        onChange={e => e.target.value && setDate(e.target.value)}
+                        className="p-2 border rounded-md"
+                    />
+                    <button onClick={() => setDate(shiftDate(date, 1))} className="p-2 rounded-md border bg-white hover:bg-gray-100">
+                        <ChevronRight size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="mb-4 p-3 bg-red-100 text-red-800 rounded-lg flex items-center gap-2">
+                    <AlertTriangle size={16} /> {error}
+                </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto mb-6">
+                <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Pickup</th>
+                            <th className="p-3">Client</th>
+                            <th className="p-3">Route</th>
+                            <th className="p-3">Driver</th>
+                            <th className="p-3">Vehicle</th>
+                            <th className="p-3">Status</th>
+                            <th className="p-3">Cost (€)</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y">
+                        {loading ? (
+                            <tr>
+                                <td colSpan={7} className="p-6 text-center text-gray-500">Loading...</td>
+                            </tr>
+                        ) : legs.map((leg, index) => {
+                            const vehicle = vehiclesById[leg.vehicleId];
+                            const overCapacity = vehicle?.seats && parseInt(leg.passengers, 10) > vehicle.seats;
+                            const firstLegOfBooking = legs.findIndex(other => other.bookingId === leg.bookingId) === index;
+                            const disabled = savingId === leg.id;
+                            return (
+                                <tr key={leg.id} className={disabled ? 'opacity-50' : ''}>
+                                    <td className="p-3 whitespace-nowrap">
+                                        <div className="font-semibold">{leg.time || '—'}</div>
+                                        <select
+                                            value={leg.offsetMinutes}
+                                            onChange={e => handleLegChange(leg, { offsetMinutes: Number(e.target.value) })}
+                                            disabled={disabled}
+                                            className="mt-1 p-1 border rounded-md text-xs"
+                                        >
+                                            {OFFSET_OPTIONS.map(minutes => (
+                                                <option key={minutes} value={minutes}>
+                                                    {leg.key === 'outbound' ? `${minutes} min before` : `${minutes} min after`}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <div className="text-xs text-gray-500">
+                                            Boat {leg.key === 'outbound' ? 'departs' : 'returns'} {leg.boatTime || '?'}
+                                        </div>
+                                    </td>
+                                    <td className="p-3">
+                                        <div className="font-medium text-gray-900">{leg.clientName}</div>
+                                        <div className="text-xs text-gray-500">
+                                            {[leg.phone, leg.passengers && `${leg.passengers} pax`, leg.boatName].filter(Boolean).join(' · ')}
+                                        </div>
+                                    </td>
+                                    <td className="p-3 text-gray-600">
+                                        {leg.from} → {leg.to}
+                                    </td>
+                                    <td className="p-3">
+                                        <select
+                                            value={leg.driverId}
+                                            onChange={e => handleLegChange(leg, { driverId: e.target.value })}
+                                            disabled={disabled}
+                                            className={`p-1 border rounded-md ${leg.driverId ? '' : 'border-red-300'}`}
+                                        >
+                                            <option value="">Unassigned</option>
+                                            {drivers.map(driver => (
+                                                <option key={driver.id} value={driver.id}>{driver.name}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td className="p-3">
+                                        <select
+                                            value={leg.vehicleId}
+                                            onChange={e => handleLegChange(leg, { vehicleId: e.target.value })}
+                                            disabled={disabled}
+                                            className="p-1 border rounded-md"
+                                        >
+                                            <option value="">—</option>
+                                            {vehicles.map(item => (
+                                                <option key={item.id} value={item.id}>
+                                                    {item.name}{item.seats ? ` (${item.seats})` : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        {overCapacity && (
+                                            <div className="text-xs text-red-700 mt-1">Only {vehicle.seats} seats</div>
+                                        )}
+                                    </td>
+                                    <td className="p-3">
+                                        <select
+                                            value={leg.status}
+                                            onChange={e => handleLegChange(leg, { status: e.target.value })}
+                                            disabled={disabled}
+                                            className={`p-1 rounded-md text-xs ${TRANSFER_STATUS_META[leg.status].badge}`}
+                                        >
+                                            {TRANSFER_STATUSES.map(status => (
+                                                <option key={status} value={status}>{TRANSFER_STATUS_META[status].label}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td className="p-3">
+                                        {firstLegOfBooking ? (
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.01"
+                                                value={costs[leg.bookingId]}
+                                                onChange={e => setCosts({ ...costs, [leg.bookingId]: e.target.value })}
+                                                onBlur={() => handleCostSave(leg)}
+                                                disabled={disabled}
+                                                title="Saved as a Transfer expense on the booking"
+                                                className="w-24 p-1 border rounded-md"
+                                            />
+                                        ) : (
+                                            <span className="text-xs text-gray-400">Same booking</span>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {!loading && legs.length === 0 && (
+                            <tr>
+                                <td colSpan={7} className="p-6 text-center text-gray-500">No transfers on this day.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="bg-white rounded-lg shadow-md p-4">
+                    <h3 className="font-semibold mb-2">Run sheets</h3>
+                    <ul className="divide-y text-sm">
+                        {drivers.map(driver => {
+                            const count = legs.filter(leg => leg.driverId === driver.id).length;
+                            return (
+                                <li key={driver.id} className="py-1 flex justify-between items-center">
+                                    <span>{driver.name} <span className="text-gray-500">· {count} transfers</span></span>
+                                    <button
+                                        onClick={() => handleRunSheet(driver)}
+                                        disabled={count === 0}
+                                        className="inline-flex items-center gap-1 px-2 py-0.5 bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200 disabled:opacity-50"
+                                    >
+                                        <Download size={12} /> PDF
+                                    </button>
+                                </li>
+                            );
+                        })}
+                        {drivers.length === 0 && <li className="py-1 text-gray-500">Add drivers to build run sheets.</li>}
+                    </ul>
+                </div>
+                <ResourceList collectionName="drivers" items={drivers} onError={setError} />
+                <ResourceList collectionName="vehicles" items={vehicles} onError={setError} />
+            </div>
+        </div>
+    );
+};
+
+export default TransferDispatch;
@@ -6,20 +6,26 @@ import {
   query,
   orderBy as firestoreOrderBy,
   doc,
-  deleteDoc,
   updateDoc,
   getDocs
 } from 'firebase/firestore';
 import { db } from '../firebase/firebaseConfig';
 import BookingDetails from './BookingDetails';
-import { useSearchParams } from 'react-router-dom';
 import CalendarPicker from './CalendarPicker';
+import BookingStatusBadge from './BookingStatusBadge';
+import BookingConflictModal from './BookingConflictModal';
+import StrictModeDroppable from './StrictModeDroppable';
+import { DragDropContext, Draggable } from 'react-beautiful-dnd';
+import { getAuth } from 'firebase/auth';
+import { useAuth } from '../context/AuthContext';
+import { findBookingConflicts, buildConflictOverride } from '../utils/bookingConflicts';
+import { rescheduleBooking, sendBookingChangeEmail } from '../utils/bookingReschedule';
+import { getBookingStatus, isBlockingStatus, isRevenueStatus } from '../utils/bookingStatus';
+import { isTrashed } from '../utils/recycleBin';
+import { moveToTrash } from '../utils/recycleBinActions';
+import { useViewParam } from '../utils/useViewParam';
 
 function UpcomingBookings() {
-  // Get URL parameters for booking highlight
-  const [searchParams] = useSearchParams();
-  const viewBookingId = searchParams.get('view');
-
   // State variables
   const [bookings, setBookings] = useState([]);
   const [filteredBookings, setFilteredBookings] = useState([]);
@@ -47,6 +53,17 @@ function UpcomingBookings() {
   const [isFiltering, setIsFiltering] = useState(false);
   const [isSearchMode, setIsSearchMode] = useState(false);
 
+  // Drag-and-drop rescheduling
+  const { isAdmin } = useAuth();
+  const [laneMode, setLaneMode] = useState('day'); // 'day' or 'boat'
+  const [fleetBoatNames, setFleetBoatNames] = useState([]);
+  const [isRescheduling, setIsRescheduling] = useState(false);
+  const [pendingMove, setPendingMove] = useState(null);
+
+  // Open the linked booking once (e.g. from a double-booking warning) and highlight it
+  const openLinkedBooking = useCallback((bookingId, linkedBooking) => setSelectedBooking(linkedBooking), []);
+  const viewBookingId = useViewParam(bookings, openLinkedBooking);
+
   // Highlight effect for selected booking
   useEffect(() => {
     if (viewBookingId) {
@@ -277,7 +294,8 @@ function UpcomingBookings() {
       dropoffAddress: booking.transfer?.dropoff?.address || "",
       clientNotes: booking.notes || "None",
       restaurantName: booking.restaurantName || "",
-      isCancelled: booking.status === "cancelled" || booking.isCancelled || false,
+      bookingStatus: getBookingStatus(booking),
+      isCancelled: getBookingStatus(booking) === "cancelled",
     };
   }, [getPartnerName]);
 
@@ -290,10 +308,12 @@ function UpcomingBookings() {
     const unsubscribe = onSnapshot(
       q,
       (snapshot) => {
-        const bookingsData = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...normalizeBookingData(doc.data())
-        }));
+        const bookingsData = snapshot.docs
+          .filter(doc => !isTrashed(doc.data()))
+          .map(doc => ({
+            id: doc.id,
+            ...normalizeBookingData(doc.data())
+          }));
         setBookings(bookingsData);
         setLoading(false);
       },
@@ -442,6 +462,126 @@ function UpcomingBookings() {
     return filteredBookings.filter(booking => booking.bookingDate === dateString);
   };
 
+  // Fleet boat names for the boat lanes
+  useEffect(() => {
+    const fetchBoatNames = async () => {
+      try {
+        const snapshot = await getDocs(collection(db, 'boats'));
+        setFleetBoatNames(
+          snapshot.docs
+            .map(boatDoc => boatDoc.data().name)
+            .filter(Boolean)
+            .sort((a, b) => a.localeCompare(b))
+        );
+      } catch (err) {
+        console.error('Error fetching boats:', err);
+      }
+    };
+    fetchBoatNames();
+  }, []);
+
+  // Boats with bookings that day first, then the rest of the fleet as empty drop targets
+  const getBoatLanes = (dateBookings) => {
+    const booked = dateBookings.map(booking => booking.boatName);
+    const lanes = booked.filter((name, index) => booked.indexOf(name) === index);
+    fleetBoatNames.forEach(name => {
+      if (!lanes.includes(name)) lanes.push(name);
+    });
+    return lanes;
+  };
+
+  // A boat keeps its company when a booking moves onto it
+  const getBoatCompany = (boatName, fallback) => {
+    const match = bookings.find(booking =>
+      booking.boatName === boatName && booking.boatCompanyName && booking.boatCompanyName !== 'N/A'
+    );
+    return match ? match.boatCompanyName : fallback;
+  };
+
+  const applyMove = async (booking, target, conflictOverride = null) => {
+    const previous = { ...(booking.bookingDetails || {}) };
+    setIsRescheduling(true);
+    try {
+      const moved = await rescheduleBooking(booking, target, {
+        user: getAuth().currentUser,
+        conflictOverride
+      });
+
+      const linkedSummary = moved.orders || moved.expenses
+        ? ` ${moved.orders} catering order(s) and ${moved.expenses} expense(s) were moved with it.`
+        : '';
+      const hasEmail = booking.clientEmail && booking.clientEmail !== 'N/A';
+      if (hasEmail && window.confirm(`Booking moved.${linkedSummary}\n\nSend ${booking.clientName} an email with the new details?`)) {
+        try {
+          await sendBookingChangeEmail(
+            { ...booking, bookingDetails: { ...previous, ...target } },
+            previous
+          );
+        } catch (err) {
+          console.error('Error sending booking change email:', err);
+          alert('The booking was moved but the email to the client could not be sent.');
+        }
+      } else if (!hasEmail) {
+        alert(`Booking moved.${linkedSummary}`);
+      }
+    } catch (err) {
+      console.error('Error rescheduling booking:', err);
+      alert(`Failed to move booking: ${err.message}`);
+    } finally {
+      setIsRescheduling(false);
+    }
+  };
+
+  const handleDragEnd = async ({ draggableId, source, destination }) => {
+    if (!destination || destination.droppableId === source.droppableId) return;
+
+    const booking = bookings.find(item => item.id === draggableId);
+    if (!booking) return;
+
+    const [, date, laneBoat] = destination.droppableId.split('|');
+    const boatName = laneBoat || booking.boatName;
+    if (date === booking.bookingDate && boatName === booking.boatName) return;
+
+    const target = {
+      date,
+      boatName,
+      boatCompany: boatName === booking.boatName
+        ? booking.bookingDetails?.boatCompany
+        : getBoatCompany(boatName, booking.bookingDetails?.boatCompany)
+    };
+
+    const groupNote = booking.multiBoatGroupId ? '\n\nThis boat is part of a multi-boat booking; only this boat will move.' : '';
+    if (!window.confirm(`Move ${booking.clientName} from ${booking.boatName} on ${formatDateForDisplay(booking.bookingDate)} to ${boatName} on ${formatDateForDisplay(date)}?${groupNote}`)) {
+      return;
+    }
+
+    setIsRescheduling(true);
+    try {
+      const result = await findBookingConflicts(
+        [{ boatName, date, startTime: booking.bookingDetails?.startTime, endTime: booking.bookingDetails?.endTime }],
+        { excludeIds: [booking.id] }
+      );
+      if (result.conflicts.length > 0) {
+        setPendingMove({ booking, target, ...result });
+        return;
+      }
+    } catch (err) {
+      console.error('Error checking booking conflicts:', err);
+      alert('Could not check for double bookings. Please try again.');
+      return;
+    } finally {
+      setIsRescheduling(false);
+    }
+
+    await applyMove(booking, target);
+  };
+
+  const handleMoveOverride = async (reason) => {
+    const { booking, target, conflicts } = pendingMove;
+    setPendingMove(null);
+    await applyMove(booking, target, buildConflictOverride(conflicts, reason, getAuth().currentUser));
+  };
+
   // Format date for display in timeline
   const formatDate = (date) => {
     const today = new Date();
@@ -478,11 +618,10 @@ function UpcomingBookings() {
   };
 
   const handleBookingDelete = async (bookingId) => {
-    if (window.confirm('Are you sure you want to delete this booking? This action cannot be undone.')) {
+    if (window.confirm('Move this booking to the recycle bin? An admin can restore it from there.')) {
       try {
-        const docRef = doc(db, 'bookings', bookingId);
-        await deleteDoc(docRef);
-        alert('Booking deleted successfully!');
+        await moveToTrash('bookings', bookingId, getAuth().currentUser);
+        alert('Booking moved to the recycle bin.');
         setSelectedBooking(null);
       } catch (error) {
         console.error('Error deleting booking:', error);
@@ -497,7 +636,6 @@ function UpcomingBookings() {
       
       const dataToUpdate = {
         clientType: updatedBooking.clientType,
-        status: updatedBooking.isCancelled ? 'cancelled' : 'active',
         lastUpdated: new Date().toISOString(),
         restaurantName: updatedBooking.restaurantName,
         
@@ -816,14 +954,18 @@ function UpcomingBookings() {
                         </div>
                       </div>
                       
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
-                        booking.isCancelled ? 'bg-red-100 text-red-700' :
-                        booking.paymentStatus === 'Completed' ? 'bg-green-100 text-green-700' :
-                        booking.paymentStatus === 'Partial' ? 'bg-yellow-100 text-yellow-700' :
-                        'bg-gray-100 text-gray-700'
-                      }`}>
-                        {booking.isCancelled ? 'Cancelled' : booking.paymentStatus}
-                      </span>
+                      <div className="flex flex-col items-end gap-1">
+                        <BookingStatusBadge status={booking.bookingStatus} optionExpiresAt={booking.optionExpiresAt} />
+                        {isRevenueStatus(booking.bookingStatus) && (
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
+                            booking.paymentStatus === 'Completed' ? 'bg-green-100 text-green-700' :
+                            booking.paymentStatus === 'Partial' ? 'bg-yellow-100 text-yellow-700' :
+                            'bg-gray-100 text-gray-700'
+                          }`}>
+                            {booking.paymentStatus}
+                          </span>
+                        )}
+                      </div>
                     </div>
                     
                     <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
@@ -889,162 +1031,244 @@ function UpcomingBookings() {
     );
   };
 
+  // Timeline card; dragging it to another day or boat lane reschedules the booking
+  const renderTimelineCard = (booking, index) => (
+    <Draggable key={booking.id} draggableId={booking.id} index={index} isDragDisabled={isRescheduling}>
+      {(provided, snapshot) => (
+        <div
+          ref={provided.innerRef}
+          {...provided.draggableProps}
+          {...provided.dragHandleProps}
+          id={`booking-${booking.id}`}
+          className={`p-4 bg-white hover:bg-gray-50 transition-all cursor-pointer rounded-lg border shadow-sm hover:shadow-md ${
+            booking.bookingStatus === 'enquiry' ? 'border-dashed border-gray-400' :
+            booking.bookingStatus === 'option' ? 'border-amber-300' :
+            'border-gray-200'
+          } ${isBlockingStatus(booking.bookingStatus) ? '' : 'opacity-75'} ${snapshot.isDragging ? 'ring-2 ring-blue-400' : ''}`}
+          onClick={() => handleBookingSelect(booking)}
+        >
+          <div className="flex flex-col gap-3">
+            <div className="flex justify-between items-start">
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-2">
+                  <h4 className="font-medium text-gray-900 truncate">{booking.clientName}</h4>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
+                    booking.clientType === 'Direct' ? 'bg-blue-100 text-blue-700' :
+                    booking.clientType === 'Hotel' ? 'bg-purple-100 text-purple-700' :
+                    'bg-green-100 text-green-700'
+                  }`}>
+                    {booking.clientType === 'Hotel' && booking.partnerName ? 
+                      booking.partnerName : 
+                      booking.clientType === 'Collaborator' && booking.partnerName ? 
+                      booking.partnerName : 
+                      booking.clientType
+                    }
+                  </span>
+                </div>
+                <div className="text-sm text-gray-600 mt-1 truncate">{booking.clientEmail || booking.clientPhone}</div>
+              </div>
+      
+              <div className="flex flex-col items-end gap-1 ml-2">
+                <BookingStatusBadge status={booking.bookingStatus} optionExpiresAt={booking.optionExpiresAt} />
+                {isRevenueStatus(booking.bookingStatus) && (
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${
+                    booking.paymentStatus === 'Completed' ? 'bg-green-100 text-green-700' :
+                    booking.paymentStatus === 'Partial' ? 'bg-yellow-100 text-yellow-700' :
+                    'bg-gray-100 text-gray-700'
+                  }`}>
+                    {booking.paymentStatus}
+                  </span>
+                )}
+              </div>
+            </div>
+    
+            <div className="space-y-2">
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <div className="bg-blue-100 p-1 rounded-md flex-shrink-0">
+                  <Ship className="h-4 w-4 text-blue-600" />
+                </div>
+                <span className="font-medium truncate">{booking.boatName}</span>
+              </div>
+      
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <div className="bg-green-100 p-1 rounded-md flex-shrink-0">
+                  <Clock className="h-4 w-4 text-green-600" />
+                </div>
+                <span>{booking.startTime} - {booking.endTime}</span>
+              </div>
+      
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <div className="bg-purple-100 p-1 rounded-md flex-shrink-0">
+                  <Users className="h-4 w-4 text-purple-600" />
+                </div>
+                <span>{booking.numberOfPassengers || 0} passengers</span>
+              </div>
+      
+              {booking.privateTransfer && (
+                <div className="flex items-center gap-2 text-sm text-gray-700">
+                  <div className="bg-yellow-100 p-1 rounded-md flex-shrink-0">
+                    <MapPin className="h-4 w-4 text-yellow-600" />
+                  </div>
+                  <span className="truncate">Transfer: {booking.pickupLocation} → {booking.dropoffLocation}</span>
+                </div>
+              )}
+      
+              <div className="flex items-center gap-2 text-sm font-medium">
+                <div className="bg-indigo-100 p-1 rounded-md flex-shrink-0">
+                  <Euro className="h-4 w-4 text-indigo-600" />
+                </div>
+                <span className="text-gray-900">€{booking.finalPrice.toFixed(2)}</span>
+              </div>
+            </div>
+    
+            {booking.restaurantName && (
+              <div className="text-sm">
+                <div className="flex items-center gap-2 text-gray-700">
+                  <div className="bg-red-100 p-1 rounded-md flex-shrink-0">
+                    <Home className="h-4 w-4 text-red-600" />
+                  </div>
+                  <span className="truncate">Restaurant: {booking.restaurantName}</span>
+                </div>
+              </div>
+            )}
+
+            {/* Notes section for timeline view */}
+            {booking.clientNotes && booking.clientNotes !== 'None' && (
+              <div className="bg-yellow-50 p-3 rounded-lg border border-yellow-200">
+                <div className="flex items-start gap-2">
+                  <div className="bg-yellow-100 p-1 rounded-md flex-shrink-0">
+                    <FileText className="h-4 w-4 text-yellow-600" />
+                  </div>
+                  <div className="flex-1">
+                    <div className="text-xs font-medium text-yellow-800 mb-1">Notes:</div>
+                    <div className="text-sm text-yellow-700">{booking.clientNotes}</div>
+                  </div>
+                </div>
+              </div>
+            )}
+
+          </div>
+        </div>
+      )}
+    </Draggable>
+  );
+
   // Timeline View
   const renderTimelineView = () => {
     return (
-      <div className="space-y-4 sm:space-y-6">
-        {getDaysArray().map((date, index) => {
-          const dateBookings = getBookingsForDate(date);
-          const dateString = formatDate(date);
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <div className="space-y-4 sm:space-y-6">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-gray-500">
+              {isRescheduling ? 'Moving booking...' : 'Drag a booking to another day or boat to reschedule it.'}
+            </p>
+            <div className="inline-flex rounded-lg border bg-white overflow-hidden text-sm">
+              <button
+                type="button"
+                onClick={() => setLaneMode('day')}
+                className={`px-3 py-1.5 ${laneMode === 'day' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                By day
+              </button>
+              <button
+                type="button"
+                onClick={() => setLaneMode('boat')}
+                className={`px-3 py-1.5 ${laneMode === 'boat' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                Boat lanes
+              </button>
+            </div>
+          </div>
+
+          {getDaysArray().map((date, index) => {
+            const dateBookings = getBookingsForDate(date);
+            const dateString = formatDate(date);
+            const dayKey = formatDateForComparison(date);
           
-          return (
-            <div key={index} className={`rounded-xl overflow-hidden shadow-md ${isToday(date) ? 'ring-2 ring-blue-500' : ''}`}>
-              <div className={`px-4 py-3 ${isToday(date) ? 'bg-gradient-to-r from-blue-600 to-blue-700 text-white' : 'bg-gradient-to-r from-gray-100 to-gray-200'}`}>
-                <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2">
-                  <div className="flex items-center gap-2">
-                    <h3 className="font-semibold text-lg">{dateString}</h3>
-                    <span className={`text-sm font-medium px-2 py-0.5 rounded-full ${isToday(date) ? 'bg-white bg-opacity-20' : 'bg-blue-100 text-blue-800'}`}>
-                      {dateBookings.length} {dateBookings.length === 1 ? 'booking' : 'bookings'}
-                    </span>
-                  </div>
-                  
-                  {dateBookings.length > 0 && (
-                    <div className="flex items-center gap-3 text-sm">
-                      <div className={`flex items-center gap-1 px-2 py-1 rounded-md ${isToday(date) ? 'bg-white bg-opacity-20' : 'bg-blue-50'}`}>
-                        <Users className="h-4 w-4" />
-                        <span>
-                          {dateBookings.reduce((sum, booking) => sum + (booking.numberOfPassengers || 0), 0)} passengers
-                        </span>
-                      </div>
-                      <div className={`flex items-center gap-1 px-2 py-1 rounded-md ${isToday(date) ? 'bg-white bg-opacity-20' : 'bg-blue-50'}`}>
-                        <Euro className="h-4 w-4" />
-                        <span>
-                          €{dateBookings.reduce((sum, booking) => sum + booking.finalPrice, 0).toFixed(0)}
-                        </span>
-                      </div>
+            return (
+              <div key={index} className={`rounded-xl overflow-hidden shadow-md ${isToday(date) ? 'ring-2 ring-blue-500' : ''}`}>
+                <div className={`px-4 py-3 ${isToday(date) ? 'bg-gradient-to-r from-blue-600 to-blue-700 text-white' : 'bg-gradient-to-r from-gray-100 to-gray-200'}`}>
+                  <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-semibold text-lg">{dateString}</h3>
+                      <span className={`text-sm font-medium px-2 py-0.5 rounded-full ${isToday(date) ? 'bg-white bg-opacity-20' : 'bg-blue-100 text-blue-800'}`}>
+                        {dateBookings.length} {dateBookings.length === 1 ? 'booking' : 'bookings'}
+                      </span>
                     </div>
-                  )}
-                </div>
-              </div>
-              
-              {dateBookings.length === 0 ? (
-                <div className={`p-6 text-center ${isToday(date) ? 'bg-blue-50' : 'bg-white'}`}>
-                  <p className="text-gray-500">No bookings for this day</p>
-                </div>
-              ) : (
-                <div className={`space-y-3 p-3 sm:p-4 ${isToday(date) ? 'bg-blue-50' : 'bg-white'}`}>
-                  {dateBookings.map((booking) => (
-                    <div 
-                      key={booking.id} 
-                      id={`booking-${booking.id}`}
-                      className="p-4 bg-white hover:bg-gray-50 transition-all cursor-pointer rounded-lg border border-gray-200 shadow-sm hover:shadow-md"
-                      onClick={() => handleBookingSelect(booking)}
-                    >
-                      <div className="flex flex-col gap-3">
-                        <div className="flex justify-between items-start">
-                          <div className="flex-1 min-w-0">
-                            <div className="flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-2">
-                              <h4 className="font-medium text-gray-900 truncate">{booking.clientName}</h4>
-                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${
-                                booking.clientType === 'Direct' ? 'bg-blue-100 text-blue-700' :
-                                booking.clientType === 'Hotel' ? 'bg-purple-100 text-purple-700' :
-                                'bg-green-100 text-green-700'
-                              }`}>
-                                {booking.clientType === 'Hotel' && booking.partnerName ? 
-                                  booking.partnerName : 
-                                  booking.clientType === 'Collaborator' && booking.partnerName ? 
-                                  booking.partnerName : 
-                                  booking.clientType
-                                }
-                              </span>
-                            </div>
-                            <div className="text-sm text-gray-600 mt-1 truncate">{booking.clientEmail || booking.clientPhone}</div>
-                          </div>
-                          
-                          <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ml-2 ${
-                            booking.isCancelled ? 'bg-red-100 text-red-700' :
-                            booking.paymentStatus === 'Completed' ? 'bg-green-100 text-green-700' :
-                            booking.paymentStatus === 'Partial' ? 'bg-yellow-100 text-yellow-700' :
-                            'bg-gray-100 text-gray-700'
-                          }`}>
-                            {booking.isCancelled ? 'Cancelled' : booking.paymentStatus}
+                  
+                    {dateBookings.length > 0 && (
+                      <div className="flex items-center gap-3 text-sm">
+                        <div className={`flex items-center gap-1 px-2 py-1 rounded-md ${isToday(date) ? 'bg-white bg-opacity-20' : 'bg-blue-50'}`}>
+                          <Users className="h-4 w-4" />
+                          <span>
+                            {dateBookings
+                              .filter(booking => isBlockingStatus(booking.bookingStatus))
+                              .reduce((sum, booking) => sum + (booking.numberOfPassengers || 0), 0)} passengers
                           </span>
                         </div>
-                        
-                        <div className="space-y-2">
-                          <div className="flex items-center gap-2 text-sm text-gray-700">
-                            <div className="bg-blue-100 p-1 rounded-md flex-shrink-0">
-                              <Ship className="h-4 w-4 text-blue-600" />
-                            </div>
-                            <span className="font-medium truncate">{booking.boatName}</span>
-                          </div>
-                          
-                          <div className="flex items-center gap-2 text-sm text-gray-700">
-                            <div className="bg-green-100 p-1 rounded-md flex-shrink-0">
-                              <Clock className="h-4 w-4 text-green-600" />
-                            </div>
-                            <span>{booking.startTime} - {booking.endTime}</span>
-                          </div>
-                          
-                          <div className="flex items-center gap-2 text-sm text-gray-700">
-                            <div className="bg-purple-100 p-1 rounded-md flex-shrink-0">
-                              <Users className="h-4 w-4 text-purple-600" />
-                            </div>
-                            <span>{booking.numberOfPassengers || 0} passengers</span>
-                          </div>
-                          
-                          {booking.privateTransfer && (
-                            <div className="flex items-center gap-2 text-sm text-gray-700">
-                              <div className="bg-yellow-100 p-1 rounded-md flex-shrink-0">
-                                <MapPin className="h-4 w-4 text-yellow-600" />
-                              </div>
-                              <span className="truncate">Transfer: {booking.pickupLocation} → {booking.dropoffLocation}</span>
-                            </div>
-                          )}
-                          
-                          <div className="flex items-center gap-2 text-sm font-medium">
-                            <div className="bg-indigo-100 p-1 rounded-md flex-shrink-0">
-                              <Euro className="h-4 w-4 text-indigo-600" />
-                            </div>
-                            <span className="text-gray-900">€{booking.finalPrice.toFixed(2)}</span>
-                          </div>
+                        <div className={`flex items-center gap-1 px-2 py-1 rounded-md ${isToday(date) ? 'bg-white bg-opacity-20' : 'bg-blue-50'}`}>
+                          <Euro className="h-4 w-4" />
+                          <span>
+                            €{dateBookings
+                              .filter(booking => isRevenueStatus(booking.bookingStatus))
+                              .reduce((sum, booking) => sum + booking.finalPrice, 0).toFixed(0)}
+                          </span>
                         </div>
-                        
-                        {booking.restaurantName && (
-                          <div className="text-sm">
-                            <div className="flex items-center gap-2 text-gray-700">
-                              <div className="bg-red-100 p-1 rounded-md flex-shrink-0">
-                                <Home className="h-4 w-4 text-red-600" />
-                              </div>
-                              <span className="truncate">Restaurant: {booking.restaurantName}</span>
-                            </div>
-                          </div>
-                        )}
-
-                        {/* Notes section for timeline view */}
-                        {booking.clientNotes && booking.clientNotes !== 'None' && (
-                          <div className="bg-yellow-50 p-3 rounded-lg border border-yellow-200">
-                            <div className="flex items-start gap-2">
-                              <div className="bg-yellow-100 p-1 rounded-md flex-shrink-0">
-                                <FileText className="h-4 w-4 text-yellow-600" />
+                      </div>
+                    )}
+                  </div>
+                </div>
+              
+                {laneMode === 'boat' ? (
+                  <div className={`divide-y ${isToday(date) ? 'bg-blue-50' : 'bg-white'}`}>
+                    {getBoatLanes(dateBookings).map((boatName) => {
+                      const laneBookings = dateBookings.filter(booking => booking.boatName === boatName);
+                      return (
+                        <StrictModeDroppable key={boatName} droppableId={`lane|${dayKey}|${boatName}`}>
+                          {(provided, snapshot) => (
+                            <div
+                              ref={provided.innerRef}
+                              {...provided.droppableProps}
+                              className={`px-3 sm:px-4 py-2 ${snapshot.isDraggingOver ? 'bg-blue-100' : ''}`}
+                            >
+                              <div className="flex items-center gap-2 text-xs font-medium text-gray-500 mb-1">
+                                <Ship className="h-3 w-3" />
+                                <span>{boatName}</span>
                               </div>
-                              <div className="flex-1">
-                                <div className="text-xs font-medium text-yellow-800 mb-1">Notes:</div>
-                                <div className="text-sm text-yellow-700">{booking.clientNotes}</div>
+                              <div className={laneBookings.length > 0 ? 'space-y-3 pb-2' : 'min-h-[8px]'}>
+                                {laneBookings.map((booking, bookingIndex) => renderTimelineCard(booking, bookingIndex))}
+                                {provided.placeholder}
                               </div>
                             </div>
-                          </div>
+                          )}
+                        </StrictModeDroppable>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <StrictModeDroppable droppableId={`day|${dayKey}`}>
+                    {(provided, snapshot) => (
+                      <div
+                        ref={provided.innerRef}
+                        {...provided.droppableProps}
+                        className={`space-y-3 p-3 sm:p-4 ${
+                          snapshot.isDraggingOver ? 'bg-blue-100' : isToday(date) ? 'bg-blue-50' : 'bg-white'
+                        }`}
+                      >
+                        {dateBookings.length === 0 && !snapshot.isDraggingOver && (
+                          <p className="py-3 text-center text-gray-500">No bookings for this day</p>
                         )}
-
+                        {dateBookings.map((booking, bookingIndex) => renderTimelineCard(booking, bookingIndex))}
+                        {provided.placeholder}
                       </div>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          );
-        })}
-      </div>
+                    )}
+                  </StrictModeDroppable>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </DragDropContext>
     );
   };
 
@@ -1059,6 +1283,16 @@ function UpcomingBookings() {
       
       {isSearchMode ? renderSearchResults() : renderTimelineView()}
       
+      {pendingMove && (
+        <BookingConflictModal
+          conflicts={pendingMove.conflicts}
+          calendarErrors={pendingMove.calendarErrors}
+          canOverride={isAdmin()}
+          onClose={() => setPendingMove(null)}
+          onOverride={handleMoveOverride}
+        />
+      )}
+
       {selectedBooking && (
         <BookingDetails
           booking={selectedBooking}
@@ -2,10 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { collection, query, orderBy, limit, onSnapshot, updateDoc, doc, writeBatch } from 'firebase/firestore';
 import { useNavigate } from 'react-router-dom';
 import { db } from '../../firebase/firebaseConfig';
+import { useAuth } from '../../context/AuthContext';
 import { Bell, CreditCard, Gift, Calendar, User, AlertCircle, Clock, Ship, CheckCircle } from 'lucide-react';
 
 const NotificationsCenter = () => {
   const navigate = useNavigate();
+  const { user } = useAuth();
   const [notifications, setNotifications] = useState([]);
   const [isOpen, setIsOpen] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
@@ -18,17 +20,20 @@ const NotificationsCenter = () => {
     );
 
     const unsubscribe = onSnapshot(notificationsQuery, (snapshot) => {
-      const newNotifications = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        read: doc.data().read || false
-      }));
+      const newNotifications = snapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          read: doc.data().read || false
+        }))
+        // Notifications addressed to one user (e.g. an expired option) only show for them
+        .filter(n => !n.recipientUid || n.recipientUid === user?.uid);
       setNotifications(newNotifications);
       setUnreadCount(newNotifications.filter(n => !n.read).length);
     });
 
     return () => unsubscribe();
-  }, []);
+  }, [user?.uid]);
 
   const handleMarkAllAsRead = async () => {
     try {
@@ -1,6 +1,7 @@
 // Import Decimal.js for high-precision calculations
 // You'll need to run: npm install decimal.js
 import { Decimal } from 'decimal.js';
+import { getPaymentSchedule, getRefundLines, isInstallmentOverdue } from './paymentSchedule';
 
 /**
  * Utility functions for precise financial calculations
@@ -136,6 +137,8 @@ class PrecisionFinancialUtils {
   
   /**
    * Extract payment data from booking object
+   * Client payments come from the booking's instalment schedule (see paymentSchedule);
+   * pending entries carry their due date, and totalOverdue sums those past it.
    * 
    * @param {Object} booking - Booking object with pricing and payment data
    * @returns {Object} Extracted payment data
@@ -146,6 +149,8 @@ class PrecisionFinancialUtils {
       totalAgreedPrice: new Decimal(0),
       totalPaid: new Decimal(0),
       totalOutstanding: new Decimal(0),
+      totalRefunded: new Decimal(0),
+      totalOverdue: new Decimal(0),
       receivedPayments: [],
       pendingPayments: []
     };
@@ -159,6 +164,10 @@ class PrecisionFinancialUtils {
         totalPaidNumber: 0,
         totalOutstanding: result.totalOutstanding,
         totalOutstandingNumber: 0,
+        totalRefunded: result.totalRefunded,
+        totalRefundedNumber: 0,
+        totalOverdue: result.totalOverdue,
+        totalOverdueNumber: 0,
         receivedPayments: result.receivedPayments,
         pendingPayments: result.pendingPayments
       };
@@ -172,9 +181,9 @@ class PrecisionFinancialUtils {
     // Process all possible payment sources
     let paymentsArray = [];
     
-    // Check for payments in pricing object
-    if (booking.pricing && Array.isArray(booking.pricing.payments)) {
-      paymentsArray = paymentsArray.concat(booking.pricing.payments);
+    // Instalments (old first/second payments read the same way) and refunds
+    if (booking.pricing) {
+      paymentsArray = paymentsArray.concat(getPaymentSchedule(booking.pricing), getRefundLines(booking.pricing));
     }
     
     // Check for payments in root object
@@ -193,18 +202,31 @@ class PrecisionFinancialUtils {
           amountNumber: amount.toNumber(),
           date: payment.date,
           method: payment.method,
-          type: payment.type
+          type: payment.type,
+          label: payment.label,
+          receipt: payment.receipt || null
         });
         result.totalPaid = result.totalPaid.plus(amount);
-      } else {
+        
+        // Refunds are stored as negative received lines so they net off automatically
+        if (payment.type === 'refund') {
+          result.totalRefunded = result.totalRefunded.plus(amount.abs());
+        }
+      } else if (!payment.waived) {
+        // Waived lines were still unpaid when the booking was cancelled
         result.pendingPayments.push({
           amount,
           amountNumber: amount.toNumber(),
           date: payment.date,
+          dueDate: payment.dueDate || '',
           method: payment.method,
-          type: payment.type
+          type: payment.type,
+          label: payment.label
         });
         result.totalOutstanding = result.totalOutstanding.plus(amount);
+        if (isInstallmentOverdue(payment)) {
+          result.totalOverdue = result.totalOverdue.plus(amount);
+        }
       }
     });
     
@@ -285,7 +307,8 @@ class PrecisionFinancialUtils {
     }
     
     // If outstanding is still 0, calculate it based on agreed price minus paid
-    if (result.totalOutstanding.isZero() && result.totalAgreedPrice.greaterThan(result.totalPaid)) {
+    // (a cancelled booking with a settled cancellation owes nothing more)
+    if (!booking.cancellation && result.totalOutstanding.isZero() && result.totalAgreedPrice.greaterThan(result.totalPaid)) {
       result.totalOutstanding = result.totalAgreedPrice.minus(result.totalPaid);
     }
     
@@ -300,6 +323,12 @@ class PrecisionFinancialUtils {
       totalOutstanding: result.totalOutstanding,
       totalOutstandingNumber: result.totalOutstanding.toNumber(),
       
+      totalRefunded: result.totalRefunded,
+      totalRefundedNumber: result.totalRefunded.toNumber(),
+      
+      totalOverdue: result.totalOverdue,
+      totalOverdueNumber: result.totalOverdue.toNumber(),
+      
       receivedPayments: result.receivedPayments,
       pendingPayments: result.pendingPayments
     };
@@ -410,6 +439,9 @@ class PrecisionFinancialUtils {
       bookingOutstanding: new Decimal(0),
       orderOutstanding: new Decimal(0),
       
+      // Cancellation refunds, already netted off bookingRevenue
+      bookingRefunds: new Decimal(0),
+      
       // For time-based analysis
       dailyAvgRevenue: new Decimal(0),
       dailyAvgExpense: new Decimal(0),
@@ -459,6 +491,7 @@ class PrecisionFinancialUtils {
         totals.bookingRevenue = totals.bookingRevenue.plus(bookingOnlyRevenue);
         totals.orderRevenue = totals.orderRevenue.plus(linkedOrderRevenue);
         totals.bookingOutstanding = totals.bookingOutstanding.plus(paymentData.totalOutstanding);
+        totals.bookingRefunds = totals.bookingRefunds.plus(paymentData.totalRefunded);
         
         // *** NEW CODE FOR OWNER PAYMENTS ***
         // Process owner payments from this booking
@@ -640,6 +673,7 @@ class PrecisionFinancialUtils {
       otherRevenue: totals.otherRevenue,
       bookingOutstanding: totals.bookingOutstanding,
       orderOutstanding: totals.orderOutstanding,
+      bookingRefunds: totals.bookingRefunds,
       
       // *** NEW CODE: Add owner payments to returned data ***
       ownerPayments: totals.ownerPayments,
@@ -661,6 +695,7 @@ class PrecisionFinancialUtils {
       otherRevenueNumber: totals.otherRevenue.toNumber(),
       bookingOutstandingNumber: totals.bookingOutstanding.toNumber(),
       orderOutstandingNumber: totals.orderOutstanding.toNumber(),
+      bookingRefundsNumber: totals.bookingRefunds.toNumber(),
       
       // *** NEW CODE: Add owner payments as number to returned data ***
       ownerPaymentsNumber: totals.ownerPayments.toNumber(),
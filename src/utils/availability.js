@@ -0,0 +1,125 @@
+// src/utils/availability.js
+// Time-slot availability for boats, computed from busy intervals rather than whole days.
+// No Firebase imports: the conflict checks and planner build on these helpers.
+import { DEFAULT_TIME_ZONE, zonedTimeToUtc } from './icalParser';
+
+// Hours a boat can realistically be chartered on any given day
+export const OPERATING_DAY = { start: '08:00', end: '22:00' };
+
+const MINUTE = 60 * 1000;
+
+const timeToMinutes = (time, fallback) => {
+  if (!time || !/^\d{1,2}:\d{2}/.test(time)) return fallback;
+  const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+/**
+ * Build the interval a booking occupies. Dates and times are Europe/Madrid wall
+ * clock, whatever time zone the browser is in, so they line up with synced calendars.
+ * Missing times block the whole day; an end time before the start runs past midnight.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} startTime - HH:mm
+ * @param {string} endTime - HH:mm
+ * @returns {{start: Date, end: Date}|null}
+ */
+export const getSlotInterval = (date, startTime, endTime) => {
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+
+  const [y, m, d] = date.split('-').map((part) => parseInt(part, 10));
+  if (isNaN(new Date(Date.UTC(y, m - 1, d)).getTime())) return null;
+
+  const startMinutes = timeToMinutes(startTime, 0);
+  let endMinutes = timeToMinutes(endTime, 24 * 60);
+  if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+  // Minutes past midnight roll over into the next day (and across DST changes) in zonedTimeToUtc
+  return {
+    start: zonedTimeToUtc({ y, m, d, mi: startMinutes }, DEFAULT_TIME_ZONE),
+    end: zonedTimeToUtc({ y, m, d, mi: endMinutes }, DEFAULT_TIME_ZONE),
+  };
+};
+
+/**
+ * Turnaround buffers configured on the boat document, in minutes.
+ * `turnaroundBefore` is prep time before a charter, `turnaroundAfter` is cleaning/refuel time after.
+ * @param {Object} boat
+ * @returns {{before: number, after: number}}
+ */
+export const getTurnaroundBuffers = (boat) => ({
+  before: Math.max(0, parseInt(boat?.turnaroundBefore, 10) || 0),
+  after: Math.max(0, parseInt(boat?.turnaroundAfter, 10) || 0),
+});
+
+// Widen each busy period by the boat's buffers and merge anything that now touches
+const expandBusyPeriods = (busyPeriods, buffers) =>
+  (busyPeriods || [])
+    .filter((period) => period && period.start && period.end && !period.transparent)
+    .map((period) => ({
+      start: new Date(new Date(period.start).getTime() - buffers.before * MINUTE),
+      end: new Date(new Date(period.end).getTime() + buffers.after * MINUTE),
+    }))
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, period) => {
+      const last = merged[merged.length - 1];
+      if (last && period.start <= last.end) {
+        if (period.end > last.end) last.end = period.end;
+      } else {
+        merged.push(period);
+      }
+      return merged;
+    }, []);
+
+/**
+ * Whether the boat is free for the requested slot, buffers included.
+ * With no start/end time the whole operating day has to be free.
+ * @param {Object} slot - { date: 'YYYY-MM-DD', startTime: 'HH:mm', endTime: 'HH:mm' }
+ * @param {Array<{start: Date, end: Date}>} busyPeriods
+ * @param {{before: number, after: number}} buffers
+ * @returns {boolean}
+ */
+export const isSlotAvailable = ({ date, startTime, endTime }, busyPeriods, buffers = { before: 0, after: 0 }) => {
+  const slot = getSlotInterval(
+    date,
+    startTime || OPERATING_DAY.start,
+    endTime || OPERATING_DAY.end
+  );
+  if (!slot) return false;
+
+  return !expandBusyPeriods(busyPeriods, buffers).some(
+    (period) => period.start < slot.end && slot.start < period.end
+  );
+};
+
+/**
+ * Free windows for a boat within the operating day.
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array<{start: Date, end: Date}>} busyPeriods
+ * @param {{before: number, after: number}} buffers
+ * @param {number} [minMinutes=60] - Ignore gaps shorter than this.
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export const getFreeWindows = (date, busyPeriods, buffers = { before: 0, after: 0 }, minMinutes = 60) => {
+  const day = getSlotInterval(date, OPERATING_DAY.start, OPERATING_DAY.end);
+  if (!day) return [];
+
+  const windows = [];
+  let cursor = day.start;
+
+  expandBusyPeriods(busyPeriods, buffers)
+    .filter((period) => period.end > day.start && period.start < day.end)
+    .forEach((period) => {
+      if (period.start > cursor) windows.push({ start: cursor, end: period.start });
+      if (period.end > cursor) cursor = period.end;
+    });
+
+  if (cursor < day.end) windows.push({ start: cursor, end: day.end });
+
+  return windows.filter((window) => window.end - window.start >= minMinutes * MINUTE);
+};
+
+export const formatWindow = ({ start, end }) => {
+  const format = (date) =>
+    date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: DEFAULT_TIME_ZONE });
+  return `${format(start)}–${format(end)}`;
+};
@@ -0,0 +1,95 @@
+/* eslint-env jest */
+import {
+  formatWindow,
+  getFreeWindows,
+  getSlotInterval,
+  getTurnaroundBuffers,
+  isSlotAvailable
+} from './availability';
+
+// Madrid is UTC+2 in July
+const madrid = (time) => new Date(`2025-07-01T${time}:00+02:00`);
+const busy = (start, end, extra = {}) => ({ start: madrid(start), end: madrid(end), ...extra });
+const iso = (windows) => windows.map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+
+describe('getSlotInterval', () => {
+  it('reads the date and times as Europe/Madrid wall clock', () => {
+    const summer = getSlotInterval('2025-07-01', '10:00', '13:30');
+    expect(summer.start.toISOString()).toBe('2025-07-01T08:00:00.000Z');
+    expect(summer.end.toISOString()).toBe('2025-07-01T11:30:00.000Z');
+    expect(getSlotInterval('2025-01-15', '10:00', '12:00').start.toISOString()).toBe('2025-01-15T09:00:00.000Z');
+  });
+
+  it('runs an end time before the start into the next day', () => {
+    const overnight = getSlotInterval('2025-07-01', '22:00', '02:00');
+    expect(overnight.end.toISOString()).toBe('2025-07-02T00:00:00.000Z');
+  });
+
+  it('blocks the whole day when times are missing', () => {
+    const day = getSlotInterval('2025-10-26', '', undefined);
+    // The clocks go back that night, so the Madrid day is 25 hours long
+    expect(day.start.toISOString()).toBe('2025-10-25T22:00:00.000Z');
+    expect(day.end.toISOString()).toBe('2025-10-26T23:00:00.000Z');
+  });
+
+  it('returns null without a valid date', () => {
+    expect(getSlotInterval('', '10:00', '12:00')).toBeNull();
+    expect(getSlotInterval('01/07/2025', '10:00', '12:00')).toBeNull();
+  });
+});
+
+describe('getTurnaroundBuffers', () => {
+  it('reads the buffers from the boat and ignores bad values', () => {
+    expect(getTurnaroundBuffers({ turnaroundBefore: '30', turnaroundAfter: 60 })).toEqual({ before: 30, after: 60 });
+    expect(getTurnaroundBuffers({ turnaroundBefore: -15, turnaroundAfter: 'x' })).toEqual({ before: 0, after: 0 });
+    expect(getTurnaroundBuffers(undefined)).toEqual({ before: 0, after: 0 });
+  });
+});
+
+describe('isSlotAvailable', () => {
+  const morning = [busy('10:00', '13:00')];
+
+  it('refuses slots that overlap a busy period', () => {
+    expect(isSlotAvailable({ date: '2025-07-01', startTime: '12:00', endTime: '15:00' }, morning)).toBe(false);
+    expect(isSlotAvailable({ date: '2025-07-01', startTime: '13:00', endTime: '16:00' }, morning)).toBe(true);
+  });
+
+  it('widens busy periods by the turnaround buffers', () => {
+    const slot = { date: '2025-07-01', startTime: '13:30', endTime: '16:00' };
+    expect(isSlotAvailable(slot, morning, { before: 0, after: 60 })).toBe(false);
+    expect(isSlotAvailable({ ...slot, startTime: '14:00' }, morning, { before: 0, after: 60 })).toBe(true);
+    expect(isSlotAvailable({ date: '2025-07-01', startTime: '08:00', endTime: '09:45' }, morning, { before: 30, after: 0 })).toBe(false);
+  });
+
+  it('needs the whole operating day free when no times are given', () => {
+    expect(isSlotAvailable({ date: '2025-07-01' }, morning)).toBe(false);
+    expect(isSlotAvailable({ date: '2025-07-02' }, morning)).toBe(true);
+  });
+
+  it('ignores transparent periods and needs a date', () => {
+    expect(isSlotAvailable({ date: '2025-07-01', startTime: '11:00', endTime: '12:00' }, [busy('10:00', '13:00', { transparent: true })])).toBe(true);
+    expect(isSlotAvailable({ date: '', startTime: '11:00', endTime: '12:00' }, [])).toBe(false);
+  });
+});
+
+describe('getFreeWindows', () => {
+  it('returns the whole operating day when nothing is booked', () => {
+    expect(iso(getFreeWindows('2025-07-01', []))).toEqual([['2025-07-01T06:00:00.000Z', '2025-07-01T20:00:00.000Z']]);
+  });
+
+  it('leaves out busy periods and their buffers', () => {
+    const windows = getFreeWindows('2025-07-01', [busy('10:00', '13:00')], { before: 30, after: 60 });
+    expect(windows.map(formatWindow)).toEqual(['08:00–09:30', '14:00–22:00']);
+  });
+
+  it('merges overlapping periods and drops gaps shorter than the minimum', () => {
+    const windows = getFreeWindows('2025-07-01', [busy('09:00', '12:00'), busy('11:00', '14:00'), busy('14:30', '18:00')]);
+    expect(windows.map(formatWindow)).toEqual(['08:00–09:00', '18:00–22:00']);
+    expect(getFreeWindows('2025-07-01', [busy('09:00', '12:00'), busy('11:00', '14:00'), busy('14:30', '18:00')], undefined, 30)
+      .map(formatWindow)).toEqual(['08:00–09:00', '14:00–14:30', '18:00–22:00']);
+  });
+
+  it('returns nothing for an invalid date', () => {
+    expect(getFreeWindows('not-a-date', [])).toEqual([]);
+  });
+});
@@ -0,0 +1,459 @@
+// src/utils/boatBrochure.js
+// Branded brochure PDFs built straight from the boat docs, so what we send out
+// always matches AddBoat. One boat gives overview, gallery, specifications with
+// the seasonal price table, and an "on board" page (equipment, water sports,
+// amenities, crew). Several boats give a catalogue: a cover with contents, then
+// each boat's pages. English or Spanish; prices public, partner net or hidden.
+import { jsPDF } from 'jspdf';
+import 'jspdf-autotable';
+import { ref, getDownloadURL } from 'firebase/storage';
+import { storage } from '../firebase/firebaseConfig';
+import { DURATIONS, SEASONS, formatPrice, parsePrice } from './seasonalPricing';
+import { getBoatImage, getBoatImages } from './boatImages';
+import { getOnBoardSections } from './boatFeatures';
+
+export const BROCHURE_LANGUAGES = {
+  en: 'English',
+  es: 'Español'
+};
+
+export const PRICE_MODES = {
+  public: 'Public prices',
+  net: 'Partner net prices',
+  hidden: 'No prices'
+};
+
+// Gallery photos per boat in a catalogue, to keep the file a sensible size
+const CATALOGUE_GALLERY_IMAGES = 4;
+
+const colors = {
+  deepBlue: [26, 61, 93], // #1A3D5D
+  white: [255, 255, 255],
+  charcoal: [50, 50, 50]
+};
+
+const TEXT = {
+  en: {
+    overview: 'OVERVIEW',
+    keyFeatures: 'KEY FEATURES',
+    gallery: 'GALLERY',
+    specifications: 'SPECIFICATIONS',
+    specification: 'Specification',
+    value: 'Value',
+    seasonalPrices: 'SEASONAL PRICES',
+    season: 'Season',
+    netRates: (partner, discount) => `Net rates for ${partner} (${discount}% off public prices)`,
+    pricesOnRequest: 'Prices on request',
+    onBoard: 'ON BOARD',
+    catalogue: 'FLEET CATALOGUE',
+    contents: 'CONTENTS',
+    page: 'Page',
+    specLabels: {},
+    seasons: {},
+    durations: DURATIONS
+  },
+  es: {
+    overview: 'DESCRIPCIÓN',
+    keyFeatures: 'CARACTERÍSTICAS',
+    gallery: 'GALERÍA',
+    specifications: 'ESPECIFICACIONES',
+    specification: 'Especificación',
+    value: 'Valor',
+    seasonalPrices: 'PRECIOS POR TEMPORADA',
+    season: 'Temporada',
+    netRates: (partner, discount) => `Tarifas netas para ${partner} (${discount}% sobre el precio público)`,
+    pricesOnRequest: 'Precios bajo petición',
+    onBoard: 'A BORDO',
+    catalogue: 'CATÁLOGO DE LA FLOTA',
+    contents: 'ÍNDICE',
+    page: 'Página',
+    specLabels: {
+      Class: 'Clase',
+      Length: 'Eslora',
+      Beam: 'Manga',
+      Guests: 'Pasajeros',
+      Cabins: 'Camarotes',
+      Crew: 'Tripulación',
+      'Cruising Area': 'Zona de navegación',
+      'Cruising Speed': 'Velocidad de crucero',
+      Engine: 'Motor',
+      HP: 'Potencia (CV)',
+      'Max Speed': 'Velocidad máxima',
+      Price: 'Precio'
+    },
+    seasons: {
+      'May / October': 'Mayo / Octubre',
+      'June / September': 'Junio / Septiembre',
+      'July / August': 'Julio / Agosto'
+    },
+    durations: {
+      halfDay: 'Medio día',
+      fullDay: 'Día completo',
+      week: 'Semana'
+    }
+  }
+};
+
+// Spec rows, in this order; Price is the free-text price and follows the price mode
+const SPEC_FIELDS = ['Class', 'Length', 'Beam', 'Guests', 'Cabins', 'Crew', 'Cruising Area', 'Cruising Speed', 'Engine', 'HP', 'Max Speed', 'Price'];
+
+const generateKeyFeatures = (boat, language) => {
+  const es = language === 'es';
+  const features = [];
+
+  if (boat.detailedSpecs?.Length && boat.detailedSpecs?.Guests) {
+    features.push(es
+      ? `Magnífica embarcación de ${boat.detailedSpecs.Length} para ${boat.detailedSpecs.Guests} pasajeros`
+      : `Magnificent ${boat.detailedSpecs.Length} vessel accommodating ${boat.detailedSpecs.Guests} guests`);
+  }
+
+  const luxuryFeatures = [];
+  if (boat.equipment?.jacuzziAndPool?.deckJacuzzi) luxuryFeatures.push(es ? 'jacuzzi en cubierta' : 'deck jacuzzi');
+  if (boat.amenities?.comfort?.stabilizers) luxuryFeatures.push(es ? 'estabilizadores' : 'stabilizers');
+  if (luxuryFeatures.length > 0) {
+    features.push(es ? `Lujo absoluto con ${luxuryFeatures.join(' y ')}` : `Ultimate luxury with ${luxuryFeatures.join(' and ')}`);
+  }
+
+  const waterToys = [];
+  if (boat.waterSports?.seaBobs?.hasSeaBobs) waterToys.push('SeaBobs');
+  if (boat.waterSports?.jetSkis?.waverunners) waterToys.push(es ? 'motos de agua' : 'Wave Runners');
+  if (waterToys.length > 0) {
+    features.push(es
+      ? `Deportes acuáticos completos, con ${waterToys.join(' y ')}`
+      : `Complete water sports experience including ${waterToys.join(' and ')}`);
+  }
+
+  const entertainmentFeatures = [];
+  if (boat.amenities?.entertainment?.wifi) entertainmentFeatures.push('WiFi');
+  if (boat.amenities?.entertainment?.satellite) entertainmentFeatures.push(es ? 'TV por satélite' : 'Satellite TV');
+  if (entertainmentFeatures.length > 0) {
+    features.push(es
+      ? `Entretenimiento completo con ${entertainmentFeatures.join(' y ')}`
+      : `Full entertainment package with ${entertainmentFeatures.join(' and ')}`);
+  }
+
+  const defaultFeatures = es
+    ? [
+        'Tripulación experimentada y un servicio excepcional',
+        'Los mejores rincones de las Baleares',
+        'Itinerarios a medida para su travesía perfecta',
+        'Una experiencia mediterránea inolvidable'
+      ]
+    : [
+        'Experienced crew providing exceptional service',
+        'Prime locations throughout the Balearics',
+        'Customized itineraries for your perfect journey',
+        'Unforgettable Mediterranean experience'
+      ];
+
+  while (features.length < 4) {
+    features.push(defaultFeatures[features.length]);
+  }
+
+  return features.slice(0, 4);
+};
+
+/**
+ * Seasonal price table rows: one per season with a price, one column per
+ * duration that has a rate entered. Net prices take the partner's discount off.
+ * @param {Object} boat - Boat doc.
+ * @param {Object} [options]
+ * @param {number} [options.netDiscount] - % off, 0 for public prices.
+ * @param {string} [options.language]
+ * @returns {{durations: string[], rows: Array<Array<string>>}}
+ */
+export const getSeasonalPriceTable = (boat, { netDiscount = 0, language = 'en' } = {}) => {
+  const seasons = [
+    ...Object.keys(SEASONS),
+    ...Object.keys(boat.seasonalPrices || {}).filter((season) => !SEASONS[season])
+  ];
+  const rateFor = (season, duration) => parsePrice(
+    duration === 'fullDay' ? boat.seasonalPrices?.[season] : boat.durationPrices?.[duration]?.[season]
+  );
+  const net = (price) => Math.round(price * (1 - netDiscount / 100));
+
+  const durations = Object.keys(DURATIONS).filter((duration) => seasons.some((season) => rateFor(season, duration) > 0));
+  const rows = seasons
+    .filter((season) => durations.some((duration) => rateFor(season, duration) > 0))
+    .map((season) => [
+      TEXT[language].seasons[season] || season,
+      ...durations.map((duration) => {
+        const price = rateFor(season, duration);
+        return price > 0 ? formatPrice(net(price)) : '—';
+      })
+    ]);
+
+  return { durations, rows };
+};
+
+// Photos are Storage paths or download URLs, drawn through an <img> like the
+// proposal PDFs (so the bucket must allow CORS); a photo that won't load is skipped
+const loadImage = async (imageRef) => {
+  try {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = await getDownloadURL(ref(storage, imageRef));
+    await image.decode();
+    return image;
+  } catch (error) {
+    console.error('Image processing error:', error);
+    return null;
+  }
+};
+
+const drawTitleBar = (pdf, title) => {
+  pdf.setFillColor(...colors.deepBlue);
+  pdf.rect(0, 0, 210, 25, 'F');
+  pdf.setFontSize(16);
+  pdf.setTextColor(...colors.white);
+  pdf.text(title, 10, 15);
+};
+
+const tableStyles = {
+  theme: 'grid',
+  styles: { cellPadding: 2, fontSize: 10, textColor: colors.charcoal },
+  headStyles: { fillColor: colors.deepBlue, textColor: colors.white },
+  margin: { left: 10, right: 10 }
+};
+
+const drawOverviewPage = async (pdf, boat, language) => {
+  const text = TEXT[language];
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFillColor(...colors.deepBlue);
+  pdf.rect(0, 0, 210, 297, 'F');
+
+  pdf.setTextColor(...colors.white);
+  pdf.setFontSize(28);
+  pdf.text((boat.name || 'BOAT').toUpperCase(), 105, 25, { align: 'center' });
+
+  pdf.setDrawColor(...colors.white);
+  pdf.setLineWidth(0.5);
+  pdf.line(50, 30, 160, 30);
+  pdf.setLineWidth(0.3);
+  pdf.line(70, 32, 140, 32);
+
+  const imageWidth = 180;
+  const imageHeight = 110;
+  const imageX = (210 - imageWidth) / 2;
+  let y = 40;
+
+  const mainImageUrl = getBoatImage(boat, 'full');
+  const mainImage = mainImageUrl ? await loadImage(mainImageUrl) : null;
+  if (mainImage) {
+    // Subtle shadow behind the photo
+    pdf.setFillColor(0, 0, 0);
+    pdf.setGState(new pdf.GState({ opacity: 0.1 }));
+    pdf.rect(imageX + 2, y + 2, imageWidth, imageHeight, 'F');
+    pdf.setGState(new pdf.GState({ opacity: 1 }));
+    pdf.addImage(mainImage, 'JPEG', imageX, y, imageWidth, imageHeight, undefined, 'FAST');
+    y += imageHeight + 15;
+  }
+
+  pdf.setFontSize(20);
+  pdf.setTextColor(...colors.white);
+  pdf.text(text.overview, 20, y);
+  y += 10;
+
+  if (boat.description) {
+    pdf.setFontSize(12);
+    const wrappedText = pdf.splitTextToSize(boat.description, 170).slice(0, 12);
+    pdf.text(wrappedText, 20, y);
+    y += wrappedText.length * 5 + 15;
+  }
+
+  pdf.setFontSize(20);
+  pdf.text(text.keyFeatures, 20, y);
+  y += 12;
+
+  pdf.setFontSize(12);
+  pdf.setFillColor(...colors.white);
+  generateKeyFeatures(boat, language).forEach((feature) => {
+    pdf.circle(22, y - 2, 1, 'F');
+    pdf.text(feature, 26, y);
+    y += 8;
+  });
+};
+
+const drawGalleryPages = async (pdf, images, language) => {
+  if (images.length === 0) return;
+  const title = TEXT[language].gallery;
+  const margin = 10;
+  const imagesPerRow = 2;
+  const imageWidth = (210 - margin * 2 - 5) / imagesPerRow;
+  const imageHeight = 70;
+
+  pdf.addPage();
+  drawTitleBar(pdf, title);
+  let x = margin;
+  let y = 30;
+
+  for (let i = 0; i < images.length; i += 1) {
+    const imageData = await loadImage(images[i]);
+    if (imageData) {
+      pdf.addImage(imageData, 'JPEG', x, y, imageWidth, imageHeight, undefined, 'FAST');
+    }
+    x += imageWidth + 5;
+
+    if ((i + 1) % imagesPerRow === 0) {
+      x = margin;
+      y += imageHeight + 5;
+    }
+
+    if (y + imageHeight + 20 > 297 && i < images.length - 1) {
+      pdf.addPage();
+      drawTitleBar(pdf, title);
+      x = margin;
+      y = 30;
+    }
+  }
+};
+
+const drawSpecificationsPage = (pdf, boat, { language, priceMode, partner }) => {
+  const text = TEXT[language];
+  pdf.addPage();
+  drawTitleBar(pdf, text.specifications);
+
+  // The free-text Price spec is the public price, so it only shows with public prices
+  const specRows = SPEC_FIELDS
+    .filter((field) => field !== 'Price' || priceMode === 'public')
+    .map((field) => [text.specLabels[field] || field, boat.detailedSpecs?.[field] || boat[field] || ''])
+    .filter(([, value]) => value);
+
+  pdf.autoTable({
+    ...tableStyles,
+    startY: 35,
+    head: [[text.specification, text.value]],
+    body: specRows
+  });
+
+  let y = pdf.autoTable.previous.finalY + 10;
+  pdf.setFontSize(12);
+  pdf.setTextColor(...colors.deepBlue);
+  pdf.text(text.seasonalPrices, 10, y);
+  y += 5;
+
+  const netDiscount = priceMode === 'net' ? parseFloat(partner?.netRateDiscount) || 0 : 0;
+  const table = priceMode === 'hidden' ? { rows: [] } : getSeasonalPriceTable(boat, { netDiscount, language });
+  if (table.rows.length === 0) {
+    pdf.setFontSize(10);
+    pdf.setTextColor(...colors.charcoal);
+    pdf.text(text.pricesOnRequest, 10, y + 4);
+    return;
+  }
+
+  pdf.autoTable({
+    ...tableStyles,
+    startY: y,
+    head: [[text.season, ...table.durations.map((duration) => text.durations[duration])]],
+    body: table.rows
+  });
+
+  if (priceMode === 'net' && partner) {
+    pdf.setFontSize(9);
+    pdf.setTextColor(...colors.charcoal);
+    pdf.text(text.netRates(partner.name || '', netDiscount), 10, pdf.autoTable.previous.finalY + 6);
+  }
+};
+
+const drawOnBoardPage = (pdf, boat, language) => {
+  const sections = getOnBoardSections(boat, language);
+  if (sections.length === 0) return;
+
+  pdf.addPage();
+  drawTitleBar(pdf, TEXT[language].onBoard);
+  let y = 35;
+
+  sections.forEach((section) => {
+    if (y > 260) {
+      pdf.addPage();
+      drawTitleBar(pdf, TEXT[language].onBoard);
+      y = 35;
+    }
+    pdf.setFontSize(12);
+    pdf.setTextColor(...colors.deepBlue);
+    pdf.text(section.title.toUpperCase(), 10, y);
+    y += 3;
+
+    // Two columns of items
+    const half = Math.ceil(section.items.length / 2);
+    pdf.autoTable({
+      startY: y,
+      body: section.items.slice(0, half).map((item, index) => [item, section.items[half + index] || '']),
+      theme: 'plain',
+      styles: { cellPadding: 1.5, fontSize: 10, textColor: colors.charcoal },
+      margin: { left: 10, right: 10 }
+    });
+    y = pdf.autoTable.previous.finalY + 8;
+  });
+};
+
+const drawBoatPages = async (pdf, boat, options) => {
+  await drawOverviewPage(pdf, boat, options.language);
+  // The gallery is two photos across, so the card size is plenty
+  const gallery = getBoatImages(boat, 'card').slice(1, options.galleryLimit ? options.galleryLimit + 1 : undefined);
+  await drawGalleryPages(pdf, gallery, options.language);
+  drawSpecificationsPage(pdf, boat, options);
+  drawOnBoardPage(pdf, boat, options.language);
+};
+
+/**
+ * Brochure for one boat, or a catalogue for several.
+ * @param {Array<Object>} boats - Boat docs, in the order they should appear.
+ * @param {Object} [options]
+ * @param {string} [options.language] - Key of BROCHURE_LANGUAGES.
+ * @param {string} [options.priceMode] - Key of PRICE_MODES.
+ * @param {Object} [options.partner] - Hotel / collaborator doc for net prices.
+ * @returns {Promise<jsPDF>}
+ */
+export const buildBoatBrochure = async (boats, { language = 'en', priceMode = 'public', partner = null } = {}) => {
+  if (boats.length === 0) throw new Error('No boats selected');
+  if (priceMode === 'net' && !partner) throw new Error('Pick the partner whose net prices to show');
+
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const options = { language, priceMode, partner };
+
+  if (boats.length === 1) {
+    await drawBoatPages(pdf, boats[0], options);
+    return pdf;
+  }
+
+  // Catalogue: the cover is drawn last, once each boat's first page is known
+  const startPages = [];
+  for (let index = 0; index < boats.length; index += 1) {
+    pdf.addPage();
+    startPages.push(pdf.getNumberOfPages());
+    await drawBoatPages(pdf, boats[index], { ...options, galleryLimit: CATALOGUE_GALLERY_IMAGES });
+  }
+
+  const text = TEXT[language];
+  pdf.setPage(1);
+  pdf.setFillColor(...colors.deepBlue);
+  pdf.rect(0, 0, 210, 297, 'F');
+  pdf.setTextColor(...colors.white);
+  pdf.setFontSize(28);
+  pdf.text(text.catalogue, 105, 60, { align: 'center' });
+  pdf.setDrawColor(...colors.white);
+  pdf.setLineWidth(0.5);
+  pdf.line(50, 66, 160, 66);
+  pdf.setFontSize(12);
+  pdf.text(new Date().toLocaleDateString(language === 'es' ? 'es-ES' : 'en-GB', { month: 'long', year: 'numeric' }), 105, 76, { align: 'center' });
+
+  pdf.setFontSize(16);
+  pdf.text(text.contents, 30, 100);
+  pdf.setFontSize(12);
+  boats.slice(0, 28).forEach((boat, index) => {
+    const y = 112 + index * 6;
+    pdf.text(boat.name || '', 30, y);
+    pdf.text(`${text.page} ${startPages[index]}`, 180, y, { align: 'right' });
+  });
+
+  return pdf;
+};
+
+export const getBrochureFileName = (boats, language = 'en') => {
+  const suffix = language === 'en' ? '' : `-${language}`;
+  if (boats.length === 1) {
+    return `${(boats[0].name || 'boat').replace(/\s+/g, '-').toLowerCase()}-details${suffix}.pdf`;
+  }
+  return `fleet-catalogue${suffix}.pdf`;
+};
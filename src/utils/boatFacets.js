@@ -0,0 +1,187 @@
+// src/utils/boatFacets.js
+// Faceted search over the structured boat fields captured in AddBoat. Feature
+// facets are ANDed ("seabob and chef"); numeric filters compare the parsed
+// spec values; the price is the boat's suggested price for the searched slot.
+// Presets are shared by the team in `boatFinderPresets`: { name, filters, createdAt, createdBy }.
+import { addDoc, collection, deleteDoc, doc, onSnapshot } from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { buildStatusActor } from './bookingStatus';
+import { getSeasonalDayRate, quoteBoatPrice } from './seasonalPricing';
+
+const FEET_TO_METRES = 0.3048;
+
+export const EMPTY_FILTERS = {
+  minGuests: '',
+  minLength: '',
+  maxLength: '',
+  minPrice: '',
+  maxPrice: '',
+  marina: '',
+  features: []
+};
+
+// Each facet reads the AddBoat checkboxes it stands for; any one of them counts
+export const FEATURE_FACETS = [
+  { key: 'jetSkis', group: 'Water sports', label: 'Jet skis', test: (b) => b.waterSports?.jetSkis?.waverunners || b.waterSports?.jetSkis?.standUpJetskis },
+  { key: 'seaBobs', group: 'Water sports', label: 'Seabob', test: (b) => b.waterSports?.seaBobs?.hasSeaBobs },
+  { key: 'eFoils', group: 'Water sports', label: 'eFoil', test: (b) => b.waterSports?.eFoils?.hasEFoils },
+  { key: 'paddleboards', group: 'Water sports', label: 'Paddleboards', test: (b) => b.waterSports?.waterToys?.paddleboards },
+  { key: 'towSports', group: 'Water sports', label: 'Wakeboard / skis', test: (b) => b.waterSports?.waterToys?.wakeboard || b.waterSports?.waterToys?.waterSkis || b.waterSports?.waterToys?.inflatableTows },
+  { key: 'snorkeling', group: 'Water sports', label: 'Snorkelling', test: (b) => b.waterSports?.diving?.snorkelingGear },
+  { key: 'scuba', group: 'Water sports', label: 'Scuba', test: (b) => b.waterSports?.diving?.scubaDiving },
+  { key: 'inflatables', group: 'Water sports', label: 'Inflatables', test: (b) => b.waterSports?.inflatables?.hasInflatables || b.equipment?.jacuzziAndPool?.inflatablePlatform || b.equipment?.jacuzziAndPool?.aquapark },
+  { key: 'jacuzzi', group: 'On board', label: 'Jacuzzi / pool', test: (b) => b.equipment?.jacuzziAndPool?.deckJacuzzi || b.equipment?.jacuzziAndPool?.pool },
+  { key: 'wellness', group: 'On board', label: 'Wellness', test: (b) => Object.values(b.amenities?.wellness || {}).some(Boolean) },
+  { key: 'airConditioning', group: 'On board', label: 'Air conditioning', test: (b) => b.amenities?.comfort?.airConditioning },
+  { key: 'stabilizers', group: 'On board', label: 'Stabilizers', test: (b) => b.amenities?.comfort?.stabilizers },
+  { key: 'wifi', group: 'On board', label: 'Wi-Fi', test: (b) => b.amenities?.entertainment?.wifi },
+  { key: 'childFriendly', group: 'Guests', label: 'Child friendly', test: (b) => b.amenities?.kids?.childFriendly },
+  { key: 'wheelchair', group: 'Guests', label: 'Wheelchair accessible', test: (b) => b.amenities?.access?.wheelchairAccessible },
+  { key: 'chef', group: 'Crew & service', label: 'Chef', test: (b) => b.additional?.crew?.chef },
+  { key: 'steward', group: 'Crew & service', label: 'Steward', test: (b) => b.additional?.crew?.steward },
+  { key: 'masseur', group: 'Crew & service', label: 'Masseur', test: (b) => b.additional?.crew?.masseur },
+  { key: 'meals', group: 'Crew & service', label: 'Meals included', test: (b) => b.additional?.services?.lunch || b.additional?.services?.dinner },
+  { key: 'barService', group: 'Crew & service', label: 'Bar service', test: (b) => b.additional?.services?.barService }
+];
+
+export const FACET_GROUPS = FEATURE_FACETS.reduce(
+  (groups, facet) => (groups.includes(facet.group) ? groups : [...groups, facet.group]),
+  []
+);
+
+const hasFeature = (boat, key) => {
+  const facet = FEATURE_FACETS.find((entry) => entry.key === key);
+  return Boolean(facet && facet.test(boat));
+};
+
+/**
+ * Guests the boat takes, from the "Guests" spec ("12", "Up to 12 guests").
+ * @returns {number|null}
+ */
+export const getBoatCapacity = (boat) => {
+  const match = String(boat.detailedSpecs?.Guests || '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+/**
+ * Length in metres from the "Length" spec ("32.92m", "108 ft", "24,5 m").
+ * @returns {number|null}
+ */
+export const getBoatLength = (boat) => {
+  const text = String(boat.detailedSpecs?.Length || '').toLowerCase();
+  const match = text.replace(',', '.').match(/\d+(\.\d+)?/);
+  if (!match) return null;
+  const value = parseFloat(match[0]);
+  return /ft|feet|'/.test(text) ? Math.round(value * FEET_TO_METRES * 10) / 10 : value;
+};
+
+export const getBoatMarina = (boat) => String(boat.homeMarina || '').trim();
+
+/**
+ * What the boat costs for the searched slot; the plain day rate without a date.
+ * @returns {number}
+ */
+export const getBoatPriceForSlot = (boat, slot) =>
+  slot?.date ? quoteBoatPrice(boat, slot).publicPrice : getSeasonalDayRate(boat, '').price;
+
+/**
+ * Whether a boat passes the filters. `skip` leaves one filter out, which is how
+ * the count next to each facet option is worked out.
+ * @param {Object} boat
+ * @param {Object} filters - See EMPTY_FILTERS.
+ * @param {Object} [slot] - { date, startTime, endTime } for the price.
+ * @param {string} [skip] - 'marina' or a feature key.
+ */
+export const matchesFilters = (boat, filters, slot, skip) => {
+  const capacity = getBoatCapacity(boat);
+  if (filters.minGuests && !(capacity >= Number(filters.minGuests))) return false;
+
+  const length = getBoatLength(boat);
+  if (filters.minLength && !(length >= Number(filters.minLength))) return false;
+  if (filters.maxLength && !(length <= Number(filters.maxLength))) return false;
+
+  if (filters.minPrice || filters.maxPrice) {
+    const price = getBoatPriceForSlot(boat, slot);
+    if (filters.minPrice && !(price >= Number(filters.minPrice))) return false;
+    if (filters.maxPrice && !(price > 0 && price <= Number(filters.maxPrice))) return false;
+  }
+
+  if (skip !== 'marina' && filters.marina && getBoatMarina(boat).toLowerCase() !== filters.marina.toLowerCase()) {
+    return false;
+  }
+
+  return (filters.features || []).every((key) => key === skip || hasFeature(boat, key));
+};
+
+/**
+ * Live counts for the facet options over a pool of boats (usually the boats
+ * free for the searched slot).
+ * @returns {{features: Object, marinas: Array<{name: string, count: number}>}}
+ *   features: boats that would match with that feature added (or kept).
+ */
+export const getFacetCounts = (boats, filters, slot) => {
+  const features = {};
+  FEATURE_FACETS.forEach((facet) => {
+    features[facet.key] = boats.filter(
+      (boat) => matchesFilters(boat, filters, slot, facet.key) && facet.test(boat)
+    ).length;
+  });
+
+  const marinaCounts = {};
+  boats
+    .filter((boat) => matchesFilters(boat, filters, slot, 'marina'))
+    .forEach((boat) => {
+      const marina = getBoatMarina(boat);
+      if (marina) marinaCounts[marina] = (marinaCounts[marina] || 0) + 1;
+    });
+
+  // Marinas no boat in the pool matches still need to be pickable
+  boats.forEach((boat) => {
+    const marina = getBoatMarina(boat);
+    if (marina && !(marina in marinaCounts)) marinaCounts[marina] = 0;
+  });
+
+  return {
+    features,
+    marinas: Object.keys(marinaCounts)
+      .sort((a, b) => a.localeCompare(b))
+      .map((name) => ({ name, count: marinaCounts[name] }))
+  };
+};
+
+export const countActiveFilters = (filters) =>
+  ['minGuests', 'minLength', 'maxLength', 'minPrice', 'maxPrice', 'marina'].filter((key) => filters[key]).length +
+  (filters.features || []).length;
+
+// ---------------------------------------------------------------- Presets
+
+/**
+ * Live list of saved filter presets, A–Z.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToFilterPresets = (onChange, onError) =>
+  onSnapshot(
+    collection(db, 'boatFinderPresets'),
+    (snapshot) => {
+      const presets = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+      presets.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      onChange(presets);
+    },
+    (error) => {
+      console.error('Error loading filter presets:', error);
+      if (onError) onError(error);
+    }
+  );
+
+export const saveFilterPreset = async (name, filters, user) => {
+  await addDoc(collection(db, 'boatFinderPresets'), {
+    name,
+    filters: { ...EMPTY_FILTERS, ...filters },
+    createdAt: new Date().toISOString(),
+    createdBy: buildStatusActor(user)
+  });
+};
+
+export const deleteFilterPreset = async (id) => {
+  await deleteDoc(doc(db, 'boatFinderPresets', id));
+};
@@ -0,0 +1,120 @@
+// src/utils/boatFeatures.js
+// Client-facing names, in English and Spanish, for the equipment, water sports,
+// amenities and crew checkboxes in AddBoat. Used by the brochure PDFs and the
+// public catalogue API, so keep this file free of browser-only imports.
+
+// The AddBoat checkboxes shown to clients. `count` is the matching quantity
+// field, printed as "Seabob × 2".
+export const ON_BOARD_SECTIONS = [
+  {
+    key: 'equipment',
+    title: { en: 'Equipment', es: 'Equipamiento' },
+    items: [
+      { path: 'equipment.tenders.limousineTenders', count: 'equipment.tenders.tenderCount', en: 'Limousine tender', es: 'Tender limusina' },
+      { path: 'equipment.tenders.regularTenders', count: 'equipment.tenders.tenderCount', en: 'Tender', es: 'Tender' },
+      { path: 'equipment.jacuzziAndPool.deckJacuzzi', count: 'equipment.jacuzziAndPool.deckJacuzziCount', en: 'Deck jacuzzi', es: 'Jacuzzi en cubierta' },
+      { path: 'equipment.jacuzziAndPool.pool', en: 'Pool', es: 'Piscina' },
+      { path: 'equipment.jacuzziAndPool.antiJellyfishPool', en: 'Anti-jellyfish pool', es: 'Piscina antimedusas' },
+      { path: 'equipment.jacuzziAndPool.aquapark', en: 'Aquapark', es: 'Parque acuático' },
+      { path: 'equipment.jacuzziAndPool.inflatablePlatform', en: 'Inflatable platform', es: 'Plataforma hinchable' }
+    ]
+  },
+  {
+    key: 'waterSports',
+    title: { en: 'Water sports', es: 'Deportes acuáticos' },
+    items: [
+      { path: 'waterSports.jetSkis.waverunners', count: 'waterSports.jetSkis.waverunnerCount', en: 'Waverunner', es: 'Moto de agua' },
+      { path: 'waterSports.jetSkis.standUpJetskis', count: 'waterSports.jetSkis.standUpJetskiCount', en: 'Stand-up jet ski', es: 'Moto de agua de pie' },
+      { path: 'waterSports.seaBobs.hasSeaBobs', count: 'waterSports.seaBobs.seaBobCount', en: 'Seabob', es: 'Seabob' },
+      { path: 'waterSports.eFoils.hasEFoils', count: 'waterSports.eFoils.eFoilCount', en: 'eFoil', es: 'eFoil' },
+      { path: 'waterSports.waterToys.paddleboards', count: 'waterSports.waterToys.paddleboardCount', en: 'Paddleboard', es: 'Tabla de paddle surf' },
+      { path: 'waterSports.waterToys.wakeboard', en: 'Wakeboard', es: 'Wakeboard' },
+      { path: 'waterSports.waterToys.waterSkis', en: 'Water skis', es: 'Esquí acuático' },
+      { path: 'waterSports.waterToys.kayaks', en: 'Kayaks', es: 'Kayaks' },
+      { path: 'waterSports.waterToys.inflatableTows', en: 'Towable inflatables', es: 'Hinchables arrastrables' },
+      { path: 'waterSports.waterToys.waterScooter', en: 'Underwater scooter', es: 'Scooter acuático' },
+      { path: 'waterSports.waterToys.kneeBoard', en: 'Kneeboard', es: 'Kneeboard' },
+      { path: 'waterSports.waterToys.windsurf', en: 'Windsurf', es: 'Windsurf' },
+      { path: 'waterSports.diving.scubaDiving', en: 'Scuba diving', es: 'Buceo' },
+      { path: 'waterSports.diving.snorkelingGear', en: 'Snorkelling gear', es: 'Equipo de snorkel' },
+      { path: 'waterSports.diving.fishingGear', en: 'Fishing gear', es: 'Equipo de pesca' },
+      { path: 'waterSports.inflatables.hasInflatables', en: 'Inflatables', es: 'Hinchables' },
+      { path: 'waterSports.inflatables.trampoline', en: 'Water trampoline', es: 'Cama elástica acuática' }
+    ]
+  },
+  {
+    key: 'amenities',
+    title: { en: 'Amenities', es: 'Comodidades' },
+    items: [
+      { path: 'amenities.entertainment.wifi', en: 'Wi-Fi', es: 'Wi-Fi' },
+      { path: 'amenities.entertainment.satellite', en: 'Satellite TV', es: 'TV por satélite' },
+      { path: 'amenities.entertainment.appleTV', en: 'Apple TV', es: 'Apple TV' },
+      { path: 'amenities.entertainment.sonos', en: 'Sonos sound system', es: 'Sonido Sonos' },
+      { path: 'amenities.entertainment.indoorCinema', en: 'Indoor cinema', es: 'Cine interior' },
+      { path: 'amenities.entertainment.outdoorCinema', en: 'Outdoor cinema', es: 'Cine exterior' },
+      { path: 'amenities.entertainment.ipodDockingStation', en: 'Music docking station', es: 'Base para música' },
+      { path: 'amenities.entertainment.gameConsole', en: 'Game console', es: 'Videoconsola' },
+      { path: 'amenities.comfort.airConditioning', en: 'Air conditioning', es: 'Aire acondicionado' },
+      { path: 'amenities.comfort.heating', en: 'Heating', es: 'Calefacción' },
+      { path: 'amenities.comfort.stabilizers', en: 'Stabilizers', es: 'Estabilizadores' },
+      { path: 'amenities.comfort.deck.sunAwning', en: 'Sun awning', es: 'Toldo' },
+      { path: 'amenities.comfort.deck.outdoorBar', en: 'Outdoor bar', es: 'Bar exterior' },
+      { path: 'amenities.comfort.deck.outdoorDining', en: 'Outdoor dining', es: 'Comedor exterior' },
+      { path: 'amenities.comfort.deck.outdoorLounge', en: 'Outdoor lounge', es: 'Salón exterior' },
+      { path: 'amenities.comfort.deck.sunpads', en: 'Sunpads', es: 'Solárium' },
+      { path: 'amenities.comfort.deck.sundeckShower', en: 'Deck shower', es: 'Ducha en cubierta' },
+      { path: 'amenities.wellness.gym', en: 'Gym', es: 'Gimnasio' },
+      { path: 'amenities.wellness.gymEquipment', en: 'Gym equipment', es: 'Equipo de gimnasio' },
+      { path: 'amenities.wellness.spa', en: 'Spa', es: 'Spa' },
+      { path: 'amenities.wellness.massage', en: 'Massage room', es: 'Sala de masajes' },
+      { path: 'amenities.wellness.sauna', en: 'Sauna', es: 'Sauna' },
+      { path: 'amenities.wellness.steamRoom', en: 'Steam room', es: 'Baño de vapor' },
+      { path: 'amenities.wellness.beautyRoom', en: 'Beauty room', es: 'Sala de belleza' },
+      { path: 'amenities.dining.formalDiningArea', en: 'Formal dining', es: 'Comedor formal' },
+      { path: 'amenities.dining.casualDiningArea', en: 'Casual dining', es: 'Comedor informal' },
+      { path: 'amenities.dining.alFrescoDining', en: 'Al fresco dining', es: 'Comedor al aire libre' },
+      { path: 'amenities.dining.profesionalGalley', en: 'Professional galley', es: 'Cocina profesional' },
+      { path: 'amenities.dining.wineStorage', en: 'Wine storage', es: 'Vinoteca' },
+      { path: 'amenities.dining.bbqGrill', en: 'BBQ grill', es: 'Barbacoa' },
+      { path: 'amenities.kids.childFriendly', en: 'Child friendly', es: 'Apto para niños' },
+      { path: 'amenities.kids.babyEquipment', en: 'Baby equipment', es: 'Equipo para bebés' },
+      { path: 'amenities.kids.childProtectionGates', en: 'Child safety gates', es: 'Barreras de seguridad infantil' },
+      { path: 'amenities.kids.toysAndGames', en: 'Toys and games', es: 'Juguetes y juegos' },
+      { path: 'amenities.access.wheelchairAccessible', en: 'Wheelchair accessible', es: 'Accesible en silla de ruedas' },
+      { path: 'amenities.access.elevatorLift', en: 'Lift', es: 'Ascensor' },
+      { path: 'amenities.access.disabledFacilities', en: 'Accessible facilities', es: 'Instalaciones adaptadas' }
+    ]
+  },
+  {
+    key: 'crew',
+    title: { en: 'Crew', es: 'Tripulación' },
+    items: [
+      { path: 'additional.crew.captain', en: 'Captain', es: 'Capitán' },
+      { path: 'additional.crew.chef', en: 'Chef', es: 'Chef' },
+      { path: 'additional.crew.steward', en: 'Steward', es: 'Azafato/a' },
+      { path: 'additional.crew.deckhand', en: 'Deckhand', es: 'Marinero' },
+      { path: 'additional.crew.engineer', en: 'Engineer', es: 'Mecánico' },
+      { path: 'additional.crew.masseur', en: 'Masseur', es: 'Masajista' }
+    ]
+  }
+];
+
+const readPath = (boat, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), boat);
+
+/**
+ * The equipment, water sports, amenities and crew ticked on the boat, by section.
+ * @param {Object} boat - Boat doc.
+ * @param {string} [language] - 'en' or 'es'.
+ * @returns {Array<{key: string, title: string, items: string[]}>} Sections with nothing ticked are left out.
+ */
+export const getOnBoardSections = (boat, language = 'en') =>
+  ON_BOARD_SECTIONS.map((section) => ({
+    key: section.key,
+    title: section.title[language],
+    items: section.items
+      .filter((item) => readPath(boat, item.path))
+      .map((item) => {
+        const count = item.count ? parseInt(readPath(boat, item.count), 10) : 0;
+        return count > 1 ? `${item[language]} × ${count}` : item[language];
+      })
+  })).filter((section) => section.items.length > 0);
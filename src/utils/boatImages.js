@@ -0,0 +1,207 @@
+// src/utils/boatImages.js
+// Boat photos are resized and re-encoded in the browser before upload, which
+// also drops EXIF data (GPS position, camera details). Each photo is stored in
+// three sizes and the boat doc keeps them next to `images`:
+//   images:        [fullUrl, ...]                - order as arranged in AddBoat
+//   imageVariants: [{ thumb, card, full }, ...]   - matched to images by `full`
+// Readers ask for a size with getBoatImage / getBoatImages, which fall back to
+// the original upload for photos that haven't been migrated yet. Migrating a
+// boat deletes its original uploads, EXIF and all.
+import { collection, doc, getDocs, updateDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { db, storage } from '../firebase/firebaseConfig';
+
+// Longest edge in pixels and JPEG quality for each size
+export const IMAGE_SIZES = {
+  thumb: { maxEdge: 320, quality: 0.75 },
+  card: { maxEdge: 960, quality: 0.8 },
+  full: { maxEdge: 2048, quality: 0.85 }
+};
+
+const loadImage = async (src) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.src = src;
+  await image.decode();
+  return image;
+};
+
+// Browsers apply the EXIF orientation when decoding, so drawing to a canvas
+// keeps phone photos the right way up while leaving the metadata behind
+const renderSize = async (image, { maxEdge, quality }) => {
+  const scale = Math.min(1, maxEdge / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff'; // transparent PNGs would turn black as JPEG
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  const response = await fetch(canvas.toDataURL('image/jpeg', quality));
+  return response.blob();
+};
+
+/**
+ * Resize and compress a photo into every size in IMAGE_SIZES.
+ * @param {Blob} file - Picked file, or a blob fetched from Storage.
+ * @returns {Promise<Object>} JPEG blobs keyed by size.
+ */
+export const processImage = async (file) => {
+  const objectUrl = URL.createObjectURL(file);
+  try {
+    const image = await loadImage(objectUrl);
+    const blobs = {};
+    for (const size of Object.keys(IMAGE_SIZES)) {
+      blobs[size] = await renderSize(image, IMAGE_SIZES[size]);
+    }
+    return blobs;
+  } finally {
+    URL.revokeObjectURL(objectUrl);
+  }
+};
+
+const baseName = (name) =>
+  String(name || 'photo')
+    .replace(/\.[^.]+$/, '')
+    .replace(/[^a-zA-Z0-9_-]+/g, '-')
+    .slice(0, 60);
+
+/**
+ * Process a photo and upload its sizes under boats/.
+ * @param {Blob|File} file
+ * @param {string} [name] - For the Storage path; defaults to the file's name.
+ * @returns {Promise<{thumb: string, card: string, full: string}>} Download URLs.
+ */
+export const uploadBoatImage = async (file, name = file.name) => {
+  const blobs = await processImage(file);
+  const stem = `boats/${Date.now()}_${baseName(name)}`;
+  const variants = {};
+  for (const size of Object.keys(blobs)) {
+    const storageRef = ref(storage, `${stem}-${size}.jpg`);
+    await uploadBytes(storageRef, blobs[size], { contentType: 'image/jpeg' });
+    variants[size] = await getDownloadURL(storageRef);
+  }
+  return variants;
+};
+
+const findVariants = (boat, url) => (boat?.imageVariants || []).find((entry) => entry && entry.full === url);
+
+/**
+ * The boat's photos in one size, main photo first.
+ * @param {Object} boat - Boat doc.
+ * @param {string} [size] - Key of IMAGE_SIZES.
+ * @returns {string[]}
+ */
+export const getBoatImages = (boat, size = 'full') =>
+  (boat?.images || [])
+    .filter(Boolean)
+    .map((url) => {
+      const variants = findVariants(boat, url);
+      return variants?.[size] || url;
+    });
+
+/**
+ * One photo in the given size (the main photo by default), or '' when the boat has none.
+ */
+export const getBoatImage = (boat, size = 'full', index = 0) =>
+  getBoatImages(boat, size)[index] || (index === 0 && boat?.image) || '';
+
+/**
+ * The image fields to save once photos have been added, removed or reordered.
+ * Variants of removed photos are dropped.
+ * @param {Array<string|Object>} photos - Existing URLs or new variant sets, in order.
+ * @param {Object} [boat] - The boat as loaded, for the variants of existing photos.
+ * @returns {{images: string[], imageVariants: Array<Object>}}
+ */
+export const buildImageFields = (photos, boat) => {
+  const images = photos.map((photo) => (typeof photo === 'string' ? photo : photo.full));
+  const imageVariants = photos
+    .map((photo) => (typeof photo === 'string' ? findVariants(boat, photo) : photo))
+    .filter(Boolean);
+  return { images, imageVariants };
+};
+
+/**
+ * Whether any of the boat's photos were uploaded before the size variants existed.
+ */
+export const needsImageMigration = (boat) =>
+  (boat.images || []).filter(Boolean).some((url) => !findVariants(boat, url));
+
+// Saved quote proposals copy the boat's card images, which are the originals
+// until the boat is migrated; point them at the new card size instead
+const replaceQuoteImages = async (boatId, cardByOriginal) => {
+  const snapshot = await getDocs(collection(db, 'quotes'));
+  for (const quoteDoc of snapshot.docs) {
+    const options = quoteDoc.data().options || [];
+    let changed = false;
+    const updated = options.map((option) => {
+      if (option.boatId !== boatId) return option;
+      const images = (option.images || []).map((url) => cardByOriginal[url] || url);
+      if (images.some((url, index) => url !== option.images[index])) changed = true;
+      return { ...option, images };
+    });
+    if (changed) await updateDoc(doc(db, 'quotes', quoteDoc.id), { options: updated });
+  }
+};
+
+// Boats can share a photo URL; an original stays until every boat using it has been migrated
+const getImagesOfOtherBoats = async (boatId) => {
+  const snapshot = await getDocs(collection(db, 'boats'));
+  return snapshot.docs
+    .filter((boatDoc) => boatDoc.id !== boatId)
+    .flatMap((boatDoc) => boatDoc.data().images || []);
+};
+
+// Photos added by URL rather than uploaded aren't in our bucket and are left alone
+const deleteOriginal = async (url) => {
+  try {
+    await deleteObject(ref(storage, url));
+  } catch (error) {
+    if (error.code !== 'storage/object-not-found' && error.code !== 'storage/invalid-url') {
+      console.error('Error deleting original photo', url, error);
+    }
+  }
+};
+
+/**
+ * Re-process a boat's original uploads into the three sizes, point the boat doc
+ * (and any saved quotes) at them and delete the originals, which still carry
+ * their EXIF data, unless another boat still shows them. Needs the bucket's
+ * CORS config (cors.json) to allow this origin.
+ * @param {Object} boat - Boat doc with its id.
+ * @param {Function} [onProgress] - Called with (done, total) after each photo.
+ * @returns {Promise<Object>} The fields written to the boat doc.
+ */
+export const migrateBoatImages = async (boat, onProgress) => {
+  const urls = (boat.images || []).filter(Boolean);
+  const photos = [];
+  const cardByOriginal = {};
+  for (let index = 0; index < urls.length; index += 1) {
+    const url = urls[index];
+    const existing = findVariants(boat, url);
+    if (existing) {
+      photos.push(existing);
+    } else {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Could not download photo ${index + 1} of ${boat.name}`);
+      const variants = await uploadBoatImage(await response.blob(), `${boat.name || 'boat'}-${index + 1}`);
+      photos.push(variants);
+      cardByOriginal[url] = variants.card;
+    }
+    if (onProgress) onProgress(index + 1, urls.length);
+  }
+
+  const changes = buildImageFields(photos, boat);
+  await updateDoc(doc(db, 'boats', boat.id), changes);
+
+  // Only once nothing points at them any more
+  const originals = Object.keys(cardByOriginal);
+  if (originals.length > 0) {
+    await replaceQuoteImages(boat.id, cardByOriginal);
+    const sharedImages = await getImagesOfOtherBoats(boat.id);
+    for (const url of originals.filter((original) => !sharedImages.includes(original))) {
+      await deleteOriginal(url);
+    }
+  }
+  return changes;
+};
@@ -0,0 +1,128 @@
+// src/utils/boatMaintenance.js
+// Per-boat maintenance log, kept in `boatMaintenance`:
+//   service:      { boatId, boatName, kind: 'service', date, title, notes, cost,
+//                   engineHours, nextServiceDate, nextServiceHours, expenseId }
+//   outOfService: { boatId, boatName, kind: 'outOfService', startDate, endDate, reason, notes }
+// Out-of-service ranges (repairs, owner use, ...) block the boat for whole days
+// in BoatFinder and in the booking conflict check. Service costs are posted to
+// expenses; the boat doc keeps its latest `engineHours` reading for reminders.
+// This file has no Firebase imports; reading and writing the log is in
+// boatMaintenanceActions.js.
+import { getSlotInterval } from './availability';
+
+export const MAINTENANCE_KINDS = {
+  service: 'Service',
+  outOfService: 'Out of service'
+};
+
+export const OUT_OF_SERVICE_REASONS = {
+  repairs: 'Repairs',
+  owner: 'Owner use',
+  haulOut: 'Haul-out',
+  other: 'Other'
+};
+
+export const REMINDER_STATUS_META = {
+  overdue: { label: 'Service overdue', badge: 'bg-red-100 text-red-800' },
+  soon: { label: 'Service due soon', badge: 'bg-amber-100 text-amber-800' },
+  ok: { label: 'Next service', badge: 'bg-green-100 text-green-800' }
+};
+
+// How far ahead a service counts as due soon
+export const REMINDER_DAYS = 14;
+export const REMINDER_HOURS = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local YYYY-MM-DD, some days from today
+export const localDateString = (daysAhead = 0) => {
+  const day = new Date(Date.now() + daysAhead * DAY_MS);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Out-of-service ranges as busy periods: Madrid midnight on the first day to
+ * midnight after the last, the same whole days getSlotInterval gives a booking
+ * without times, in the same shape as the calendar sync's busy periods.
+ * @param {Array<Object>} entries - Maintenance entries, any boats.
+ * @returns {Object} Busy periods by boat id.
+ */
+export const getOutOfServicePeriods = (entries) =>
+  entries
+    .filter((entry) => entry.kind === 'outOfService' && entry.startDate)
+    .reduce((acc, entry) => {
+      const first = getSlotInterval(entry.startDate);
+      const last = getSlotInterval(entry.endDate || entry.startDate);
+      if (!first || !last) return acc;
+
+      if (!acc[entry.boatId]) acc[entry.boatId] = [];
+      acc[entry.boatId].push({
+        start: first.start,
+        end: last.end,
+        maintenanceId: entry.id,
+        reason: entry.reason || 'other',
+        note: entry.notes || ''
+      });
+      return acc;
+    }, {});
+
+/**
+ * The boat's current or next out-of-service entry, or undefined when none is coming up.
+ * @param {string} boatId
+ * @param {Array<Object>} entries - Maintenance entries, any boats.
+ */
+export const getNextOutOfService = (boatId, entries) => {
+  const today = localDateString();
+  return entries
+    .filter((entry) => entry.boatId === boatId && entry.kind === 'outOfService' && (entry.endDate || entry.startDate) >= today)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate))[0];
+};
+
+/**
+ * When the boat's next service is due, from its latest service record, and how
+ * urgent that is. Hours are compared with the boat's current engine hours.
+ * @param {Object} boat - Boat doc with its id.
+ * @param {Array<Object>} entries - Maintenance entries (any boats).
+ * @returns {{status: 'overdue'|'soon'|'ok', dueDate: string, dueHours: number|null, hoursLeft: number|null}|null}
+ *   null when no next service has been set.
+ */
+export const getServiceReminder = (boat, entries) => {
+  const lastService = entries
+    .filter((entry) => entry.boatId === boat.id && entry.kind === 'service')
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''))[0];
+  if (!lastService || (!lastService.nextServiceDate && !lastService.nextServiceHours)) return null;
+
+  const dueDate = lastService.nextServiceDate || '';
+  const dueHours = parseFloat(lastService.nextServiceHours) || null;
+  const currentHours = parseFloat(boat.engineHours);
+  const hoursLeft = dueHours && !isNaN(currentHours) ? dueHours - currentHours : null;
+
+  const today = localDateString();
+  const soonDate = localDateString(REMINDER_DAYS);
+
+  let status = 'ok';
+  if ((dueDate && dueDate < today) || (hoursLeft !== null && hoursLeft <= 0)) {
+    status = 'overdue';
+  } else if ((dueDate && dueDate <= soonDate) || (hoursLeft !== null && hoursLeft <= REMINDER_HOURS)) {
+    status = 'soon';
+  }
+
+  return { status, dueDate, dueHours, hoursLeft };
+};
+
+// e.g. "Service due soon by 2026-11-02 or at 500 h (12 h left)"
+export const describeReminder = (reminder) => {
+  const parts = [];
+  if (reminder.dueDate) parts.push(`by ${reminder.dueDate}`);
+  if (reminder.dueHours) {
+    parts.push(
+      reminder.hoursLeft !== null
+        ? `at ${reminder.dueHours} h (${Math.round(reminder.hoursLeft)} h left)`
+        : `at ${reminder.dueHours} h`
+    );
+  }
+  return `${REMINDER_STATUS_META[reminder.status].label} ${parts.join(' or ')}`;
+};
+
+export const formatMaintenanceRange = (entry) =>
+  entry.endDate && entry.endDate !== entry.startDate ? `${entry.startDate} → ${entry.endDate}` : entry.startDate;
@@ -0,0 +1,25 @@
+/* eslint-env jest */
+import { getOutOfServicePeriods } from './boatMaintenance';
+
+describe('getOutOfServicePeriods', () => {
+  it('blocks whole Europe/Madrid days, like a booking without times', () => {
+    const periods = getOutOfServicePeriods([
+      { id: 'm1', boatId: 'a', kind: 'outOfService', startDate: '2025-10-25', endDate: '2025-10-26', reason: 'repairs' },
+      { id: 'm2', boatId: 'a', kind: 'service', date: '2025-10-20' }
+    ]);
+    expect(periods.a).toHaveLength(1);
+    // The clocks go back on the 26th, so the block ends at 23:00 UTC, not 22:00
+    expect(periods.a[0]).toMatchObject({ maintenanceId: 'm1', reason: 'repairs', note: '' });
+    expect(periods.a[0].start.toISOString()).toBe('2025-10-24T22:00:00.000Z');
+    expect(periods.a[0].end.toISOString()).toBe('2025-10-26T23:00:00.000Z');
+  });
+
+  it('treats a range without an end as one day and skips bad dates', () => {
+    const periods = getOutOfServicePeriods([
+      { id: 'm1', boatId: 'a', kind: 'outOfService', startDate: '2025-07-01' },
+      { id: 'm2', boatId: 'b', kind: 'outOfService', startDate: '01/07/2025' }
+    ]);
+    expect(periods.a[0].end.getTime() - periods.a[0].start.getTime()).toBe(24 * 60 * 60 * 1000);
+    expect(periods.b).toBeUndefined();
+  });
+});
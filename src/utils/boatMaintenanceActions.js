@@ -0,0 +1,97 @@
+// src/utils/boatMaintenanceActions.js
+// Reading and writing the maintenance log (entry shapes and rules in boatMaintenance.js).
+import { addDoc, collection, deleteDoc, doc, getDocs, onSnapshot, query, updateDoc, where } from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { buildStatusActor } from './bookingStatus';
+import { getOutOfServicePeriods, localDateString } from './boatMaintenance';
+import { moveToTrash } from './recycleBinActions';
+
+/**
+ * Live maintenance log for every boat, newest first.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToMaintenance = (onChange, onError) =>
+  onSnapshot(
+    collection(db, 'boatMaintenance'),
+    (snapshot) => {
+      const entries = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+      entries.sort((a, b) => (b.date || b.startDate || '').localeCompare(a.date || a.startDate || ''));
+      onChange(entries);
+    },
+    (error) => {
+      console.error('Error loading maintenance log:', error);
+      if (onError) onError(error);
+    }
+  );
+
+/**
+ * One boat's out-of-service periods, for the booking conflict check.
+ * @param {string} boatId
+ * @returns {Promise<Array<Object>>}
+ */
+export const fetchOutOfServicePeriods = async (boatId) => {
+  const snapshot = await getDocs(query(collection(db, 'boatMaintenance'), where('boatId', '==', boatId)));
+  const entries = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+  return getOutOfServicePeriods(entries)[boatId] || [];
+};
+
+/**
+ * Log a service or an out-of-service range. A service with a cost is posted to
+ * expenses as a company maintenance cost, and a higher engine-hours reading is
+ * copied to the boat.
+ * @param {Object} boat - Boat doc with its id.
+ * @param {Object} entry - Fields for the kind, see the top of this file.
+ * @param {Object} [user] - Firebase auth user.
+ * @returns {Promise<{id: string, boatChanges: Object}>} The new entry id and what changed on the boat doc.
+ */
+export const addMaintenanceEntry = async (boat, entry, user) => {
+  const cost = parseFloat(entry.cost) || 0;
+  const engineHours = parseFloat(entry.engineHours) || null;
+
+  const entryRef = await addDoc(collection(db, 'boatMaintenance'), {
+    ...entry,
+    boatId: boat.id,
+    boatName: boat.name || '',
+    ...(entry.kind === 'service' ? { cost, engineHours, nextServiceHours: parseFloat(entry.nextServiceHours) || null } : {}),
+    createdAt: new Date().toISOString(),
+    createdBy: buildStatusActor(user)
+  });
+
+  if (entry.kind !== 'service') return { id: entryRef.id, boatChanges: {} };
+
+  if (cost > 0) {
+    const expenseRef = await addDoc(collection(db, 'expenses'), {
+      amount: cost,
+      description: `${boat.name} – ${entry.title || 'Service'}`,
+      category: 'Maintenance',
+      type: 'company',
+      date: entry.date || localDateString(),
+      imageURL: '',
+      boatId: boat.id,
+      maintenanceId: entryRef.id,
+      timestamp: new Date(),
+      paymentStatus: 'pending',
+      parentId: null
+    });
+    await updateDoc(entryRef, { expenseId: expenseRef.id });
+  }
+
+  const boatChanges = {};
+  if (engineHours && !(parseFloat(boat.engineHours) >= engineHours)) {
+    boatChanges.engineHours = engineHours;
+    await updateDoc(doc(db, 'boats', boat.id), boatChanges);
+  }
+
+  return { id: entryRef.id, boatChanges };
+};
+
+/**
+ * Delete a log entry. The expense it posted goes to the recycle bin, so the
+ * cost can still be restored from there.
+ * @param {Object} entry - Maintenance entry with its id.
+ * @param {Object} [user]
+ */
+export const removeMaintenanceEntry = async (entry, user) => {
+  await deleteDoc(doc(db, 'boatMaintenance', entry.id));
+  if (entry.expenseId) await moveToTrash('expenses', entry.expenseId, user);
+};
@@ -0,0 +1,199 @@
+// src/utils/bookingConflicts.js
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { fetchBoatCalendarSync, isSyncStale } from './calendarSync';
+import { getBookingStatus, isBlockingStatus } from './bookingStatus';
+import { isTrashed } from './recycleBin';
+import { fetchOutOfServicePeriods } from './boatMaintenanceActions';
+import { getSlotInterval } from './availability';
+
+const normaliseBoatName = (name) => String(name || '').trim().toLowerCase();
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Enquiries and bookings in the recycle bin don't hold the boat; options and confirmed bookings do
+const isInactiveBooking = (booking) => isTrashed(booking) || !isBlockingStatus(getBookingStatus(booking));
+
+const getBookingDate = (booking) => booking.bookingDetails?.date || booking.bookingDate || '';
+
+const addDays = (ymd, days) => {
+  const [year, month, day] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * All bookings on a day. Existing bookings may store the date in either field,
+ * so both are queried and merged. Trashed and cancelled bookings are included.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+export const fetchBookingsForDate = async (date) => {
+  const bookingsRef = collection(db, 'bookings');
+  const byDetails = await getDocs(query(bookingsRef, where('bookingDetails.date', '==', date)));
+  const byBookingDate = await getDocs(query(bookingsRef, where('bookingDate', '==', date)));
+
+  const merged = {};
+  [...byDetails.docs, ...byBookingDate.docs].forEach((snap) => {
+    merged[snap.id] = { id: snap.id, ...snap.data() };
+  });
+  return Object.values(merged);
+};
+
+const fetchBoatsByName = async () => {
+  const snapshot = await getDocs(collection(db, 'boats'));
+  const boatsByName = {};
+  snapshot.docs.forEach((snap) => {
+    const boat = { id: snap.id, ...snap.data() };
+    if (boat.name) boatsByName[normaliseBoatName(boat.name)] = boat;
+  });
+  return boatsByName;
+};
+
+/**
+ * Check booking slots against existing bookings (including San Antonio tours and
+ * every boat of a multi-boat group), against each other, against the boat's
+ * out-of-service ranges from the maintenance log, and against its iCal busy periods.
+ *
+ * @param {Array<{boatName: string, date: string, startTime: string, endTime: string}>} slots
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeIds] - Booking ids to ignore (the booking being edited).
+ * @returns {Promise<{conflicts: Array<Object>, calendarErrors: string[]}>}
+ */
+export const findBookingConflicts = async (slots, { excludeIds = [] } = {}) => {
+  const conflicts = [];
+  const calendarErrors = [];
+  const bookingsByDate = {};
+  const busyPeriodsByBoat = {};
+  const outOfServiceByBoat = {};
+  let boatsByName = null;
+
+  const checkableSlots = slots
+    .map((slot, index) => ({
+      ...slot,
+      index,
+      boatKey: normaliseBoatName(slot.boatName),
+      interval: getSlotInterval(slot.date, slot.startTime, slot.endTime),
+    }))
+    .filter((slot) => slot.boatKey && slot.interval);
+
+  for (const slot of checkableSlots) {
+    // Same boat twice in the booking being saved (multi-boat groups)
+    checkableSlots
+      .filter((other) => other.index < slot.index && other.boatKey === slot.boatKey)
+      .filter((other) => overlaps(other.interval, slot.interval))
+      .forEach((other) => {
+        conflicts.push({
+          type: 'group',
+          slotIndex: slot.index,
+          boatName: slot.boatName,
+          date: slot.date,
+          startTime: other.startTime,
+          endTime: other.endTime,
+        });
+      });
+
+    // The day before too, as an overnight charter can run into the slot's day,
+    // and the day after when the slot itself runs past midnight
+    const dates = [addDays(slot.date, -1), slot.date];
+    if (slot.interval.end > getSlotInterval(slot.date).end) dates.push(addDays(slot.date, 1));
+    for (const date of dates) {
+      if (!bookingsByDate[date]) bookingsByDate[date] = await fetchBookingsForDate(date);
+    }
+
+    dates
+      .flatMap((date) => bookingsByDate[date])
+      .filter((booking) => !excludeIds.includes(booking.id) && !isInactiveBooking(booking))
+      .filter((booking) => normaliseBoatName(booking.bookingDetails?.boatName) === slot.boatKey)
+      .forEach((booking) => {
+        const interval = getSlotInterval(
+          getBookingDate(booking),
+          booking.bookingDetails?.startTime,
+          booking.bookingDetails?.endTime
+        );
+        if (!interval || !overlaps(interval, slot.interval)) return;
+
+        conflicts.push({
+          type: 'booking',
+          slotIndex: slot.index,
+          bookingId: booking.id,
+          boatName: booking.bookingDetails?.boatName || slot.boatName,
+          clientName: booking.clientName || booking.clientDetails?.name || 'Unknown client',
+          status: getBookingStatus(booking),
+          date: getBookingDate(booking),
+          startTime: booking.bookingDetails?.startTime || '',
+          endTime: booking.bookingDetails?.endTime || '',
+          location: booking.location || '',
+          multiBoatGroupId: booking.multiBoatGroupId || null,
+        });
+      });
+
+    if (!boatsByName) boatsByName = await fetchBoatsByName();
+    const boat = boatsByName[slot.boatKey];
+    if (!boat) continue;
+
+    if (!outOfServiceByBoat[boat.id]) {
+      outOfServiceByBoat[boat.id] = await fetchOutOfServicePeriods(boat.id);
+    }
+    outOfServiceByBoat[boat.id]
+      .filter((period) => overlaps(period, slot.interval))
+      .forEach((period) => {
+        conflicts.push({
+          type: 'maintenance',
+          slotIndex: slot.index,
+          boatName: boat.name,
+          start: period.start,
+          end: period.end,
+          reason: period.reason,
+          note: period.note,
+        });
+      });
+
+    if (!boat.icalUrl) continue;
+
+    // Owner calendars are synced server-side; stale or missing data is a warning, not a block
+    if (!(boat.id in busyPeriodsByBoat)) {
+      try {
+        const sync = await fetchBoatCalendarSync(boat.id);
+        busyPeriodsByBoat[boat.id] = sync?.busy || [];
+        if (isSyncStale(sync)) calendarErrors.push(boat.name);
+      } catch (error) {
+        console.warn(`Could not check calendar for ${boat.name}:`, error.message);
+        busyPeriodsByBoat[boat.id] = [];
+        calendarErrors.push(boat.name);
+      }
+    }
+
+    busyPeriodsByBoat[boat.id]
+      .filter((period) => overlaps(period, slot.interval))
+      .forEach((period) => {
+        conflicts.push({
+          type: 'calendar',
+          slotIndex: slot.index,
+          boatName: boat.name,
+          start: period.start,
+          end: period.end,
+        });
+      });
+  }
+
+  return { conflicts, calendarErrors };
+};
+
+/**
+ * Shape the override record stored on a booking saved despite conflicts.
+ * @param {Array<Object>} conflicts - Result of findBookingConflicts.
+ * @param {string} reason - Why the admin saved anyway.
+ * @param {Object|null} user - Firebase auth user.
+ */
+export const buildConflictOverride = (conflicts, reason, user) => ({
+  reason,
+  overriddenAt: new Date().toISOString(),
+  overriddenBy: user
+    ? { uid: user.uid, displayName: user.displayName || '', email: user.email || '' }
+    : null,
+  conflictingBookingIds: conflicts
+    .filter((conflict) => conflict.type === 'booking')
+    .map((conflict) => conflict.bookingId),
+  calendarConflicts: conflicts.filter((conflict) => conflict.type === 'calendar').length,
+  maintenanceConflicts: conflicts.filter((conflict) => conflict.type === 'maintenance').length,
+});
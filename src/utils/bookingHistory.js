@@ -0,0 +1,131 @@
+// src/utils/bookingHistory.js
+// Field-level change history for bookings, stored in bookings/{id}/history.
+// Each entry is one save: which leaf fields changed, from what, to what, by whom.
+// This file works the changes out; reading and writing history is in
+// bookingHistoryActions.js. FieldValue is only imported to spot sentinels such
+// as serverTimestamp(), so the file loads without the app's Firebase setup.
+import { FieldValue } from 'firebase/firestore';
+
+// Bookkeeping fields that change on every save and would drown out real edits
+const IGNORED_KEYS = ['lastUpdated', 'updatedAt', 'notesUpdatedAt', 'statusUpdatedAt', 'statusHistory', 'lastRescheduled'];
+
+export const SIGNATURE_PLACEHOLDER = '[signature]';
+
+export const HISTORY_SOURCES = {
+  edit: 'Booking edit',
+  payments: 'Payment tracking',
+  reschedule: 'Timeline move',
+  'san-antonio': 'San Antonio tours',
+  transfers: 'Transfer dispatch',
+  group: 'Multi-boat group',
+  cancellation: 'Cancellation',
+  restore: 'Restore'
+};
+
+const isTimestampLike = (value) => value && typeof value.toDate === 'function';
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !isTimestampLike(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof FieldValue);
+
+const isIgnoredPath = (path) => path.split('.').some((segment) => IGNORED_KEYS.includes(segment));
+
+const isSignaturePath = (path) => path.split('.').pop() === 'signature';
+
+// Values as they are stored in a history entry: dates as ISO strings, nothing undefined
+const toStoredValue = (value) => {
+  if (value === undefined) return null;
+  if (isTimestampLike(value)) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Empty strings, null and missing fields all mean "not set"
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+const valuesEqual = (a, b) => {
+  if (isEmptyValue(a) && isEmptyValue(b)) return true;
+  const storedA = toStoredValue(a);
+  const storedB = toStoredValue(b);
+  if (typeof storedA === 'object' || typeof storedB === 'object') {
+    return JSON.stringify(storedA) === JSON.stringify(storedB);
+  }
+  // Passengers and prices are saved as strings by some forms and numbers by others
+  return String(storedA) === String(storedB);
+};
+
+const getAtPath = (source, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// Flatten a value into { 'a.b.0.c': leaf } pairs; arrays are indexed by position
+const flatten = (value, prefix, out = {}) => {
+  const isArray = Array.isArray(value);
+  if ((isArray || isPlainObject(value)) && Object.keys(value).length > 0) {
+    Object.keys(value).forEach((key) => flatten(value[key], `${prefix}.${key}`, out));
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Work out which leaf fields an update actually changes.
+ * @param {Object} currentData - The booking doc before the update.
+ * @param {Object} updates - The object about to be passed to updateDoc; dotted keys are supported.
+ * @returns {Array<{path: string, oldValue: *, newValue: *, restorable: boolean}>}
+ */
+export const diffBookingUpdate = (currentData = {}, updates = {}) => {
+  const changes = [];
+
+  Object.keys(updates).forEach((key) => {
+    const newValue = updates[key];
+    // serverTimestamp(), arrayUnion() and friends have no value to compare yet
+    if (newValue instanceof FieldValue || isIgnoredPath(key)) return;
+
+    const before = flatten(getAtPath(currentData, key), key);
+    const after = flatten(newValue, key);
+    const paths = Object.keys(before).concat(Object.keys(after).filter((path) => !(path in before)));
+
+    paths.forEach((path) => {
+      if (isIgnoredPath(path) || valuesEqual(before[path], after[path])) return;
+      const signature = isSignaturePath(path);
+      changes.push({
+        path,
+        oldValue: signature && before[path] ? SIGNATURE_PLACEHOLDER : toStoredValue(before[path]),
+        newValue: signature && after[path] ? SIGNATURE_PLACEHOLDER : toStoredValue(after[path]),
+        // Signatures are redacted and timestamps come back as strings, so neither can be put back
+        restorable: !signature && !isTimestampLike(before[path])
+      });
+    });
+  });
+
+  return changes;
+};
+
+// Copy objects and arrays along the way so the rest of the field is written back untouched
+const setAtPath = (target, segments, value) => {
+  const [key, ...rest] = segments;
+  const copy = Array.isArray(target) ? [...target] : { ...(target || {}) };
+  copy[key] = rest.length === 0 ? value : setAtPath(copy[key], rest, value);
+  return copy;
+};
+
+/**
+ * The update that puts a single field back to an earlier value.
+ * The whole top-level field is rewritten so paths into arrays (pricing.payments.0.received) work.
+ * @param {Object} currentData - The booking doc as it is now.
+ * @param {string} path - Leaf path from a history entry.
+ * @param {*} value - The value to restore.
+ * @returns {Object} Ready for updateBookingWithHistory.
+ */
+export const buildRestoreUpdate = (currentData, path, value) => {
+  const [field, ...rest] = path.split('.');
+  return {
+    [field]: rest.length === 0 ? value : setAtPath(currentData[field], rest, value),
+    lastUpdated: new Date().toISOString()
+  };
+};
@@ -0,0 +1,95 @@
+/* eslint-env jest */
+import { Timestamp, serverTimestamp } from 'firebase/firestore';
+import { SIGNATURE_PLACEHOLDER, buildRestoreUpdate, diffBookingUpdate } from './bookingHistory';
+
+const booking = {
+  bookingDetails: { date: '2025-07-10', passengers: '6', boatName: 'Azimut 55' },
+  clientDetails: { name: 'Ana', phone: '' },
+  pricing: {
+    agreedPrice: 1000,
+    payments: [
+      { id: 'dep', amount: 300, received: true },
+      { id: 'bal', amount: 700, received: false }
+    ]
+  },
+  ownerPayments: { firstPayment: { amount: 150, signature: 'data:image/png;base64,AAA' } },
+  lastUpdated: '2025-06-01T10:00:00.000Z'
+};
+
+describe('diffBookingUpdate', () => {
+  it('reads dotted update keys as paths into the booking', () => {
+    expect(diffBookingUpdate(booking, { 'bookingDetails.date': '2025-07-11' })).toEqual([
+      { path: 'bookingDetails.date', oldValue: '2025-07-10', newValue: '2025-07-11', restorable: true }
+    ]);
+  });
+
+  it('lists only the leaves that changed inside objects and arrays', () => {
+    const payments = [booking.pricing.payments[0], { ...booking.pricing.payments[1], received: true }];
+    expect(diffBookingUpdate(booking, { 'pricing.payments': payments })).toEqual([
+      { path: 'pricing.payments.1.received', oldValue: false, newValue: true, restorable: true }
+    ]);
+    expect(diffBookingUpdate(booking, { 'pricing.payments': payments.slice(0, 1) })).toEqual([
+      { path: 'pricing.payments.1.id', oldValue: 'bal', newValue: null, restorable: true },
+      { path: 'pricing.payments.1.amount', oldValue: 700, newValue: null, restorable: true },
+      { path: 'pricing.payments.1.received', oldValue: false, newValue: null, restorable: true }
+    ]);
+  });
+
+  it('treats numbers and numeric strings, and empty values, as the same', () => {
+    expect(diffBookingUpdate(booking, { 'pricing.agreedPrice': '1000', 'bookingDetails.passengers': 6 })).toEqual([]);
+    expect(diffBookingUpdate(booking, { 'clientDetails.phone': null, 'clientDetails.email': '' })).toEqual([]);
+    expect(diffBookingUpdate(booking, { 'pricing.agreedPrice': '100' })).toHaveLength(1);
+  });
+
+  it('redacts signatures and marks them as not restorable', () => {
+    expect(diffBookingUpdate(booking, { 'ownerPayments.firstPayment.signature': null })).toEqual([
+      { path: 'ownerPayments.firstPayment.signature', oldValue: SIGNATURE_PLACEHOLDER, newValue: null, restorable: false }
+    ]);
+    expect(diffBookingUpdate({}, { ownerPayments: { secondPayment: { signature: 'data:image/png;base64,BBB' } } })).toEqual([
+      { path: 'ownerPayments.secondPayment.signature', oldValue: null, newValue: SIGNATURE_PLACEHOLDER, restorable: false }
+    ]);
+  });
+
+  it('skips bookkeeping fields and FieldValue sentinels', () => {
+    expect(
+      diffBookingUpdate(booking, {
+        lastUpdated: '2025-06-02T10:00:00.000Z',
+        statusHistory: [{ status: 'confirmed' }],
+        updatedAt: serverTimestamp()
+      })
+    ).toEqual([]);
+  });
+
+  it('stores timestamps as ISO strings that cannot be put back', () => {
+    const before = { paidAt: Timestamp.fromDate(new Date('2025-06-01T10:00:00Z')) };
+    expect(diffBookingUpdate(before, { paidAt: new Date('2025-06-02T10:00:00Z') })).toEqual([
+      { path: 'paidAt', oldValue: '2025-06-01T10:00:00.000Z', newValue: '2025-06-02T10:00:00.000Z', restorable: false }
+    ]);
+  });
+});
+
+describe('buildRestoreUpdate', () => {
+  it('rewrites a top-level field as is', () => {
+    expect(buildRestoreUpdate(booking, 'status', 'confirmed')).toMatchObject({ status: 'confirmed' });
+  });
+
+  it('rewrites the whole top-level field for nested and array paths, leaving the rest untouched', () => {
+    const update = buildRestoreUpdate(booking, 'pricing.payments.1.received', true);
+    expect(Object.keys(update)).toEqual(['pricing', 'lastUpdated']);
+    expect(update.pricing).toEqual({
+      agreedPrice: 1000,
+      payments: [
+        { id: 'dep', amount: 300, received: true },
+        { id: 'bal', amount: 700, received: true }
+      ]
+    });
+    expect(Array.isArray(update.pricing.payments)).toBe(true);
+    expect(booking.pricing.payments[1].received).toBe(false);
+  });
+
+  it('creates missing objects along the path', () => {
+    expect(buildRestoreUpdate({}, 'clientDetails.email', 'ana@example.com').clientDetails).toEqual({
+      email: 'ana@example.com'
+    });
+  });
+});
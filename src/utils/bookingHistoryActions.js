@@ -0,0 +1,97 @@
+// src/utils/bookingHistoryActions.js
+// Saving bookings with their change history, and reading it back (what counts
+// as a change is worked out in bookingHistory.js).
+import {
+  addDoc,
+  collection,
+  doc,
+  getDoc,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  updateDoc
+} from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { buildStatusActor } from './bookingStatus';
+import { buildRestoreUpdate, diffBookingUpdate } from './bookingHistory';
+
+/**
+ * Write a history entry for a booking. Does nothing when there are no changes.
+ * @param {string} bookingId
+ * @param {Array} changes - From diffBookingUpdate.
+ * @param {Object} options
+ * @param {Object} [options.user] - Firebase auth user who made the change.
+ * @param {string} [options.source] - One of the HISTORY_SOURCES keys.
+ */
+export const recordBookingChanges = async (bookingId, changes, { user, source = 'edit' } = {}) => {
+  if (!bookingId || !changes || changes.length === 0) return;
+  await addDoc(collection(db, 'bookings', bookingId, 'history'), {
+    changes,
+    source,
+    changedBy: buildStatusActor(user),
+    changedAt: serverTimestamp(),
+    changedAtIso: new Date().toISOString()
+  });
+};
+
+/**
+ * updateDoc for bookings that also records what changed.
+ * History is best-effort: a failed history write is logged but never fails the save.
+ * @param {string} bookingId
+ * @param {Object} updates - Passed to updateDoc unchanged.
+ * @param {Object} options
+ * @param {Object} [options.currentData] - The doc before the update, if the caller already read it.
+ * @param {Object} [options.user]
+ * @param {string} [options.source]
+ */
+export const updateBookingWithHistory = async (bookingId, updates, { currentData, user, source } = {}) => {
+  const bookingRef = doc(db, 'bookings', bookingId);
+  let before = currentData;
+  if (!before) {
+    const snap = await getDoc(bookingRef);
+    before = snap.exists() ? snap.data() : {};
+  }
+
+  await updateDoc(bookingRef, updates);
+
+  try {
+    await recordBookingChanges(bookingId, diffBookingUpdate(before, updates), { user, source });
+  } catch (error) {
+    console.error('Error recording booking history:', error);
+  }
+};
+
+/**
+ * Live history for a booking, newest first.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToBookingHistory = (bookingId, onChange, onError) =>
+  onSnapshot(
+    query(collection(db, 'bookings', bookingId, 'history'), orderBy('changedAtIso', 'desc')),
+    (snapshot) => onChange(snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }))),
+    (error) => {
+      console.error('Error loading booking history:', error);
+      if (onError) onError(error);
+    }
+  );
+
+/**
+ * Put a single field back to an earlier value (see buildRestoreUpdate).
+ * @param {string} bookingId
+ * @param {string} path - Leaf path from a history entry.
+ * @param {*} value - The value to restore.
+ * @param {Object} [user]
+ */
+export const restoreBookingValue = async (bookingId, path, value, user) => {
+  const bookingRef = doc(db, 'bookings', bookingId);
+  const snap = await getDoc(bookingRef);
+  if (!snap.exists()) throw new Error('Booking no longer exists');
+
+  const currentData = snap.data();
+  await updateBookingWithHistory(bookingId, buildRestoreUpdate(currentData, path, value), {
+    currentData,
+    user,
+    source: 'restore'
+  });
+};
@@ -0,0 +1,328 @@
+// src/utils/bookingImport.js
+// Bulk booking import from broker spreadsheets (CSV or XLSX).
+// Flow: parse file → map columns → prepareImport (validate, match clients, find
+// duplicates and conflicts) → importBookings (one atomic write batch, tagged with
+// an import batch id) → rollbackImportBatch if the import turns out to be wrong.
+// No Firebase imports here: reading cells and building drafts; the Firestore
+// steps are in bookingImportActions.js.
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { canonicalEmail, normPhone, strip } from './clientMatching';
+import { PAYMENT_METHODS, buildSchedulePricing, createInstallment, recalculateSchedule } from './paymentSchedule';
+import { DEFAULT_OPTION_HOURS, INITIAL_STATES } from './bookingStatus';
+
+// Keeps one import inside Firestore's 500-writes-per-batch limit (booking, 2 payments, client)
+export const MAX_IMPORT_ROWS = 100;
+
+export const IMPORT_FIELDS = [
+  { key: 'clientName', label: 'Client name', required: true, aliases: ['client', 'name', 'guest', 'customer', 'lead name'] },
+  { key: 'clientEmail', label: 'Client email', aliases: ['email', 'e-mail', 'mail'] },
+  { key: 'clientPhone', label: 'Client phone', aliases: ['phone', 'telephone', 'mobile', 'whatsapp', 'tel'] },
+  { key: 'passportNumber', label: 'Passport / ID', aliases: ['passport', 'passport number', 'dni', 'nie'] },
+  { key: 'partnerName', label: 'Partner (hotel or collaborator)', aliases: ['partner', 'broker', 'agency', 'hotel', 'collaborator'] },
+  { key: 'boatName', label: 'Boat', required: true, aliases: ['boat', 'yacht', 'vessel'] },
+  { key: 'boatCompany', label: 'Boat company', aliases: ['company', 'operator', 'charter company'] },
+  { key: 'date', label: 'Charter date', required: true, aliases: ['date', 'booking date', 'day'] },
+  { key: 'startTime', label: 'Start time', aliases: ['start', 'from', 'departure', 'departure time'] },
+  { key: 'endTime', label: 'End time', aliases: ['end', 'to', 'return', 'return time'] },
+  { key: 'passengers', label: 'Passengers', aliases: ['pax', 'guests', 'people'] },
+  { key: 'agreedPrice', label: 'Agreed price', required: true, aliases: ['price', 'total', 'total price', 'charter price'] },
+  { key: 'firstPaymentAmount', label: 'First payment', aliases: ['deposit', '1st payment', 'deposit amount'] },
+  { key: 'firstPaymentMethod', label: 'First payment method', aliases: ['deposit method'] },
+  { key: 'firstPaymentReceived', label: 'First payment received', aliases: ['deposit paid', 'deposit received'] },
+  { key: 'secondPaymentAmount', label: 'Second payment', aliases: ['balance', '2nd payment', 'balance amount'] },
+  { key: 'secondPaymentMethod', label: 'Second payment method', aliases: ['balance method'] },
+  { key: 'secondPaymentReceived', label: 'Second payment received', aliases: ['balance paid', 'balance received'] },
+  { key: 'status', label: 'Booking status', aliases: ['booking status', 'state'] },
+  { key: 'notes', label: 'Notes', aliases: ['comments', 'remarks', 'observations'] }
+];
+
+const normaliseHeader = (header) => strip(header).replace(/[^a-z0-9]+/g, ' ').trim();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ---------------------------------------------------------------- Parsing
+
+/**
+ * Read a CSV or XLSX file into header names and row objects keyed by header.
+ * Only the first sheet of a workbook is read.
+ * @param {File} file
+ * @returns {Promise<{headers: string[], rows: Object[]}>}
+ */
+export const parseImportFile = async (file) => {
+  const name = (file.name || '').toLowerCase();
+
+  if (name.endsWith('.csv')) {
+    const result = Papa.parse(await file.text(), { header: true, skipEmptyLines: 'greedy' });
+    if (result.errors.length > 0 && result.data.length === 0) {
+      throw new Error(`Could not read CSV: ${result.errors[0].message}`);
+    }
+    const headers = (result.meta.fields || []).map((header) => header.trim()).filter(Boolean);
+    const rows = result.data.map((row) =>
+      Object.keys(row).reduce((clean, key) => ({ ...clean, [key.trim()]: row[key] }), {})
+    );
+    return { headers, rows };
+  }
+
+  if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    // raw values keep dates as Excel serial numbers, which toIsoDate understands without timezone drift
+    const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+    const headers = headerRow.map((header) => String(header).trim());
+    const rows = dataRows
+      .filter((cells) => cells.some((cell) => String(cell).trim() !== ''))
+      .map((cells) =>
+        headers.reduce((row, header, index) => (header ? { ...row, [header]: cells[index] } : row), {})
+      );
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  throw new Error('Please choose a .csv or .xlsx file');
+};
+
+/**
+ * Guess which spreadsheet column feeds each booking field from the header names.
+ * @param {string[]} headers
+ * @returns {Object} Field key → header name ('' when no column matches).
+ */
+export const guessColumnMapping = (headers) => {
+  const used = {};
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const candidates = [field.key, field.label, ...field.aliases].map(normaliseHeader);
+    const match = headers.find((header) => !used[header] && candidates.includes(normaliseHeader(header)));
+    if (match) used[match] = true;
+    return { ...mapping, [field.key]: match || '' };
+  }, {});
+};
+
+// ---------------------------------------------------------------- Cell values
+
+const isRealDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Charter date as YYYY-MM-DD. Accepts ISO dates, day-first dates (15/06/2025,
+ * 15.06.25) and Excel serial numbers.
+ * @returns {string|null}
+ */
+export const toIsoDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number') {
+    // Excel counts days from 1899-12-30
+    const date = new Date(Math.round((Math.floor(value) - 25569) * 86400000));
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+
+  const text = String(value).trim();
+  let year;
+  let month;
+  let day;
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else if (dayFirst) {
+    [day, month, year] = dayFirst.slice(1).map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  return isRealDate(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+};
+
+/**
+ * Time as HH:mm. Accepts 9:30, 09.30, 9h, 2pm and Excel time fractions.
+ * @returns {string|null} null for unreadable values, '' for empty cells.
+ */
+export const toTime = (value) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (typeof value === 'number') {
+    const minutes = Math.round((value % 1) * 24 * 60) % (24 * 60);
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  const match = String(value).trim().toLowerCase().match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*h?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+/**
+ * Money amount. Handles "€1.200,50", "1,200.50" and plain numbers.
+ * @returns {number|null} null for unreadable values, 0 for empty cells.
+ */
+export const toAmount = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return value;
+
+  let text = String(value).replace(/[^0-9.,-]/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator when followed by 1-2 digits, otherwise a thousands separator
+    text = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : amount;
+};
+
+/**
+ * Payment method as a PAYMENT_METHODS key. Accepts the keys and their labels
+ * in any case and spacing ("Bank transfer", "payment link").
+ * @param {*} value
+ * @param {string} fallback - Key used for empty cells.
+ * @returns {string|null} null for methods we don't take.
+ */
+export const toPaymentMethod = (value, fallback) => {
+  const text = normaliseHeader(value);
+  if (!text) return fallback;
+  return (
+    Object.keys(PAYMENT_METHODS).find(
+      (key) => normaliseHeader(key) === text || normaliseHeader(PAYMENT_METHODS[key]) === text
+    ) || null
+  );
+};
+
+const toBoolean = (value) =>
+  ['yes', 'y', 'true', '1', 'x', 'paid', 'received', 'si', 'sí'].includes(strip(value));
+
+// ---------------------------------------------------------------- Validation
+
+export const readRow = (row, mapping) =>
+  IMPORT_FIELDS.reduce((values, field) => {
+    const header = mapping[field.key];
+    const raw = header ? row[header] : '';
+    return { ...values, [field.key]: typeof raw === 'string' ? raw.trim() : raw };
+  }, {});
+
+// Identity keys used to spot the same client in two bookings
+export const getClientKeys = ({ email, phone, name }) =>
+  [canonicalEmail(email), normPhone(phone), strip(name)].filter(Boolean);
+
+/**
+ * Check one spreadsheet row and turn it into a booking draft.
+ * @param {Object} values - From readRow.
+ * @param {Object} partnersByName - Lower-cased partner name → { id, clientType }.
+ * @returns {{draft: Object, status: string, errors: string[], warnings: string[]}}
+ */
+export const buildDraft = (values, partnersByName) => {
+  const errors = [];
+  const warnings = [];
+
+  const date = toIsoDate(values.date);
+  const startTime = toTime(values.startTime);
+  const endTime = toTime(values.endTime);
+  const agreedPrice = toAmount(values.agreedPrice);
+  const firstAmount = toAmount(values.firstPaymentAmount);
+  const secondAmount = toAmount(values.secondPaymentAmount);
+  const firstMethod = toPaymentMethod(values.firstPaymentMethod, 'cash');
+  const secondMethod = toPaymentMethod(values.secondPaymentMethod, 'pos');
+  const status = strip(values.status) || 'confirmed';
+  const passengers = values.passengers === '' ? '' : parseInt(values.passengers, 10);
+
+  if (!values.clientName) errors.push('Client name is missing');
+  if (!values.boatName) errors.push('Boat is missing');
+  if (!values.date) errors.push('Date is missing');
+  else if (!date) errors.push(`Unreadable date "${values.date}"`);
+  if (startTime === null) errors.push(`Unreadable start time "${values.startTime}"`);
+  if (endTime === null) errors.push(`Unreadable end time "${values.endTime}"`);
+  if (agreedPrice === null) errors.push(`Unreadable price "${values.agreedPrice}"`);
+  else if (values.agreedPrice === '' || values.agreedPrice === undefined) errors.push('Agreed price is missing');
+  if (firstAmount === null) errors.push(`Unreadable first payment "${values.firstPaymentAmount}"`);
+  if (secondAmount === null) errors.push(`Unreadable second payment "${values.secondPaymentAmount}"`);
+  if (!firstMethod) errors.push(`Unknown first payment method "${values.firstPaymentMethod}"`);
+  if (!secondMethod) errors.push(`Unknown second payment method "${values.secondPaymentMethod}"`);
+  if (values.clientEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.clientEmail)) {
+    errors.push(`Invalid email "${values.clientEmail}"`);
+  }
+  if (values.passengers !== '' && isNaN(passengers)) errors.push(`Unreadable passengers "${values.passengers}"`);
+  if (!INITIAL_STATES.includes(status)) {
+    errors.push(`Status must be one of ${INITIAL_STATES.join(', ')}`);
+  }
+
+  let partner = null;
+  if (values.partnerName) {
+    partner = partnersByName[strip(values.partnerName)];
+    if (!partner) errors.push(`Unknown partner "${values.partnerName}"`);
+  }
+
+  if (!values.clientEmail && !values.clientPhone) warnings.push('No email or phone; a new client will be created');
+  if (!startTime || !endTime) warnings.push('No start/end time; the boat is blocked for the whole day');
+  if (date && date < new Date().toISOString().slice(0, 10)) warnings.push('Date is in the past');
+  if (status === 'option') warnings.push(`Options expire ${DEFAULT_OPTION_HOURS} hours after import`);
+  if (agreedPrice && (firstAmount || 0) + (secondAmount || 0) > agreedPrice) {
+    warnings.push('Payments add up to more than the agreed price');
+  }
+
+  // The spreadsheet's two payment columns become a deposit and a balance;
+  // without a second amount the balance is whatever the deposit leaves
+  const firstReceived = toBoolean(values.firstPaymentReceived);
+  const secondReceived = toBoolean(values.secondPaymentReceived);
+  const recordedAt = new Date().toISOString();
+  const schedule = recalculateSchedule([
+    createInstallment({
+      label: 'Deposit',
+      dueDate: recordedAt.slice(0, 10),
+      amount: firstAmount || 0,
+      method: firstMethod,
+      received: firstReceived,
+      date: firstReceived ? date || '' : '',
+      recordedAt
+    }),
+    createInstallment({
+      label: 'Balance',
+      dueDate: date || '',
+      amountType: secondAmount ? 'fixed' : 'balance',
+      amount: secondAmount || 0,
+      method: secondMethod,
+      received: secondReceived,
+      date: secondReceived ? date || '' : '',
+      recordedAt
+    })
+  ], agreedPrice);
+
+  const draft = {
+    clientType: partner ? partner.clientType : 'Direct',
+    selectedPartner: partner ? partner.id : '',
+    clientSource: partner ? '' : 'Import',
+    clientDetails: {
+      name: values.clientName || '',
+      phone: values.clientPhone ? String(values.clientPhone) : '',
+      email: values.clientEmail || '',
+      passportNumber: values.passportNumber ? String(values.passportNumber) : '',
+      address: ''
+    },
+    clientName: values.clientName || '',
+    bookingDate: date || '',
+    bookingDetails: {
+      boatCompany: values.boatCompany || '',
+      boatName: values.boatName || '',
+      passengers: isNaN(passengers) ? '' : passengers,
+      date: date || '',
+      startTime: startTime || '',
+      endTime: endTime || '',
+      transferAddress: null
+    },
+    pricing: {
+      agreedPrice: agreedPrice || 0,
+      ...buildSchedulePricing(schedule)
+    },
+    transfer: {},
+    notes: values.notes || '',
+    restaurantName: ''
+  };
+
+  return { draft, status, errors, warnings };
+};
@@ -0,0 +1,113 @@
+/* eslint-env jest */
+import { buildDraft, toAmount, toIsoDate, toPaymentMethod, toTime } from './bookingImport';
+
+const row = (values = {}) => ({
+  clientName: 'Ana López',
+  clientEmail: 'ana@example.com',
+  clientPhone: '',
+  boatName: 'Azimut 55',
+  date: '2030-07-10',
+  startTime: '10:00',
+  endTime: '18:00',
+  passengers: '6',
+  agreedPrice: '2000',
+  firstPaymentAmount: '600',
+  firstPaymentMethod: '',
+  secondPaymentAmount: '',
+  secondPaymentMethod: '',
+  status: '',
+  ...values
+});
+
+describe('toIsoDate', () => {
+  it('reads ISO, day-first and Excel serial dates', () => {
+    expect(toIsoDate('2025-06-15')).toBe('2025-06-15');
+    expect(toIsoDate('2025-6-5T10:00')).toBe('2025-06-05');
+    expect(toIsoDate('15/06/2025')).toBe('2025-06-15');
+    expect(toIsoDate('5.6.25')).toBe('2025-06-05');
+    expect(toIsoDate('15-06-2025')).toBe('2025-06-15');
+    expect(toIsoDate(45823)).toBe('2025-06-15');
+    expect(toIsoDate(45823.75)).toBe('2025-06-15');
+  });
+
+  it('returns null for empty, unreadable and impossible dates', () => {
+    expect(toIsoDate('')).toBeNull();
+    expect(toIsoDate(undefined)).toBeNull();
+    expect(toIsoDate('June 15th')).toBeNull();
+    expect(toIsoDate('31/06/2025')).toBeNull();
+    expect(toIsoDate('2025-02-29')).toBeNull();
+  });
+});
+
+describe('toTime', () => {
+  it('reads the ways brokers write times', () => {
+    expect(toTime('9:30')).toBe('09:30');
+    expect(toTime('09.30')).toBe('09:30');
+    expect(toTime('9h')).toBe('09:00');
+    expect(toTime('14h30')).toBe('14:30');
+    expect(toTime('2pm')).toBe('14:00');
+    expect(toTime('12am')).toBe('00:00');
+    expect(toTime(0.75)).toBe('18:00');
+  });
+
+  it("keeps empty cells empty and rejects what isn't a time", () => {
+    expect(toTime('')).toBe('');
+    expect(toTime(null)).toBe('');
+    expect(toTime('25:00')).toBeNull();
+    expect(toTime('9:75')).toBeNull();
+    expect(toTime('morning')).toBeNull();
+  });
+});
+
+describe('toAmount', () => {
+  it('reads European and English number formats', () => {
+    expect(toAmount('€1.200,50')).toBe(1200.5);
+    expect(toAmount('1,200.50')).toBe(1200.5);
+    expect(toAmount('1,200')).toBe(1200);
+    expect(toAmount('2500 €')).toBe(2500);
+    expect(toAmount(950)).toBe(950);
+  });
+
+  it('returns 0 for empty cells and null for unreadable ones', () => {
+    expect(toAmount('')).toBe(0);
+    expect(toAmount(undefined)).toBe(0);
+    expect(toAmount('on request')).toBeNull();
+  });
+});
+
+describe('toPaymentMethod', () => {
+  it('maps keys and labels to PAYMENT_METHODS keys', () => {
+    expect(toPaymentMethod('Bank transfer', 'cash')).toBe('transfer');
+    expect(toPaymentMethod('transfer', 'cash')).toBe('transfer');
+    expect(toPaymentMethod(' POS ', 'cash')).toBe('pos');
+    expect(toPaymentMethod('Payment link', 'cash')).toBe('payment_link');
+    expect(toPaymentMethod('sabadell link', 'cash')).toBe('Sabadell_link');
+  });
+
+  it('uses the fallback for empty cells and null for unknown methods', () => {
+    expect(toPaymentMethod('', 'pos')).toBe('pos');
+    expect(toPaymentMethod(undefined, 'cash')).toBe('cash');
+    expect(toPaymentMethod('Bizum', 'cash')).toBeNull();
+  });
+});
+
+describe('buildDraft', () => {
+  it('stores payment methods as PAYMENT_METHODS keys', () => {
+    const { draft, errors } = buildDraft(
+      row({ firstPaymentMethod: 'Bank transfer', secondPaymentMethod: 'Cash' }),
+      {}
+    );
+    expect(errors).toEqual([]);
+    expect(draft.pricing.payments.map((payment) => payment.method)).toEqual(['transfer', 'cash']);
+  });
+
+  it('falls back to cash for the deposit and POS for the balance', () => {
+    const { draft } = buildDraft(row(), {});
+    expect(draft.pricing.payments.map((payment) => payment.method)).toEqual(['cash', 'pos']);
+  });
+
+  it('reports methods it does not know as row errors', () => {
+    const { errors } = buildDraft(row({ firstPaymentMethod: 'Bizum', secondPaymentMethod: 'cheque' }), {});
+    expect(errors).toEqual(['Unknown first payment method "Bizum"', 'Unknown second payment method "cheque"']);
+  });
+});
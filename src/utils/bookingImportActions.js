@@ -0,0 +1,375 @@
+// src/utils/bookingImportActions.js
+// Firestore side of the booking import: checking mapped rows against partners,
+// clients and existing bookings, writing them in one batch and rolling back.
+// Reading cells and building the booking drafts is in bookingImport.js.
+import {
+  arrayRemove,
+  arrayUnion,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  where,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { buildClientIndex, matchClient, strip } from './clientMatching';
+import { findBookingConflicts } from './bookingConflicts';
+import { buildInitialStatusFields, buildStatusActor, getBookingStatus, isBlockingStatus } from './bookingStatus';
+import { isTrashed } from './recycleBin';
+import { MAX_IMPORT_ROWS, buildDraft, getClientKeys, readRow } from './bookingImport';
+
+const PARTNER_COLLECTIONS = { hotels: 'Hotel', collaborators: 'Collaborator' };
+
+const fetchPartnersByName = async () => {
+  const partnersByName = {};
+  for (const collectionName of Object.keys(PARTNER_COLLECTIONS)) {
+    const snapshot = await getDocs(collection(db, collectionName));
+    snapshot.docs.forEach((partnerDoc) => {
+      const name = strip(partnerDoc.data().name);
+      if (name) partnersByName[name] = { id: partnerDoc.id, clientType: PARTNER_COLLECTIONS[collectionName] };
+    });
+  }
+  return partnersByName;
+};
+
+const fetchClients = async () => {
+  const snapshot = await getDocs(collection(db, 'clients'));
+  return snapshot.docs.map((clientDoc) => ({ id: clientDoc.id, ...clientDoc.data() }));
+};
+
+// Live bookings on the given dates, for duplicate detection
+const fetchBookingsOnDates = async (dates) => {
+  const bookings = [];
+  for (let i = 0; i < dates.length; i += 10) {
+    const snapshot = await getDocs(
+      query(collection(db, 'bookings'), where('bookingDetails.date', 'in', dates.slice(i, i + 10)))
+    );
+    snapshot.docs.forEach((bookingDoc) => {
+      const booking = { id: bookingDoc.id, ...bookingDoc.data() };
+      if (!isTrashed(booking) && getBookingStatus(booking) !== 'cancelled') bookings.push(booking);
+    });
+  }
+  return bookings;
+};
+
+const slotKey = (date, boatName) => `${date}|${strip(boatName)}`;
+
+/**
+ * Validate mapped spreadsheet rows and work out what importing them would do.
+ * Rows with errors are shown in the preview but never imported.
+ * @param {Object[]} rows - From parseImportFile.
+ * @param {Object} mapping - Field key → header, from guessColumnMapping (possibly edited).
+ * @returns {Promise<Object[]>} One entry per row: rowNumber, values, draft, status, client, errors, warnings.
+ */
+export const prepareImport = async (rows, mapping) => {
+  const partnersByName = await fetchPartnersByName();
+  const clients = await fetchClients();
+  const clientIndex = buildClientIndex(clients);
+  const clientNames = clients.reduce((names, client) => ({ ...names, [client.id]: client.name }), {});
+
+  const prepared = rows.map((row, index) => {
+    const values = readRow(row, mapping);
+    const { draft, status, errors, warnings } = buildDraft(values, partnersByName);
+    const clientId = matchClient(clientIndex, { email: values.clientEmail, phone: values.clientPhone });
+    return {
+      // Spreadsheet row number, counting the header row
+      rowNumber: index + 2,
+      values,
+      draft,
+      status,
+      client: clientId ? { id: clientId, name: clientNames[clientId] || '' } : null,
+      errors,
+      warnings
+    };
+  });
+
+  // Duplicates: same client, boat and day, either earlier in the file or already booked
+  const dates = Object.keys(
+    prepared.reduce((found, row) => (row.draft.bookingDate ? { ...found, [row.draft.bookingDate]: true } : found), {})
+  );
+  const existingBySlot = {};
+  (await fetchBookingsOnDates(dates)).forEach((booking) => {
+    const key = slotKey(booking.bookingDetails?.date, booking.bookingDetails?.boatName);
+    existingBySlot[key] = (existingBySlot[key] || []).concat(booking);
+  });
+
+  const seenInFile = {};
+  const duplicateBookingIds = {};
+  prepared.forEach((row) => {
+    if (!row.draft.bookingDate || !row.draft.bookingDetails.boatName) return;
+    const key = slotKey(row.draft.bookingDate, row.draft.bookingDetails.boatName);
+    const clientKeys = getClientKeys(row.draft.clientDetails);
+
+    const earlierRow = (seenInFile[key] || []).find((other) =>
+      getClientKeys(other.draft.clientDetails).some((clientKey) => clientKeys.includes(clientKey))
+    );
+    if (earlierRow) row.errors.push(`Duplicate of row ${earlierRow.rowNumber}`);
+    seenInFile[key] = (seenInFile[key] || []).concat(row);
+
+    const existing = (existingBySlot[key] || []).find((booking) =>
+      getClientKeys({
+        email: booking.clientDetails?.email,
+        phone: booking.clientDetails?.phone,
+        name: booking.clientDetails?.name || booking.clientName
+      }).some((clientKey) => clientKeys.includes(clientKey))
+    );
+    if (existing) {
+      row.errors.push(`Already booked for this client (booking ${existing.id})`);
+      duplicateBookingIds[row.rowNumber] = existing.id;
+    }
+  });
+
+  // Conflicts: only rows that would hold the boat and are otherwise importable
+  const slots = prepared.map((row) =>
+    row.errors.length === 0 && isBlockingStatus(row.status)
+      ? {
+          boatName: row.draft.bookingDetails.boatName,
+          date: row.draft.bookingDate,
+          startTime: row.draft.bookingDetails.startTime,
+          endTime: row.draft.bookingDetails.endTime
+        }
+      : {}
+  );
+  const { conflicts, calendarErrors } = await findBookingConflicts(slots);
+  conflicts.forEach((conflict) => {
+    const row = prepared[conflict.slotIndex];
+    if (conflict.type === 'booking') {
+      if (duplicateBookingIds[row.rowNumber] === conflict.bookingId) return;
+      row.errors.push(
+        `Overlaps ${conflict.clientName}'s booking on ${conflict.boatName} (${conflict.startTime || '?'}–${conflict.endTime || '?'})`
+      );
+    } else if (conflict.type === 'group') {
+      row.errors.push(`Overlaps another row for ${conflict.boatName} in this file`);
+    } else if (conflict.type === 'maintenance') {
+      row.errors.push(`${conflict.boatName} is out of service`);
+    } else {
+      row.errors.push(`${conflict.boatName} is busy in the owner's calendar`);
+    }
+  });
+  const uncheckedBoats = calendarErrors.map(strip);
+  prepared.forEach((row) => {
+    if (uncheckedBoats.includes(strip(row.draft.bookingDetails.boatName))) {
+      row.warnings.push("Owner calendar couldn't be checked");
+    }
+  });
+
+  return prepared;
+};
+
+// ---------------------------------------------------------------- Import & rollback
+
+/**
+ * Write every error-free prepared row in a single atomic batch.
+ * New clients are created once per contact even when they appear on several rows.
+ * @param {Object[]} preparedRows - From prepareImport.
+ * @param {Object} options
+ * @param {string} options.fileName
+ * @param {Object} [options.user] - Firebase auth user running the import.
+ * @returns {Promise<{batchId: string, bookingIds: string[]}>}
+ */
+export const importBookings = async (preparedRows, { fileName, user }) => {
+  const rows = preparedRows.filter((row) => row.errors.length === 0);
+  if (rows.length === 0) throw new Error('There are no valid rows to import');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import at most ${MAX_IMPORT_ROWS} bookings at a time`);
+  }
+
+  const batch = writeBatch(db);
+  const batchRef = doc(collection(db, 'importBatches'));
+  const batchId = batchRef.id;
+  const now = new Date().toISOString();
+  const createdBy = buildStatusActor(user);
+
+  const bookingIds = [];
+  const paymentIds = [];
+  // Client id → { isNew, data, bookingIds, totalSpent }
+  const clientWrites = {};
+  const newClientByKey = {};
+
+  rows.forEach((row) => {
+    const details = row.draft.clientDetails;
+    let clientId = row.client?.id;
+    if (!clientId) {
+      const keys = getClientKeys(details);
+      clientId = keys.map((key) => newClientByKey[key]).find(Boolean);
+      if (!clientId) {
+        clientId = doc(collection(db, 'clients')).id;
+        clientWrites[clientId] = {
+          isNew: true,
+          data: {
+            name: details.name,
+            email: details.email,
+            phone: details.phone,
+            passportNumber: details.passportNumber,
+            address: '',
+            clientType: row.draft.clientType,
+            source: row.draft.clientType === 'Direct' ? row.draft.clientSource : row.draft.clientType,
+            createdAt: now,
+            lastUpdated: now,
+            createdBy,
+            notes: '',
+            dob: '',
+            importBatchId: batchId
+          },
+          bookingIds: [],
+          totalSpent: 0
+        };
+      }
+      keys.forEach((key) => {
+        newClientByKey[key] = clientId;
+      });
+    }
+    if (!clientWrites[clientId]) clientWrites[clientId] = { isNew: false, bookingIds: [], totalSpent: 0 };
+
+    const bookingRef = doc(collection(db, 'bookings'));
+    const statusFields = buildInitialStatusFields(row.status, { user });
+    batch.set(bookingRef, {
+      ...row.draft,
+      id: bookingRef.id,
+      clientId,
+      createdAt: now,
+      lastUpdated: now,
+      ...statusFields,
+      createdBy,
+      importBatchId: batchId
+    });
+    bookingIds.push(bookingRef.id);
+    clientWrites[clientId].bookingIds.push(bookingRef.id);
+    clientWrites[clientId].totalSpent += row.draft.pricing.agreedPrice;
+
+    row.draft.pricing.payments
+      .filter((payment) => payment.amount > 0)
+      .forEach((payment) => {
+        const paymentRef = doc(collection(db, 'payments'));
+        batch.set(paymentRef, {
+          ...payment,
+          bookingId: bookingRef.id,
+          clientId,
+          createdBy,
+          createdAt: now,
+          importBatchId: batchId
+        });
+        paymentIds.push(paymentRef.id);
+      });
+  });
+
+  const clientUpdates = [];
+  Object.keys(clientWrites).forEach((clientId) => {
+    const write = clientWrites[clientId];
+    const clientRef = doc(db, 'clients', clientId);
+    if (write.isNew) {
+      batch.set(clientRef, {
+        ...write.data,
+        bookings: write.bookingIds,
+        totalBookings: write.bookingIds.length,
+        totalSpent: write.totalSpent
+      });
+    } else {
+      batch.update(clientRef, {
+        bookings: arrayUnion(...write.bookingIds),
+        totalBookings: increment(write.bookingIds.length),
+        totalSpent: increment(write.totalSpent),
+        lastUpdated: now
+      });
+    }
+    clientUpdates.push({ clientId, isNew: write.isNew, bookingIds: write.bookingIds, totalSpent: write.totalSpent });
+  });
+
+  batch.set(batchRef, {
+    fileName: fileName || '',
+    createdAt: now,
+    createdBy,
+    status: 'imported',
+    rowCount: preparedRows.length,
+    importedCount: bookingIds.length,
+    skippedCount: preparedRows.length - bookingIds.length,
+    bookingIds,
+    paymentIds,
+    clientUpdates
+  });
+
+  await batch.commit();
+  return { batchId, bookingIds };
+};
+
+/**
+ * Recent imports, newest first.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToImportBatches = (onChange, onError) =>
+  onSnapshot(
+    query(collection(db, 'importBatches'), orderBy('createdAt', 'desc'), limit(20)),
+    (snapshot) => onChange(snapshot.docs.map((batchDoc) => ({ id: batchDoc.id, ...batchDoc.data() }))),
+    (error) => {
+      console.error('Error loading import batches:', error);
+      if (onError) onError(error);
+    }
+  );
+
+/**
+ * Bookings from an import that have been worked on since, and would lose that work on rollback.
+ * @param {Object} importBatch - importBatches doc with its id.
+ * @returns {Promise<string[]>} Human-readable descriptions.
+ */
+export const getRollbackWarnings = async (importBatch) => {
+  const warnings = [];
+  for (const bookingId of importBatch.bookingIds || []) {
+    const snap = await getDoc(doc(db, 'bookings', bookingId));
+    if (!snap.exists()) continue;
+    const booking = snap.data();
+    const label = `${booking.clientName || 'Booking'} on ${booking.bookingDetails?.date || '?'}`;
+    if ((booking.linkedOrders || []).length > 0) warnings.push(`${label} has catering orders`);
+    else if ((booking.statusHistory || []).length > 1) warnings.push(`${label} has changed status`);
+    else if (booking.lastUpdated !== booking.createdAt) warnings.push(`${label} has been edited`);
+  }
+  return warnings;
+};
+
+/**
+ * Undo an import in one atomic batch: delete its bookings and payment records,
+ * delete the clients it created (unless they've been booked since) and take the
+ * imported bookings back off existing clients.
+ * @param {Object} importBatch - importBatches doc with its id.
+ * @param {Object} [user]
+ */
+export const rollbackImportBatch = async (importBatch, user) => {
+  if (importBatch.status !== 'imported') throw new Error('This import has already been rolled back');
+
+  const batch = writeBatch(db);
+  const bookingIds = importBatch.bookingIds || [];
+
+  bookingIds.forEach((bookingId) => batch.delete(doc(db, 'bookings', bookingId)));
+  (importBatch.paymentIds || []).forEach((paymentId) => batch.delete(doc(db, 'payments', paymentId)));
+
+  for (const update of importBatch.clientUpdates || []) {
+    const clientRef = doc(db, 'clients', update.clientId);
+    const snap = await getDoc(clientRef);
+    if (!snap.exists()) continue;
+    const otherBookings = (snap.data().bookings || []).filter((id) => !bookingIds.includes(id));
+
+    if (update.isNew && otherBookings.length === 0) {
+      batch.delete(clientRef);
+    } else {
+      batch.update(clientRef, {
+        bookings: arrayRemove(...update.bookingIds),
+        totalBookings: increment(-update.bookingIds.length),
+        totalSpent: increment(-update.totalSpent),
+        lastUpdated: new Date().toISOString()
+      });
+    }
+  }
+
+  batch.update(doc(db, 'importBatches', importBatch.id), {
+    status: 'rolledBack',
+    rolledBackAt: new Date().toISOString(),
+    rolledBackBy: buildStatusActor(user)
+  });
+
+  await batch.commit();
+};
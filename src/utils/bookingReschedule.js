@@ -0,0 +1,137 @@
+// src/utils/bookingReschedule.js
+// Moving a booking to another day or boat, keeping its catering orders, expenses
+// and payment due dates in step.
+import { collection, doc, getDoc, getDocs, query, serverTimestamp, updateDoc, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase/firebaseConfig';
+import { updateBookingWithHistory } from './bookingHistoryActions';
+import { buildSchedulePricing, getPaymentSchedule, shiftScheduleDueDates } from './paymentSchedule';
+
+const isTimestampLike = (value) => value && typeof value.toDate === 'function';
+
+// The expense tracker saves `new Date('YYYY-MM-DD')`, i.e. midnight UTC of the charter day
+const isTimestampOnDate = (value, ymd) =>
+  Boolean(ymd) && isTimestampLike(value) && value.toDate().toISOString().slice(0, 10) === ymd;
+
+// Catering orders keep their own copy of the date (and boat) they were booked against
+const moveLinkedOrders = async (booking, target) => {
+  const linkedOrders = booking.linkedOrders || [];
+  let moved = 0;
+
+  for (const linked of linkedOrders) {
+    if (!linked.orderDocId) continue;
+    try {
+      const orderRef = doc(db, 'orders', linked.orderDocId);
+      const orderSnap = await getDoc(orderRef);
+      if (!orderSnap.exists()) continue;
+
+      const order = orderSnap.data();
+      const updates = { orderDate: target.date, updatedAt: serverTimestamp() };
+      if (target.boatName !== booking.bookingDetails?.boatName) updates.boatName = target.boatName;
+      if (order.booking_info?.bookingDetails) {
+        updates['booking_info.bookingDetails.date'] = target.date;
+        updates['booking_info.bookingDetails.boatName'] = target.boatName;
+      }
+
+      await updateDoc(orderRef, updates);
+      moved += 1;
+    } catch (error) {
+      console.error('Error moving linked order', linked.orderDocId, error);
+    }
+  }
+  return moved;
+};
+
+// Expenses are linked by bookingId; only dates that matched the old booking date are moved
+const moveLinkedExpenses = async (booking, target) => {
+  const oldDate = booking.bookingDetails?.date;
+  const snapshot = await getDocs(query(collection(db, 'expenses'), where('bookingId', '==', booking.id)));
+  let moved = 0;
+
+  for (const expenseDoc of snapshot.docs) {
+    const expense = expenseDoc.data();
+    const updates = {};
+    if (expense.date === oldDate) updates.date = target.date;
+    // Expense tracker entries store the charter date as a Firestore timestamp
+    if (isTimestampOnDate(expense.data, oldDate)) updates.data = new Date(target.date);
+    if (isTimestampOnDate(expense.dataCompanie, oldDate)) updates.dataCompanie = new Date(target.date);
+    if (target.boatName !== booking.bookingDetails?.boatName && expense.numeleBarci) {
+      updates.numeleBarci = target.boatName;
+    }
+    if (Object.keys(updates).length === 0) continue;
+
+    await updateDoc(doc(db, 'expenses', expenseDoc.id), updates);
+    moved += 1;
+  }
+  return moved;
+};
+
+/**
+ * Move a booking to a new date and/or boat.
+ * @param {Object} booking - Raw booking doc with its id.
+ * @param {Object} target
+ * @param {string} target.date - YYYY-MM-DD
+ * @param {string} target.boatName
+ * @param {string} [target.boatCompany]
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Firebase auth user making the move.
+ * @param {Object} [options.conflictOverride] - From buildConflictOverride when an admin forces the move.
+ * @returns {Promise<{orders: number, expenses: number}>} How many linked records were moved.
+ */
+export const rescheduleBooking = async (booking, target, { user, conflictOverride } = {}) => {
+  const previous = booking.bookingDetails || {};
+  const now = new Date().toISOString();
+
+  const updates = {
+    'bookingDetails.date': target.date,
+    'bookingDetails.boatName': target.boatName,
+    'bookingDetails.boatCompany': target.boatCompany || previous.boatCompany || '',
+    bookingDate: target.date,
+    lastUpdated: now,
+    lastRescheduled: {
+      at: now,
+      by: user ? { uid: user.uid, displayName: user.displayName || '', email: user.email || '' } : null,
+      fromDate: previous.date || '',
+      fromBoat: previous.boatName || '',
+      toDate: target.date,
+      toBoat: target.boatName
+    },
+    ...(conflictOverride ? { conflictOverride } : {})
+  };
+
+  const schedule = getPaymentSchedule(booking.pricing);
+  const shifted = shiftScheduleDueDates(schedule, previous.date, target.date);
+  if (shifted.some((line, index) => line.dueDate !== schedule[index].dueDate)) {
+    updates['pricing.payments'] = buildSchedulePricing(shifted, booking.pricing).payments;
+  }
+  await updateBookingWithHistory(booking.id, updates, { user, source: 'reschedule' });
+
+  const orders = await moveLinkedOrders(booking, target);
+  const expenses = await moveLinkedExpenses(booking, target);
+  return { orders, expenses };
+};
+
+/**
+ * Email the client the booking's new details.
+ * @param {Object} booking - Raw booking doc, already updated to the new slot.
+ * @param {Object} previous - The booking's bookingDetails before the move.
+ */
+export const sendBookingChangeEmail = async (booking, previous = {}) => {
+  const details = booking.bookingDetails || {};
+  const sendEmail = httpsCallable(functions, 'sendBookingConfirmation');
+  await sendEmail({
+    clientName: booking.clientDetails?.name || booking.clientName || '',
+    clientEmail: booking.clientDetails?.email || '',
+    isUpdate: true,
+    previousDate: previous.date || '',
+    previousBoatName: previous.boatName || '',
+    bookingDetails: {
+      boatName: details.boatName || '',
+      date: details.date || '',
+      startTime: details.startTime || '',
+      endTime: details.endTime || '',
+      passengers: details.passengers?.toString() || '',
+      price: booking.pricing?.agreedPrice?.toString() || '0'
+    }
+  });
+};
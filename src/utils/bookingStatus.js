@@ -0,0 +1,149 @@
+// src/utils/bookingStatus.js
+// Booking lifecycle: enquiry → option (provisional hold) → confirmed → completed,
+// with cancelled / no-show as exits. Payment status is tracked separately in pricing.
+// No Firebase imports, so the rules can be used anywhere; transitionBooking in
+// bookingTransition.js saves a change.
+
+export const BOOKING_STATES = ['enquiry', 'option', 'confirmed', 'completed', 'cancelled', 'no-show'];
+
+// States a new booking can be created in
+export const INITIAL_STATES = ['enquiry', 'option', 'confirmed'];
+
+export const DEFAULT_OPTION_HOURS = 48;
+
+const TRANSITIONS = {
+  enquiry: ['option', 'confirmed', 'cancelled'],
+  option: ['confirmed', 'enquiry', 'cancelled'],
+  confirmed: ['completed', 'no-show', 'cancelled'],
+  completed: [],
+  'no-show': [],
+  cancelled: ['enquiry', 'option', 'confirmed']
+};
+
+export const STATUS_META = {
+  enquiry: { label: 'Enquiry', className: 'bg-gray-100 text-gray-700' },
+  option: { label: 'Option', className: 'bg-amber-100 text-amber-800' },
+  confirmed: { label: 'Confirmed', className: 'bg-blue-100 text-blue-800' },
+  completed: { label: 'Completed', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-700' },
+  'no-show': { label: 'No-show', className: 'bg-purple-100 text-purple-800' }
+};
+
+// Button labels for moving into each state
+export const TRANSITION_LABELS = {
+  enquiry: 'Release option',
+  option: 'Place option',
+  confirmed: 'Confirm',
+  completed: 'Mark completed',
+  cancelled: 'Cancel booking',
+  'no-show': 'Mark no-show'
+};
+
+/**
+ * Lifecycle state of a booking. Bookings saved before the lifecycle existed
+ * have status "active" (or none) and count as confirmed.
+ * @param {Object} booking - Raw Firestore booking doc.
+ * @returns {string} One of BOOKING_STATES.
+ */
+export const getBookingStatus = (booking) => {
+  if (!booking) return 'confirmed';
+  if (booking.status === 'cancelled' || booking.isCancelled === true) return 'cancelled';
+  if (BOOKING_STATES.includes(booking.status)) return booking.status;
+  return 'confirmed';
+};
+
+export const getStatusMeta = (status) => STATUS_META[status] || STATUS_META.confirmed;
+
+/**
+ * States reachable from the booking's current state. A cancelled booking can
+ * only be restored to the state it was cancelled from.
+ * @param {Object} booking
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (booking) => {
+  const current = getBookingStatus(booking);
+  if (current !== 'cancelled') return TRANSITIONS[current];
+
+  const lastCancel = (booking.statusHistory || [])
+    .filter((entry) => entry.to === 'cancelled')
+    .pop();
+  const restoreTo = TRANSITIONS.cancelled.includes(lastCancel?.from) ? lastCancel.from : 'confirmed';
+  return [restoreTo];
+};
+
+export const canTransition = (booking, to) => getAllowedTransitions(booking).includes(to);
+
+// Holds and firm bookings occupy the boat; enquiries and dead bookings don't
+export const isBlockingStatus = (status) => ['option', 'confirmed', 'completed'].includes(status);
+
+// Bookings whose money counts towards revenue and payment collection; no-shows forfeit their payment
+export const isRevenueStatus = (status) => ['confirmed', 'completed', 'no-show'].includes(status);
+
+export const toOptionExpiryDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+export const isOptionExpired = (booking, now = new Date()) => {
+  if (getBookingStatus(booking) !== 'option') return false;
+  const expiry = toOptionExpiryDate(booking.optionExpiresAt);
+  return Boolean(expiry && expiry <= now);
+};
+
+export const getDefaultOptionExpiry = (hours = DEFAULT_OPTION_HOURS) =>
+  new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+export const buildStatusActor = (user) =>
+  user ? { uid: user.uid, displayName: user.displayName || '', email: user.email || '' } : null;
+
+/**
+ * Fields to store on a booking being created in the given state.
+ * @param {string} status - One of INITIAL_STATES.
+ * @param {Object} options
+ * @param {Object} [options.user] - Firebase auth user creating the booking.
+ * @param {string} [options.optionExpiresAt] - ISO expiry, required for options.
+ */
+export const buildInitialStatusFields = (status, { user, optionExpiresAt } = {}) => {
+  const at = new Date().toISOString();
+  return {
+    status,
+    statusUpdatedAt: at,
+    statusHistory: [{ from: null, to: status, at, by: buildStatusActor(user), reason: 'Created' }],
+    optionExpiresAt: status === 'option' ? optionExpiresAt || getDefaultOptionExpiry() : null
+  };
+};
+
+/**
+ * The fields a lifecycle change writes, and its statusHistory entry. Saved by
+ * transitionBooking (bookingTransition.js).
+ * @param {Object} booking
+ * @param {string} to - Target state.
+ * @param {Object} options
+ * @param {Object} [options.user] - Firebase auth user making the change.
+ * @param {string} [options.reason]
+ * @param {string} [options.optionExpiresAt] - ISO expiry when placing an option.
+ * @returns {{updates: Object, entry: Object}}
+ * @throws {Error} When the booking can't move to that state.
+ */
+export const buildTransition = (booking, to, { user, reason = '', optionExpiresAt } = {}) => {
+  const from = getBookingStatus(booking);
+  if (!canTransition(booking, to)) {
+    throw new Error(`Cannot move a booking from ${getStatusMeta(from).label} to ${getStatusMeta(to).label}`);
+  }
+
+  const at = new Date().toISOString();
+  return {
+    entry: { from, to, at, by: buildStatusActor(user), reason },
+    updates: {
+      status: to,
+      statusUpdatedAt: at,
+      optionExpiresAt: to === 'option' ? optionExpiresAt || getDefaultOptionExpiry() : null,
+      // Legacy cancel flags are still read across the app
+      isCancelled: to === 'cancelled',
+      cancellationDate: to === 'cancelled' ? at : null,
+      cancellationReason: to === 'cancelled' ? reason : null,
+      lastUpdated: at
+    }
+  };
+};
@@ -0,0 +1,109 @@
+/* eslint-env jest */
+import {
+  buildInitialStatusFields,
+  buildTransition,
+  canTransition,
+  getAllowedTransitions,
+  getBookingStatus,
+  isBlockingStatus,
+  isOptionExpired,
+  isRevenueStatus
+} from './bookingStatus';
+
+const user = { uid: 'u1', displayName: 'Ana', email: 'ana@example.com' };
+
+describe('getBookingStatus', () => {
+  it('reads the lifecycle state', () => {
+    expect(getBookingStatus({ status: 'option' })).toBe('option');
+    expect(getBookingStatus({ status: 'no-show' })).toBe('no-show');
+  });
+
+  it('treats bookings from before the lifecycle as confirmed', () => {
+    expect(getBookingStatus({ status: 'active' })).toBe('confirmed');
+    expect(getBookingStatus({})).toBe('confirmed');
+    expect(getBookingStatus(null)).toBe('confirmed');
+  });
+
+  it('honours the legacy cancel flag', () => {
+    expect(getBookingStatus({ status: 'active', isCancelled: true })).toBe('cancelled');
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('follows the lifecycle', () => {
+    expect(getAllowedTransitions({ status: 'enquiry' })).toEqual(['option', 'confirmed', 'cancelled']);
+    expect(getAllowedTransitions({ status: 'confirmed' })).toEqual(['completed', 'no-show', 'cancelled']);
+    expect(getAllowedTransitions({ status: 'completed' })).toEqual([]);
+  });
+
+  it('only restores a cancelled booking to the state it was cancelled from', () => {
+    const booking = {
+      status: 'cancelled',
+      statusHistory: [
+        { from: null, to: 'enquiry' },
+        { from: 'enquiry', to: 'option' },
+        { from: 'option', to: 'cancelled' }
+      ]
+    };
+    expect(getAllowedTransitions(booking)).toEqual(['option']);
+    expect(canTransition(booking, 'confirmed')).toBe(false);
+  });
+
+  it('restores legacy cancellations as confirmed', () => {
+    expect(getAllowedTransitions({ isCancelled: true })).toEqual(['confirmed']);
+  });
+});
+
+describe('buildTransition', () => {
+  it('records who moved the booking and from where', () => {
+    const { updates, entry } = buildTransition({ status: 'option' }, 'confirmed', { user, reason: 'Deposit paid' });
+    expect(updates).toMatchObject({ status: 'confirmed', optionExpiresAt: null, isCancelled: false, cancellationDate: null });
+    expect(entry).toMatchObject({ from: 'option', to: 'confirmed', reason: 'Deposit paid', by: { uid: 'u1', email: 'ana@example.com' } });
+    expect(updates.statusUpdatedAt).toBe(entry.at);
+  });
+
+  it('sets the legacy cancel fields when cancelling', () => {
+    const { updates } = buildTransition({ status: 'confirmed' }, 'cancelled', { reason: 'Weather' });
+    expect(updates).toMatchObject({ isCancelled: true, cancellationReason: 'Weather' });
+    expect(updates.cancellationDate).toBe(updates.statusUpdatedAt);
+  });
+
+  it('gives a new option an expiry', () => {
+    expect(buildTransition({ status: 'enquiry' }, 'option', { optionExpiresAt: '2025-06-01T10:00:00.000Z' }).updates.optionExpiresAt)
+      .toBe('2025-06-01T10:00:00.000Z');
+    expect(buildTransition({ status: 'enquiry' }, 'option').updates.optionExpiresAt).toEqual(expect.any(String));
+  });
+
+  it('refuses moves the lifecycle does not allow', () => {
+    expect(() => buildTransition({ status: 'completed' }, 'cancelled')).toThrow('Cannot move a booking from Completed to Cancelled');
+    expect(() => buildTransition({ status: 'enquiry' }, 'no-show')).toThrow();
+  });
+});
+
+describe('status rules', () => {
+  it('lets holds and firm bookings block the boat', () => {
+    expect(['enquiry', 'option', 'confirmed', 'completed', 'cancelled', 'no-show'].filter(isBlockingStatus)).toEqual([
+      'option',
+      'confirmed',
+      'completed'
+    ]);
+  });
+
+  it('counts no-shows as revenue but not options', () => {
+    expect(isRevenueStatus('no-show')).toBe(true);
+    expect(isRevenueStatus('option')).toBe(false);
+  });
+
+  it('expires options once their hold has passed', () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    expect(isOptionExpired({ status: 'option', optionExpiresAt: '2025-06-01T11:00:00Z' }, now)).toBe(true);
+    expect(isOptionExpired({ status: 'option', optionExpiresAt: { toDate: () => new Date('2025-06-02T00:00:00Z') } }, now)).toBe(false);
+    expect(isOptionExpired({ status: 'confirmed', optionExpiresAt: '2025-06-01T11:00:00Z' }, now)).toBe(false);
+  });
+
+  it('starts a new booking with a history entry', () => {
+    const fields = buildInitialStatusFields('confirmed', { user });
+    expect(fields.statusHistory).toEqual([expect.objectContaining({ from: null, to: 'confirmed', reason: 'Created' })]);
+    expect(fields.optionExpiresAt).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+// src/utils/bookingTransition.js
+// Saving lifecycle changes worked out by buildTransition (bookingStatus.js).
+import { doc, updateDoc, arrayUnion } from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { buildTransition } from './bookingStatus';
+
+/**
+ * Move a booking to a new lifecycle state, recording who did it and when.
+ * @param {Object} booking - Booking with its Firestore id.
+ * @param {string} to - Target state.
+ * @param {Object} options
+ * @param {Object} [options.user] - Firebase auth user making the change.
+ * @param {string} [options.reason]
+ * @param {string} [options.optionExpiresAt] - ISO expiry when placing an option.
+ * @returns {Promise<Object>} The fields written.
+ */
+export const transitionBooking = async (booking, to, options = {}) => {
+  const { updates, entry } = buildTransition(booking, to, options);
+
+  await updateDoc(doc(db, 'bookings', booking.id), {
+    ...updates,
+    statusHistory: arrayUnion(entry)
+  });
+
+  return { ...updates, statusHistory: [...(booking.statusHistory || []), entry] };
+};
@@ -0,0 +1,80 @@
+// src/utils/calendarSync.js
+// Owner calendar busy periods, fetched server-side by the syncBoatCalendars
+// Cloud Functions and stored per boat in the `boatAvailability` collection.
+import { collection, doc, getDoc, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase/firebaseConfig';
+
+// The schedule runs every 30 minutes; after this long without a good sync the data is flagged
+export const STALE_AFTER_MS = 6 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const normaliseSyncDoc = (boatId, data) => ({
+  boatId,
+  boatName: data.boatName || '',
+  icalUrl: data.icalUrl || '',
+  syncStatus: data.syncStatus || 'pending',
+  lastError: data.lastError || null,
+  consecutiveFailures: data.consecutiveFailures || 0,
+  eventCount: data.eventCount || 0,
+  durationMs: data.durationMs || 0,
+  lastSyncAt: toDate(data.lastSyncAt),
+  lastSuccessAt: toDate(data.lastSuccessAt),
+  busy: (data.busy || []).map((period) => ({
+    ...period,
+    start: new Date(period.start),
+    end: new Date(period.end)
+  }))
+});
+
+/**
+ * Whether the stored busy periods can be trusted as current.
+ * @param {Object|null} sync - A normalised boatAvailability doc.
+ */
+export const isSyncStale = (sync) =>
+  !sync?.lastSuccessAt || Date.now() - sync.lastSuccessAt.getTime() > STALE_AFTER_MS;
+
+/**
+ * Listen to the sync state of every boat.
+ * @param {function(Object<string, Object>)} onChange - Receives sync docs keyed by boat id.
+ * @param {function(Error)} [onError]
+ * @returns {function} Unsubscribe
+ */
+export const subscribeToCalendarSync = (onChange, onError) =>
+  onSnapshot(
+    collection(db, 'boatAvailability'),
+    (snapshot) => {
+      const byBoat = {};
+      snapshot.docs.forEach((snap) => {
+        byBoat[snap.id] = normaliseSyncDoc(snap.id, snap.data());
+      });
+      onChange(byBoat);
+    },
+    onError
+  );
+
+/**
+ * Sync state and busy periods for one boat, or null if it has never been synced.
+ * @param {string} boatId
+ */
+export const fetchBoatCalendarSync = async (boatId) => {
+  const snap = await getDoc(doc(db, 'boatAvailability', boatId));
+  return snap.exists() ? normaliseSyncDoc(snap.id, snap.data()) : null;
+};
+
+/**
+ * Ask the server to re-fetch owner calendars now (admins only).
+ * @param {string} [boatId] - Sync a single boat; all boats when omitted.
+ * @returns {Promise<Array<{boatId: string, boatName: string, status: string, error?: string}>>}
+ */
+export const requestCalendarSync = async (boatId = null) => {
+  const syncNow = httpsCallable(functions, 'syncBoatCalendarsNow');
+  const result = await syncNow(boatId ? { boatId } : {});
+  return result.data?.results || [];
+};
@@ -0,0 +1,336 @@
+// src/utils/cancellationPolicy.js
+// Cancellation terms for charters. A policy is a list of tiers saying how much of
+// the agreed price is retained when the client cancels a given number of days
+// before the trip. Policies live in `cancellationPolicies` and are scoped to a
+// partner, a boat or the whole fleet; the most specific one wins.
+//
+// Cancelling with a policy stores a `cancellation` summary on the booking, books
+// any refund as a negative received payment line (so every revenue total that
+// reads pricing.payments nets it off) and scales owner payouts and the partner
+// commission down to the retained amount. Restoring the booking undoes all of
+// that. This file works the amounts out and has no Firebase imports; saving
+// policies, cancelling and restoring are in cancellationPolicyActions.js.
+import PrecisionFinancialUtils from './PrecisionFinancialUtils';
+
+export const POLICY_SCOPES = {
+  partner: 'Partner',
+  boat: 'Boat',
+  default: 'Default'
+};
+
+// Used until an admin saves a default policy of their own
+export const BUILT_IN_POLICY = {
+  id: null,
+  name: 'Standard terms',
+  scope: 'default',
+  tiers: [
+    { daysBefore: 30, retainPercent: 0 },
+    { daysBefore: 14, retainPercent: 50 },
+    { daysBefore: 0, retainPercent: 100 }
+  ],
+  ownerSharePercent: 0
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Tiers ordered from furthest out to closest, with numbers cleaned up.
+ */
+export const normalizeTiers = (tiers = []) =>
+  tiers
+    .map((tier) => ({
+      daysBefore: Math.max(0, parseInt(tier.daysBefore, 10) || 0),
+      retainPercent: Math.min(100, Math.max(0, Number(tier.retainPercent) || 0))
+    }))
+    .sort((a, b) => b.daysBefore - a.daysBefore);
+
+/**
+ * One line per tier, e.g. "30+ days: 0% retained".
+ */
+export const describeTiers = (tiers) =>
+  normalizeTiers(tiers).map((tier) => `${tier.daysBefore}+ days: ${tier.retainPercent}% retained`);
+
+/**
+ * The policy that applies to a booking: its partner's, then its boat's, then the default.
+ * @param {Object} booking
+ * @param {Array<Object>} policies - From subscribeToCancellationPolicies or loadCancellationContext.
+ * @returns {Object}
+ */
+export const resolvePolicy = (booking, policies = []) => {
+  const partnerId = booking.selectedPartner;
+  const boatName = (booking.bookingDetails?.boatName || '').trim().toLowerCase();
+
+  return (
+    (partnerId && policies.find((policy) => policy.scope === 'partner' && policy.partnerId === partnerId)) ||
+    (boatName &&
+      policies.find(
+        (policy) => policy.scope === 'boat' && (policy.boatName || '').trim().toLowerCase() === boatName
+      )) ||
+    policies.find((policy) => policy.scope === 'default') ||
+    BUILT_IN_POLICY
+  );
+};
+
+/**
+ * Whole days from today until the charter; negative once the date has passed.
+ * @returns {number|null} Null when the booking has no date.
+ */
+export const getDaysBeforeCharter = (booking, now = new Date()) => {
+  const date = booking.bookingDetails?.date || booking.bookingDate;
+  if (!date) return null;
+  const charterDay = new Date(`${String(date).slice(0, 10)}T00:00:00`);
+  if (isNaN(charterDay.getTime())) return null;
+  return Math.round((charterDay - startOfDay(now)) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Percentage of the agreed price kept for a cancellation this many days out.
+ * Closer than every tier (or after the trip) keeps everything.
+ */
+export const getRetainPercent = (policy, daysBefore) => {
+  if (daysBefore === null) return 100;
+  const tier = normalizeTiers(policy.tiers).find((entry) => daysBefore >= entry.daysBefore);
+  return tier ? tier.retainPercent : 100;
+};
+
+// Charter money actually received; catering on linked orders is settled with the order
+const getChargeReceived = (booking) =>
+  PrecisionFinancialUtils.extractBookingPayments(booking)
+    .receivedPayments.filter((payment) => !String(payment.type || '').startsWith('linked-order'))
+    .reduce((sum, payment) => sum + payment.amountNumber, 0);
+
+const sumSignedOwnerPayments = (ownerPayments = {}) =>
+  ['firstPayment', 'secondPayment', 'transferPayment'].reduce(
+    (sum, key) => sum + (ownerPayments[key]?.signature ? Number(ownerPayments[key].amount) || 0 : 0),
+    0
+  );
+
+// Owner payout and partner commission both follow the penalty
+const withPayouts = (summary) => {
+  const ownerPayout = round2((summary.penalty * summary.ownerSharePercent) / 100);
+  const partnerCommission = round2((summary.penalty * summary.commissionRate) / 100);
+  return {
+    ...summary,
+    ownerPayout,
+    ownerToReclaim: round2(Math.max(0, summary.ownerAlreadyPaid - ownerPayout)),
+    partnerCommission,
+    partnerToReclaim: round2(Math.max(0, summary.partnerAlreadyPaid - partnerCommission))
+  };
+};
+
+/**
+ * Work out what a cancellation costs the client and what everyone else is owed.
+ * The penalty is the policy's share of the agreed price, but never more than
+ * was actually received; the rest of the money received is refunded.
+ * @param {Object} booking
+ * @param {Object} policy - From resolvePolicy.
+ * @param {Object} [options]
+ * @param {Object} [options.partner] - Partner doc, for its commission rate.
+ * @param {Date} [options.now]
+ * @returns {Object} The cancellation summary stored on the booking.
+ */
+export const computeCancellation = (booking, policy, { partner, now = new Date() } = {}) => {
+  const agreedPrice = round2(booking.pricing?.agreedPrice);
+  const received = round2(getChargeReceived(booking));
+  const daysBefore = getDaysBeforeCharter(booking, now);
+  const retainPercent = getRetainPercent(policy, daysBefore);
+
+  const retainedDue = round2((agreedPrice * retainPercent) / 100);
+  const penalty = Math.min(retainedDue, Math.max(0, received));
+  const refund = round2(Math.max(0, received - penalty));
+
+  const commissionRate = booking.selectedPartner
+    ? Number(booking.commissionRate ?? partner?.commissionRate) || 0
+    : 0;
+
+  return withPayouts({
+    policyId: policy.id || null,
+    policyName: policy.name || BUILT_IN_POLICY.name,
+    daysBefore,
+    retainPercent,
+    agreedPrice,
+    received,
+    penalty,
+    refund,
+    uncollected: round2(retainedDue - penalty),
+    ownerSharePercent: Number(policy.ownerSharePercent) || 0,
+    ownerAlreadyPaid: round2(sumSignedOwnerPayments(booking.ownerPayments)),
+    commissionRate,
+    partnerAlreadyPaid: booking.partnerPayments?.firstPayment?.paid
+      ? round2(booking.partnerPayments.firstPayment.amount)
+      : 0
+  });
+};
+
+/**
+ * Override the refund worked out by the policy; the difference moves into or out of the penalty.
+ * @param {Object} summary - From computeCancellation.
+ * @param {number} refund - Between 0 and summary.received.
+ * @returns {Object}
+ * @throws {Error} When the refund is negative or more than was received.
+ */
+export const adjustRefund = (summary, refund) => {
+  const amount = round2(refund);
+  if (!(amount >= 0 && amount <= summary.received)) {
+    throw new Error(`The refund must be between €0 and the €${summary.received.toFixed(2)} received`);
+  }
+  if (amount === summary.refund) return summary;
+  return withPayouts({
+    ...summary,
+    refund: amount,
+    penalty: round2(summary.received - amount),
+    refundAdjusted: true
+  });
+};
+
+const getAtPath = (source, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// Unsigned owner payout lines are cut back so the total owed matches the owner's
+// share of the penalty. On partner bookings the first owner line mirrors the
+// partner fee (see ManagePartners), so it is handled with the commission instead.
+const buildOwnerPayoutUpdates = (booking, summary) => {
+  const ownerPayments = booking.ownerPayments || {};
+  const keys = booking.partnerPayments?.firstPayment
+    ? ['secondPayment', 'transferPayment']
+    : ['firstPayment', 'secondPayment', 'transferPayment'];
+  const updates = {};
+  let remaining = Math.max(0, summary.ownerPayout - sumSignedOwnerPayments(ownerPayments));
+
+  keys.forEach((key) => {
+    const payment = ownerPayments[key];
+    if (!payment || payment.signature) return;
+    const amount = key === 'transferPayment' ? 0 : round2(remaining);
+    remaining -= amount;
+    if (round2(payment.amount) !== amount) updates[`ownerPayments.${key}.amount`] = amount;
+  });
+
+  return updates;
+};
+
+const buildPartnerCommissionUpdates = (booking, summary) => {
+  const fee = booking.partnerPayments?.firstPayment;
+  if (!fee || fee.paid) return {};
+  const notes = `Adjusted for cancellation (${summary.retainPercent}% retained)`;
+  return {
+    'partnerPayments.firstPayment.amount': summary.partnerCommission,
+    'partnerPayments.firstPayment.notes': notes,
+    'ownerPayments.firstPayment.amount': summary.partnerCommission,
+    'ownerPayments.firstPayment.notes': notes
+  };
+};
+
+/**
+ * Owner payout and partner commission changes for a cancellation, as dotted-path updates.
+ * @param {Object} booking
+ * @param {Object} summary - From computeCancellation or adjustRefund.
+ * @returns {Object}
+ */
+export const buildPayoutUpdates = (booking, summary) => ({
+  ...buildOwnerPayoutUpdates(booking, summary),
+  ...buildPartnerCommissionUpdates(booking, summary)
+});
+
+const sumReceived = (payments) =>
+  round2(payments.reduce((sum, p) => sum + (p.received ? Number(p.amount) || 0 : 0), 0));
+
+/**
+ * What cancelling under a policy writes to the booking, besides the status change.
+ * Anything not yet received is waived, the refund is added as a received line and
+ * the payout fields are scaled down, keeping their old values for a restore.
+ * @param {Object} booking
+ * @param {Object} summary - From computeCancellation or adjustRefund.
+ * @param {Object} options
+ * @param {string} options.now - ISO time of the cancellation.
+ * @param {Object} [options.cancelledBy] - From buildStatusActor.
+ * @param {string} [options.refundMethod] - cash, pos or transfer.
+ * @param {string} [options.refundPaymentId] - The refund's `payments` doc, when there is a refund.
+ * @returns {{updates: Object, refundLine: Object|null, payments: Array<Object>, totalPaid: number, cancellation: Object}}
+ */
+export const buildCancellationUpdates = (
+  booking,
+  summary,
+  { now, cancelledBy = null, refundMethod = 'transfer', refundPaymentId = null }
+) => {
+  const refund = round2(summary.refund);
+
+  // The flag tells a restore which lines to reopen
+  const payments = (booking.pricing?.payments || []).map((payment) =>
+    payment.received || payment.waived ? payment : { ...payment, waived: true, waivedByCancellation: true }
+  );
+
+  const refundLine = refund > 0
+    ? {
+      type: 'refund',
+      amount: -refund,
+      method: refundMethod,
+      received: true,
+      date: now.slice(0, 10),
+      excludeVAT: false,
+      recordedAt: now
+    }
+    : null;
+  if (refundLine) payments.push({ ...refundLine, refundPaymentId });
+
+  const payoutUpdates = buildPayoutUpdates(booking, summary);
+  const cancellation = {
+    ...summary,
+    refund,
+    refundMethod: refundLine ? refundMethod : null,
+    refundPaymentId: refundLine ? refundPaymentId : null,
+    // Payout fields as they were, so a restore can put them back
+    payoutsBefore: Object.keys(payoutUpdates).map((path) => ({ path, value: getAtPath(booking, path) ?? null })),
+    cancelledAt: now,
+    cancelledBy
+  };
+  const totalPaid = sumReceived(payments);
+
+  return {
+    refundLine,
+    payments,
+    totalPaid,
+    cancellation,
+    updates: {
+      'pricing.payments': payments,
+      'pricing.totalPaid': totalPaid,
+      cancellation,
+      ...payoutUpdates,
+      lastUpdated: now
+    }
+  };
+};
+
+/**
+ * What restoring a cancelled booking writes back, besides the status change: the
+ * refund line goes, waived instalments are due again and payouts get their old amounts.
+ * @param {Object} booking - Booking with its `cancellation` summary.
+ * @param {string} now - ISO time of the restore.
+ * @returns {{updates: Object, payments: Array<Object>, totalPaid: number}}
+ */
+export const buildRestoreUpdates = (booking, now) => {
+  const cancellation = booking.cancellation || {};
+  const payments = (booking.pricing?.payments || [])
+    .filter((payment) => !(payment.type === 'refund' && cancellation.refundPaymentId && payment.refundPaymentId === cancellation.refundPaymentId))
+    .map((payment) => {
+      if (!payment.waivedByCancellation) return payment;
+      const reopened = { ...payment };
+      delete reopened.waived;
+      delete reopened.waivedByCancellation;
+      return reopened;
+    });
+  const totalPaid = sumReceived(payments);
+
+  return {
+    payments,
+    totalPaid,
+    updates: {
+      'pricing.payments': payments,
+      'pricing.totalPaid': totalPaid,
+      cancellation: null,
+      ...(cancellation.payoutsBefore || []).reduce((acc, { path, value }) => ({ ...acc, [path]: value }), {}),
+      lastUpdated: now
+    }
+  };
+};
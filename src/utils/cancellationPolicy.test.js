@@ -0,0 +1,190 @@
+/* eslint-env jest */
+import {
+  BUILT_IN_POLICY,
+  adjustRefund,
+  buildCancellationUpdates,
+  buildPayoutUpdates,
+  buildRestoreUpdates,
+  computeCancellation,
+  getDaysBeforeCharter,
+  getRetainPercent,
+  resolvePolicy
+} from './cancellationPolicy';
+
+const now = new Date('2025-06-01T10:00:00');
+
+const booking = (date, received, fields = {}) => ({
+  id: 'bk1',
+  bookingDetails: { date, boatName: 'Azimut 55' },
+  ...fields,
+  pricing: {
+    agreedPrice: 1000,
+    payments: [
+      { id: 'dep', type: 'installment', label: 'Deposit', amount: received, received: true },
+      { id: 'bal', type: 'installment', label: 'Balance', amount: 1000 - received, received: false }
+    ]
+  }
+});
+
+describe('policy tiers', () => {
+  it('picks the tier for the days left and keeps everything after the last one', () => {
+    expect(getRetainPercent(BUILT_IN_POLICY, 45)).toBe(0);
+    expect(getRetainPercent(BUILT_IN_POLICY, 30)).toBe(0);
+    expect(getRetainPercent(BUILT_IN_POLICY, 20)).toBe(50);
+    expect(getRetainPercent(BUILT_IN_POLICY, 0)).toBe(100);
+    expect(getRetainPercent(BUILT_IN_POLICY, -3)).toBe(100);
+    expect(getRetainPercent(BUILT_IN_POLICY, null)).toBe(100);
+    expect(getRetainPercent({ tiers: [{ daysBefore: '7', retainPercent: '150' }] }, 10)).toBe(100);
+  });
+
+  it('counts whole days to the charter', () => {
+    expect(getDaysBeforeCharter(booking('2025-06-20', 0), now)).toBe(19);
+    expect(getDaysBeforeCharter({ bookingDate: '2025-05-30' }, now)).toBe(-2);
+    expect(getDaysBeforeCharter({}, now)).toBeNull();
+  });
+
+  it("uses the partner's policy, then the boat's, then the default", () => {
+    const policies = [
+      { id: 'd', scope: 'default' },
+      { id: 'b', scope: 'boat', boatName: 'azimut 55 ' },
+      { id: 'p', scope: 'partner', partnerId: 'p1' }
+    ];
+    expect(resolvePolicy({ selectedPartner: 'p1', bookingDetails: { boatName: 'Azimut 55' } }, policies).id).toBe('p');
+    expect(resolvePolicy({ bookingDetails: { boatName: 'Azimut 55' } }, policies).id).toBe('b');
+    expect(resolvePolicy({ bookingDetails: { boatName: 'Riva 48' } }, policies).id).toBe('d');
+    expect(resolvePolicy({}, [])).toBe(BUILT_IN_POLICY);
+  });
+});
+
+describe('computeCancellation', () => {
+  it('refunds everything received when cancelled early', () => {
+    expect(computeCancellation(booking('2025-07-15', 300), BUILT_IN_POLICY, { now })).toMatchObject({
+      retainPercent: 0,
+      received: 300,
+      penalty: 0,
+      refund: 300,
+      uncollected: 0
+    });
+  });
+
+  it('caps the penalty at what was received', () => {
+    expect(computeCancellation(booking('2025-06-20', 300), BUILT_IN_POLICY, { now })).toMatchObject({
+      retainPercent: 50,
+      penalty: 300,
+      refund: 0,
+      uncollected: 200
+    });
+    expect(computeCancellation(booking('2025-06-20', 800), BUILT_IN_POLICY, { now })).toMatchObject({
+      penalty: 500,
+      refund: 300,
+      uncollected: 0
+    });
+  });
+
+  it('works out what to reclaim from the owner and the partner', () => {
+    const partnerBooking = booking('2025-06-20', 1000, {
+      selectedPartner: 'p1',
+      ownerPayments: { firstPayment: { amount: 100, signature: 'sig' }, secondPayment: { amount: 500, signature: 'sig' } },
+      partnerPayments: { firstPayment: { amount: 100, paid: true } }
+    });
+    const summary = computeCancellation(partnerBooking, { ...BUILT_IN_POLICY, ownerSharePercent: 40 }, {
+      now,
+      partner: { commissionRate: 10 }
+    });
+    expect(summary).toMatchObject({
+      penalty: 500,
+      ownerPayout: 200,
+      ownerAlreadyPaid: 600,
+      ownerToReclaim: 400,
+      partnerCommission: 50,
+      partnerAlreadyPaid: 100,
+      partnerToReclaim: 50
+    });
+  });
+});
+
+describe('adjustRefund', () => {
+  const summary = computeCancellation(booking('2025-06-20', 1000), { ...BUILT_IN_POLICY, ownerSharePercent: 50 }, { now });
+
+  it('moves the difference into the penalty and the payouts', () => {
+    expect(adjustRefund(summary, '800')).toMatchObject({ refund: 800, penalty: 200, ownerPayout: 100, refundAdjusted: true });
+    expect(adjustRefund(summary, 1000)).toMatchObject({ refund: 1000, penalty: 0 });
+    expect(adjustRefund(summary, 500)).toBe(summary);
+  });
+
+  it('only accepts refunds between 0 and the amount received', () => {
+    expect(() => adjustRefund(summary, -1)).toThrow('The refund must be between €0 and the €1000.00 received');
+    expect(() => adjustRefund(summary, 1000.01)).toThrow();
+  });
+});
+
+describe('buildPayoutUpdates', () => {
+  it('cuts unsigned owner lines back to the owner share and leaves signed ones', () => {
+    const ownerBooking = booking('2025-06-20', 1000, {
+      ownerPayments: {
+        firstPayment: { amount: 150, signature: 'sig' },
+        secondPayment: { amount: 600 },
+        transferPayment: { amount: 80 }
+      }
+    });
+    const summary = computeCancellation(ownerBooking, { ...BUILT_IN_POLICY, ownerSharePercent: 40 }, { now });
+    expect(buildPayoutUpdates(ownerBooking, summary)).toEqual({
+      'ownerPayments.secondPayment.amount': 50,
+      'ownerPayments.transferPayment.amount': 0
+    });
+  });
+
+  it('sets an unpaid partner fee, and the owner line mirroring it, to the commission', () => {
+    const partnerBooking = booking('2025-06-20', 1000, {
+      selectedPartner: 'p1',
+      commissionRate: 20,
+      partnerPayments: { firstPayment: { amount: 200, paid: false } },
+      ownerPayments: { firstPayment: { amount: 200 } }
+    });
+    const summary = computeCancellation(partnerBooking, BUILT_IN_POLICY, { now });
+    expect(buildPayoutUpdates(partnerBooking, summary)).toMatchObject({
+      'partnerPayments.firstPayment.amount': 100,
+      'ownerPayments.firstPayment.amount': 100,
+      'partnerPayments.firstPayment.notes': 'Adjusted for cancellation (50% retained)'
+    });
+  });
+});
+
+describe('cancelling and restoring', () => {
+  const original = booking('2025-06-20', 800, { ownerPayments: { secondPayment: { amount: 400 } } });
+  const summary = computeCancellation(original, { ...BUILT_IN_POLICY, ownerSharePercent: 50 }, { now });
+  const cancelled = buildCancellationUpdates(original, summary, {
+    now: '2025-06-01T10:00:00.000Z',
+    refundMethod: 'pos',
+    refundPaymentId: 'pay1'
+  });
+
+  it('waives what is still due and books the refund as a received line', () => {
+    expect(cancelled.payments.map(({ id, type, amount, waived }) => ({ id, type, amount, waived }))).toEqual([
+      { id: 'dep', type: 'installment', amount: 800, waived: undefined },
+      { id: 'bal', type: 'installment', amount: 200, waived: true },
+      { id: undefined, type: 'refund', amount: -300, waived: undefined }
+    ]);
+    expect(cancelled.payments[2]).toMatchObject({ method: 'pos', received: true, refundPaymentId: 'pay1', date: '2025-06-01' });
+    expect(cancelled.totalPaid).toBe(500);
+    expect(cancelled.cancellation).toMatchObject({ refund: 300, refundMethod: 'pos', refundPaymentId: 'pay1' });
+    expect(cancelled.updates['ownerPayments.secondPayment.amount']).toBe(250);
+    expect(cancelled.cancellation.payoutsBefore).toEqual([{ path: 'ownerPayments.secondPayment.amount', value: 400 }]);
+  });
+
+  it('books nothing without a refund', () => {
+    const noRefund = buildCancellationUpdates(original, { ...summary, refund: 0 }, { now: '2025-06-01T10:00:00.000Z' });
+    expect(noRefund.refundLine).toBeNull();
+    expect(noRefund.cancellation).toMatchObject({ refundMethod: null, refundPaymentId: null });
+  });
+
+  it('puts everything back on restore', () => {
+    const restored = buildRestoreUpdates(
+      { ...original, pricing: { ...original.pricing, payments: cancelled.payments }, cancellation: cancelled.cancellation },
+      '2025-06-02T10:00:00.000Z'
+    );
+    expect(restored.payments).toEqual(original.pricing.payments);
+    expect(restored.totalPaid).toBe(800);
+    expect(restored.updates).toMatchObject({ cancellation: null, 'ownerPayments.secondPayment.amount': 400 });
+  });
+});
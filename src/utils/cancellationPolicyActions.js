@@ -0,0 +1,195 @@
+// src/utils/cancellationPolicyActions.js
+// Saving cancellation policies, and cancelling and restoring bookings under them
+// (amounts and rules in cancellationPolicy.js).
+import {
+  addDoc,
+  arrayUnion,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  updateDoc,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { diffBookingUpdate } from './bookingHistory';
+import { recordBookingChanges } from './bookingHistoryActions';
+import { buildStatusActor, buildTransition, getAllowedTransitions } from './bookingStatus';
+import { POLICY_SCOPES, buildCancellationUpdates, buildRestoreUpdates, normalizeTiers } from './cancellationPolicy';
+
+const PARTNER_COLLECTIONS = {
+  Hotel: 'hotels',
+  Collaborator: 'collaborators'
+};
+
+/**
+ * Live list of saved policies.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToCancellationPolicies = (onChange, onError) =>
+  onSnapshot(
+    collection(db, 'cancellationPolicies'),
+    (snapshot) => {
+      const policies = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+      const scopeOrder = Object.keys(POLICY_SCOPES);
+      policies.sort(
+        (a, b) =>
+          scopeOrder.indexOf(a.scope) - scopeOrder.indexOf(b.scope) ||
+          (a.name || '').localeCompare(b.name || '')
+      );
+      onChange(policies);
+    },
+    (error) => {
+      console.error('Error loading cancellation policies:', error);
+      if (onError) onError(error);
+    }
+  );
+
+/**
+ * Create or update a policy.
+ * @param {Object} policy - name, scope, boatName or partnerId/partnerName, tiers, ownerSharePercent.
+ * @param {Object} [user]
+ */
+export const saveCancellationPolicy = async (policy, user) => {
+  const data = {
+    name: policy.name.trim(),
+    scope: policy.scope,
+    boatName: policy.scope === 'boat' ? policy.boatName : null,
+    partnerId: policy.scope === 'partner' ? policy.partnerId : null,
+    partnerName: policy.scope === 'partner' ? policy.partnerName || '' : null,
+    tiers: normalizeTiers(policy.tiers),
+    ownerSharePercent: Math.min(100, Math.max(0, Number(policy.ownerSharePercent) || 0)),
+    updatedAt: new Date().toISOString(),
+    updatedBy: buildStatusActor(user)
+  };
+
+  if (policy.id) {
+    await updateDoc(doc(db, 'cancellationPolicies', policy.id), data);
+    return policy.id;
+  }
+  const policyRef = await addDoc(collection(db, 'cancellationPolicies'), {
+    ...data,
+    createdAt: data.updatedAt
+  });
+  return policyRef.id;
+};
+
+/**
+ * Load what computeCancellation needs: saved policies and the booking's partner, if any.
+ * @returns {Promise<{policies: Array<Object>, partner: Object|null}>}
+ */
+export const loadCancellationContext = async (booking) => {
+  const snapshot = await getDocs(collection(db, 'cancellationPolicies'));
+  const policies = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+
+  let partner = null;
+  const partnerCollection = PARTNER_COLLECTIONS[booking.clientType];
+  if (partnerCollection && booking.selectedPartner) {
+    const partnerSnap = await getDoc(doc(db, partnerCollection, booking.selectedPartner));
+    if (partnerSnap.exists()) partner = { id: partnerSnap.id, ...partnerSnap.data() };
+  }
+
+  return { policies, partner };
+};
+
+// History is best-effort, as in updateBookingWithHistory
+const recordCancellationHistory = async (booking, statusFields, updates, user) => {
+  try {
+    await recordBookingChanges(booking.id, diffBookingUpdate({ ...booking, ...statusFields }, updates), {
+      user,
+      source: 'cancellation'
+    });
+  } catch (error) {
+    console.error('Error recording booking history:', error);
+  }
+};
+
+/**
+ * Cancel a booking under a policy: change its status, record the refund and
+ * adjust payouts, all in one batch so a failure leaves nothing half done.
+ * @param {Object} booking - Booking with its id.
+ * @param {Object} summary - From computeCancellation or adjustRefund.
+ * @param {Object} [options]
+ * @param {Object} [options.user]
+ * @param {string} [options.reason]
+ * @param {string} [options.refundMethod] - cash, pos or transfer.
+ * @returns {Promise<Object>} Everything written to the booking, for local state.
+ */
+export const applyCancellation = async (booking, summary, { user, reason = '', refundMethod = 'transfer' } = {}) => {
+  const { updates: statusFields, entry } = buildTransition(booking, 'cancelled', { user, reason });
+  const now = new Date().toISOString();
+  const createdBy = buildStatusActor(user);
+  const batch = writeBatch(db);
+
+  const refundRef = summary.refund > 0 ? doc(collection(db, 'payments')) : null;
+  const { updates, refundLine, payments, totalPaid, cancellation } = buildCancellationUpdates(booking, summary, {
+    now,
+    cancelledBy: createdBy,
+    refundMethod,
+    refundPaymentId: refundRef?.id || null
+  });
+
+  if (refundLine) {
+    batch.set(refundRef, {
+      ...refundLine,
+      bookingId: booking.id,
+      clientId: booking.clientId || null,
+      description: `Cancellation refund – ${booking.bookingDetails?.boatName || 'charter'}`,
+      createdBy,
+      createdAt: now
+    });
+  }
+  batch.update(doc(db, 'bookings', booking.id), {
+    ...statusFields,
+    statusHistory: arrayUnion(entry),
+    ...updates
+  });
+  await batch.commit();
+
+  await recordCancellationHistory(booking, statusFields, updates, user);
+
+  return {
+    ...statusFields,
+    statusHistory: [...(booking.statusHistory || []), entry],
+    cancellation,
+    pricing: { ...(booking.pricing || {}), payments, totalPaid }
+  };
+};
+
+/**
+ * Restore a cancelled booking to the state it was cancelled from and undo what
+ * applyCancellation booked, in one batch: the refund line and its payments doc
+ * go, waived instalments are due again and payouts get their old amounts back.
+ * @param {Object} booking - Booking with its id.
+ * @param {Object} [options]
+ * @param {Object} [options.user]
+ * @returns {Promise<Object>} Everything written to the booking, for local state.
+ */
+export const restoreCancelledBooking = async (booking, { user } = {}) => {
+  const [restoreTo] = getAllowedTransitions(booking);
+  const { updates: statusFields, entry } = buildTransition(booking, restoreTo, { user, reason: 'Restored' });
+  const statusUpdates = { ...statusFields, statusHistory: [...(booking.statusHistory || []), entry] };
+  const bookingRef = doc(db, 'bookings', booking.id);
+  const { cancellation } = booking;
+
+  // Cancelled before policies existed: nothing was booked
+  if (!cancellation) {
+    await updateDoc(bookingRef, { ...statusFields, statusHistory: arrayUnion(entry) });
+    return statusUpdates;
+  }
+
+  const { updates, payments, totalPaid } = buildRestoreUpdates(booking, new Date().toISOString());
+  const batch = writeBatch(db);
+  if (cancellation.refundPaymentId) batch.delete(doc(db, 'payments', cancellation.refundPaymentId));
+  batch.update(bookingRef, { ...statusFields, statusHistory: arrayUnion(entry), ...updates });
+  await batch.commit();
+
+  await recordCancellationHistory(booking, statusFields, updates, user);
+
+  return {
+    ...statusUpdates,
+    cancellation: null,
+    pricing: { ...(booking.pricing || {}), payments, totalPaid }
+  };
+};
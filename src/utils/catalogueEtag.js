@@ -0,0 +1,24 @@
+// src/utils/catalogueEtag.js
+// ETags for the public boats catalogue API (pages/api/catalogue.js).
+// Server only: uses Node's crypto, so never import it from the app.
+import crypto from 'crypto';
+
+/**
+ * Strong ETag for a response body; the same body always gets the same tag.
+ * @param {string} body - The JSON sent to the client.
+ * @returns {string} Quoted tag, ready for the ETag header.
+ */
+export const getCatalogueEtag = (body) => `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+/**
+ * Whether an If-None-Match header still matches, so the client can get a 304.
+ * Takes a list of tags, weak tags (W/"...") and `*`.
+ * @param {string} header - The request's If-None-Match header, if any.
+ * @param {string} etag - The current tag from getCatalogueEtag.
+ * @returns {boolean}
+ */
+export const etagMatches = (header, etag) =>
+  String(header || '')
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .some((value) => value === etag || value === '*');
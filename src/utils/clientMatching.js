@@ -0,0 +1,67 @@
+// src/utils/clientMatching.js
+// Contact normalisation used to link bookings to clients by email or phone.
+
+export const strip = (s) => (s || '').toString().trim().toLowerCase();
+
+export const isPlaceholder = (s) => {
+  const t = strip(s);
+  return !t || t === '-' || t === '—' || t === 'n/a' || t === 'na' || t === '--' || t === 'none';
+};
+
+export const cleanEmail = (s) => strip(s).replace(/^[-_.\s]+/, ''); // remove leading junk like "-" or spaces
+
+export const canonicalEmail = (s) => {
+  const e = cleanEmail(s);
+  const at = e.indexOf('@');
+  if (at === -1) return e;
+  let local = e.slice(0, at);
+  let domain = e.slice(at + 1);
+  if (domain === 'googlemail.com') domain = 'gmail.com';
+  if (domain === 'gmail.com') {
+    local = local.replace(/\./g, '').replace(/\+.*/, '');
+  }
+  return `${local}@${domain}`;
+};
+
+export const normPhone = (s) => (s || '').toString().replace(/\D/g, ''); // E.164-ish digits only
+
+/**
+ * Index clients by canonical email and phone. Only keys that belong to exactly
+ * one client are usable for matching, so shared family/agency contacts never
+ * attach a booking to the wrong person.
+ * @param {Array<Object>} clients - Client docs with id, email and phone.
+ * @returns {{byEmail: Object, byPhone: Object}} Key → client id, unique keys only.
+ */
+export const buildClientIndex = (clients) => {
+  const collect = (keyFn) => {
+    const ids = {};
+    clients.forEach((client) => {
+      const key = keyFn(client);
+      if (!key || isPlaceholder(key)) return;
+      ids[key] = (ids[key] || []).concat(client.id);
+    });
+    return Object.keys(ids).reduce((unique, key) => {
+      if (ids[key].length === 1) unique[key] = ids[key][0];
+      return unique;
+    }, {});
+  };
+
+  return {
+    byEmail: collect((client) => canonicalEmail(client.email)),
+    byPhone: collect((client) => normPhone(client.phone)),
+  };
+};
+
+/**
+ * Find the client a contact belongs to, email first, then phone.
+ * @param {{byEmail: Object, byPhone: Object}} index - From buildClientIndex.
+ * @param {{email?: string, phone?: string}} contact
+ * @returns {string|null} Client id.
+ */
+export const matchClient = (index, { email, phone } = {}) => {
+  const emailKey = canonicalEmail(email);
+  if (emailKey && index.byEmail[emailKey]) return index.byEmail[emailKey];
+  const phoneKey = normPhone(phone);
+  if (phoneKey && index.byPhone[phoneKey]) return index.byPhone[phoneKey];
+  return null;
+};
@@ -0,0 +1,187 @@
+// src/utils/dailyManifest.js
+// Captain's trip manifest: everything the crew needs for one boat's day, as a PDF.
+import { doc, getDoc } from 'firebase/firestore';
+import { jsPDF } from 'jspdf';
+import 'jspdf-autotable';
+import { db } from '../firebase/firebaseConfig';
+import { fetchBookingsForDate } from './bookingConflicts';
+import { getBookingStatus, isBlockingStatus } from './bookingStatus';
+import { isTrashed } from './recycleBin';
+import PrecisionFinancialUtils from './PrecisionFinancialUtils';
+
+const colors = {
+  deepBlue: [26, 61, 93],
+  white: [255, 255, 255],
+  charcoal: [50, 50, 50]
+};
+
+const UNASSIGNED_BOAT = 'Boat not set';
+
+const formatTransferPoint = (point) => {
+  if (!point?.location) return '';
+  return point.locationDetail ? `${point.location} – ${point.locationDetail}` : point.location;
+};
+
+const formatEuro = (amount) => `€${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Human-readable manifest date, e.g. "Sunday 15/06/2025".
+ * @param {string} date - YYYY-MM-DD
+ */
+export const formatManifestDate = (date) => {
+  const day = new Date(`${date}T00:00:00`);
+  if (isNaN(day.getTime())) return date;
+  return day.toLocaleDateString('en-GB', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' });
+};
+
+const fetchLinkedOrders = async (booking) => {
+  const orders = [];
+  for (const linked of booking.linkedOrders || []) {
+    if (!linked.orderDocId) continue;
+    try {
+      const snap = await getDoc(doc(db, 'orders', linked.orderDocId));
+      if (snap.exists() && !isTrashed(snap.data())) orders.push({ id: snap.id, ...snap.data() });
+    } catch (error) {
+      console.error('Error fetching order', linked.orderDocId, error);
+    }
+  }
+  return orders;
+};
+
+const buildTrip = async (booking) => {
+  const transfer = booking.transfer || {};
+  const { totalOutstandingNumber, pendingPayments } = PrecisionFinancialUtils.extractBookingPayments(booking);
+  const orders = await fetchLinkedOrders(booking);
+
+  return {
+    id: booking.id,
+    status: getBookingStatus(booking),
+    clientName: booking.clientDetails?.name || booking.clientName || 'Unknown client',
+    phone: booking.clientDetails?.phone || '',
+    passengers: booking.bookingDetails?.passengers || '',
+    startTime: booking.bookingDetails?.startTime || '',
+    endTime: booking.bookingDetails?.endTime || '',
+    pickup: transfer.required ? formatTransferPoint(transfer.pickup) : '',
+    dropoff: transfer.required ? formatTransferPoint(transfer.dropoff) : '',
+    orders: orders.map((order) => ({
+      orderId: order.orderId || order.id,
+      items: (order.items || []).map((item) => `${item.quantity || 1}x ${item.name}`)
+    })),
+    notes: booking.notes ?? booking.clientNotes ?? '',
+    balance: totalOutstandingNumber,
+    balanceMethods: pendingPayments
+      .map((payment) => payment.method)
+      .filter((method, index, methods) => method && methods.indexOf(method) === index)
+  };
+};
+
+/**
+ * Load the day's trips grouped by boat. Enquiries, cancellations and trashed
+ * bookings are left out; options are kept (and flagged) because the boat is held.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array<{boatName: string, boatCompany: string, trips: Array<Object>}>>} Boats A–Z, trips by start time.
+ */
+export const fetchDailyManifest = async (date) => {
+  const bookings = (await fetchBookingsForDate(date)).filter(
+    (booking) => !isTrashed(booking) && isBlockingStatus(getBookingStatus(booking))
+  );
+
+  const boats = {};
+  for (const booking of bookings) {
+    const boatName = booking.bookingDetails?.boatName || UNASSIGNED_BOAT;
+    if (!boats[boatName]) {
+      boats[boatName] = { boatName, boatCompany: booking.bookingDetails?.boatCompany || '', trips: [] };
+    }
+    boats[boatName].trips.push(await buildTrip(booking));
+  }
+
+  return Object.values(boats)
+    .map((boat) => ({
+      ...boat,
+      trips: boat.trips.sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''))
+    }))
+    .sort((a, b) => a.boatName.localeCompare(b.boatName));
+};
+
+const drawBoatPage = (pdf, boat, date) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+
+  pdf.setFillColor(...colors.deepBlue);
+  pdf.rect(0, 0, pageWidth, 22, 'F');
+  pdf.setTextColor(...colors.white);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.text(boat.boatName.toUpperCase(), 10, 10);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.text(`Daily manifest · ${formatManifestDate(date)}`, 10, 17);
+  if (boat.boatCompany) pdf.text(boat.boatCompany, pageWidth - 10, 17, { align: 'right' });
+
+  const body = boat.trips.map((trip) => [
+    `${trip.startTime || '?'} – ${trip.endTime || '?'}${trip.status === 'option' ? '\n(OPTION)' : ''}`,
+    [trip.clientName, trip.phone].filter(Boolean).join('\n'),
+    String(trip.passengers || '—'),
+    [trip.pickup && `Pickup: ${trip.pickup}`, trip.dropoff && `Drop-off: ${trip.dropoff}`].filter(Boolean).join('\n') || '—',
+    trip.orders.map((order) => [`#${order.orderId}`, ...order.items].join('\n')).join('\n\n') || '—',
+    trip.notes || '—',
+    trip.balance > 0
+      ? `${formatEuro(trip.balance)}${trip.balanceMethods.length ? `\n(${trip.balanceMethods.join(', ')})` : ''}`
+      : 'Paid'
+  ]);
+
+  pdf.autoTable({
+    startY: 28,
+    head: [['Time', 'Client', 'Pax', 'Transfer', 'Catering', 'Notes', 'To collect']],
+    body,
+    theme: 'grid',
+    styles: { fontSize: 9, cellPadding: 2, textColor: colors.charcoal, valign: 'top' },
+    headStyles: { fillColor: colors.deepBlue, textColor: colors.white },
+    columnStyles: {
+      0: { cellWidth: 24 },
+      1: { cellWidth: 40 },
+      2: { cellWidth: 12, halign: 'center' },
+      3: { cellWidth: 50 },
+      4: { cellWidth: 50 },
+      6: { cellWidth: 26, halign: 'right', fontStyle: 'bold' }
+    },
+    margin: { left: 10, right: 10 }
+  });
+
+  const totalPassengers = boat.trips.reduce((sum, trip) => sum + (parseInt(trip.passengers, 10) || 0), 0);
+  const totalBalance = boat.trips.reduce((sum, trip) => sum + (trip.balance > 0 ? trip.balance : 0), 0);
+  pdf.setFontSize(10);
+  pdf.setTextColor(...colors.charcoal);
+  pdf.text(
+    `${boat.trips.length} trip${boat.trips.length === 1 ? '' : 's'} · ${totalPassengers} passengers · ` +
+      `${formatEuro(totalBalance)} to collect on board`,
+    10,
+    pdf.autoTable.previous.finalY + 8
+  );
+};
+
+/**
+ * Build the manifest PDF, one boat per page (a long day continues onto further pages).
+ * @param {Array<Object>} boats - From fetchDailyManifest, or a single boat of it.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {jsPDF}
+ */
+export const buildManifestPdf = (boats, date) => {
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  boats.forEach((boat, index) => {
+    if (index > 0) pdf.addPage();
+    drawBoatPage(pdf, boat, date);
+  });
+  return pdf;
+};
+
+export const getManifestFileName = (date, boatName) =>
+  `manifest-${date}${boatName ? `-${boatName.replace(/\s+/g, '-').toLowerCase()}` : ''}.pdf`;
+
+/**
+ * Open a manifest in a new tab with the print dialog already up.
+ * @param {jsPDF} pdf
+ */
+export const printManifestPdf = (pdf) => {
+  pdf.autoPrint();
+  window.open(pdf.output('bloburl'), '_blank');
+};
@@ -0,0 +1,275 @@
+// src/utils/fleetUtilisation.js
+// How full each boat is and what it earns per day it could have sailed.
+//   available day: a season day not blocked by the maintenance log or the owner's calendar
+//   booked day:    a day with at least one firm booking on the boat
+//   revenue per available day = charter revenue / available days
+//   price index:   agreed prices against the list prices for the same charters
+// Owner calendar blocks only cover the window the calendar sync keeps (from
+// yesterday onwards), so earlier owner use counts as available.
+import { getBookingStatus, isRevenueStatus } from './bookingStatus';
+import { isTrashed } from './recycleBin';
+import { getOutOfServicePeriods } from './boatMaintenance';
+import { SEASONS, findBoatByName, quoteBoatPrice } from './seasonalPricing';
+import { getSlotInterval } from './availability';
+import { getZonedParts } from './icalParser';
+
+// Charters without times count as this many hours
+const DEFAULT_CHARTER_HOURS = 8;
+// Too few available days for the figures to mean anything
+const MIN_AVAILABLE_DAYS = 7;
+// Flagged below this share of the fleet's utilisation, or below this price index
+export const UNDERUSED_RATIO = 0.6;
+export const DISCOUNTED_PRICE_INDEX = 0.85;
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const UTILISATION_FLAG_META = {
+  underused: { label: 'Under-used', badge: 'bg-amber-100 text-amber-800' },
+  discounted: { label: 'Heavily discounted', badge: 'bg-red-100 text-red-800' }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const toYmd = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const getCharterHours = (details) => {
+  if (!/^\d{2}:\d{2}/.test(details.startTime || '') || !/^\d{2}:\d{2}/.test(details.endTime || '')) {
+    return DEFAULT_CHARTER_HOURS;
+  }
+  let minutes = toMinutes(details.endTime) - toMinutes(details.startTime);
+  if (minutes <= 0) minutes += 24 * 60;
+  return minutes / 60;
+};
+
+const nextYmd = (ymd) => {
+  const [year, month, day] = ymd.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+// Madrid days touched by [start, end), like the booking slots
+const markDays = (days, start, end) => {
+  const { y, m, d } = getZonedParts(start);
+  for (let ymd = `${y}-${pad(m)}-${pad(d)}`; getSlotInterval(ymd).start < end; ymd = nextYmd(ymd)) {
+    days[ymd] = true;
+  }
+};
+
+/**
+ * Season days in a year, optionally only up to a date.
+ * @param {number} year
+ * @param {string} [season] - Key of SEASONS; every season when left out.
+ * @param {string} [until] - YYYY-MM-DD, inclusive.
+ * @returns {string[]} YYYY-MM-DD
+ */
+export const getSeasonDays = (year, season, until) => {
+  const months = season ? SEASONS[season] : Object.values(SEASONS).flat();
+  const days = [];
+  [...months].sort((a, b) => a - b).forEach((month) => {
+    const count = new Date(year, month, 0).getDate();
+    for (let day = 1; day <= count; day += 1) {
+      const ymd = `${year}-${pad(month)}-${pad(day)}`;
+      if (!until || ymd <= until) days.push(ymd);
+    }
+  });
+  return days;
+};
+
+const emptyStats = () => ({
+  seasonDays: 0,
+  blockedDays: 0,
+  availableDays: 0,
+  bookedDays: 0,
+  bookedHours: 0,
+  bookings: 0,
+  revenue: 0,
+  agreedTotal: 0,
+  listTotal: 0
+});
+
+const finishStats = (stats) => ({
+  ...stats,
+  utilisation: stats.availableDays > 0 ? stats.bookedDays / stats.availableDays : 0,
+  revenuePerAvailableDay: stats.availableDays > 0 ? stats.revenue / stats.availableDays : 0,
+  averagePrice: stats.bookings > 0 ? stats.revenue / stats.bookings : 0,
+  priceIndex: stats.listTotal > 0 ? stats.agreedTotal / stats.listTotal : null
+});
+
+const addDay = (stats, day) => {
+  stats.seasonDays += 1;
+  if (day.blocked) {
+    stats.blockedDays += 1;
+    return;
+  }
+  stats.availableDays += 1;
+  if (day.bookings.length === 0) return;
+
+  stats.bookedDays += 1;
+  day.bookings.forEach((booking) => {
+    stats.bookings += 1;
+    stats.bookedHours += booking.hours;
+    stats.revenue += booking.revenue;
+    if (booking.listPrice > 0 && booking.revenue > 0) {
+      stats.agreedTotal += booking.revenue;
+      stats.listTotal += booking.listPrice;
+    }
+  });
+};
+
+/**
+ * Firm bookings of the boats, grouped by boat id and date.
+ * @returns {Object} { [boatId]: { [ymd]: [{ hours, revenue, listPrice }] } }
+ */
+const groupBookings = (bookings, boats) => {
+  const byBoat = {};
+  bookings
+    .filter((booking) => !isTrashed(booking) && isRevenueStatus(getBookingStatus(booking)))
+    .forEach((booking) => {
+      const details = booking.bookingDetails || {};
+      const boat = findBoatByName(boats, details.boatName);
+      if (!boat || !details.date) return;
+
+      // The list price stored when the booking was priced, or today's price list
+      const listPrice = booking.pricing?.priceCheck?.suggestedPrice > 0 && !booking.pricing.priceCheck.netDiscount
+        ? booking.pricing.priceCheck.suggestedPrice
+        : quoteBoatPrice(boat, { date: details.date, startTime: details.startTime, endTime: details.endTime }).publicPrice;
+
+      if (!byBoat[boat.id]) byBoat[boat.id] = {};
+      if (!byBoat[boat.id][details.date]) byBoat[boat.id][details.date] = [];
+      byBoat[boat.id][details.date].push({
+        hours: getCharterHours(details),
+        revenue: parseFloat(booking.pricing?.agreedPrice) || booking.pricing?.finalPrice || 0,
+        listPrice
+      });
+    });
+  return byBoat;
+};
+
+/**
+ * Days a boat couldn't be chartered: out of service, or taken by the owner
+ * (owner calendar time on a day without one of our bookings, since owners'
+ * calendars often carry our bookings too).
+ * @returns {Object} { [ymd]: true }
+ */
+const getBlockedDays = (boat, maintenancePeriods, sync, bookingDays) => {
+  const blocked = {};
+  (maintenancePeriods[boat.id] || []).forEach((period) => markDays(blocked, period.start, period.end));
+
+  if (sync?.lastSuccessAt) {
+    const ownerDays = {};
+    (sync.busy || []).forEach((period) => markDays(ownerDays, period.start, period.end));
+    Object.keys(ownerDays).forEach((ymd) => {
+      if (!bookingDays[ymd]) blocked[ymd] = true;
+    });
+  }
+  return blocked;
+};
+
+/**
+ * Utilisation report for a year.
+ * @param {Object} data
+ * @param {Array<Object>} data.boats - Boat docs with ids.
+ * @param {Array<Object>} data.bookings - Booking docs (any status; only firm ones count).
+ * @param {Array<Object>} data.maintenance - Maintenance log entries.
+ * @param {Object} data.calendarSync - Sync docs by boat id (see calendarSync).
+ * @param {Object} options
+ * @param {number} options.year
+ * @param {string} [options.until] - Only count days up to this date (YYYY-MM-DD).
+ * @returns {{rows: Array<Object>, boats: Array<Object>, fleet: Object, byMonth: Array<Object>, byWeekday: Array<Object>}}
+ *   rows: one per boat and season; boats: one per boat over every season, with flags.
+ */
+export const buildUtilisationReport = ({ boats, bookings, maintenance, calendarSync }, { year, until }) => {
+  const bookingsByBoat = groupBookings(bookings, boats);
+  const maintenancePeriods = getOutOfServicePeriods(maintenance);
+  const seasons = Object.keys(SEASONS);
+
+  const rows = [];
+  const boatTotals = [];
+  const fleet = emptyStats();
+  const byMonth = {};
+  const byWeekday = WEEKDAYS.map(() => emptyStats());
+
+  boats.forEach((boat) => {
+    const bookingDays = bookingsByBoat[boat.id] || {};
+    const blocked = getBlockedDays(boat, maintenancePeriods, calendarSync[boat.id], bookingDays);
+    const total = emptyStats();
+
+    seasons.forEach((season) => {
+      const stats = emptyStats();
+      getSeasonDays(year, season, until).forEach((ymd) => {
+        const day = { blocked: Boolean(blocked[ymd]), bookings: bookingDays[ymd] || [] };
+        [stats, total, fleet].forEach((target) => addDay(target, day));
+
+        const month = Number(ymd.slice(5, 7));
+        if (!byMonth[month]) byMonth[month] = emptyStats();
+        addDay(byMonth[month], day);
+        // getDay() is 0 for Sunday; WEEKDAYS starts on Monday
+        const weekday = (new Date(`${ymd}T12:00:00`).getDay() + 6) % 7;
+        addDay(byWeekday[weekday], day);
+      });
+      rows.push({ boatId: boat.id, boatName: boat.name, season, ...finishStats(stats) });
+    });
+
+    boatTotals.push({ boatId: boat.id, boatName: boat.name, ...finishStats(total) });
+  });
+
+  const fleetStats = finishStats(fleet);
+  boatTotals.forEach((boat) => {
+    boat.flags = [];
+    if (boat.availableDays < MIN_AVAILABLE_DAYS) return;
+    if (boat.utilisation < fleetStats.utilisation * UNDERUSED_RATIO) boat.flags.push('underused');
+    if (boat.priceIndex !== null && boat.priceIndex < DISCOUNTED_PRICE_INDEX) boat.flags.push('discounted');
+  });
+
+  return {
+    rows,
+    boats: boatTotals.sort((a, b) => b.revenuePerAvailableDay - a.revenuePerAvailableDay),
+    fleet: fleetStats,
+    byMonth: Object.keys(byMonth)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((month) => ({ month: MONTHS[month - 1], ...finishStats(byMonth[month]) })),
+    byWeekday: byWeekday.map((stats, index) => ({ weekday: WEEKDAYS[index], ...finishStats(stats) }))
+  };
+};
+
+export const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`);
+
+// Same row layout for every sheet of the export
+const toSheetRow = (label, stats) => ({
+  ...label,
+  'Season days': stats.seasonDays,
+  'Blocked days': stats.blockedDays,
+  'Available days': stats.availableDays,
+  'Booked days': stats.bookedDays,
+  'Booked hours': Math.round(stats.bookedHours * 10) / 10,
+  Bookings: stats.bookings,
+  'Utilisation %': Math.round(stats.utilisation * 1000) / 10,
+  'Revenue (€)': Math.round(stats.revenue * 100) / 100,
+  'Revenue per available day (€)': Math.round(stats.revenuePerAvailableDay * 100) / 100,
+  'Average price (€)': Math.round(stats.averagePrice * 100) / 100,
+  'Price vs list %': stats.priceIndex === null ? '' : Math.round(stats.priceIndex * 1000) / 10
+});
+
+/**
+ * Sheets for the XLSX export, as arrays of plain row objects.
+ * @returns {Object} Rows by sheet name.
+ */
+export const buildUtilisationSheets = (report) => ({
+  Boats: [
+    ...report.boats.map((boat) => ({
+      ...toSheetRow({ Boat: boat.boatName }, boat),
+      Flags: boat.flags.map((flag) => UTILISATION_FLAG_META[flag].label).join(', ')
+    })),
+    toSheetRow({ Boat: 'Fleet' }, report.fleet)
+  ],
+  'By season': report.rows.map((row) => toSheetRow({ Boat: row.boatName, Season: row.season }, row)),
+  'By month': report.byMonth.map((row) => toSheetRow({ Month: row.month }, row)),
+  'By weekday': report.byWeekday.map((row) => toSheetRow({ Weekday: row.weekday }, row))
+});
+
+export const todayYmd = () => toYmd(new Date());
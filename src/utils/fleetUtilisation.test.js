@@ -0,0 +1,115 @@
+/* eslint-env jest */
+import { buildUtilisationReport, buildUtilisationSheets, formatPercent, getSeasonDays } from './fleetUtilisation';
+
+const boats = [
+  { id: 'a', name: 'Azimut 55', seasonalPrices: { 'May / October': '2000' } },
+  { id: 'b', name: 'Princess 62' },
+  { id: 'c', name: 'Riva 48' }
+];
+
+const booking = (boatName, date, fields = {}) => ({
+  status: 'confirmed',
+  ...fields,
+  bookingDetails: { boatName, date, ...fields.bookingDetails },
+  pricing: { agreedPrice: 1000, ...fields.pricing }
+});
+
+const data = {
+  boats,
+  bookings: [
+    booking('Azimut 55', '2025-05-02', { bookingDetails: { startTime: '10:00', endTime: '14:00' }, pricing: { agreedPrice: '1800' } }),
+    booking('azimut 55 ', '2025-05-03', { status: 'completed', pricing: { agreedPrice: 2000 } }),
+    // Not firm, or not there any more
+    booking('Azimut 55', '2025-05-04', { status: 'option' }),
+    booking('Azimut 55', '2025-05-05', { status: 'cancelled' }),
+    booking('Azimut 55', '2025-05-06', { isDeleted: true }),
+    booking('Princess 62', '2025-05-06', { pricing: { priceCheck: { suggestedPrice: 2000, netDiscount: 0 } } })
+  ],
+  maintenance: [{ id: 'm1', boatId: 'a', kind: 'outOfService', startDate: '2025-05-09', endDate: '2025-05-10' }],
+  calendarSync: {
+    b: {
+      lastSuccessAt: '2025-05-10T06:00:00.000Z',
+      // Madrid midnight to midnight
+      busy: [{ start: new Date('2025-05-04T22:00:00Z'), end: new Date('2025-05-06T22:00:00Z') }]
+    }
+  }
+};
+
+describe('getSeasonDays', () => {
+  it('lists the days of a season or of every season', () => {
+    expect(getSeasonDays(2025, 'July / August')).toHaveLength(62);
+    expect(getSeasonDays(2025)).toHaveLength(184);
+    expect(getSeasonDays(2025, undefined, '2025-05-10')).toEqual(
+      Array.from({ length: 10 }, (_, index) => `2025-05-${String(index + 1).padStart(2, '0')}`)
+    );
+  });
+});
+
+describe('buildUtilisationReport', () => {
+  const report = buildUtilisationReport(data, { year: 2025, until: '2025-05-10' });
+  const byId = (id) => report.boats.find((boat) => boat.boatId === id);
+
+  it('counts only firm bookings against the days the boat could sail', () => {
+    expect(byId('a')).toMatchObject({
+      seasonDays: 10,
+      blockedDays: 2,
+      availableDays: 8,
+      bookedDays: 2,
+      bookedHours: 12,
+      bookings: 2,
+      revenue: 3800,
+      utilisation: 0.25,
+      revenuePerAvailableDay: 475,
+      averagePrice: 1900,
+      priceIndex: 0.95
+    });
+  });
+
+  it('blocks owner calendar days except the ones we booked', () => {
+    expect(byId('b')).toMatchObject({ blockedDays: 1, availableDays: 9, bookedDays: 1, revenue: 1000, priceIndex: 0.5 });
+    expect(byId('b').utilisation).toBeCloseTo(1 / 9);
+  });
+
+  it('totals the fleet and flags boats well below it', () => {
+    expect(report.fleet).toMatchObject({ availableDays: 27, bookedDays: 3, revenue: 4800 });
+    expect(report.fleet.utilisation).toBeCloseTo(3 / 27);
+    expect(report.boats.map((boat) => [boat.boatId, boat.flags])).toEqual([
+      ['a', []],
+      ['b', ['discounted']],
+      ['c', ['underused']]
+    ]);
+    expect(byId('c').priceIndex).toBeNull();
+  });
+
+  it('never flags a boat with too few available days', () => {
+    const short = buildUtilisationReport(data, { year: 2025, until: '2025-05-03' });
+    expect(short.boats.every((boat) => boat.flags.length === 0)).toBe(true);
+  });
+
+  it('breaks the figures down by season, month and weekday', () => {
+    expect(report.rows).toHaveLength(9);
+    expect(report.rows.find((row) => row.boatId === 'a' && row.season === 'May / October')).toMatchObject({ availableDays: 8 });
+    expect(report.rows.find((row) => row.boatId === 'a' && row.season === 'July / August').seasonDays).toBe(0);
+    expect(report.byMonth).toEqual([expect.objectContaining({ month: 'May', availableDays: 27, bookedDays: 3 })]);
+    // 2025-05-02 and 2025-05-03 are a Friday and a Saturday, 2025-05-06 a Tuesday
+    expect(report.byWeekday.filter((day) => day.bookedDays > 0).map((day) => day.weekday)).toEqual(['Tue', 'Fri', 'Sat']);
+  });
+});
+
+describe('export', () => {
+  it('rounds the figures for the sheets and adds a fleet row', () => {
+    const sheets = buildUtilisationSheets(buildUtilisationReport(data, { year: 2025, until: '2025-05-10' }));
+    expect(sheets.Boats[sheets.Boats.length - 1]).toMatchObject({ Boat: 'Fleet', 'Utilisation %': 11.1 });
+    expect(sheets.Boats.find((row) => row.Boat === 'Princess 62')).toMatchObject({
+      'Revenue per available day (€)': 111.11,
+      'Price vs list %': 50,
+      Flags: 'Heavily discounted'
+    });
+    expect(sheets.Boats.find((row) => row.Boat === 'Riva 48')['Price vs list %']).toBe('');
+  });
+
+  it('formats ratios as percentages', () => {
+    expect(formatPercent(0.254)).toBe('25%');
+    expect(formatPercent(null)).toBe('—');
+  });
+});
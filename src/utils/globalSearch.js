@@ -0,0 +1,277 @@
+// src/utils/globalSearch.js
+// Data behind the Ctrl+K command palette. Each source says which collection to
+// read, which fields to match and where a record opens; pages take the record
+// id as `?view=<id>` and open it themselves.
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { isTrashed } from './recycleBin';
+import { normPhone } from './clientMatching';
+
+// Reload the index when the palette opens after this long
+const INDEX_TTL_MS = 5 * 60 * 1000;
+export const MAX_RESULTS_PER_GROUP = 5;
+
+const toDateString = (value) => {
+  if (!value) return '';
+  if (typeof value.toDate === 'function') return value.toDate().toISOString().slice(0, 10);
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+const joinParts = (...parts) => parts.filter(Boolean).join(' · ');
+
+// Fields are [value, weight]; names and numbers people type from memory weigh most
+export const SEARCH_SOURCES = {
+  bookings: {
+    label: 'Bookings',
+    collection: 'bookings',
+    toRecord: (data) => {
+      const name = data.clientName || data.clientDetails?.name || '';
+      return {
+        title: name || 'Unnamed client',
+        subtitle: joinParts(data.bookingDetails?.boatName, data.bookingDetails?.date, data.status),
+        date: data.bookingDetails?.date || '',
+        path: `/bookings?view=${data.id}`,
+        client: { name, email: data.clientDetails?.email || '', phone: data.clientDetails?.phone || '' },
+        fields: [
+          [name, 3],
+          [data.clientDetails?.email, 2],
+          [data.clientDetails?.phone, 2],
+          [data.bookingDetails?.boatName, 1],
+          [data.promoCode, 2]
+        ]
+      };
+    }
+  },
+  clients: {
+    label: 'Clients',
+    collection: 'clients',
+    adminOnly: true,
+    toRecord: (data) => ({
+      title: data.name || data.email || 'Unnamed client',
+      subtitle: joinParts(data.clientType, data.email, data.phone),
+      date: toDateString(data.lastUpdated),
+      path: `/clients?view=${data.id}`,
+      client: { name: data.name || '', email: data.email || '', phone: data.phone || '', clientType: data.clientType },
+      fields: [
+        [data.name, 3],
+        [data.email, 2],
+        [data.phone, 2]
+      ]
+    })
+  },
+  orders: {
+    label: 'Catering Orders',
+    collection: 'orders',
+    adminOnly: true,
+    toRecord: (data) => ({
+      title: joinParts(data.orderId ? `#${data.orderId}` : '', data.fullName) || data.id,
+      subtitle: joinParts(data.boatName, toDateString(data.orderDate || data.createdAt), data.status || data.paymentStatus),
+      date: toDateString(data.orderDate || data.createdAt),
+      path: `/catering-orders?view=${data.id}`,
+      fields: [
+        [data.orderId, 3],
+        [data.fullName, 3],
+        [data.email || data.customerEmail, 2],
+        [data.phoneNumber || data.phone, 2],
+        [data.boatName, 1],
+        [data.promoCode, 2]
+      ]
+    })
+  },
+  leads: {
+    label: 'Leads',
+    collection: 'inquiries',
+    adminOnly: true,
+    toRecord: (data) => ({
+      title: data.name || data.email || 'Unnamed lead',
+      subtitle: joinParts(data.boatName || data.yachtName, data.status, data.promoCode && `Promo ${data.promoCode}`),
+      date: toDateString(data.timestamp || data.createdAt),
+      path: `/inquiries?view=${data.id}`,
+      client: { name: data.name || '', email: data.email || '', phone: data.phone || '' },
+      fields: [
+        [data.name, 3],
+        [data.email, 2],
+        [data.phone, 2],
+        [data.boatName || data.yachtName, 1],
+        [data.promoCode, 3]
+      ]
+    })
+  },
+  agentBookings: {
+    label: 'Agent Bookings',
+    collection: 'agent_bookings',
+    adminOnly: true,
+    toRecord: (data) => ({
+      title: data.customerName || data.email || 'Unnamed client',
+      subtitle: joinParts(data.boatName, data.preferredDate, data.agentName, data.status),
+      date: data.preferredDate || '',
+      path: `/charter-management?view=${data.id}`,
+      client: { name: data.customerName || '', email: data.email || '', phone: data.phone || '' },
+      fields: [
+        [data.customerName, 3],
+        [data.email, 2],
+        [data.phone, 2],
+        [data.boatName, 1]
+      ]
+    })
+  },
+  expenses: {
+    label: 'Expenses',
+    collection: 'expenses',
+    adminOnly: true,
+    toRecord: (data) => {
+      // Expense Tracker entries (detalii / numeleBarci) and Expense Overview
+      // items (description / category) share the collection but open on different pages
+      const isTrackerEntry = data.detalii !== undefined || data.numeleBarci !== undefined;
+      return {
+        title: (isTrackerEntry ? data.detalii || data.numeleBarci : data.description || data.category) || 'Expense',
+        subtitle: joinParts(
+          isTrackerEntry ? data.numeleBarci : data.category,
+          toDateString(isTrackerEntry ? data.data : data.date),
+          data.amount !== undefined && `€${data.amount}`
+        ),
+        date: toDateString(isTrackerEntry ? data.data : data.date),
+        path: isTrackerEntry ? `/expense-tracker?view=${data.id}` : `/expenses?view=${data.id}`,
+        fields: [
+          [data.description || data.detalii, 3],
+          [data.category, 1],
+          [data.numeleBarci, 2],
+          [data.companieBarci, 1],
+          [data.colaboratori, 1]
+        ]
+      };
+    }
+  },
+  contracts: {
+    label: 'Contracts',
+    collection: 'contracts',
+    adminOnly: true,
+    toRecord: (data) => ({
+      title: joinParts(data.contractNumber, data.lessee?.name) || data.id,
+      subtitle: joinParts(
+        [data.selectedBoat?.brand, data.selectedBoat?.model].filter(Boolean).join(' '),
+        data.checkIn?.date
+      ),
+      date: toDateString(data.createdAt),
+      path: `/contract-generator?view=${data.id}`,
+      client: { name: data.lessee?.name || '', email: data.lessee?.email || '', phone: data.lessee?.phone || '' },
+      fields: [
+        [data.contractNumber, 3],
+        [data.lessee?.name, 3],
+        [data.lessee?.email, 2],
+        [data.lessee?.phone, 2],
+        [[data.selectedBoat?.brand, data.selectedBoat?.model].filter(Boolean).join(' '), 1]
+      ]
+    })
+  }
+};
+
+let cachedIndex = null;
+
+/**
+ * Read every source the user may see and flatten it into search records.
+ * Cached for a few minutes so reopening the palette is instant.
+ * @param {Object} options
+ * @param {boolean} options.isAdmin - Non-admins only search bookings.
+ * @param {boolean} [options.force] - Ignore the cache.
+ * @returns {Promise<Array>} Records: { key, type, id, title, subtitle, date, path, client, fields }
+ */
+export const loadSearchIndex = async ({ isAdmin, force = false }) => {
+  if (!force && cachedIndex && cachedIndex.isAdmin === isAdmin && Date.now() - cachedIndex.loadedAt < INDEX_TTL_MS) {
+    return cachedIndex.records;
+  }
+
+  const records = [];
+  const types = Object.keys(SEARCH_SOURCES).filter((type) => isAdmin || !SEARCH_SOURCES[type].adminOnly);
+  for (const type of types) {
+    const source = SEARCH_SOURCES[type];
+    try {
+      const snapshot = await getDocs(collection(db, source.collection));
+      snapshot.docs.forEach((entry) => {
+        const data = { id: entry.id, ...entry.data() };
+        if (isTrashed(data)) return;
+        records.push({ key: `${type}:${entry.id}`, type, id: entry.id, ...source.toRecord(data) });
+      });
+    } catch (error) {
+      // One unreadable collection shouldn't take the whole palette down
+      console.error(`Error loading ${source.collection} for search:`, error);
+    }
+  }
+
+  cachedIndex = { isAdmin, loadedAt: Date.now(), records };
+  return records;
+};
+
+// Best score for one search word against one field value
+const scoreToken = (token, value) => {
+  const text = String(value).toLowerCase();
+  if (text === token) return 100;
+  if (text.startsWith(token)) return 60;
+  if (text.split(/[\s@.\-_/#]+/).some((word) => word.startsWith(token))) return 40;
+  if (text.includes(token)) return 20;
+
+  // Phones are stored with and without spaces or country codes
+  const digits = normPhone(token);
+  if (digits.length >= 4 && digits.length === token.replace(/[\s+()-]/g, '').length) {
+    const valueDigits = normPhone(text);
+    if (valueDigits.includes(digits)) return valueDigits.endsWith(digits) ? 50 : 20;
+  }
+  return 0;
+};
+
+const scoreRecord = (record, tokens) => {
+  let total = 0;
+  for (const token of tokens) {
+    let best = 0;
+    record.fields.forEach(([value, weight]) => {
+      if (!value) return;
+      best = Math.max(best, scoreToken(token, value) * weight);
+    });
+    // Every word has to match something
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+};
+
+/**
+ * Rank records against the query and group them by type. Groups are ordered by
+ * their best hit; ties inside a group go to the most recent record.
+ * @param {Array} records - From loadSearchIndex.
+ * @param {string} text - What the user typed.
+ * @returns {Array<{type: string, label: string, results: Array}>}
+ */
+export const searchRecords = (records, text) => {
+  const tokens = String(text || '').toLowerCase().trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const groups = {};
+  records.forEach((record) => {
+    const score = scoreRecord(record, tokens);
+    if (score === 0) return;
+    if (!groups[record.type]) groups[record.type] = [];
+    groups[record.type].push({ ...record, score });
+  });
+
+  return Object.keys(groups)
+    .map((type) => {
+      const results = groups[type]
+        .sort((a, b) => b.score - a.score || (b.date || '').localeCompare(a.date || ''))
+        .slice(0, MAX_RESULTS_PER_GROUP);
+      return { type, label: SEARCH_SOURCES[type].label, topScore: results[0].score, results };
+    })
+    .sort((a, b) => b.topScore - a.topScore);
+};
+
+/**
+ * AddBooking prefill (router state `prefill`) for a new booking for the same client.
+ */
+export const buildClientPrefill = (record) => ({
+  clientType: record.client.clientType || 'Direct',
+  clientDetails: {
+    name: record.client.name,
+    email: record.client.email,
+    phone: record.client.phone
+  }
+});
@@ -0,0 +1,678 @@
+// src/utils/icalParser.js
+// RFC 5545 calendar parser: unfolds lines, resolves TZID/UTC/floating times,
+// expands RRULE/RDATE/EXDATE inside a window and reports everything as
+// absolute intervals plus Europe/Madrid wall-clock times.
+// Pure module (no DOM, no Firebase) so it can run in the browser, tests and the
+// calendar sync Cloud Function (functions/ copies it in with `npm run sync-parser`).
+
+export const DEFAULT_TIME_ZONE = 'Europe/Madrid';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIODS = 10000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook/Exchange feeds use Windows zone names instead of IANA ids
+const WINDOWS_TIME_ZONES = {
+  'Romance Standard Time': 'Europe/Paris',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'UTC': 'UTC',
+  'Coordinated Universal Time': 'UTC'
+};
+
+// ------------------------- Time zone helpers -------------------------
+
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a given zone.
+ * @returns {{y: number, m: number, d: number, h: number, mi: number, s: number}}
+ */
+export const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  return {
+    y: parts.year,
+    m: parts.month,
+    d: parts.day,
+    h: parts.hour === 24 ? 0 : parts.hour,
+    mi: parts.minute,
+    s: parts.second
+  };
+};
+
+const getOffsetMs = (ms, timeZone) => {
+  const p = getZonedParts(new Date(ms), timeZone);
+  return Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000;
+};
+
+/**
+ * Instant for a wall-clock time in a zone. Times skipped by a DST jump move forward by the gap.
+ * @param {{y: number, m: number, d: number, h?: number, mi?: number, s?: number}} parts
+ * @param {string} timeZone - IANA zone id or 'UTC'
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = ({ y, m, d, h = 0, mi = 0, s = 0 }, timeZone = DEFAULT_TIME_ZONE) => {
+  const wallClock = Date.UTC(y, m - 1, d, h, mi, s);
+  if (timeZone === 'UTC') return new Date(wallClock);
+
+  const firstOffset = getOffsetMs(wallClock, timeZone);
+  const candidate = wallClock - firstOffset;
+  const secondOffset = getOffsetMs(candidate, timeZone);
+  return new Date(firstOffset === secondOffset ? candidate : wallClock - secondOffset);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatLocal = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.y}-${pad(p.m)}-${pad(p.d)}T${pad(p.h)}:${pad(p.mi)}:${pad(p.s)}`;
+};
+
+// ------------------------- Calendar arithmetic -------------------------
+// Local dates are plain {y, m, d} objects; Date.UTC is only used as a calendar.
+
+const addDays = ({ y, m, d }, days) => {
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate() };
+};
+
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+
+const weekdayOf = ({ y, m, d }) => new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+
+const dateKey = ({ y, m, d }) => y * 10000 + m * 100 + d;
+
+const compareParts = (a, b) =>
+  dateKey(a) - dateKey(b) ||
+  (a.h || 0) - (b.h || 0) ||
+  (a.mi || 0) - (b.mi || 0) ||
+  (a.s || 0) - (b.s || 0);
+
+const uniqueSorted = (numbers) =>
+  numbers.filter((value, index) => numbers.indexOf(value) === index).sort((a, b) => a - b);
+
+// ------------------------- Lexing -------------------------
+
+/**
+ * Split raw iCal text into logical lines, joining folded continuation lines (RFC 5545 §3.1).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const unfoldLines = (text) => {
+  const lines = [];
+  String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((line) => {
+      if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+        lines[lines.length - 1] += line.slice(1);
+      } else if (line.trim() !== '') {
+        lines.push(line);
+      }
+    });
+  return lines;
+};
+
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Parse one content line into its name, parameters and raw value.
+ * @param {string} line - e.g. `DTSTART;TZID="Europe/Madrid":20250601T100000`
+ * @returns {{name: string, params: Object<string, string>, value: string}|null}
+ */
+export const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) return null;
+
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, colonIndex), ';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const equalsIndex = param.indexOf('=');
+    if (equalsIndex === -1) return;
+    params[param.slice(0, equalsIndex).trim().toUpperCase()] = param
+      .slice(equalsIndex + 1)
+      .replace(/^"|"$/g, '');
+  });
+
+  return { name: name.trim().toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+const unescapeText = (value) =>
+  String(value || '').replace(/\\([\\;,nN])/g, (match, char) =>
+    char === 'n' || char === 'N' ? '\n' : char
+  );
+
+const parseComponents = (text) => {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  unfoldLines(text).forEach((line) => {
+    const parsed = parseContentLine(line);
+    if (!parsed) return;
+
+    const current = stack[stack.length - 1];
+    if (parsed.name === 'BEGIN') {
+      const component = { name: parsed.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (parsed.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(parsed);
+    }
+  });
+
+  return root;
+};
+
+const findComponents = (component, name) =>
+  component.components.reduce(
+    (found, child) => found.concat(child.name === name ? [child] : [], findComponents(child, name)),
+    []
+  );
+
+const getProperty = (component, name) => component.properties.find((prop) => prop.name === name);
+
+const getProperties = (component, name) => component.properties.filter((prop) => prop.name === name);
+
+// ------------------------- Values -------------------------
+
+const resolveTimeZone = (tzid, aliases, fallback) => {
+  if (!tzid) return fallback;
+  const cleaned = tzid.replace(/^\/+/, '').trim();
+  const candidates = [aliases[cleaned], WINDOWS_TIME_ZONES[cleaned], cleaned];
+  return candidates.find((candidate) => candidate && isValidTimeZone(candidate)) || fallback;
+};
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * Date-only and floating values are read in the calendar's default zone.
+ * @returns {{parts: Object, allDay: boolean, timeZone: string, date: Date}|null}
+ */
+const parseDateValue = (value, params, context) => {
+  const raw = String(value || '').trim();
+
+  const dateOnly = raw.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly) {
+    const parts = { y: +dateOnly[1], m: +dateOnly[2], d: +dateOnly[3], h: 0, mi: 0, s: 0 };
+    return {
+      parts,
+      allDay: true,
+      timeZone: context.timeZone,
+      date: zonedTimeToUtc(parts, context.timeZone)
+    };
+  }
+
+  const dateTime = raw.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?(Z)?$/i);
+  if (dateTime) {
+    const parts = {
+      y: +dateTime[1],
+      m: +dateTime[2],
+      d: +dateTime[3],
+      h: +dateTime[4],
+      mi: +dateTime[5],
+      s: dateTime[6] ? +dateTime[6] : 0
+    };
+    const timeZone = dateTime[7]
+      ? 'UTC'
+      : resolveTimeZone(params?.TZID, context.aliases, context.timeZone);
+    return { parts, allDay: false, timeZone, date: zonedTimeToUtc(parts, timeZone) };
+  }
+
+  // Some feeds ignore the spec and send ISO 8601 strings
+  const fallback = new Date(raw);
+  if (/^\d{4}-\d{2}-\d{2}/.test(raw) && !isNaN(fallback.getTime())) {
+    return {
+      parts: getZonedParts(fallback, 'UTC'),
+      allDay: false,
+      timeZone: 'UTC',
+      date: fallback
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Parse an RFC 5545 DURATION (e.g. `PT2H30M`, `P1D`, `-P1W`) into milliseconds.
+ * @returns {number|null}
+ */
+export const parseDuration = (value) => {
+  const match = String(value || '')
+    .trim()
+    .match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  if ([weeks, days, hours, minutes, seconds].every((part) => part === undefined)) return null;
+  const ms =
+    (+(weeks || 0) * 7 + +(days || 0)) * DAY_MS +
+    (+(hours || 0) * 3600 + +(minutes || 0) * 60 + +(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+// ------------------------- Recurrence -------------------------
+
+const parseNumberList = (value) =>
+  value
+    ? value
+        .split(',')
+        .map((part) => parseInt(part, 10))
+        .filter((number) => !isNaN(number) && number !== 0)
+    : null;
+
+/**
+ * Parse an RRULE value into the parts the expander understands.
+ * BYWEEKNO, BYYEARDAY and sub-daily frequencies are not used by boat calendars and are ignored.
+ */
+export const parseRRule = (value) => {
+  const raw = {};
+  String(value || '')
+    .split(';')
+    .forEach((part) => {
+      const [key, partValue] = part.split('=');
+      if (key && partValue !== undefined) raw[key.trim().toUpperCase()] = partValue.trim();
+    });
+
+  const byDay = raw.BYDAY
+    ? raw.BYDAY.split(',')
+        .map((token) => token.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+        .filter(Boolean)
+        .map((match) => ({ n: match[1] ? parseInt(match[1], 10) : 0, day: WEEKDAYS.indexOf(match[2]) }))
+    : null;
+
+  return {
+    freq: (raw.FREQ || '').toUpperCase(),
+    interval: Math.max(1, parseInt(raw.INTERVAL, 10) || 1),
+    count: raw.COUNT ? parseInt(raw.COUNT, 10) : null,
+    until: raw.UNTIL || null,
+    byDay: byDay && byDay.length > 0 ? byDay : null,
+    byMonthDay: parseNumberList(raw.BYMONTHDAY),
+    byMonth: parseNumberList(raw.BYMONTH),
+    bySetPos: parseNumberList(raw.BYSETPOS),
+    wkst: raw.WKST && WEEKDAYS.includes(raw.WKST.toUpperCase()) ? WEEKDAYS.indexOf(raw.WKST.toUpperCase()) : 1
+  };
+};
+
+const pickByDay = (days, byDay) => {
+  const picked = [];
+  byDay.forEach(({ n, day }) => {
+    const matches = days.filter((date) => weekdayOf(date) === day);
+    if (n === 0) picked.push(...matches);
+    else {
+      const match = n > 0 ? matches[n - 1] : matches[matches.length + n];
+      if (match) picked.push(match);
+    }
+  });
+  return picked;
+};
+
+const monthDates = (y, m) =>
+  Array.from({ length: daysInMonth(y, m) }, (value, index) => ({ y, m, d: index + 1 }));
+
+const datesInMonth = (y, m, rule, start) => {
+  const dim = daysInMonth(y, m);
+  let days = null;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay.map((day) => (day > 0 ? day : dim + day + 1)).filter((day) => day >= 1 && day <= dim);
+  }
+  if (rule.byDay) {
+    const byDayDays = pickByDay(monthDates(y, m), rule.byDay).map((date) => date.d);
+    days = days ? days.filter((day) => byDayDays.includes(day)) : byDayDays;
+  }
+  if (!days) days = start.d <= dim ? [start.d] : [];
+
+  return uniqueSorted(days).map((d) => ({ y, m, d }));
+};
+
+const applySetPos = (dates, bySetPos) => {
+  if (!bySetPos) return dates;
+  return bySetPos
+    .map((position) => (position > 0 ? dates[position - 1] : dates[dates.length + position]))
+    .filter(Boolean)
+    .sort((a, b) => dateKey(a) - dateKey(b))
+    .filter((date, index, list) => index === 0 || dateKey(date) !== dateKey(list[index - 1]));
+};
+
+// Candidate dates for the k-th period of the rule, plus the first day of that period
+const periodDates = (rule, start, k) => {
+  const inMonths = (date) => !rule.byMonth || rule.byMonth.includes(date.m);
+
+  if (rule.freq === 'DAILY') {
+    const date = addDays(start, k * rule.interval);
+    const matches =
+      inMonths(date) &&
+      (!rule.byMonthDay ||
+        rule.byMonthDay.some((day) => (day > 0 ? day : daysInMonth(date.y, date.m) + day + 1) === date.d)) &&
+      (!rule.byDay || rule.byDay.some(({ day }) => day === weekdayOf(date)));
+    return { periodStart: date, dates: matches ? [date] : [] };
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = addDays(start, -((weekdayOf(start) - rule.wkst + 7) % 7) + k * 7 * rule.interval);
+    const weekdays = rule.byDay ? rule.byDay.map(({ day }) => day) : [weekdayOf(start)];
+    const dates = uniqueSorted(weekdays.map((day) => (day - rule.wkst + 7) % 7))
+      .map((offset) => addDays(weekStart, offset))
+      .filter(inMonths);
+    return { periodStart: weekStart, dates };
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = start.m - 1 + k * rule.interval;
+    const y = start.y + Math.floor(monthIndex / 12);
+    const m = (monthIndex % 12) + 1;
+    const dates = rule.byMonth && !rule.byMonth.includes(m) ? [] : datesInMonth(y, m, rule, start);
+    return { periodStart: { y, m, d: 1 }, dates };
+  }
+
+  if (rule.freq === 'YEARLY') {
+    const y = start.y + k * rule.interval;
+    let dates;
+    if (rule.byDay && !rule.byMonth) {
+      // Without BYMONTH, BYDAY ordinals count through the whole year
+      const yearDates = [];
+      for (let m = 1; m <= 12; m++) yearDates.push(...monthDates(y, m));
+      dates = pickByDay(yearDates, rule.byDay).filter(
+        (date) => !rule.byMonthDay || datesInMonth(date.y, date.m, { byMonthDay: rule.byMonthDay }, start).some((match) => match.d === date.d)
+      );
+    } else {
+      const months = rule.byMonth || (rule.byMonthDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.m]);
+      dates = [];
+      uniqueSorted(months).forEach((m) => dates.push(...datesInMonth(y, m, rule, start)));
+    }
+    return { periodStart: { y, m: 1, d: 1 }, dates: dates.sort((a, b) => dateKey(a) - dateKey(b)) };
+  }
+
+  return null;
+};
+
+/**
+ * Expand a recurring event's start times. DTSTART is always the first instance.
+ * @param {Object} startValue - Parsed DTSTART.
+ * @param {Object} rule - Result of parseRRule.
+ * @param {Date} windowEnd - Stop expanding once instances start at or after this.
+ * @param {Object} context
+ * @returns {Array<{parts: Object, date: Date}>}
+ */
+const expandRRule = (startValue, rule, windowEnd, context) => {
+  const instances = [{ parts: startValue.parts, date: startValue.date }];
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) return instances;
+
+  const untilValue = rule.until ? parseDateValue(rule.until, {}, { ...context, timeZone: startValue.timeZone }) : null;
+  // A date-only UNTIL includes that whole day
+  const until = untilValue
+    ? new Date(untilValue.date.getTime() + (untilValue.allDay ? DAY_MS - 1 : 0))
+    : null;
+  const toInstant = (parts) => zonedTimeToUtc(parts, startValue.timeZone);
+  const time = { h: startValue.parts.h, mi: startValue.parts.mi, s: startValue.parts.s };
+
+  for (let k = 0; k < MAX_PERIODS; k++) {
+    const period = periodDates(rule, startValue.parts, k);
+    if (!period) break;
+    if (toInstant(period.periodStart) >= windowEnd) break;
+    if (until && toInstant(period.periodStart) > until) break;
+
+    for (const date of applySetPos(period.dates, rule.bySetPos)) {
+      const parts = { ...date, ...time };
+      if (compareParts(parts, startValue.parts) <= 0) continue;
+
+      const instant = toInstant(parts);
+      if (until && instant > until) return instances;
+      if (rule.count && instances.length >= rule.count) return instances;
+      if (instant >= windowEnd) return instances;
+
+      instances.push({ parts, date: instant });
+    }
+  }
+
+  return instances;
+};
+
+// ------------------------- Events -------------------------
+
+const collectDates = (component, name, context) => {
+  const dates = [];
+  getProperties(component, name).forEach((prop) => {
+    prop.value.split(',').forEach((value) => {
+      // RDATE may hold PERIOD values; only the start matters here
+      const parsed = parseDateValue(value.split('/')[0], prop.params, context);
+      if (parsed) dates.push(parsed);
+    });
+  });
+  return dates;
+};
+
+const instanceKey = (value) => (value.allDay ? `D${dateKey(value.parts)}` : `T${value.date.getTime()}`);
+
+const matchesAnyKey = (instance, keys, allDayKeys) =>
+  keys.includes(`T${instance.date.getTime()}`) || allDayKeys.includes(`D${dateKey(instance.parts)}`);
+
+const buildEventInstances = (event, context, window, overridesByUid) => {
+  const startProp = getProperty(event, 'DTSTART');
+  const startValue = startProp && parseDateValue(startProp.value, startProp.params, context);
+  if (!startValue) return [];
+
+  const endProp = getProperty(event, 'DTEND');
+  const endValue = endProp && parseDateValue(endProp.value, endProp.params, context);
+  const durationProp = getProperty(event, 'DURATION');
+  const duration = durationProp ? parseDuration(durationProp.value) : null;
+
+  // All-day events keep a length in days so they stay aligned to local midnight across DST
+  let lengthMs;
+  let lengthDays = null;
+  if (startValue.allDay) {
+    lengthDays = endValue
+      ? Math.max(1, Math.round((Date.UTC(endValue.parts.y, endValue.parts.m - 1, endValue.parts.d) -
+          Date.UTC(startValue.parts.y, startValue.parts.m - 1, startValue.parts.d)) / DAY_MS))
+      : duration !== null
+      ? Math.max(1, Math.round(duration / DAY_MS))
+      : 1;
+  } else {
+    lengthMs = endValue
+      ? Math.max(0, endValue.date - startValue.date)
+      : duration !== null
+      ? Math.max(0, duration)
+      : 0;
+  }
+
+  const uid = getProperty(event, 'UID')?.value || '';
+  const summary = unescapeText(getProperty(event, 'SUMMARY')?.value);
+  const status = (getProperty(event, 'STATUS')?.value || '').trim().toUpperCase();
+  const transparent = (getProperty(event, 'TRANSP')?.value || '').trim().toUpperCase() === 'TRANSPARENT';
+  const rruleProp = getProperty(event, 'RRULE');
+  const isOverride = Boolean(getProperty(event, 'RECURRENCE-ID'));
+
+  let starts = [{ parts: startValue.parts, date: startValue.date }];
+  if (rruleProp && !isOverride) {
+    starts = expandRRule(startValue, parseRRule(rruleProp.value), window.to, context);
+  }
+
+  if (!isOverride) {
+    collectDates(event, 'RDATE', context).forEach((rdate) => starts.push({ parts: rdate.parts, date: rdate.date }));
+
+    const exdates = collectDates(event, 'EXDATE', context);
+    const overridden = overridesByUid[uid] || [];
+    const excluded = exdates.concat(overridden);
+    const timedKeys = excluded.filter((value) => !value.allDay).map(instanceKey);
+    const allDayKeys = excluded.filter((value) => value.allDay).map(instanceKey);
+    starts = starts.filter((instance) => !matchesAnyKey(instance, timedKeys, allDayKeys));
+  }
+
+  const recurring = Boolean(rruleProp) || getProperties(event, 'RDATE').length > 0;
+
+  return starts.map(({ parts, date }) => {
+    const end = startValue.allDay
+      ? zonedTimeToUtc(addDays(parts, lengthDays), startValue.timeZone)
+      : new Date(date.getTime() + lengthMs);
+    return {
+      uid,
+      summary,
+      status,
+      transparent,
+      allDay: startValue.allDay,
+      recurring,
+      start: date,
+      end
+    };
+  });
+};
+
+const buildFreeBusyPeriods = (component, context) => {
+  const periods = [];
+  getProperties(component, 'FREEBUSY').forEach((prop) => {
+    const type = (prop.params.FBTYPE || 'BUSY').toUpperCase();
+    prop.value.split(',').forEach((range) => {
+      const [startRaw, endRaw] = range.split('/');
+      const start = parseDateValue(startRaw, {}, context);
+      if (!start) return;
+      const duration = parseDuration(endRaw);
+      const end = duration !== null
+        ? { date: new Date(start.date.getTime() + duration) }
+        : parseDateValue(endRaw, {}, context);
+      if (!end) return;
+
+      periods.push({
+        uid: getProperty(component, 'UID')?.value || '',
+        summary: '',
+        status: '',
+        transparent: type === 'FREE',
+        allDay: false,
+        recurring: false,
+        start: start.date,
+        end: end.date
+      });
+    });
+  });
+  return periods;
+};
+
+/**
+ * Parse an iCalendar feed into concrete event instances.
+ *
+ * Recurring events are expanded inside the window; single events are kept when they
+ * overlap it. Times are absolute `Date`s, with `startLocal`/`endLocal` giving the
+ * wall-clock time in `timeZone` (Europe/Madrid by default). Floating and date-only
+ * values are read in that zone as well.
+ *
+ * @param {string} text - Raw .ics content.
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Window start (default: one year ago).
+ * @param {Date} [options.to] - Window end (default: two years ahead).
+ * @param {string} [options.timeZone] - Zone for floating times and local output.
+ * @returns {Array<{uid: string, summary: string, status: string, transparent: boolean,
+ *   allDay: boolean, recurring: boolean, start: Date, end: Date, startLocal: string,
+ *   endLocal: string}>}
+ */
+export const parseICalendar = (text, options = {}) => {
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  const now = Date.now();
+  const window = {
+    from: options.from ? new Date(options.from) : new Date(now - 365 * DAY_MS),
+    to: options.to ? new Date(options.to) : new Date(now + 2 * 365 * DAY_MS)
+  };
+
+  const root = parseComponents(text);
+
+  // Custom TZIDs usually name their real zone in X-LIC-LOCATION
+  const aliases = {};
+  findComponents(root, 'VTIMEZONE').forEach((component) => {
+    const tzid = getProperty(component, 'TZID')?.value;
+    const location = getProperty(component, 'X-LIC-LOCATION')?.value;
+    if (tzid && location && isValidTimeZone(location.trim())) aliases[tzid.trim()] = location.trim();
+  });
+
+  const context = { timeZone, aliases };
+  const events = findComponents(root, 'VEVENT');
+
+  // Instances replaced by a RECURRENCE-ID override are dropped from the master series
+  const overridesByUid = {};
+  events.forEach((event) => {
+    const recurrenceId = getProperty(event, 'RECURRENCE-ID');
+    const uid = getProperty(event, 'UID')?.value;
+    const parsed = recurrenceId && parseDateValue(recurrenceId.value, recurrenceId.params, context);
+    if (uid && parsed) {
+      overridesByUid[uid] = (overridesByUid[uid] || []).concat(parsed);
+    }
+  });
+
+  const instances = [
+    ...events.reduce((all, event) => all.concat(buildEventInstances(event, context, window, overridesByUid)), []),
+    ...findComponents(root, 'VFREEBUSY').reduce((all, component) => all.concat(buildFreeBusyPeriods(component, context)), [])
+  ];
+
+  return instances
+    .filter(({ start, end }) =>
+      end > start ? end > window.from && start < window.to : start >= window.from && start < window.to
+    )
+    .sort((a, b) => a.start - b.start)
+    .map((instance) => ({
+      ...instance,
+      startLocal: formatLocal(instance.start, timeZone),
+      endLocal: formatLocal(instance.end, timeZone)
+    }));
+};
+
+/**
+ * Only the instances that make a boat unavailable: opaque, not cancelled, non-zero length.
+ * @param {string} text
+ * @param {Object} [options] - Same as parseICalendar.
+ */
+export const getBusyIntervals = (text, options = {}) =>
+  parseICalendar(text, options).filter(
+    (instance) => !instance.transparent && instance.status !== 'CANCELLED' && instance.end > instance.start
+  );
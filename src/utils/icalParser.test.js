@@ -0,0 +1,271 @@
+/* eslint-env jest */
+import {
+  parseICalendar,
+  getBusyIntervals,
+  unfoldLines,
+  parseContentLine,
+  parseDuration,
+  parseRRule,
+  zonedTimeToUtc
+} from './icalParser';
+
+const calendar = (...lines) =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+const event = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+const window2025 = { from: new Date('2025-01-01T00:00:00Z'), to: new Date('2026-01-01T00:00:00Z') };
+
+describe('unfoldLines', () => {
+  it('joins continuation lines that start with a space or tab', () => {
+    const text = 'SUMMARY:Morning char\r\n ter with\r\n\t a long name\r\nUID:1';
+    expect(unfoldLines(text)).toEqual(['SUMMARY:Morning charter with a long name', 'UID:1']);
+  });
+
+  it('accepts bare LF line endings and skips blank lines', () => {
+    expect(unfoldLines('A:1\n\nB:2\n')).toEqual(['A:1', 'B:2']);
+  });
+});
+
+describe('parseContentLine', () => {
+  it('reads parameters, including quoted values with colons', () => {
+    expect(parseContentLine('DTSTART;TZID="Europe/Madrid";VALUE=DATE-TIME:20250601T100000')).toEqual({
+      name: 'DTSTART',
+      params: { TZID: 'Europe/Madrid', VALUE: 'DATE-TIME' },
+      value: '20250601T100000'
+    });
+    expect(parseContentLine('ATTENDEE;CN="Boat: Sunseeker":mailto:a@b.com').value).toBe('mailto:a@b.com');
+  });
+
+  it('returns null for lines without a value', () => {
+    expect(parseContentLine('garbage')).toBeNull();
+  });
+});
+
+describe('parseDuration', () => {
+  it('converts durations to milliseconds', () => {
+    expect(parseDuration('PT2H30M')).toBe(2.5 * 3600 * 1000);
+    expect(parseDuration('P1D')).toBe(24 * 3600 * 1000);
+    expect(parseDuration('P1W')).toBe(7 * 24 * 3600 * 1000);
+    expect(parseDuration('-PT15M')).toBe(-15 * 60 * 1000);
+  });
+
+  it('rejects empty or malformed durations', () => {
+    expect(parseDuration('P')).toBeNull();
+    expect(parseDuration('PT')).toBeNull();
+    expect(parseDuration('2 hours')).toBeNull();
+  });
+});
+
+describe('parseRRule', () => {
+  it('parses ordinal BYDAY values and defaults', () => {
+    const rule = parseRRule('FREQ=MONTHLY;BYDAY=-1SU,2MO;COUNT=3');
+    expect(rule.freq).toBe('MONTHLY');
+    expect(rule.interval).toBe(1);
+    expect(rule.count).toBe(3);
+    expect(rule.byDay).toEqual([{ n: -1, day: 0 }, { n: 2, day: 1 }]);
+    expect(rule.wkst).toBe(1);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('applies summer and winter offsets for Madrid', () => {
+    expect(zonedTimeToUtc({ y: 2025, m: 7, d: 1, h: 10 }, 'Europe/Madrid').toISOString()).toBe('2025-07-01T08:00:00.000Z');
+    expect(zonedTimeToUtc({ y: 2025, m: 1, d: 15, h: 10 }, 'Europe/Madrid').toISOString()).toBe('2025-01-15T09:00:00.000Z');
+  });
+});
+
+describe('parseICalendar', () => {
+  it('resolves UTC, TZID and floating times to Madrid wall-clock', () => {
+    const ics = calendar(
+      ...event('UID:utc', 'DTSTART:20250701T080000Z', 'DTEND:20250701T120000Z'),
+      ...event('UID:london', 'DTSTART;TZID=Europe/London:20250701T090000', 'DTEND;TZID=Europe/London:20250701T130000'),
+      ...event('UID:floating', 'DTSTART:20250701T100000', 'DTEND:20250701T140000')
+    );
+
+    const instances = parseICalendar(ics, window2025);
+    expect(instances).toHaveLength(3);
+    instances.forEach((instance) => {
+      expect(instance.start.toISOString()).toBe('2025-07-01T08:00:00.000Z');
+      expect(instance.startLocal).toBe('2025-07-01T10:00:00');
+      expect(instance.endLocal).toBe('2025-07-01T14:00:00');
+    });
+  });
+
+  it('treats VALUE=DATE events as whole Madrid days with an exclusive end', () => {
+    const ics = calendar(
+      ...event('UID:allday', 'DTSTART;VALUE=DATE:20250810', 'DTEND;VALUE=DATE:20250812')
+    );
+
+    const [instance] = parseICalendar(ics, window2025);
+    expect(instance.allDay).toBe(true);
+    expect(instance.startLocal).toBe('2025-08-10T00:00:00');
+    expect(instance.endLocal).toBe('2025-08-12T00:00:00');
+    expect(instance.start.toISOString()).toBe('2025-08-09T22:00:00.000Z');
+  });
+
+  it('defaults a missing DTEND to one day for dates and uses DURATION when present', () => {
+    const ics = calendar(
+      ...event('UID:date', 'DTSTART;VALUE=DATE:20250810'),
+      ...event('UID:duration', 'DTSTART;TZID=Europe/Madrid:20250811T180000', 'DURATION:PT3H')
+    );
+
+    const [date, duration] = parseICalendar(ics, window2025);
+    expect(date.endLocal).toBe('2025-08-11T00:00:00');
+    expect(duration.endLocal).toBe('2025-08-11T21:00:00');
+  });
+
+  it('maps Windows zone names and X-LIC-LOCATION aliases to IANA zones', () => {
+    const ics = calendar(
+      'BEGIN:VTIMEZONE',
+      'TZID:Custom Ibiza',
+      'X-LIC-LOCATION:Europe/Madrid',
+      'END:VTIMEZONE',
+      ...event('UID:windows', 'DTSTART;TZID=Romance Standard Time:20250701T100000', 'DTEND;TZID=Romance Standard Time:20250701T120000'),
+      ...event('UID:alias', 'DTSTART;TZID=Custom Ibiza:20250702T100000', 'DTEND;TZID=Custom Ibiza:20250702T120000')
+    );
+
+    const [windows, alias] = parseICalendar(ics, window2025);
+    expect(windows.startLocal).toBe('2025-07-01T10:00:00');
+    expect(alias.startLocal).toBe('2025-07-02T10:00:00');
+  });
+
+  it('keeps weekly recurrences at the same wall-clock time across DST', () => {
+    const ics = calendar(
+      ...event(
+        'UID:weekly',
+        'DTSTART;TZID=Europe/Madrid:20250322T100000',
+        'DTEND;TZID=Europe/Madrid:20250322T140000',
+        'RRULE:FREQ=WEEKLY;COUNT=3'
+      )
+    );
+
+    const instances = parseICalendar(ics, window2025);
+    expect(instances.map((instance) => instance.startLocal)).toEqual([
+      '2025-03-22T10:00:00',
+      '2025-03-29T10:00:00',
+      '2025-04-05T10:00:00'
+    ]);
+    expect(instances[0].start.toISOString()).toBe('2025-03-22T09:00:00.000Z');
+    expect(instances[2].start.toISOString()).toBe('2025-04-05T08:00:00.000Z');
+    expect(instances.every((instance) => instance.recurring)).toBe(true);
+  });
+
+  it('expands BYDAY weekly rules until UNTIL and drops EXDATE instances', () => {
+    const ics = calendar(
+      ...event(
+        'UID:byday',
+        'DTSTART;TZID=Europe/Madrid:20250602T090000',
+        'DTEND;TZID=Europe/Madrid:20250602T130000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20250613T215959Z',
+        'EXDATE;TZID=Europe/Madrid:20250604T090000,20250611T090000'
+      )
+    );
+
+    const days = parseICalendar(ics, window2025).map((instance) => instance.startLocal.slice(0, 10));
+    expect(days).toEqual(['2025-06-02', '2025-06-06', '2025-06-09', '2025-06-13']);
+  });
+
+  it('expands monthly rules with ordinal weekdays and BYMONTHDAY', () => {
+    const ics = calendar(
+      ...event(
+        'UID:last-sunday',
+        'DTSTART;VALUE=DATE:20250525',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1SU;COUNT=3'
+      ),
+      ...event(
+        'UID:thirty-first',
+        'DTSTART;VALUE=DATE:20250131',
+        'RRULE:FREQ=MONTHLY;BYMONTHDAY=31;COUNT=3'
+      )
+    );
+
+    const instances = parseICalendar(ics, window2025);
+    const byUid = (uid) => instances.filter((instance) => instance.uid === uid).map((instance) => instance.startLocal.slice(0, 10));
+    expect(byUid('last-sunday')).toEqual(['2025-05-25', '2025-06-29', '2025-07-27']);
+    // Months without a 31st are skipped, not clamped
+    expect(byUid('thirty-first')).toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+  });
+
+  it('expands yearly and interval daily rules', () => {
+    const ics = calendar(
+      ...event('UID:yearly', 'DTSTART;VALUE=DATE:20230815', 'RRULE:FREQ=YEARLY'),
+      ...event('UID:daily', 'DTSTART:20250701T100000', 'DTEND:20250701T110000', 'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3')
+    );
+
+    const instances = parseICalendar(ics, window2025);
+    expect(instances.filter((i) => i.uid === 'yearly').map((i) => i.startLocal.slice(0, 10))).toEqual(['2025-08-15']);
+    expect(instances.filter((i) => i.uid === 'daily').map((i) => i.startLocal.slice(0, 10))).toEqual([
+      '2025-07-01',
+      '2025-07-03',
+      '2025-07-05'
+    ]);
+  });
+
+  it('only returns instances inside the requested window', () => {
+    const ics = calendar(
+      ...event('UID:forever', 'DTSTART;TZID=Europe/Madrid:20200101T100000', 'DTEND;TZID=Europe/Madrid:20200101T120000', 'RRULE:FREQ=DAILY')
+    );
+
+    const instances = parseICalendar(ics, {
+      from: new Date('2025-06-10T00:00:00Z'),
+      to: new Date('2025-06-13T00:00:00Z')
+    });
+    expect(instances.map((instance) => instance.startLocal.slice(0, 10))).toEqual(['2025-06-10', '2025-06-11', '2025-06-12']);
+  });
+
+  it('replaces an instance moved with RECURRENCE-ID', () => {
+    const ics = calendar(
+      ...event('UID:series', 'DTSTART;TZID=Europe/Madrid:20250707T100000', 'DTEND;TZID=Europe/Madrid:20250707T120000', 'RRULE:FREQ=DAILY;COUNT=3'),
+      ...event(
+        'UID:series',
+        'RECURRENCE-ID;TZID=Europe/Madrid:20250708T100000',
+        'DTSTART;TZID=Europe/Madrid:20250708T160000',
+        'DTEND;TZID=Europe/Madrid:20250708T180000'
+      )
+    );
+
+    expect(parseICalendar(ics, window2025).map((instance) => instance.startLocal)).toEqual([
+      '2025-07-07T10:00:00',
+      '2025-07-08T16:00:00',
+      '2025-07-09T10:00:00'
+    ]);
+  });
+
+  it('reads VFREEBUSY periods, including durations and FREE slots', () => {
+    const ics = calendar(
+      'BEGIN:VFREEBUSY',
+      'FREEBUSY:20250701T080000Z/20250701T100000Z,20250702T080000Z/PT4H',
+      'FREEBUSY;FBTYPE=FREE:20250703T080000Z/20250703T100000Z',
+      'END:VFREEBUSY'
+    );
+
+    const instances = parseICalendar(ics, window2025);
+    expect(instances).toHaveLength(3);
+    expect(instances[1].endLocal).toBe('2025-07-02T14:00:00');
+    expect(instances[2].transparent).toBe(true);
+  });
+
+  it('unescapes text values', () => {
+    const ics = calendar(...event('UID:text', 'DTSTART:20250701T100000Z', 'SUMMARY:Lunch\\, drinks\\; swim\\nDay 2'));
+    expect(parseICalendar(ics, window2025)[0].summary).toBe('Lunch, drinks; swim\nDay 2');
+  });
+});
+
+describe('getBusyIntervals', () => {
+  it('leaves out transparent, cancelled and zero-length events', () => {
+    const ics = calendar(
+      ...event('UID:busy', 'DTSTART:20250701T080000Z', 'DTEND:20250701T100000Z'),
+      ...event('UID:free', 'DTSTART:20250701T120000Z', 'DTEND:20250701T140000Z', 'TRANSP:TRANSPARENT'),
+      ...event('UID:cancelled', 'DTSTART:20250702T080000Z', 'DTEND:20250702T100000Z', 'STATUS:CANCELLED'),
+      ...event('UID:instant', 'DTSTART:20250703T080000Z')
+    );
+
+    expect(getBusyIntervals(ics, window2025).map((instance) => instance.uid)).toEqual(['busy']);
+  });
+
+  it('returns an empty list for empty or non-calendar input', () => {
+    expect(getBusyIntervals('', window2025)).toEqual([]);
+    expect(getBusyIntervals('<html>Not found</html>', window2025)).toEqual([]);
+  });
+});
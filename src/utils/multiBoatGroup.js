@@ -0,0 +1,330 @@
+// src/utils/multiBoatGroup.js
+// A multi-boat booking is one `bookings` doc per boat sharing `multiBoatGroupId`.
+// These helpers keep the shared parts (client, date, transfer) in step across the
+// group and spread group-level payments over the individual boats.
+import {
+  addDoc,
+  arrayRemove,
+  arrayUnion,
+  collection,
+  doc,
+  increment,
+  onSnapshot,
+  query,
+  updateDoc,
+  where
+} from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { updateBookingWithHistory } from './bookingHistoryActions';
+import { rescheduleBooking } from './bookingReschedule';
+import {
+  INITIAL_STATES,
+  buildInitialStatusFields,
+  buildStatusActor,
+  getBookingStatus
+} from './bookingStatus';
+import { isTrashed } from './recycleBin';
+import { moveToTrash } from './recycleBinActions';
+import PrecisionFinancialUtils from './PrecisionFinancialUtils';
+import {
+  DEFAULT_SCHEDULE_TEMPLATE,
+  buildSchedulePricing,
+  buildScheduleFromTemplate,
+  getPaymentSchedule,
+  settleInstallments
+} from './paymentSchedule';
+
+const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+
+/**
+ * Live list of the boats in a group (recycle-bin bookings excluded), by date and start time.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToGroup = (groupId, onChange, onError) =>
+  onSnapshot(
+    query(collection(db, 'bookings'), where('multiBoatGroupId', '==', groupId)),
+    (snapshot) => {
+      const bookings = snapshot.docs
+        .map((entry) => ({ id: entry.id, ...entry.data() }))
+        .filter((booking) => !isTrashed(booking));
+      bookings.sort((a, b) =>
+        `${a.bookingDetails?.date || ''} ${a.bookingDetails?.startTime || ''}`.localeCompare(
+          `${b.bookingDetails?.date || ''} ${b.bookingDetails?.startTime || ''}`
+        )
+      );
+      onChange(bookings);
+    },
+    (error) => {
+      console.error('Error loading multi-boat group:', error);
+      if (onError) onError(error);
+    }
+  );
+
+/**
+ * Price, paid and outstanding for one boat, using the same rules as the dashboards.
+ */
+export const getBoatFinancials = (booking) => {
+  const { totalAgreedPriceNumber, totalPaidNumber } = PrecisionFinancialUtils.extractBookingPayments(booking);
+  return {
+    agreedPrice: totalAgreedPriceNumber,
+    paid: totalPaidNumber,
+    outstanding: Math.max(0, totalAgreedPriceNumber - totalPaidNumber)
+  };
+};
+
+/**
+ * Combined totals for the group. Cancelled boats are left out.
+ * @returns {{agreedPrice: number, paid: number, outstanding: number, boats: number}}
+ */
+export const getGroupTotals = (bookings) =>
+  bookings
+    .filter((booking) => getBookingStatus(booking) !== 'cancelled')
+    .reduce(
+      (totals, booking) => {
+        const boat = getBoatFinancials(booking);
+        return {
+          agreedPrice: totals.agreedPrice + boat.agreedPrice,
+          paid: totals.paid + boat.paid,
+          outstanding: totals.outstanding + boat.outstanding,
+          boats: totals.boats + 1
+        };
+      },
+      { agreedPrice: 0, paid: 0, outstanding: 0, boats: 0 }
+    );
+
+/**
+ * Apply client, date and/or transfer changes to every boat in the group.
+ * Transfer dispatch details already set on a boat are kept. A new date moves
+ * each boat with rescheduleBooking, so its orders, expenses and due dates follow.
+ * @param {Array<Object>} bookings - The group, from subscribeToGroup.
+ * @param {Object} shared
+ * @param {Object} [shared.clientDetails] - name, phone, email, passportNumber, address.
+ * @param {string} [shared.date] - YYYY-MM-DD
+ * @param {Object} [shared.transfer] - required, pickup, dropoff.
+ * @param {Object} [options]
+ * @param {Object} [options.user]
+ * @param {Object} [options.conflictOverride] - From buildConflictOverride when a date change was forced.
+ */
+export const propagateGroupChanges = async (bookings, shared, { user, conflictOverride } = {}) => {
+  for (const booking of bookings) {
+    if (shared.date && shared.date !== booking.bookingDetails?.date) {
+      await rescheduleBooking(
+        booking,
+        {
+          date: shared.date,
+          boatName: booking.bookingDetails?.boatName || '',
+          boatCompany: booking.bookingDetails?.boatCompany || ''
+        },
+        { user, conflictOverride }
+      );
+    }
+    if (!shared.clientDetails && !shared.transfer) continue;
+
+    const updates = { lastUpdated: new Date().toISOString() };
+
+    if (shared.clientDetails) {
+      updates.clientDetails = { ...(booking.clientDetails || {}), ...shared.clientDetails };
+      updates.clientName = shared.clientDetails.name;
+    }
+    if (shared.transfer) {
+      const dispatch = booking.transfer?.dispatch;
+      updates.transfer = { ...shared.transfer, ...(dispatch ? { dispatch } : {}) };
+      updates['bookingDetails.transferAddress'] = shared.transfer.required
+        ? { pickup: shared.transfer.pickup || {}, dropoff: shared.transfer.dropoff || {} }
+        : null;
+    }
+    if (conflictOverride) updates.conflictOverride = conflictOverride;
+
+    await updateBookingWithHistory(booking.id, updates, { currentData: booking, user, source: 'group' });
+  }
+};
+
+/**
+ * Add another boat to an existing group, copying client, partner, transfer and
+ * notes from the group's first boat. Payment lines start unpaid.
+ * @param {Array<Object>} bookings - The current group.
+ * @param {Object} boat - boatName, boatCompany, date, startTime, endTime, passengers, agreedPrice.
+ * @param {Object} [options]
+ * @param {Object} [options.user]
+ * @param {Object} [options.conflictOverride]
+ * @returns {Promise<string>} The new booking id.
+ */
+export const addBoatToGroup = async (bookings, boat, { user, conflictOverride } = {}) => {
+  const base = bookings[0];
+  if (!base) throw new Error('The group has no boats to copy from');
+
+  const now = new Date().toISOString();
+  const agreedPrice = Number(boat.agreedPrice) || 0;
+  const baseStatus = getBookingStatus(base);
+  const status = INITIAL_STATES.includes(baseStatus) ? baseStatus : 'confirmed';
+
+  const bookingData = {
+    clientType: base.clientType || '',
+    selectedPartner: base.selectedPartner || '',
+    clientSource: base.clientSource || '',
+    clientDetails: { ...(base.clientDetails || {}) },
+    clientName: base.clientName || base.clientDetails?.name || '',
+    clientId: base.clientId || null,
+    bookingDate: boat.date,
+    bookingDetails: {
+      boatCompany: boat.boatCompany || '',
+      boatName: boat.boatName,
+      passengers: boat.passengers || '',
+      date: boat.date,
+      startTime: boat.startTime || '',
+      endTime: boat.endTime || '',
+      transferAddress: base.bookingDetails?.transferAddress || null,
+      multiBoatBooking: true
+    },
+    pricing: {
+      agreedPrice,
+      ...buildSchedulePricing(
+        buildScheduleFromTemplate(DEFAULT_SCHEDULE_TEMPLATE, { agreedPrice, charterDate: boat.date })
+          .map((line) => ({ ...line, recordedAt: now }))
+      )
+    },
+    transfer: base.transfer ? { ...base.transfer, dispatch: null } : {},
+    notes: base.notes ?? base.clientNotes ?? '',
+    createdAt: now,
+    lastUpdated: now,
+    ...buildInitialStatusFields(status, { user, optionExpiresAt: base.optionExpiresAt || undefined }),
+    createdBy: buildStatusActor(user),
+    restaurantName: base.restaurantName || '',
+    isPartOfMultiBoatBooking: true,
+    multiBoatGroupId: base.multiBoatGroupId,
+    ...(conflictOverride ? { conflictOverride } : {})
+  };
+
+  const bookingRef = await addDoc(collection(db, 'bookings'), bookingData);
+  await updateDoc(doc(db, 'bookings', bookingRef.id), { id: bookingRef.id });
+
+  if (bookingData.clientId) {
+    await updateDoc(doc(db, 'clients', bookingData.clientId), {
+      bookings: arrayUnion(bookingRef.id),
+      totalBookings: increment(1),
+      totalSpent: increment(agreedPrice),
+      lastUpdated: now
+    });
+  }
+
+  return bookingRef.id;
+};
+
+/**
+ * Take a boat out of the group: the booking is detached from the group, moved
+ * to the recycle bin and taken off the client's totals (undoing addBoatToGroup).
+ * Boats with money received must have it refunded or moved first.
+ * @param {Object} booking
+ * @param {Object} [user]
+ */
+export const removeBoatFromGroup = async (booking, user) => {
+  if (getBoatFinancials(booking).paid > 0) {
+    throw new Error(`${booking.bookingDetails?.boatName || 'This boat'} has payments received; move or refund them first`);
+  }
+  const now = new Date().toISOString();
+
+  await updateBookingWithHistory(
+    booking.id,
+    {
+      multiBoatGroupId: null,
+      isPartOfMultiBoatBooking: false,
+      'bookingDetails.multiBoatBooking': false,
+      lastUpdated: now
+    },
+    { currentData: booking, user, source: 'group' }
+  );
+  await moveToTrash('bookings', booking.id, user);
+
+  if (booking.clientId) {
+    await updateDoc(doc(db, 'clients', booking.clientId), {
+      bookings: arrayRemove(booking.id),
+      totalBookings: increment(-1),
+      totalSpent: increment(-(Number(booking.pricing?.agreedPrice) || 0)),
+      lastUpdated: now
+    });
+  }
+};
+
+/**
+ * Split a group payment across boats in proportion to what each still owes
+ * (or to their prices once everything is paid). Cents that don't divide evenly
+ * go to the boats with the largest shares so the split always adds up.
+ * @param {number} amount
+ * @param {Array<Object>} bookings
+ * @returns {Object} Booking id → amount.
+ */
+export const allocateGroupPayment = (amount, bookings) => {
+  const boats = bookings
+    .filter((booking) => getBookingStatus(booking) !== 'cancelled')
+    .map((booking) => ({ id: booking.id, ...getBoatFinancials(booking) }));
+  const totalCents = toCents(amount);
+  if (boats.length === 0 || totalCents <= 0) return {};
+
+  const useOutstanding = boats.some((boat) => boat.outstanding > 0);
+  const weights = boats.map((boat) => toCents(useOutstanding ? boat.outstanding : boat.agreedPrice));
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const shares = boats.map((boat, index) => ({
+    id: boat.id,
+    cents: weightTotal > 0 ? Math.floor((totalCents * weights[index]) / weightTotal) : Math.floor(totalCents / boats.length)
+  }));
+  let remainder = totalCents - shares.reduce((sum, share) => sum + share.cents, 0);
+  const byShare = shares.slice().sort((a, b) => b.cents - a.cents);
+  for (let i = 0; remainder > 0; i = (i + 1) % byShare.length, remainder -= 1) {
+    byShare[i].cents += 1;
+  }
+
+  return shares.reduce((allocation, share) => ({ ...allocation, [share.id]: share.cents / 100 }), {});
+};
+
+/**
+ * Record a payment taken for the whole group against each boat's open
+ * instalments (see settleInstallments).
+ * @param {Array<Object>} bookings
+ * @param {Object} allocation - Booking id → amount, e.g. from allocateGroupPayment.
+ * @param {Object} payment - method, date, excludeVAT.
+ * @param {Object} [user]
+ * @returns {Promise<string>} The group payment id shared by every line.
+ */
+export const recordGroupPayment = async (bookings, allocation, payment, user) => {
+  const groupPaymentId = `group-payment-${Date.now()}`;
+  const now = new Date().toISOString();
+  const createdBy = buildStatusActor(user);
+
+  for (const booking of bookings) {
+    const amount = Number(allocation[booking.id]) || 0;
+    if (amount <= 0) continue;
+
+    const fields = {
+      method: payment.method || 'cash',
+      date: payment.date || now.slice(0, 10),
+      excludeVAT: Boolean(payment.excludeVAT),
+      recordedAt: now,
+      groupPaymentId
+    };
+    const line = { type: 'group', amount, received: true, ...fields };
+    const schedule = settleInstallments(getPaymentSchedule(booking.pricing), amount, fields);
+    const pricing = buildSchedulePricing(schedule, booking.pricing);
+
+    await updateBookingWithHistory(
+      booking.id,
+      {
+        'pricing.payments': pricing.payments,
+        'pricing.totalPaid': pricing.totalPaid,
+        'pricing.paymentStatus': pricing.paymentStatus,
+        lastUpdated: now
+      },
+      { currentData: booking, user, source: 'group' }
+    );
+
+    await addDoc(collection(db, 'payments'), {
+      ...line,
+      bookingId: booking.id,
+      clientId: booking.clientId || null,
+      createdBy,
+      createdAt: now
+    });
+  }
+
+  return groupPaymentId;
+};
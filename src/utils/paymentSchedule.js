@@ -0,0 +1,368 @@
+// src/utils/paymentSchedule.js
+// What the client pays and when: pricing.payments holds any number of
+// instalment lines, plus the refund lines a cancellation adds (type 'refund').
+//   { id, type: 'installment', label, dueDate, amountType, percentage, amount,
+//     method, received, date, receipt: { url, name } | null, excludeVAT }
+// amountType is 'percentage' (of the agreed price), 'fixed' or 'balance' (what
+// the other lines leave of the agreed price); `amount` always holds the euros.
+// `date` is when the money came in, `dueDate` when it is expected.
+// Bookings saved before schedules have a 'first' and a 'second' line instead
+// (very old ones pricing.firstPayment / secondPayment objects). getPaymentSchedule
+// reads those as instalments, and migrateBookingSchedules (paymentScheduleMigration)
+// rewrites them. No Firebase imports here: PrecisionFinancialUtils, and through it
+// the public catalogue API, depend on this file.
+
+export const PAYMENT_METHODS = {
+  cash: 'Cash',
+  pos: 'POS',
+  transfer: 'Bank Transfer',
+  payment_link: 'Payment Link',
+  Sabadell_link: 'Sabadell Link'
+};
+
+export const AMOUNT_TYPES = {
+  percentage: '% of price',
+  fixed: 'Fixed €',
+  balance: 'Balance'
+};
+
+// Starting points for a new booking's schedule; lines can be edited after
+export const SCHEDULE_TEMPLATES = {
+  deposit30: {
+    label: '30% deposit + balance',
+    lines: [
+      { label: 'Deposit', amountType: 'percentage', percentage: 30, method: 'cash', due: 'booking' },
+      { label: 'Balance', amountType: 'balance', method: 'pos', due: 'charter' }
+    ]
+  },
+  deposit50: {
+    label: '50% deposit + balance',
+    lines: [
+      { label: 'Deposit', amountType: 'percentage', percentage: 50, method: 'cash', due: 'booking' },
+      { label: 'Balance', amountType: 'balance', method: 'pos', due: 'charter' }
+    ]
+  },
+  single: {
+    label: 'Single payment',
+    lines: [{ label: 'Full payment', amountType: 'balance', method: 'transfer', due: 'booking' }]
+  },
+  thirds: {
+    label: 'Three instalments',
+    lines: [
+      { label: 'Deposit', amountType: 'percentage', percentage: 30, method: 'transfer', due: 'booking' },
+      { label: 'Second instalment', amountType: 'percentage', percentage: 40, method: 'transfer', due: 'month' },
+      { label: 'Balance', amountType: 'balance', method: 'pos', due: 'week' }
+    ]
+  }
+};
+
+export const DEFAULT_SCHEDULE_TEMPLATE = 'deposit30';
+
+const LEGACY_LABELS = { first: 'Deposit', second: 'Balance' };
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const toYmd = (date) => date.toISOString().slice(0, 10);
+
+const addDaysYmd = (ymd, days) => {
+  const date = new Date(`${ymd}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toYmd(date);
+};
+
+const newInstallmentId = () => `inst_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+const isRefund = (payment) => payment?.type === 'refund';
+
+/**
+ * A blank instalment line.
+ * @param {Object} [fields] - Any line fields to set.
+ * @returns {Object}
+ */
+export const createInstallment = (fields = {}) => ({
+  id: newInstallmentId(),
+  type: 'installment',
+  label: '',
+  dueDate: '',
+  amountType: 'fixed',
+  percentage: null,
+  amount: 0,
+  method: 'transfer',
+  received: false,
+  date: '',
+  receipt: null,
+  excludeVAT: false,
+  ...fields
+});
+
+// Due dates of the templates: on booking, a month or a week before the charter, or on the day
+const resolveDue = (due, charterDate, today) => {
+  if (due === 'booking' || !charterDate) return today;
+  const dueDate = {
+    month: addDaysYmd(charterDate, -30),
+    week: addDaysYmd(charterDate, -7),
+    charter: charterDate
+  }[due];
+  return dueDate && dueDate > today ? dueDate : today;
+};
+
+/**
+ * Every amount in the schedule worked out from the agreed price. Without an
+ * agreed price only fixed lines count and percentage and balance lines are 0.
+ * @param {Array<Object>} lines
+ * @param {number|string} agreedPrice
+ * @returns {Array<Object>} New line objects.
+ */
+export const recalculateSchedule = (lines, agreedPrice) => {
+  const price = round2(agreedPrice);
+  const withAmounts = lines.map((line) => {
+    if (line.amountType === 'percentage') {
+      return { ...line, amount: round2((price * (Number(line.percentage) || 0)) / 100) };
+    }
+    // Fixed amounts stay as typed until saved (see toStoredSchedule)
+    return line;
+  });
+  const allocated = withAmounts
+    .filter((line) => line.amountType !== 'balance')
+    .reduce((sum, line) => sum + round2(line.amount), 0);
+  let balanceLeft = Math.max(0, round2(price - allocated));
+  return withAmounts.map((line) => {
+    if (line.amountType !== 'balance') return line;
+    const amount = balanceLeft;
+    balanceLeft = 0;
+    return { ...line, amount };
+  });
+};
+
+/**
+ * A new schedule from one of SCHEDULE_TEMPLATES.
+ * @param {string} templateKey
+ * @param {Object} [options]
+ * @param {number|string} [options.agreedPrice]
+ * @param {string} [options.charterDate] - YYYY-MM-DD, for the due dates.
+ * @returns {Array<Object>}
+ */
+export const buildScheduleFromTemplate = (templateKey, { agreedPrice, charterDate } = {}) => {
+  const template = SCHEDULE_TEMPLATES[templateKey] || SCHEDULE_TEMPLATES[DEFAULT_SCHEDULE_TEMPLATE];
+  const today = toYmd(new Date());
+  const lines = template.lines.map(({ due, ...fields }) =>
+    createInstallment({ ...fields, dueDate: resolveDue(due, charterDate, today) })
+  );
+  return recalculateSchedule(lines, agreedPrice);
+};
+
+// A 'first' / 'second' line (or the old nested objects) as an instalment. The
+// stored amounts are kept; a line only becomes a percentage or balance line
+// when that gives exactly the same amount.
+const fromLegacyLine = (payment, type, agreedPrice, otherAmount) => {
+  const amount = round2(payment.amount);
+  const percentage = Number(payment.percentage) || null;
+  let amountType = 'fixed';
+  if (type === 'first' && percentage && !payment.useCustomAmount && round2((agreedPrice * percentage) / 100) === amount) {
+    amountType = 'percentage';
+  } else if (type === 'second' && agreedPrice > 0 && round2(agreedPrice - otherAmount) === amount) {
+    amountType = 'balance';
+  }
+  return createInstallment({
+    id: `legacy_${type}`,
+    label: LEGACY_LABELS[type],
+    amountType,
+    percentage: amountType === 'percentage' ? percentage : null,
+    amount,
+    method: payment.method || (type === 'first' ? 'cash' : 'pos'),
+    received: payment.received === true,
+    date: payment.date || '',
+    excludeVAT: payment.excludeVAT === true,
+    ...(payment.waived ? { waived: true } : {}),
+    ...(payment.recordedAt ? { recordedAt: payment.recordedAt } : {})
+  });
+};
+
+const getLegacyLines = (pricing = {}) => {
+  const payments = Array.isArray(pricing.payments) ? pricing.payments : [];
+  const first = payments.find((payment) => payment?.type === 'first') || (payments.length === 0 ? pricing.firstPayment : null);
+  const second = payments.find((payment) => payment?.type === 'second') || (payments.length === 0 ? pricing.secondPayment : null);
+  const agreedPrice = round2(pricing.agreedPrice);
+  const lines = [];
+  if (first) lines.push(fromLegacyLine(first, 'first', agreedPrice, 0));
+  if (second) lines.push(fromLegacyLine(second, 'second', agreedPrice, first ? round2(first.amount) : 0));
+  return lines.filter((line) => line.amount > 0 || line.received);
+};
+
+/**
+ * Whether the booking still stores its client payments the old way.
+ */
+export const needsScheduleMigration = (booking) => {
+  const pricing = booking?.pricing;
+  if (!pricing) return false;
+  const payments = Array.isArray(pricing.payments) ? pricing.payments : [];
+  if (payments.some((payment) => payment?.type === 'first' || payment?.type === 'second')) return true;
+  return payments.length === 0 && Boolean(pricing.firstPayment || pricing.secondPayment);
+};
+
+/**
+ * The booking's instalments in order, refunds left out. Old first/second
+ * payments are read as instalments.
+ * @param {Object} pricing - booking.pricing
+ * @returns {Array<Object>}
+ */
+export const getPaymentSchedule = (pricing) => {
+  if (!pricing) return [];
+  if (needsScheduleMigration({ pricing })) return getLegacyLines(pricing);
+  return (pricing.payments || [])
+    .filter((payment) => payment && !isRefund(payment))
+    .map((payment, index) => createInstallment({ id: `line_${index}`, ...payment, amount: round2(payment.amount) }));
+};
+
+export const getRefundLines = (pricing) => (pricing?.payments || []).filter(isRefund);
+
+export const getInstallmentLabel = (line, index) => line.label || `Payment ${index + 1}`;
+
+/**
+ * Unpaid, not waived, and due before today.
+ * @param {Object} line
+ * @param {string} [today] - YYYY-MM-DD
+ */
+export const isInstallmentOverdue = (line, today = toYmd(new Date())) =>
+  !line.received && !line.waived && Boolean(line.dueDate) && line.dueDate < today;
+
+/**
+ * Totals over a schedule.
+ * @param {Array<Object>} lines - From getPaymentSchedule.
+ * @returns {{scheduled: number, received: number, outstanding: number, overdue: number, nextDue: Object|null}}
+ *   nextDue is the earliest unpaid line.
+ */
+export const getScheduleTotals = (lines, today = toYmd(new Date())) => {
+  const open = lines.filter((line) => !line.received && !line.waived);
+  const nextDue = [...open].sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'))[0] || null;
+  const sum = (entries) => round2(entries.reduce((total, line) => total + round2(line.amount), 0));
+  return {
+    scheduled: sum(lines),
+    received: sum(lines.filter((line) => line.received)),
+    outstanding: sum(open),
+    overdue: sum(open.filter((line) => isInstallmentOverdue(line, today))),
+    nextDue
+  };
+};
+
+/**
+ * The booking's payment status as stored in pricing.paymentStatus.
+ * @returns {string} 'Completed', 'Partial' or 'No Payment'.
+ */
+export const getSchedulePaymentStatus = (lines) => {
+  const due = lines.filter((line) => round2(line.amount) > 0 && !line.waived);
+  const received = due.filter((line) => line.received);
+  if (due.length > 0 && received.length === due.length) return 'Completed';
+  return received.length > 0 ? 'Partial' : 'No Payment';
+};
+
+export const isScheduleComplete = (lines) => getSchedulePaymentStatus(lines) === 'Completed';
+
+/**
+ * Due dates after the charter moves: dates still ahead shift by as many days as
+ * the charter did, but never before today. Received, waived and already due
+ * instalments keep theirs.
+ * @param {Array<Object>} lines
+ * @param {string} fromDate - Old charter date, YYYY-MM-DD.
+ * @param {string} toDate - New charter date, YYYY-MM-DD.
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Array<Object>}
+ */
+export const shiftScheduleDueDates = (lines, fromDate, toDate, today = toYmd(new Date())) => {
+  if (!fromDate || !toDate || fromDate === toDate) return lines;
+  const days = Math.round((new Date(`${toDate}T12:00:00Z`) - new Date(`${fromDate}T12:00:00Z`)) / (24 * 60 * 60 * 1000));
+  return lines.map((line) => {
+    if (line.received || line.waived || !line.dueDate || line.dueDate <= today) return line;
+    const dueDate = addDaysYmd(line.dueDate, days);
+    return { ...line, dueDate: dueDate > today ? dueDate : today };
+  });
+};
+
+/**
+ * Mark open instalments received, earliest due first, with a payment that
+ * wasn't taken against one line (a group payment). An instalment the money
+ * only partly covers is split into a received part and a fixed remainder;
+ * anything left over becomes an extra received line.
+ * @param {Array<Object>} lines
+ * @param {number} amount
+ * @param {Object} fields - method, date, excludeVAT and any fields to record on the received lines.
+ * @returns {Array<Object>}
+ */
+export const settleInstallments = (lines, amount, fields) => {
+  let left = round2(amount);
+  const open = lines
+    .filter((line) => !line.received && !line.waived && round2(line.amount) > 0)
+    .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'));
+  const settled = {};
+  open.forEach((line) => {
+    if (left <= 0) return;
+    const paid = Math.min(left, round2(line.amount));
+    left = round2(left - paid);
+    settled[line.id] = paid;
+  });
+
+  const result = [];
+  lines.forEach((line, index) => {
+    const paid = settled[line.id];
+    if (paid === undefined) {
+      result.push(line);
+    } else if (paid === round2(line.amount)) {
+      result.push({ ...line, ...fields, received: true });
+    } else {
+      const label = getInstallmentLabel(line, index);
+      result.push(createInstallment({ ...line, ...fields, id: newInstallmentId(), label, amountType: 'fixed', percentage: null, amount: paid, received: true }));
+      result.push({ ...line, label: `${label} (rest)`, amountType: 'fixed', percentage: null, amount: round2(line.amount - paid) });
+    }
+  });
+  if (left > 0) {
+    result.push(createInstallment({ ...fields, label: 'Extra payment', amount: left, received: true }));
+  }
+  return result;
+};
+
+/**
+ * Schedule lines as saved in pricing.payments: numbers parsed, empty lines dropped.
+ * @param {Array<Object>} lines
+ * @returns {Array<Object>}
+ */
+export const toStoredSchedule = (lines) =>
+  lines
+    .filter((line) => round2(line.amount) > 0 || line.received)
+    .map((line) => ({
+      ...line,
+      type: 'installment',
+      amount: round2(line.amount),
+      percentage: line.amountType === 'percentage' ? Number(line.percentage) || 0 : null,
+      received: line.received === true,
+      date: line.received ? line.date || toYmd(new Date()) : '',
+      receipt: line.receipt || null,
+      excludeVAT: line.excludeVAT === true
+    }));
+
+/**
+ * The pricing fields that follow from a schedule, ready to merge into booking.pricing.
+ * Refund lines already on the booking are kept after the instalments.
+ * @param {Array<Object>} lines
+ * @param {Object} [pricing] - The booking's current pricing.
+ * @returns {{payments: Array<Object>, totalPaid: number, paymentStatus: string}}
+ */
+export const buildSchedulePricing = (lines, pricing) => {
+  const stored = toStoredSchedule(lines);
+  const payments = [...stored, ...getRefundLines(pricing)];
+  return {
+    payments,
+    totalPaid: round2(payments.reduce((sum, line) => sum + (line.received ? line.amount : 0), 0)),
+    paymentStatus: getSchedulePaymentStatus(stored)
+  };
+};
+
+/**
+ * The pricing.payments a booking stored the old way is migrated to: its
+ * first/second lines as instalments (ids from the booking id, so running the
+ * migration twice writes the same lines), then its refund lines.
+ * @param {Object} booking - Booking doc with its id.
+ * @returns {Array<Object>}
+ */
+export const buildMigratedPayments = (booking) => {
+  const lines = getLegacyLines(booking.pricing).map((line, index) => ({ ...line, id: `${booking.id}_${index + 1}` }));
+  return [...toStoredSchedule(lines), ...getRefundLines(booking.pricing)];
+};
@@ -0,0 +1,214 @@
+/* eslint-env jest */
+import {
+  buildMigratedPayments,
+  buildSchedulePricing,
+  createInstallment,
+  getPaymentSchedule,
+  needsScheduleMigration,
+  recalculateSchedule,
+  settleInstallments,
+  shiftScheduleDueDates
+} from './paymentSchedule';
+
+const line = (fields) => createInstallment({ amountType: 'fixed', ...fields });
+
+const legacyBooking = {
+  id: 'bk1',
+  pricing: {
+    agreedPrice: 1000,
+    payments: [
+      { type: 'first', amount: 300, percentage: 30, method: 'transfer', received: true, date: '2025-05-01' },
+      { type: 'second', amount: 700, method: 'pos', received: false },
+      { type: 'refund', amount: -50, received: true, date: '2025-06-01' }
+    ]
+  }
+};
+
+describe('getPaymentSchedule', () => {
+  it('turns first/second lines into labelled instalments', () => {
+    const [deposit, balance] = getPaymentSchedule(legacyBooking.pricing);
+    expect(deposit).toMatchObject({
+      id: 'legacy_first',
+      label: 'Deposit',
+      amountType: 'percentage',
+      percentage: 30,
+      amount: 300,
+      method: 'transfer',
+      received: true,
+      date: '2025-05-01'
+    });
+    expect(balance).toMatchObject({ id: 'legacy_second', label: 'Balance', amountType: 'balance', amount: 700, received: false });
+  });
+
+  it('keeps a stored amount that no longer matches the percentage as a fixed line', () => {
+    const [deposit] = getPaymentSchedule({
+      agreedPrice: 1000,
+      payments: [{ type: 'first', amount: 250, percentage: 30 }]
+    });
+    expect(deposit).toMatchObject({ amountType: 'fixed', percentage: null, amount: 250 });
+  });
+
+  it('reads the nested firstPayment/secondPayment objects of the oldest bookings', () => {
+    const schedule = getPaymentSchedule({
+      agreedPrice: 600,
+      firstPayment: { amount: 200, received: true },
+      secondPayment: { amount: 400 }
+    });
+    expect(schedule.map(({ label, amount, amountType }) => ({ label, amount, amountType }))).toEqual([
+      { label: 'Deposit', amount: 200, amountType: 'fixed' },
+      { label: 'Balance', amount: 400, amountType: 'balance' }
+    ]);
+  });
+
+  it('drops empty legacy lines and leaves refunds out of the schedule', () => {
+    const schedule = getPaymentSchedule({
+      agreedPrice: 500,
+      payments: [{ type: 'first', amount: 500, received: true }, { type: 'second', amount: 0 }, { type: 'refund', amount: -20 }]
+    });
+    expect(schedule).toHaveLength(1);
+    expect(schedule[0].id).toBe('legacy_first');
+  });
+
+  it('gives stored instalments without an id a stable one', () => {
+    const schedule = getPaymentSchedule({ payments: [{ type: 'installment', amount: '120.005' }] });
+    expect(schedule[0]).toMatchObject({ id: 'line_0', amount: 120.01 });
+  });
+});
+
+describe('recalculateSchedule', () => {
+  it('works percentage and balance lines out from the agreed price', () => {
+    const lines = recalculateSchedule(
+      [
+        line({ id: 'a', amountType: 'percentage', percentage: 30 }),
+        line({ id: 'b', amount: 100 }),
+        line({ id: 'c', amountType: 'balance' })
+      ],
+      1000
+    );
+    expect(lines.map((entry) => entry.amount)).toEqual([300, 100, 600]);
+  });
+
+  it('gives the whole balance to the first balance line only', () => {
+    const lines = recalculateSchedule(
+      [line({ id: 'a', amount: 200 }), line({ id: 'b', amountType: 'balance' }), line({ id: 'c', amountType: 'balance' })],
+      500
+    );
+    expect(lines.map((entry) => entry.amount)).toEqual([200, 300, 0]);
+  });
+
+  it('never makes the balance negative', () => {
+    const lines = recalculateSchedule([line({ id: 'a', amount: 900 }), line({ id: 'b', amountType: 'balance' })], 500);
+    expect(lines[1].amount).toBe(0);
+  });
+});
+
+describe('shiftScheduleDueDates', () => {
+  const today = '2025-05-01';
+
+  it('moves open due dates with the charter', () => {
+    const [line1] = shiftScheduleDueDates([line({ id: 'a', dueDate: '2025-06-01' })], '2025-07-01', '2025-07-11', today);
+    expect(line1.dueDate).toBe('2025-06-11');
+  });
+
+  it('keeps received, waived and already due instalments', () => {
+    const lines = [
+      line({ id: 'a', dueDate: '2025-06-01', received: true }),
+      line({ id: 'b', dueDate: '2025-06-01', waived: true }),
+      line({ id: 'c', dueDate: '2025-04-20' })
+    ];
+    expect(shiftScheduleDueDates(lines, '2025-07-01', '2025-08-01', today).map((entry) => entry.dueDate)).toEqual([
+      '2025-06-01',
+      '2025-06-01',
+      '2025-04-20'
+    ]);
+  });
+
+  it('never moves a due date before today', () => {
+    const [line1] = shiftScheduleDueDates([line({ id: 'a', dueDate: '2025-05-10' })], '2025-07-01', '2025-06-01', today);
+    expect(line1.dueDate).toBe(today);
+  });
+});
+
+describe('settleInstallments', () => {
+  const schedule = [
+    line({ id: 'late', label: 'Balance', dueDate: '2025-07-01', amount: 700 }),
+    line({ id: 'early', label: 'Deposit', dueDate: '2025-05-01', amount: 300 })
+  ];
+  const fields = { method: 'transfer', date: '2025-04-20' };
+
+  it('settles the earliest due instalment first', () => {
+    const result = settleInstallments(schedule, 300, fields);
+    expect(result.find((entry) => entry.id === 'early')).toMatchObject({ received: true, method: 'transfer', date: '2025-04-20' });
+    expect(result.find((entry) => entry.id === 'late').received).toBe(false);
+  });
+
+  it('splits a partly covered instalment into a received part and the rest', () => {
+    const result = settleInstallments(schedule, 500, fields);
+    expect(result).toHaveLength(3);
+    const received = result.filter((entry) => entry.received);
+    expect(received.map((entry) => entry.amount).sort()).toEqual([200, 300]);
+    expect(result.find((entry) => entry.id === 'late')).toMatchObject({
+      label: 'Balance (rest)',
+      amountType: 'fixed',
+      amount: 500,
+      received: false
+    });
+  });
+
+  it('spills anything over the open instalments into an extra payment', () => {
+    const result = settleInstallments(schedule, 1100, fields);
+    expect(result.filter((entry) => !entry.received)).toHaveLength(0);
+    expect(result[result.length - 1]).toMatchObject({ label: 'Extra payment', amount: 100, received: true, method: 'transfer' });
+  });
+
+  it('skips instalments that are already received or waived', () => {
+    const result = settleInstallments(
+      [line({ id: 'paid', amount: 100, received: true }), line({ id: 'waived', amount: 100, waived: true }), line({ id: 'open', amount: 100 })],
+      100,
+      fields
+    );
+    expect(result.find((entry) => entry.id === 'open').received).toBe(true);
+    expect(result.find((entry) => entry.id === 'waived').received).toBe(false);
+  });
+});
+
+describe('buildSchedulePricing', () => {
+  it('keeps existing refunds and totals what was received', () => {
+    const pricing = buildSchedulePricing(
+      [line({ id: 'a', amount: 300, received: true, date: '2025-05-01' }), line({ id: 'b', amount: 700 })],
+      legacyBooking.pricing
+    );
+    expect(pricing.payments.map((entry) => entry.type)).toEqual(['installment', 'installment', 'refund']);
+    expect(pricing.totalPaid).toBe(250);
+    expect(pricing.paymentStatus).toBe('Partial');
+  });
+});
+
+describe('schedule migration', () => {
+  it('flags only bookings still stored the old way', () => {
+    expect(needsScheduleMigration(legacyBooking)).toBe(true);
+    expect(needsScheduleMigration({ pricing: { firstPayment: { amount: 100 } } })).toBe(true);
+    expect(needsScheduleMigration({ pricing: { payments: [{ type: 'installment', amount: 100 }] } })).toBe(false);
+    // San Antonio lines are read as they are
+    expect(needsScheduleMigration({ pricing: { payments: [{ type: 'deposit', amount: 100 }] } })).toBe(false);
+    expect(needsScheduleMigration({})).toBe(false);
+  });
+
+  it('writes instalments with ids from the booking, followed by the refunds', () => {
+    const payments = buildMigratedPayments(legacyBooking);
+    expect(payments.map(({ id, type, label, amount }) => ({ id, type, label, amount }))).toEqual([
+      { id: 'bk1_1', type: 'installment', label: 'Deposit', amount: 300 },
+      { id: 'bk1_2', type: 'installment', label: 'Balance', amount: 700 },
+      { id: undefined, type: 'refund', label: undefined, amount: -50 }
+    ]);
+  });
+
+  it('is idempotent', () => {
+    const payments = buildMigratedPayments(legacyBooking);
+    expect(buildMigratedPayments(legacyBooking)).toEqual(payments);
+
+    const migrated = { ...legacyBooking, pricing: { ...legacyBooking.pricing, payments } };
+    expect(needsScheduleMigration(migrated)).toBe(false);
+    expect(getPaymentSchedule(migrated.pricing).map((entry) => entry.id)).toEqual(['bk1_1', 'bk1_2']);
+  });
+});
@@ -0,0 +1,38 @@
+// src/utils/paymentScheduleMigration.js
+// One-off rewrite of bookings that still store a first and a second client
+// payment (see paymentSchedule). Kept apart from paymentSchedule so that file
+// stays free of Firebase imports.
+import { collection, deleteField, doc, getDocs, writeBatch } from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { buildMigratedPayments, needsScheduleMigration } from './paymentSchedule';
+
+const BATCH_SIZE = 400;
+
+/**
+ * Rewrite old first/second payments as schedules, in write batches. Refund
+ * lines are kept; amounts, methods and received dates don't change. Bookings
+ * already migrated are skipped. Runs in the browser from PaymentTracking.
+ * @param {Function} [onProgress] - Called with (done, total) after each batch.
+ * @returns {Promise<number>} Bookings migrated.
+ */
+export const migrateBookingSchedules = async (onProgress) => {
+  const snapshot = await getDocs(collection(db, 'bookings'));
+  const bookings = snapshot.docs
+    .map((entry) => ({ id: entry.id, ...entry.data() }))
+    .filter(needsScheduleMigration);
+
+  for (let start = 0; start < bookings.length; start += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    bookings.slice(start, start + BATCH_SIZE).forEach((booking) => {
+      batch.update(doc(db, 'bookings', booking.id), {
+        'pricing.payments': buildMigratedPayments(booking),
+        'pricing.firstPayment': deleteField(),
+        'pricing.secondPayment': deleteField(),
+        'pricing.scheduleMigratedAt': new Date().toISOString()
+      });
+    });
+    await batch.commit();
+    if (onProgress) onProgress(Math.min(start + BATCH_SIZE, bookings.length), bookings.length);
+  }
+  return bookings.length;
+};
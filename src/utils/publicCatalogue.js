@@ -0,0 +1,103 @@
+// src/utils/publicCatalogue.js
+// What the public boats catalogue API (pages/api/catalogue.js) shows of a boat.
+// A boat is listed once `published` is ticked in AddBoat (and it isn't hidden
+// from the website in BoatManagement); `publicFields` switches parts of it off.
+// Only the fields built here ever leave the server, so internal data (owner
+// calendars, minimum prices, partner rates, maintenance) can't leak. This file
+// is imported by the API route too: no browser-only imports.
+import { DURATIONS, SEASONS, parsePrice } from './seasonalPricing';
+import { getOnBoardSections } from './boatFeatures';
+
+export const PUBLIC_FIELDS = {
+  description: 'Description',
+  homeMarina: 'Home marina',
+  specs: 'Specifications',
+  engine: 'Engine and horsepower',
+  seasonalPrices: 'Seasonal prices',
+  features: 'Equipment, water sports, amenities and crew',
+  availability: 'Availability for the next 30 days'
+};
+
+// detailedSpecs key -> API key; Engine and HP follow the `engine` setting
+const PUBLIC_SPECS = {
+  Class: 'class',
+  Length: 'length',
+  Beam: 'beam',
+  Guests: 'guests',
+  Cabins: 'cabins',
+  Crew: 'crew',
+  'Cruising Area': 'cruisingArea',
+  'Cruising Speed': 'cruisingSpeed',
+  'Max Speed': 'maxSpeed'
+};
+
+/**
+ * The boat's visibility settings, everything on unless switched off.
+ * @returns {Object} true / false for each key of PUBLIC_FIELDS.
+ */
+export const getPublicFieldSettings = (boat) =>
+  Object.keys(PUBLIC_FIELDS).reduce(
+    (settings, key) => ({ ...settings, [key]: boat?.publicFields?.[key] !== false }),
+    {}
+  );
+
+export const isPubliclyListed = (boat) => boat?.published === true && boat.visible !== false;
+
+const getPublicImages = (boat) =>
+  (boat.images || []).filter(Boolean).map((url) => {
+    const variants = (boat.imageVariants || []).find((entry) => entry && entry.full === url);
+    return { thumb: variants?.thumb || url, card: variants?.card || url, full: url };
+  });
+
+const getPublicPrices = (boat) =>
+  Object.keys(SEASONS)
+    .map((season) => {
+      const rates = {};
+      Object.keys(DURATIONS).forEach((duration) => {
+        const price = parsePrice(
+          duration === 'fullDay' ? boat.seasonalPrices?.[season] : boat.durationPrices?.[duration]?.[season]
+        );
+        if (price > 0) rates[duration] = price;
+      });
+      return { season, months: SEASONS[season], ...rates };
+    })
+    .filter((entry) => Object.keys(entry).length > 2);
+
+/**
+ * The whitelisted public view of a boat doc.
+ * @param {string} id - Boat doc id.
+ * @param {Object} boat - Boat doc.
+ * @param {string} [language] - 'en' or 'es', for the feature names.
+ * @returns {Object} Availability is added by the API route.
+ */
+export const buildPublicBoat = (id, boat, language = 'en') => {
+  const settings = getPublicFieldSettings(boat);
+  const publicBoat = { id, name: boat.name || '', images: getPublicImages(boat) };
+
+  if (settings.description) publicBoat.description = boat.description || '';
+  if (settings.homeMarina) publicBoat.homeMarina = boat.homeMarina || '';
+
+  if (settings.specs) {
+    publicBoat.specs = {};
+    Object.keys(PUBLIC_SPECS).forEach((field) => {
+      if (boat.detailedSpecs?.[field]) publicBoat.specs[PUBLIC_SPECS[field]] = String(boat.detailedSpecs[field]);
+    });
+    if (settings.engine) {
+      if (boat.detailedSpecs?.Engine) publicBoat.specs.engine = String(boat.detailedSpecs.Engine);
+      if (boat.detailedSpecs?.HP) publicBoat.specs.hp = String(boat.detailedSpecs.HP);
+    }
+  }
+
+  if (settings.seasonalPrices) {
+    publicBoat.prices = { currency: 'EUR', seasons: getPublicPrices(boat) };
+  }
+
+  if (settings.features) {
+    publicBoat.features = getOnBoardSections(boat, language).reduce(
+      (features, section) => ({ ...features, [section.key]: section.items }),
+      {}
+    );
+  }
+
+  return publicBoat;
+};
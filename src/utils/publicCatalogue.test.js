@@ -0,0 +1,76 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+// Runs without a DOM, like pages/api/catalogue.js: anything in the import chain
+// that needs the browser Firebase client or `window` fails this file.
+import { buildPublicBoat, getPublicFieldSettings, isPubliclyListed } from './publicCatalogue';
+import { etagMatches, getCatalogueEtag } from './catalogueEtag';
+
+describe('publicCatalogue under Node', () => {
+  it('loads without browser-only modules', () => {
+    expect(typeof window).toBe('undefined');
+    expect(typeof buildPublicBoat).toBe('function');
+  });
+
+  it('builds a boat', () => {
+    const boat = { name: 'Sunseeker 75', published: true };
+    expect(isPubliclyListed(boat)).toBe(true);
+    expect(getPublicFieldSettings(boat).description).toBe(true);
+    expect(buildPublicBoat('b1', boat)).toMatchObject({ id: 'b1', name: 'Sunseeker 75', images: [] });
+  });
+});
+
+describe('buildPublicBoat', () => {
+  const boat = {
+    name: 'Sunseeker 75',
+    published: true,
+    description: 'Flybridge',
+    homeMarina: 'Marina Ibiza',
+    detailedSpecs: { Length: '23m', Guests: 12, Engine: '2x MAN', HP: '1800', Owner: 'J. Smith' },
+    seasonalPrices: { 'July / August': '€3,000' },
+    durationPrices: { halfDay: { 'July / August': '1800' } },
+    minimumPrices: { fullDay: 2400 },
+    icalUrl: 'https://calendar.example.com/private.ics',
+    partnerRates: { p1: 10 }
+  };
+
+  it('only lets whitelisted fields through', () => {
+    const publicBoat = buildPublicBoat('b1', boat);
+    expect(Object.keys(publicBoat).sort()).toEqual(['description', 'features', 'homeMarina', 'id', 'images', 'name', 'prices', 'specs']);
+    expect(publicBoat.specs).toEqual({ length: '23m', guests: '12', engine: '2x MAN', hp: '1800' });
+    expect(publicBoat.prices.seasons).toEqual([{ season: 'July / August', months: [7, 8], halfDay: 1800, fullDay: 3000 }]);
+    expect(JSON.stringify(publicBoat)).not.toMatch(/calendar\.example|J\. Smith|2400/);
+  });
+
+  it('leaves out the fields switched off for the boat', () => {
+    const publicBoat = buildPublicBoat('b1', { ...boat, publicFields: { engine: false, description: false, seasonalPrices: false } });
+    expect(publicBoat.specs).toEqual({ length: '23m', guests: '12' });
+    expect(publicBoat).not.toHaveProperty('description');
+    expect(publicBoat).not.toHaveProperty('prices');
+    expect(buildPublicBoat('b1', { ...boat, publicFields: { specs: false } })).not.toHaveProperty('specs');
+  });
+
+  it('lists only published boats that are not hidden', () => {
+    expect(isPubliclyListed({ ...boat, visible: false })).toBe(false);
+    expect(isPubliclyListed({ ...boat, published: 'true' })).toBe(false);
+  });
+});
+
+describe('catalogue ETags', () => {
+  const etag = getCatalogueEtag('{"boats":[]}');
+
+  it('tags the same body the same way', () => {
+    expect(etag).toMatch(/^"[\w-]+"$/);
+    expect(getCatalogueEtag('{"boats":[]}')).toBe(etag);
+    expect(getCatalogueEtag('{"boats":[1]}')).not.toBe(etag);
+  });
+
+  it('matches If-None-Match lists, weak tags and *', () => {
+    expect(etagMatches(etag, etag)).toBe(true);
+    expect(etagMatches(`"old", W/${etag}`, etag)).toBe(true);
+    expect(etagMatches('*', etag)).toBe(true);
+    expect(etagMatches('"old"', etag)).toBe(false);
+    expect(etagMatches(undefined, etag)).toBe(false);
+  });
+});
@@ -0,0 +1,312 @@
+// src/utils/quoteProposals.js
+// Client proposals with several boat options for one date. A quote copies what
+// the client needs to see from each boat (photos, specs, price) so the public
+// read-only page never has to read the boats collection:
+//   quotes/{id} = { client, passengers, date, startTime, endTime, message,
+//                   options: [option], expiresAt, acceptedOption, bookingId, ... }
+// The document id is the share token; see firestore.rules for what the public page may do.
+import { addDoc, collection, doc, getDoc, onSnapshot, orderBy, query, updateDoc } from 'firebase/firestore';
+import { jsPDF } from 'jspdf';
+import 'jspdf-autotable';
+import { db } from '../firebase/firebaseConfig';
+import { buildStatusActor } from './bookingStatus';
+import { getBoatImages } from './boatImages';
+import { DURATIONS, quoteBoatPrice } from './seasonalPricing';
+
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 7;
+const MAX_OPTION_IMAGES = 6;
+
+// Spec rows shown to clients, in this order
+const SPEC_FIELDS = ['Length', 'Guests', 'Cabins', 'Crew', 'Class', 'Engine', 'HP', 'Cruising Speed', 'Max Speed', 'Cruising Area'];
+
+export const QUOTE_STATUS_META = {
+  sent: { label: 'Sent', badge: 'bg-blue-100 text-blue-800' },
+  accepted: { label: 'Accepted', badge: 'bg-green-100 text-green-800' },
+  converted: { label: 'Booked', badge: 'bg-purple-100 text-purple-800' },
+  expired: { label: 'Expired', badge: 'bg-gray-100 text-gray-700' }
+};
+
+const colors = {
+  deepBlue: [26, 61, 93],
+  white: [255, 255, 255],
+  charcoal: [50, 50, 50],
+  lightGray: [120, 120, 120]
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+export const getQuoteExpiry = (quote) => toDate(quote.expiresAt);
+
+/**
+ * sent → accepted (by the client) → converted (booking created); unanswered quotes expire.
+ */
+export const getQuoteStatus = (quote, now = new Date()) => {
+  if (quote.bookingId) return 'converted';
+  if (quote.acceptedOption !== null && quote.acceptedOption !== undefined) return 'accepted';
+  const expiry = getQuoteExpiry(quote);
+  return expiry && expiry < now ? 'expired' : 'sent';
+};
+
+export const formatQuoteDate = (date) => {
+  const day = new Date(`${date}T00:00:00`);
+  return isNaN(day.getTime())
+    ? date || ''
+    : day.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+};
+
+export const formatQuotePrice = (price) =>
+  `€${(Number(price) || 0).toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+export const getQuoteShareUrl = (quoteId) => `${window.location.origin}/quote/${quoteId}`;
+
+/**
+ * One proposal option from a boat doc, priced from its seasonal rates for the
+ * date and the length of the charter.
+ * @param {Object} boat - Boat doc with its id.
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [slot] - startTime / endTime, to tell half days from full days.
+ * @returns {Object}
+ */
+export const buildQuoteOption = (boat, date, { startTime, endTime } = {}) => {
+  const { season, duration, publicPrice } = quoteBoatPrice(boat, { date, startTime, endTime });
+  return {
+    boatId: boat.id,
+    boatName: boat.name || '',
+    price: publicPrice,
+    season,
+    duration,
+    images: getBoatImages(boat, 'card').slice(0, MAX_OPTION_IMAGES),
+    description: boat.description || '',
+    specs: SPEC_FIELDS.map((label) => [label, boat.detailedSpecs?.[label] || '']).filter(([, value]) => value)
+  };
+};
+
+/**
+ * Save a proposal.
+ * @param {Object} quote - client, passengers, date, startTime, endTime, message, options.
+ * @param {Object} [options]
+ * @param {number} [options.validDays]
+ * @param {Object} [options.user]
+ * @returns {Promise<string>} The quote id (also its share token).
+ */
+export const createQuote = async (quote, { validDays = DEFAULT_QUOTE_VALIDITY_DAYS, user } = {}) => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + validDays);
+  expiresAt.setHours(23, 59, 59, 0);
+
+  const quoteRef = await addDoc(collection(db, 'quotes'), {
+    client: {
+      name: quote.client?.name || '',
+      phone: quote.client?.phone || '',
+      email: quote.client?.email || ''
+    },
+    passengers: quote.passengers || '',
+    date: quote.date,
+    startTime: quote.startTime || '',
+    endTime: quote.endTime || '',
+    message: quote.message || '',
+    options: quote.options.map((option) => ({ ...option, price: Number(option.price) || 0 })),
+    expiresAt,
+    acceptedOption: null,
+    acceptedAt: null,
+    bookingId: null,
+    createdAt: new Date().toISOString(),
+    createdBy: buildStatusActor(user)
+  });
+  return quoteRef.id;
+};
+
+/**
+ * Live list of quotes, newest first.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToQuotes = (onChange, onError) =>
+  onSnapshot(
+    query(collection(db, 'quotes'), orderBy('createdAt', 'desc')),
+    (snapshot) => onChange(snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }))),
+    (error) => {
+      console.error('Error loading quotes:', error);
+      if (onError) onError(error);
+    }
+  );
+
+/**
+ * @returns {Promise<Object|null>} Null when the quote doesn't exist.
+ */
+export const fetchQuote = async (quoteId) => {
+  const snapshot = await getDoc(doc(db, 'quotes', quoteId));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+/**
+ * The client picks an option on the public page, or staff record it for them.
+ */
+export const acceptQuoteOption = async (quoteId, optionIndex) => {
+  await updateDoc(doc(db, 'quotes', quoteId), {
+    acceptedOption: optionIndex,
+    acceptedAt: new Date().toISOString()
+  });
+};
+
+export const markQuoteConverted = async (quoteId, bookingId) => {
+  await updateDoc(doc(db, 'quotes', quoteId), {
+    bookingId,
+    convertedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * What AddBooking needs to prefill a draft from one option (router state `prefill`).
+ */
+export const buildQuotePrefill = (quote, optionIndex) => {
+  const option = quote.options[optionIndex];
+  return {
+    quoteId: quote.id,
+    boatName: option.boatName,
+    date: quote.date,
+    startTime: quote.startTime,
+    endTime: quote.endTime,
+    passengers: quote.passengers,
+    agreedPrice: option.price,
+    clientDetails: quote.client,
+    notes: quote.message
+  };
+};
+
+// ---------------------------------------------------------------- PDF
+
+// Photos come from Storage download URLs and are drawn through a canvas, so the
+// bucket must allow CORS; a photo that won't load is skipped
+const loadImage = async (url) => {
+  try {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.src = url;
+    await image.decode();
+    return image;
+  } catch (error) {
+    console.error('Error loading proposal image:', error);
+    return null;
+  }
+};
+
+/**
+ * The proposal as a branded PDF: a summary page, then one page per boat.
+ * @param {Object} quote - Saved quote with its id.
+ * @returns {Promise<jsPDF>}
+ */
+export const buildQuotePdf = async (quote) => {
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const expiry = getQuoteExpiry(quote);
+  const slot = [quote.startTime, quote.endTime].filter(Boolean).join(' – ');
+
+  const drawHeader = (title) => {
+    pdf.setFillColor(...colors.deepBlue);
+    pdf.rect(0, 0, pageWidth, 28, 'F');
+    pdf.setTextColor(...colors.white);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(18);
+    pdf.text(title, 10, 13);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.text([formatQuoteDate(quote.date), slot].filter(Boolean).join(' · '), 10, 21);
+  };
+
+  drawHeader('CHARTER PROPOSAL');
+  pdf.setTextColor(...colors.charcoal);
+  pdf.setFontSize(11);
+  let y = 40;
+  if (quote.client?.name) {
+    pdf.text(`Prepared for ${quote.client.name}`, 10, y);
+    y += 7;
+  }
+  if (quote.passengers) {
+    pdf.text(`${quote.passengers} guests`, 10, y);
+    y += 7;
+  }
+  if (quote.message) {
+    const lines = pdf.splitTextToSize(quote.message, pageWidth - 20);
+    pdf.text(lines, 10, y + 3);
+    y += lines.length * 5 + 6;
+  }
+
+  pdf.autoTable({
+    startY: y + 4,
+    head: [['Option', 'Boat', 'Length', 'Guests', 'Price']],
+    body: quote.options.map((option, index) => {
+      const specs = option.specs.reduce((acc, [label, value]) => ({ ...acc, [label]: value }), {});
+      return [String(index + 1), option.boatName, specs.Length || '—', specs.Guests || '—', formatQuotePrice(option.price)];
+    }),
+    theme: 'grid',
+    styles: { fontSize: 10, cellPadding: 2, textColor: colors.charcoal },
+    headStyles: { fillColor: colors.deepBlue, textColor: colors.white },
+    columnStyles: { 0: { cellWidth: 16, halign: 'center' }, 4: { halign: 'right', fontStyle: 'bold' } },
+    margin: { left: 10, right: 10 }
+  });
+
+  y = pdf.autoTable.previous.finalY + 10;
+  pdf.setFontSize(9);
+  pdf.setTextColor(...colors.lightGray);
+  if (expiry) {
+    pdf.text(`Prices valid until ${expiry.toLocaleDateString('en-GB')}, subject to availability.`, 10, y);
+    y += 5;
+  }
+  pdf.text(`View online: ${getQuoteShareUrl(quote.id)}`, 10, y);
+
+  for (let index = 0; index < quote.options.length; index += 1) {
+    const option = quote.options[index];
+    pdf.addPage();
+    drawHeader(`OPTION ${index + 1} · ${option.boatName.toUpperCase()}`);
+
+    let optionY = 36;
+    const image = option.images[0] ? await loadImage(option.images[0]) : null;
+    if (image) {
+      try {
+        pdf.addImage(image, 'JPEG', 10, optionY, pageWidth - 20, 100, undefined, 'FAST');
+        optionY += 106;
+      } catch (error) {
+        console.error('Error adding proposal image:', error);
+      }
+    }
+
+    pdf.setTextColor(...colors.deepBlue);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(16);
+    pdf.text(formatQuotePrice(option.price), 10, optionY + 4);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(...colors.lightGray);
+    const rateLabel = DURATIONS[option.duration] || 'Day';
+    pdf.text(option.season ? `${option.season} season · ${rateLabel.toLowerCase()} rate` : `${rateLabel} rate`, 10, optionY + 10);
+    optionY += 16;
+
+    if (option.description) {
+      pdf.setFontSize(10);
+      pdf.setTextColor(...colors.charcoal);
+      const lines = pdf.splitTextToSize(option.description, pageWidth - 20).slice(0, 8);
+      pdf.text(lines, 10, optionY);
+      optionY += lines.length * 4.5 + 4;
+    }
+
+    if (option.specs.length > 0) {
+      pdf.autoTable({
+        startY: optionY,
+        body: option.specs,
+        theme: 'grid',
+        styles: { fontSize: 9, cellPadding: 1.5, textColor: colors.charcoal },
+        columnStyles: { 0: { cellWidth: 45, fontStyle: 'bold' } },
+        margin: { left: 10, right: 10 }
+      });
+    }
+  }
+
+  return pdf;
+};
+
+export const getQuoteFileName = (quote) =>
+  `proposal-${(quote.client?.name || 'client').trim().replace(/\s+/g, '-').toLowerCase()}-${quote.date}.pdf`;
@@ -0,0 +1,59 @@
+// src/utils/recycleBin.js
+// Soft delete for bookings, catering orders and expenses. Deleting only flags the
+// document; it stays in the recycle bin until an admin restores it or purges it
+// once the retention period has passed. This file holds the rules and has no
+// Firebase imports; moving documents in and out is in recycleBinActions.js.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_COLLECTIONS = {
+  bookings: {
+    label: 'Bookings',
+    describe: (item) => ({
+      title: item.clientDetails?.name || item.clientName || 'Unnamed client',
+      subtitle: [item.bookingDetails?.date, item.bookingDetails?.boatName].filter(Boolean).join(' · '),
+      amount: item.pricing?.agreedPrice
+    })
+  },
+  orders: {
+    label: 'Catering orders',
+    describe: (item) => ({
+      title: item.fullName || item.customerName || item.orderId || 'Order',
+      subtitle: [item.orderDate, item.boatName].filter(Boolean).join(' · '),
+      amount: item.amount_total ?? item.totalAmount
+    })
+  },
+  expenses: {
+    label: 'Expenses',
+    describe: (item) => ({
+      title: item.description || item.category || item.numeleBarci || 'Expense',
+      subtitle: [item.date, item.category].filter(Boolean).join(' · '),
+      amount: item.amount ?? item.suma
+    })
+  }
+};
+
+/**
+ * Whether a document has been moved to the recycle bin.
+ * Every list of bookings, orders or expenses should drop these.
+ * @param {Object} data - Firestore document data.
+ */
+export const isTrashed = (data) => Boolean(data && data.isDeleted === true);
+
+/**
+ * The date from which a trashed document may be permanently purged.
+ * @param {Object} item - Trashed document data.
+ * @returns {Date|null}
+ */
+export const getPurgeableFrom = (item) => {
+  const deletedAt = item?.deletedAt ? new Date(item.deletedAt) : null;
+  if (!deletedAt || isNaN(deletedAt.getTime())) return null;
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+};
+
+export const canPurge = (item, now = new Date()) => {
+  const purgeableFrom = getPurgeableFrom(item);
+  return Boolean(purgeableFrom && purgeableFrom <= now);
+};
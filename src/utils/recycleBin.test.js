@@ -0,0 +1,56 @@
+/* eslint-env jest */
+import { TRASH_COLLECTIONS, TRASH_RETENTION_DAYS, canPurge, getPurgeableFrom, isTrashed } from './recycleBin';
+
+describe('isTrashed', () => {
+  it('only counts documents flagged as deleted', () => {
+    expect(isTrashed({ isDeleted: true })).toBe(true);
+    expect(isTrashed({ isDeleted: false })).toBe(false);
+    expect(isTrashed({ isDeleted: 'true' })).toBe(false);
+    expect(isTrashed({})).toBe(false);
+    expect(isTrashed(null)).toBe(false);
+  });
+
+  it('drops trashed and keeps restored documents in a list', () => {
+    const bookings = [
+      { id: 'a' },
+      { id: 'b', isDeleted: true, deletedAt: '2025-05-01T10:00:00.000Z' },
+      { id: 'c', isDeleted: false, restoredAt: '2025-05-02T10:00:00.000Z' }
+    ];
+    expect(bookings.filter((booking) => !isTrashed(booking)).map((booking) => booking.id)).toEqual(['a', 'c']);
+  });
+});
+
+describe('purging', () => {
+  const item = { isDeleted: true, deletedAt: '2025-05-01T10:00:00.000Z' };
+
+  it('can purge from the end of the retention period', () => {
+    expect(TRASH_RETENTION_DAYS).toBe(30);
+    expect(getPurgeableFrom(item).toISOString()).toBe('2025-05-31T10:00:00.000Z');
+    expect(canPurge(item, new Date('2025-05-31T09:59:59.000Z'))).toBe(false);
+    expect(canPurge(item, new Date('2025-05-31T10:00:00.000Z'))).toBe(true);
+  });
+
+  it('never purges without a valid deletion date', () => {
+    expect(getPurgeableFrom({ isDeleted: true })).toBeNull();
+    expect(getPurgeableFrom({ isDeleted: true, deletedAt: 'yesterday' })).toBeNull();
+    expect(canPurge({ isDeleted: true }, new Date('2030-01-01'))).toBe(false);
+  });
+});
+
+describe('TRASH_COLLECTIONS', () => {
+  it('describes each kind of trashed document for the recycle bin', () => {
+    expect(
+      TRASH_COLLECTIONS.bookings.describe({
+        clientName: 'Ana',
+        bookingDetails: { date: '2025-06-01', boatName: 'Sunseeker 75' },
+        pricing: { agreedPrice: 3000 }
+      })
+    ).toEqual({ title: 'Ana', subtitle: '2025-06-01 · Sunseeker 75', amount: 3000 });
+    expect(TRASH_COLLECTIONS.orders.describe({ orderId: 'ORD-1', amount_total: 0 })).toEqual({
+      title: 'ORD-1',
+      subtitle: '',
+      amount: 0
+    });
+    expect(TRASH_COLLECTIONS.expenses.describe({ category: 'Fuel', suma: 120 })).toMatchObject({ title: 'Fuel', amount: 120 });
+  });
+});
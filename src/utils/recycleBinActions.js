@@ -0,0 +1,58 @@
+// src/utils/recycleBinActions.js
+// Moving documents into and out of the recycle bin (rules in recycleBin.js).
+import { collection, deleteDoc, doc, onSnapshot, query, updateDoc, where } from 'firebase/firestore';
+import { db } from '../firebase/firebaseConfig';
+import { buildStatusActor } from './bookingStatus';
+import { TRASH_RETENTION_DAYS, canPurge, isTrashed } from './recycleBin';
+
+/**
+ * Move a document to the recycle bin.
+ * @param {string} collectionName - One of the TRASH_COLLECTIONS keys.
+ * @param {string} id
+ * @param {Object} [user] - Firebase auth user doing the delete.
+ */
+export const moveToTrash = async (collectionName, id, user) => {
+  await updateDoc(doc(db, collectionName, id), {
+    isDeleted: true,
+    deletedAt: new Date().toISOString(),
+    deletedBy: buildStatusActor(user)
+  });
+};
+
+export const restoreFromTrash = async (collectionName, id, user) => {
+  await updateDoc(doc(db, collectionName, id), {
+    isDeleted: false,
+    deletedAt: null,
+    deletedBy: null,
+    restoredAt: new Date().toISOString(),
+    restoredBy: buildStatusActor(user)
+  });
+};
+
+/**
+ * Permanently delete a trashed document. Refuses while it is still inside the retention period.
+ */
+export const purgeFromTrash = async (collectionName, item) => {
+  if (!isTrashed(item) || !canPurge(item)) {
+    throw new Error(`Items can only be purged ${TRASH_RETENTION_DAYS} days after they were deleted`);
+  }
+  await deleteDoc(doc(db, collectionName, item.id));
+};
+
+/**
+ * Live list of trashed documents in a collection, most recently deleted first.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToTrash = (collectionName, onChange, onError) =>
+  onSnapshot(
+    query(collection(db, collectionName), where('isDeleted', '==', true)),
+    (snapshot) => {
+      const items = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+      items.sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+      onChange(items);
+    },
+    (error) => {
+      console.error(`Error loading deleted ${collectionName}:`, error);
+      if (onError) onError(error);
+    }
+  );
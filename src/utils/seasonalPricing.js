@@ -0,0 +1,195 @@
+// src/utils/seasonalPricing.js
+// Boat prices by season and charter length. Seasons are the keys of the boat's
+// `seasonalPrices` map as entered in AddBoat; months outside them fall back to
+// the boat's base price. The pricing engine below turns that into a suggested
+// price for a booking, with extras, partner net rates and minimum prices.
+import PrecisionFinancialUtils from './PrecisionFinancialUtils';
+
+// Month numbers (1–12) covered by each seasonalPrices key
+export const SEASONS = {
+  'May / October': [5, 10],
+  'June / September': [6, 9],
+  'July / August': [7, 8]
+};
+
+/**
+ * The seasonalPrices key for a date, or null out of season.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string|null}
+ */
+export const getSeasonForDate = (date) => {
+  if (!date) return null;
+  const month = parseInt(String(date).slice(5, 7), 10);
+  return Object.keys(SEASONS).find((season) => SEASONS[season].includes(month)) || null;
+};
+
+/**
+ * Boat prices are typed by hand ("€2,800", "3.500", "1800"). Anything that looks
+ * like thousands separators is read as a whole number; the rest is parsed the
+ * same way the dashboards parse amounts.
+ * @returns {number} 0 when there is no usable price.
+ */
+export const parsePrice = (value) => {
+  if (typeof value === 'number') return isFinite(value) ? value : 0;
+  const cleaned = String(value || '').replace(/[^0-9.,]/g, '');
+  if (!cleaned) return 0;
+  if (/^\d{1,3}([.,]\d{3})+$/.test(cleaned)) return Number(cleaned.replace(/[.,]/g, ''));
+  return PrecisionFinancialUtils.normalizeAmount(cleaned).toNumber();
+};
+
+/**
+ * A boat's day rate on a date: the season's price, or its base price when the
+ * season has none.
+ * @param {Object} boat - Boat doc.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{season: string|null, price: number}}
+ */
+export const getSeasonalDayRate = (boat, date) => {
+  const season = getSeasonForDate(date);
+  const seasonal = season ? parsePrice(boat.seasonalPrices?.[season]) : 0;
+  if (seasonal > 0) return { season, price: seasonal };
+  return { season: null, price: parsePrice(boat.price || boat.seasonalPrices?.Standard) };
+};
+
+// ---------------------------------------------------------------- Pricing engine
+// On top of the full-day seasonalPrices a boat may carry (all optional, edited in AddBoat):
+//   durationPrices: { halfDay: { [season]: price }, week: { [season]: price } }
+//   minimumPrices:  { halfDay, fullDay, week }   - the lowest price we accept
+//   extras:         [{ name, price, unit: 'booking' | 'person' }]
+// Partners (hotels / collaborators) may carry netRateDiscount: the % off the
+// public price they buy at.
+
+export const DURATIONS = {
+  halfDay: 'Half day',
+  fullDay: 'Full day',
+  week: 'Week'
+};
+
+export const EXTRA_UNITS = {
+  booking: 'per booking',
+  person: 'per guest'
+};
+
+// Charters of this many hours or fewer are half days
+const HALF_DAY_MAX_HOURS = 4;
+const DAYS_PER_WEEK = 7;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Half or full day from the booking's times; weeks are only ever picked by hand.
+ * @returns {'halfDay'|'fullDay'}
+ */
+export const getDurationForSlot = (startTime, endTime) => {
+  if (!startTime || !endTime) return 'fullDay';
+  const hours = (toMinutes(endTime) - toMinutes(startTime)) / 60;
+  return hours > 0 && hours <= HALF_DAY_MAX_HOURS ? 'halfDay' : 'fullDay';
+};
+
+/**
+ * A boat's rate for a duration on a date. Without a half-day or weekly rate for
+ * the season the full-day rate is used (seven of them for a week) and the result
+ * is marked as estimated.
+ * @returns {{season: string|null, duration: string, price: number, estimated: boolean}}
+ */
+export const getDurationRate = (boat, date, duration = 'fullDay') => {
+  const day = getSeasonalDayRate(boat, date);
+  if (duration === 'fullDay') return { season: day.season, duration, price: day.price, estimated: false };
+
+  const explicit = day.season ? parsePrice(boat.durationPrices?.[duration]?.[day.season]) : 0;
+  if (explicit > 0) return { season: day.season, duration, price: explicit, estimated: false };
+
+  return {
+    season: day.season,
+    duration,
+    price: duration === 'week' ? day.price * DAYS_PER_WEEK : day.price,
+    estimated: day.price > 0
+  };
+};
+
+/**
+ * @returns {number} The boat's minimum price for the duration, 0 when none is set.
+ */
+export const getPriceFloor = (boat, duration = 'fullDay') => parsePrice(boat?.minimumPrices?.[duration]);
+
+/**
+ * Full price suggestion for one boat.
+ * @param {Object} boat - Boat doc.
+ * @param {Object} options
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {string} [options.duration] - Defaults to the duration of startTime–endTime.
+ * @param {string} [options.startTime]
+ * @param {string} [options.endTime]
+ * @param {string[]} [options.extras] - Names of the boat extras to add.
+ * @param {number|string} [options.passengers] - For per-guest extras.
+ * @param {Object} [options.partner] - Hotel / collaborator doc; its net rate discount applies.
+ * @returns {Object} { season, duration, estimated, baseRate, extraLines, extrasTotal,
+ *   publicPrice, netDiscount, suggestedPrice, floor }
+ */
+export const quoteBoatPrice = (boat, { date, duration, startTime, endTime, extras = [], passengers, partner } = {}) => {
+  const resolvedDuration = duration || getDurationForSlot(startTime, endTime);
+  const rate = getDurationRate(boat, date, resolvedDuration);
+  const guests = parseInt(passengers, 10) || 0;
+
+  const extraLines = (boat.extras || [])
+    .filter((extra) => extra.name && extras.includes(extra.name))
+    .map((extra) => {
+      const price = parsePrice(extra.price);
+      const quantity = extra.unit === 'person' ? guests : 1;
+      return { name: extra.name, unit: extra.unit || 'booking', quantity, amount: price * quantity };
+    });
+  const extrasTotal = extraLines.reduce((sum, line) => sum + line.amount, 0);
+  const publicPrice = rate.price + extrasTotal;
+
+  const netDiscount = parseFloat(partner?.netRateDiscount) || 0;
+  const suggestedPrice = netDiscount > 0
+    ? Math.round(publicPrice * (1 - netDiscount / 100) * 100) / 100
+    : publicPrice;
+
+  return {
+    season: rate.season,
+    duration: resolvedDuration,
+    estimated: rate.estimated,
+    baseRate: rate.price,
+    extraLines,
+    extrasTotal,
+    publicPrice,
+    netDiscount,
+    suggestedPrice,
+    floor: getPriceFloor(boat, resolvedDuration)
+  };
+};
+
+export const isBelowFloor = (agreedPrice, floor) => {
+  const price = parseFloat(agreedPrice);
+  return floor > 0 && price > 0 && price < floor;
+};
+
+/**
+ * What gets stored on a booking as `pricing.priceCheck`, so reports can compare
+ * agreed prices with the suggestion and the floor.
+ */
+export const buildPriceCheck = (quote, agreedPrice) => ({
+  suggestedPrice: quote.suggestedPrice,
+  floor: quote.floor,
+  season: quote.season,
+  duration: quote.duration,
+  extras: quote.extraLines.map((line) => line.name),
+  netDiscount: quote.netDiscount,
+  belowFloor: isBelowFloor(agreedPrice, quote.floor)
+});
+
+/**
+ * Bookings name their boat as free text; match it to a boat doc ignoring case and spacing.
+ */
+export const findBoatByName = (boats, name) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return boats.find((boat) => String(boat.name || '').trim().toLowerCase() === wanted) || null;
+};
+
+export const formatPrice = (price) =>
+  `€${(Number(price) || 0).toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
@@ -0,0 +1,143 @@
+/* eslint-env jest */
+import {
+  buildPriceCheck,
+  findBoatByName,
+  getDurationForSlot,
+  getDurationRate,
+  getSeasonForDate,
+  getSeasonalDayRate,
+  isBelowFloor,
+  parsePrice,
+  quoteBoatPrice
+} from './seasonalPricing';
+
+const boat = {
+  name: 'Sunseeker 75',
+  price: '1.500',
+  seasonalPrices: {
+    'May / October': '€2,000',
+    'June / September': '2500',
+    'July / August': '3.000'
+  },
+  durationPrices: {
+    halfDay: { 'July / August': '1800' },
+    week: {}
+  },
+  minimumPrices: { halfDay: 1200, fullDay: '2.400', week: '' },
+  extras: [
+    { name: 'Skipper', price: '200', unit: 'booking' },
+    { name: 'Lunch', price: '35', unit: 'person' },
+    { name: '', price: '10' }
+  ]
+};
+
+describe('getSeasonForDate', () => {
+  it('maps months to the seasonalPrices keys', () => {
+    expect(getSeasonForDate('2025-05-14')).toBe('May / October');
+    expect(getSeasonForDate('2025-09-01')).toBe('June / September');
+    expect(getSeasonForDate('2025-08-31')).toBe('July / August');
+  });
+
+  it('returns null out of season or without a date', () => {
+    expect(getSeasonForDate('2025-12-01')).toBeNull();
+    expect(getSeasonForDate('')).toBeNull();
+  });
+});
+
+describe('parsePrice', () => {
+  it('reads prices typed by hand', () => {
+    expect(parsePrice('€2,800')).toBe(2800);
+    expect(parsePrice('3.500')).toBe(3500);
+    expect(parsePrice('1800')).toBe(1800);
+    expect(parsePrice(950.5)).toBe(950.5);
+  });
+
+  it('returns 0 when there is no usable price', () => {
+    expect(parsePrice('')).toBe(0);
+    expect(parsePrice('on request')).toBe(0);
+    expect(parsePrice(Infinity)).toBe(0);
+  });
+});
+
+describe('season rates', () => {
+  it("uses the season's price and falls back to the base price", () => {
+    expect(getSeasonalDayRate(boat, '2025-07-10')).toEqual({ season: 'July / August', price: 3000 });
+    expect(getSeasonalDayRate(boat, '2025-11-10')).toEqual({ season: null, price: 1500 });
+    expect(getSeasonalDayRate({ price: '900', seasonalPrices: { 'July / August': '' } }, '2025-07-10')).toEqual({
+      season: null,
+      price: 900
+    });
+  });
+
+  it('uses explicit duration rates and estimates the missing ones', () => {
+    expect(getDurationRate(boat, '2025-07-10', 'halfDay')).toEqual({
+      season: 'July / August',
+      duration: 'halfDay',
+      price: 1800,
+      estimated: false
+    });
+    expect(getDurationRate(boat, '2025-06-10', 'halfDay')).toMatchObject({ price: 2500, estimated: true });
+    expect(getDurationRate(boat, '2025-06-10', 'week')).toMatchObject({ price: 17500, estimated: true });
+    expect(getDurationRate({}, '2025-06-10', 'week')).toMatchObject({ price: 0, estimated: false });
+  });
+
+  it('tells half days from full days by the booked times', () => {
+    expect(getDurationForSlot('10:00', '14:00')).toBe('halfDay');
+    expect(getDurationForSlot('10:00', '18:00')).toBe('fullDay');
+    expect(getDurationForSlot('', '14:00')).toBe('fullDay');
+  });
+});
+
+describe('quoteBoatPrice', () => {
+  it('adds the chosen extras, per booking or per guest', () => {
+    const quote = quoteBoatPrice(boat, { date: '2025-07-10', extras: ['Skipper', 'Lunch'], passengers: '6' });
+    expect(quote).toMatchObject({
+      season: 'July / August',
+      duration: 'fullDay',
+      baseRate: 3000,
+      extrasTotal: 410,
+      publicPrice: 3410,
+      suggestedPrice: 3410,
+      floor: 2400
+    });
+    expect(quote.extraLines).toEqual([
+      { name: 'Skipper', unit: 'booking', quantity: 1, amount: 200 },
+      { name: 'Lunch', unit: 'person', quantity: 6, amount: 210 }
+    ]);
+  });
+
+  it("applies a partner's net rate to the public price", () => {
+    const quote = quoteBoatPrice(boat, { date: '2025-06-02', startTime: '10:00', endTime: '13:00', partner: { netRateDiscount: '15' } });
+    expect(quote).toMatchObject({ duration: 'halfDay', publicPrice: 2500, netDiscount: 15, suggestedPrice: 2125, floor: 1200 });
+  });
+
+  it('records the check stored on a booking', () => {
+    const quote = quoteBoatPrice(boat, { date: '2025-07-10', extras: ['Skipper'] });
+    expect(buildPriceCheck(quote, '2000')).toEqual({
+      suggestedPrice: 3200,
+      floor: 2400,
+      season: 'July / August',
+      duration: 'fullDay',
+      extras: ['Skipper'],
+      netDiscount: 0,
+      belowFloor: true
+    });
+  });
+});
+
+describe('isBelowFloor', () => {
+  it('flags prices under a set minimum', () => {
+    expect(isBelowFloor('2000', 2400)).toBe(true);
+    expect(isBelowFloor(2400, 2400)).toBe(false);
+    expect(isBelowFloor('', 2400)).toBe(false);
+    expect(isBelowFloor(100, 0)).toBe(false);
+  });
+});
+
+describe('findBoatByName', () => {
+  it('matches booking boat names ignoring case and spacing', () => {
+    expect(findBoatByName([boat], '  sunseeker 75 ')).toBe(boat);
+    expect(findBoatByName([boat], 'Sunseeker')).toBeNull();
+    expect(findBoatByName([boat], '')).toBeNull();
+  });
+});
@@ -0,0 +1,274 @@
+// src/utils/transferDispatch.js
+// Driver dispatch for booking transfers. Transfers are derived from each booking's
+// `transfer` section; dispatch details live alongside it in `transfer.dispatch`:
+//   { outbound: leg, return: leg, cost, expenseId }
+//   leg = { driverId, vehicleId, offsetMinutes, status, updatedAt }
+// Pickup times are stored as offsets from the boat times so they follow reschedules.
+import { addDoc, collection, doc, onSnapshot, query, updateDoc, where } from 'firebase/firestore';
+import { jsPDF } from 'jspdf';
+import 'jspdf-autotable';
+import { db } from '../firebase/firebaseConfig';
+import { fetchBookingsForDate } from './bookingConflicts';
+import { updateBookingWithHistory } from './bookingHistoryActions';
+import { getBookingStatus, isBlockingStatus } from './bookingStatus';
+import { isTrashed } from './recycleBin';
+import { moveToTrash } from './recycleBinActions';
+
+export const TRANSFER_STATUSES = ['scheduled', 'en-route', 'picked-up', 'delivered'];
+
+export const TRANSFER_STATUS_META = {
+  scheduled: { label: 'Scheduled', badge: 'bg-gray-100 text-gray-800' },
+  'en-route': { label: 'En route', badge: 'bg-blue-100 text-blue-800' },
+  'picked-up': { label: 'Picked up', badge: 'bg-amber-100 text-amber-800' },
+  delivered: { label: 'Delivered', badge: 'bg-green-100 text-green-800' }
+};
+
+// Outbound: minutes before the boat leaves. Return: minutes after it gets back.
+export const DEFAULT_OFFSETS = { outbound: 45, return: 0 };
+export const OFFSET_OPTIONS = [0, 15, 30, 45, 60, 90, 120];
+
+export const MARINA = 'Marina';
+
+const colors = {
+  deepBlue: [26, 61, 93],
+  white: [255, 255, 255],
+  charcoal: [50, 50, 50]
+};
+
+const formatPoint = (point) => {
+  if (!point?.location) return '';
+  return point.locationDetail ? `${point.location} – ${point.locationDetail}` : point.location;
+};
+
+/**
+ * Move an HH:mm time by a number of minutes, wrapping round midnight.
+ * @returns {string} HH:mm, or '' when the time is missing.
+ */
+export const shiftTime = (time, minutes) => {
+  if (!time || !/^\d{1,2}:\d{2}/.test(time)) return '';
+  const [hours, mins] = time.split(':').map((part) => parseInt(part, 10));
+  const total = (((hours * 60 + mins + minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * The transfer legs a booking needs: outbound from the pickup point to the
+ * marina before the trip, and a return to the drop-off point afterwards.
+ * @param {Object} booking - Booking with its id.
+ * @returns {Array<Object>} Empty when the booking has no transfer.
+ */
+export const getTransferLegs = (booking) => {
+  const transfer = booking.transfer || {};
+  if (!transfer.required) return [];
+
+  const dispatch = transfer.dispatch || {};
+  const details = booking.bookingDetails || {};
+  const legs = [];
+
+  const buildLeg = (key, from, to, boatTime, direction) => {
+    const saved = dispatch[key] || {};
+    const offsetMinutes = saved.offsetMinutes ?? DEFAULT_OFFSETS[key];
+    return {
+      key,
+      id: `${booking.id}-${key}`,
+      bookingId: booking.id,
+      booking,
+      from,
+      to,
+      boatTime,
+      offsetMinutes,
+      time: shiftTime(boatTime, direction * offsetMinutes),
+      driverId: saved.driverId || '',
+      vehicleId: saved.vehicleId || '',
+      status: saved.status || 'scheduled',
+      clientName: booking.clientDetails?.name || booking.clientName || 'Unknown client',
+      phone: booking.clientDetails?.phone || '',
+      passengers: details.passengers || '',
+      boatName: details.boatName || ''
+    };
+  };
+
+  const pickup = formatPoint(transfer.pickup);
+  if (pickup) legs.push(buildLeg('outbound', pickup, MARINA, details.startTime, -1));
+
+  const dropoff = formatPoint(transfer.dropoff);
+  if (dropoff && transfer.dropoff.location !== MARINA) {
+    legs.push(buildLeg('return', MARINA, dropoff, details.endTime, 1));
+  }
+
+  return legs;
+};
+
+/**
+ * Every transfer leg on a day, earliest first. Only bookings that hold the boat are included.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+export const fetchTransfersForDate = async (date) => {
+  const bookings = (await fetchBookingsForDate(date)).filter(
+    (booking) => !isTrashed(booking) && isBlockingStatus(getBookingStatus(booking))
+  );
+  return bookings
+    .reduce((legs, booking) => legs.concat(getTransferLegs(booking)), [])
+    .sort((a, b) => (a.time || '99:99').localeCompare(b.time || '99:99'));
+};
+
+/**
+ * Save dispatch details for one leg (driver, vehicle, offset or status).
+ * @param {Object} leg - From getTransferLegs.
+ * @param {Object} changes
+ * @param {Object} [user]
+ */
+export const updateTransferLeg = async (leg, changes, user) => {
+  const current = leg.booking.transfer?.dispatch?.[leg.key] || {};
+  await updateBookingWithHistory(
+    leg.bookingId,
+    {
+      [`transfer.dispatch.${leg.key}`]: {
+        driverId: current.driverId || '',
+        vehicleId: current.vehicleId || '',
+        offsetMinutes: current.offsetMinutes ?? DEFAULT_OFFSETS[leg.key],
+        status: current.status || 'scheduled',
+        ...changes,
+        updatedAt: new Date().toISOString()
+      }
+    },
+    { currentData: leg.booking, user, source: 'transfers' }
+  );
+};
+
+/**
+ * Record what the transfer costs as a client expense linked to the booking,
+ * creating, updating or (for a zero cost) trashing that expense as needed.
+ * @param {Object} booking - Booking with its id.
+ * @param {number} amount
+ * @param {Object} [options]
+ * @param {string} [options.description]
+ * @param {Object} [options.user]
+ */
+export const saveTransferCost = async (booking, amount, { description, user } = {}) => {
+  const dispatch = booking.transfer?.dispatch || {};
+  const cost = Number(amount) || 0;
+  let expenseId = dispatch.expenseId || null;
+
+  if (cost > 0 && expenseId) {
+    await updateDoc(doc(db, 'expenses', expenseId), { amount: cost, description });
+  } else if (cost > 0) {
+    const expenseRef = await addDoc(collection(db, 'expenses'), {
+      amount: cost,
+      description,
+      category: 'Transfer',
+      type: 'client',
+      date: booking.bookingDetails?.date || booking.bookingDate || '',
+      imageURL: '',
+      bookingId: booking.id,
+      timestamp: new Date(),
+      paymentStatus: 'pending',
+      parentId: null
+    });
+    expenseId = expenseRef.id;
+  } else if (expenseId) {
+    await moveToTrash('expenses', expenseId, user);
+    expenseId = null;
+  }
+
+  await updateBookingWithHistory(
+    booking.id,
+    { 'transfer.dispatch.cost': cost, 'transfer.dispatch.expenseId': expenseId },
+    { currentData: booking, user, source: 'transfers' }
+  );
+};
+
+// ---------------------------------------------------------------- Drivers & vehicles
+
+export const DISPATCH_RESOURCES = {
+  drivers: { label: 'Drivers', fields: ['name', 'phone'] },
+  vehicles: { label: 'Vehicles', fields: ['name', 'plate', 'seats'] }
+};
+
+/**
+ * Live list of active drivers or vehicles, A–Z.
+ * @param {string} collectionName - 'drivers' or 'vehicles'.
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToDispatchResources = (collectionName, onChange, onError) =>
+  onSnapshot(
+    query(collection(db, collectionName), where('active', '==', true)),
+    (snapshot) => {
+      const items = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+      items.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      onChange(items);
+    },
+    (error) => {
+      console.error(`Error loading ${collectionName}:`, error);
+      if (onError) onError(error);
+    }
+  );
+
+export const addDispatchResource = async (collectionName, data) => {
+  await addDoc(collection(db, collectionName), {
+    ...data,
+    active: true,
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Retired rather than deleted so old dispatch records still show who drove
+export const retireDispatchResource = async (collectionName, id) => {
+  await updateDoc(doc(db, collectionName, id), { active: false });
+};
+
+// ---------------------------------------------------------------- Run sheet
+
+/**
+ * A driver's run sheet for the day as a PDF.
+ * @param {Object} driver
+ * @param {Array<Object>} legs - The driver's legs, from fetchTransfersForDate.
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} vehiclesById
+ * @returns {jsPDF}
+ */
+export const buildRunSheetPdf = (driver, legs, date, vehiclesById = {}) => {
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const day = new Date(`${date}T00:00:00`);
+
+  pdf.setFillColor(...colors.deepBlue);
+  pdf.rect(0, 0, pageWidth, 22, 'F');
+  pdf.setTextColor(...colors.white);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.text(`RUN SHEET · ${(driver.name || 'Driver').toUpperCase()}`, 10, 10);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.text(
+    isNaN(day.getTime()) ? date : day.toLocaleDateString('en-GB', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' }),
+    10,
+    17
+  );
+  if (driver.phone) pdf.text(driver.phone, pageWidth - 10, 17, { align: 'right' });
+
+  pdf.autoTable({
+    startY: 28,
+    head: [['Time', 'Client', 'Pax', 'From', 'To', 'Boat', 'Vehicle']],
+    body: legs.map((leg) => {
+      const vehicle = vehiclesById[leg.vehicleId];
+      return [
+        leg.time || '?',
+        [leg.clientName, leg.phone].filter(Boolean).join('\n'),
+        String(leg.passengers || '—'),
+        leg.from,
+        leg.to,
+        `${leg.boatName}\n${leg.key === 'outbound' ? 'Departs' : 'Returns'} ${leg.boatTime || '?'}`,
+        vehicle ? [vehicle.name, vehicle.plate].filter(Boolean).join('\n') : '—'
+      ];
+    }),
+    theme: 'grid',
+    styles: { fontSize: 9, cellPadding: 2, textColor: colors.charcoal, valign: 'top' },
+    headStyles: { fillColor: colors.deepBlue, textColor: colors.white },
+    columnStyles: { 0: { cellWidth: 16, fontStyle: 'bold' }, 2: { cellWidth: 12, halign: 'center' } },
+    margin: { left: 10, right: 10 }
+  });
+
+  return pdf;
+};
@@ -0,0 +1,31 @@
+// src/utils/useViewParam.js
+// Pages open a record linked as `?view=<id>` (see globalSearch.js), e.g. from
+// the command palette or a double-booking warning.
+import { useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+const hasViewId = (item, id) => item.id === id;
+
+/**
+ * Open the record linked as ?view=<id> once, as soon as it has loaded. Opening
+ * it again needs a different id, so closing it doesn't reopen it.
+ * @param {Array<Object>|null} items - The page's records; null to open the id without looking it up.
+ * @param {Function} onOpen - (id, item); wrap it in useCallback.
+ * @param {Function} [isLinked] - (item, id) => boolean, item.id === id by default. Keep it stable.
+ * @returns {string|null} The linked id.
+ */
+export const useViewParam = (items, onOpen, isLinked = hasViewId) => {
+  const [searchParams] = useSearchParams();
+  const viewId = searchParams.get('view');
+  const openedIdRef = useRef(null);
+
+  useEffect(() => {
+    if (!viewId || openedIdRef.current === viewId) return;
+    const item = items ? items.find((candidate) => isLinked(candidate, viewId)) : undefined;
+    if (items && !item) return;
+    openedIdRef.current = viewId;
+    onOpen(viewId, item);
+  }, [viewId, items, onOpen, isLinked]);
+
+  return viewId;
+};